@@ -4,22 +4,30 @@
  *
  * 主な機能:
  * - 変数とセグメントの状態管理
+ * - 下書きタブ（複数の報告文の並行編集）
  * - リアルタイムプレビューの生成
  * - セッション履歴の管理
+ * - 折り返しリマインダー（下書き・セッション履歴の予定日時の通知と .ics 保存）
  * - ドラッグ&ドロップによるセグメント順序変更
  * - Undo/Redo機能
  * - データのインポート/エクスポート
  * - クリップボードコピー機能
+ *
+ * @param {Object} props - プロパティ
+ * @param {Object|null} props.initialData - 保存済みデータ（StorageService.load() の結果）
+ * @param {boolean} [props.loadFailed] - 保存データの読み込みに失敗したか（true の場合は自動保存しない）
+ * @returns {JSX.Element} アプリケーション全体
  */
-function App() {
+function App({ initialData, loadFailed = false }) {
     const { useState, useEffect, useCallback, useRef, useMemo } = React;
 
     /**
-     * 初期データの取得
-     * LocalStorageから保存されたデータを読み込み
+     * 初期データ
+     * 描画前に StorageService.load() で読み込んだ保存データ（未保存の場合は null）
      */
-    const { loadData, saveData } = Hooks.useLocalStorage();
-    const initialData = loadData();
+    const initialActiveDraft = Array.isArray(initialData?.drafts)
+        ? initialData.drafts.find(d => d && d.id === initialData.activeDraftId) || null
+        : null;
 
     /**
      * State管理
@@ -37,6 +45,46 @@ function App() {
     const [showVariableModal, setShowVariableModal] = useState(false);
     const [showTemplateManager, setShowTemplateManager] = useState(false);
     const [showDataManagement, setShowDataManagement] = useState(false);
+    const [showRetentionSettings, setShowRetentionSettings] = useState(false);
+    const [showCallTimerSettings, setShowCallTimerSettings] = useState(false);
+    const [showStats, setShowStats] = useState(false);
+    const [showCallLogExport, setShowCallLogExport] = useState(false);
+    const [showOutputProfiles, setShowOutputProfiles] = useState(false);
+    const [showMailDraft, setShowMailDraft] = useState(false);
+    const [showDirectory, setShowDirectory] = useState(false);
+    const [showContactImport, setShowContactImport] = useState(false);
+    // 折り返しリマインダーの編集対象 { kind: 'session'|'draft', id }
+    const [editingReminder, setEditingReminder] = useState(null);
+    // セッション情報（タイトル・タグ・対応状況）の編集対象ID
+    const [editingSessionId, setEditingSessionId] = useState(null);
+    // 適用範囲の選択中のセッション履歴（復元モーダル）
+    const [restoringSession, setRestoringSession] = useState(null);
+    // 比較表示中のセッション履歴（2件）
+    const [comparingSessions, setComparingSessions] = useState(null);
+    /**
+     * アプリ設定
+     * - retention: 履歴の保持設定（件数・日数・お気に入りの常時保持・値グループ件数）
+     * - outputProfiles: 出力プロファイル（貼り付け先ごとのヘッダー/フッター・改行・空行・書式）
+     * - outputProfileId: 全体コピーで使うプロファイルのID
+     * - mailDraft: メール下書き（.eml / mailto）の件名テンプレート・宛先の変数・宛先リスト
+     * - directoryFields: アドレス帳の値を入れる変数（会社名・担当者名・部署・電話番号）
+     * - callTimerFields: 通話タイマーの値を入れる変数（開始時刻・終了時刻・通話時間）
+     * 旧設定の copyFormat（全体コピーの形式）は「標準」プロファイルの書式へ引き継ぐ
+     */
+    const [settings, setSettings] = useState(() => {
+        const { copyFormat: legacyCopyFormat, ...stored } = initialData?.settings || {};
+        const outputProfiles = OutputProfiles.normalizeOutputProfiles(stored.outputProfiles, legacyCopyFormat);
+        return {
+            ...stored,
+            retention: Helpers.normalizeRetentionSettings(stored.retention),
+            outputProfiles,
+            outputProfileId: OutputProfiles.findOutputProfile(outputProfiles, stored.outputProfileId).id,
+            mailDraft: MailDraft.normalizeMailDraftSettings(stored.mailDraft),
+            directoryFields: ContactDirectory.normalizeDirectoryFields(stored.directoryFields),
+            callTimerFields: Helpers.normalizeCallTimerFields(stored.callTimerFields)
+        };
+    });
+    const activeOutputProfile = OutputProfiles.findOutputProfile(settings.outputProfiles, settings.outputProfileId);
     const [showSaveBlockModal, setShowSaveBlockModal] = useState(false);
     /**
      * 変数編集モーダル状態
@@ -45,7 +93,9 @@ function App() {
      */
     const [editingVariableId, setEditingVariableId] = useState(null);
     const [showVariableEditModal, setShowVariableEditModal] = useState(false);
-    const [selectedBlockIndex, setSelectedBlockIndex] = useState(-1);
+    const [selectedBlockIndex, setSelectedBlockIndex] = useState(
+        typeof initialActiveDraft?.selectedBlockIndex === 'number' ? initialActiveDraft.selectedBlockIndex : -1
+    );
     const [templates, setTemplates] = useState(
         initialData?.templates || Constants.SAMPLE_TEMPLATES
     );
@@ -56,6 +106,34 @@ function App() {
     });
     // グループ補完・表示用サジェスト（専用フック）
     const { variableSuggestions, commitVariableValue } = Hooks.useGroupSuggestions(variables, inputHistory);
+    // アドレス帳（会社ごとの担当者・電話番号・メモ）
+    const [directory, setDirectory] = useState(() => ContactDirectory.normalizeDirectory(initialData?.directory));
+    // 電話番号として扱う変数名（電話番号タイプとアドレス帳の電話番号に対応する変数。改行区切りで比較し、入力のたびに索引を作り直さない）
+    const phoneLookupNames = useMemo(() => {
+        const directoryPhone = ContactDirectory.normalizeDirectoryFields(settings.directoryFields).phone;
+        const names = variables.filter(v => v.type === 'phone').map(v => v.name);
+        if (directoryPhone && !names.includes(directoryPhone)) names.push(directoryPhone);
+        return names.join('\n');
+    }, [variables, settings.directoryFields]);
+    // 電話番号からの逆引きの索引（値グループ・セッション履歴から）
+    const phoneIndex = useMemo(() => PhoneLookup.buildPhoneIndex({
+        valueGroups: Helpers.ensureInputHistoryShape(inputHistory).valueGroups,
+        sessionHistory,
+        phoneNames: phoneLookupNames ? phoneLookupNames.split('\n') : []
+    }), [inputHistory, sessionHistory, phoneLookupNames]);
+    // 入力欄の候補にアドレス帳の候補（会社名・担当者名の変数のみ）と電話番号の逆引き（電話番号タイプの変数のみ）を加える
+    const inputSuggestions = useMemo(() => {
+        const merged = { ...variableSuggestions };
+        const contacts = ContactDirectory.buildContactSuggestions(directory, variables, settings.directoryFields);
+        Object.keys(contacts).forEach(name => { merged[name] = { ...(merged[name] || {}), contacts: contacts[name] }; });
+        variables.filter(v => v.type === 'phone').forEach(v => {
+            const callers = PhoneLookup.lookupCallers(phoneIndex, v.value, settings.directoryFields);
+            // いずれかの候補の値が入力済み（相手を特定済み）なら提案しない
+            if (callers.length === 0 || callers.some(c => PhoneLookup.applyCallerToVariables(variables, c, v.name).changed.length === 0)) return;
+            merged[v.name] = { ...(merged[v.name] || {}), callers };
+        });
+        return merged;
+    }, [variableSuggestions, directory, variables, settings.directoryFields, phoneIndex]);
 
     // グループ補完の算出は useGroupSuggestions に移譲
     const [variableUsageInfo, setVariableUsageInfo] = useState({
@@ -64,17 +142,61 @@ function App() {
         variableUsage: {}
     });
     const [unifiedSegments, setUnifiedSegments] = useState([]);
-    const [baselineBlockIndex, setBaselineBlockIndex] = useState(-1); // 比較対象のブロックインデックス
+    const [baselineBlockIndex, setBaselineBlockIndex] = useState(
+        typeof initialActiveDraft?.baselineBlockIndex === 'number' ? initialActiveDraft.baselineBlockIndex : -1
+    ); // 比較対象のブロックインデックス
     const { segmentChangeStatus, deletionMarkers } = Hooks.useDiffStatus(segments, templates, selectedBlockIndex, baselineBlockIndex);
 
     // テーマ（専用フックへ移譲）
     const { theme, toggleTheme } = Hooks.useTheme();
 
     // Undo/Redo機能の初期化（早期に利用可能にする）
-    const { undoStack, redoStack, saveToUndoStack, undo, redo } = Hooks.useUndoRedo(
+    const { undoStack, redoStack, saveToUndoStack, undo, redo, replaceStacks } = Hooks.useUndoRedo(
         segments, variables, setSegments, setVariables
     );
 
+    // トースト（専用フックへ移譲）
+    const { toastState, showToast } = Hooks.useToast();
+
+    /**
+     * 通話タイマー（開始で開始時刻、停止で終了時刻・通話時間を設定。設定先は settings.callTimerFields）
+     * 状態は下書きタブごとに持ち、アクティブタブの状態をここで管理する
+     */
+    const notifyMissingTimerVariables = useCallback((names) => {
+        try { showToast(`${names.map(n => `「${n}」`).join('')}の変数が無いため入力できませんでした（通話タイマーの設定で変更できます）`, 4000); } catch (_) {}
+    }, [showToast]);
+    const callTimer = Hooks.useCallTimer({
+        initialState: initialData?.callTimer,
+        variables,
+        fields: settings.callTimerFields,
+        setVariables,
+        saveToUndoStack,
+        onMissingVariables: notifyMissingTimerVariables
+    });
+
+    /**
+     * 下書きタブ
+     * アクティブタブの内容は上記の state が正。切り替え時に state を退避/適用する
+     */
+    const currentDraftState = useMemo(() => ({
+        variables, segments, selectedBlockIndex, baselineBlockIndex, undoStack, redoStack, callTimer: callTimer.timer
+    }), [variables, segments, selectedBlockIndex, baselineBlockIndex, undoStack, redoStack, callTimer.timer]);
+    const { replaceTimer } = callTimer;
+    const applyDraft = useCallback((draft) => {
+        setVariables(draft.variables || []);
+        setSegments(draft.segments || []);
+        setSelectedBlockIndex(typeof draft.selectedBlockIndex === 'number' ? draft.selectedBlockIndex : -1);
+        setBaselineBlockIndex(typeof draft.baselineBlockIndex === 'number' ? draft.baselineBlockIndex : -1);
+        replaceStacks(draft.undoStack, draft.redoStack);
+        replaceTimer(draft.callTimer);
+    }, [replaceStacks, replaceTimer]);
+    const { drafts, activeDraftId, persistableDrafts, switchDraft, addDraft, renameDraft, closeDraft, setDraftReminder, markDraftReminderNotified } = Hooks.useDrafts({
+        initialDrafts: initialData?.drafts,
+        initialActiveId: initialData?.activeDraftId,
+        current: currentDraftState,
+        applyDraft
+    });
+
     // プレビュー同期フックの初期化（デバウンス300ms、カーソル保持を内包）
     const { preview, previewRef, handlePreviewChange } = Hooks.usePreviewSync({
         variables,
@@ -84,9 +206,6 @@ function App() {
         saveToUndoStack
     });
 
-    // トースト（専用フックへ移譲）
-    const { toastState, showToast } = Hooks.useToast();
-
     // 類似性判定は utils/diffUtils.js の DiffUtils.linesAreSimilar を使用
 
     /**
@@ -133,12 +252,42 @@ function App() {
     }, [segmentChangeStatus, deletionMarkers]);
 
     /**
-     * LocalStorageへの自動保存
-     * 状態が変更されるたびに自動的にデータを保存
+     * 自動保存
+     * 状態が変更されるたびに変更されたスライスを StorageService へ保存
      */
-    useEffect(() => {
-        saveData(variables, segments, sessionHistory, templates, inputHistory);
-    }, [variables, segments, sessionHistory, templates, inputHistory]);
+    Hooks.usePersistence({
+        variables,
+        segments,
+        sessionHistory,
+        templates,
+        inputHistory,
+        callTimer: callTimer.timer,
+        drafts: persistableDrafts,
+        activeDraftId,
+        settings,
+        directory,
+        enabled: !loadFailed
+    });
+
+    /**
+     * セッション履歴の保持管理
+     * 保持設定を超えた履歴をアーカイブへ移動する（削除しない）
+     */
+    const { archiveRevision } = Hooks.useSessionRetention({
+        sessionHistory,
+        setSessionHistory,
+        retention: settings.retention
+    });
+
+    /**
+     * タブ間同期
+     * 共有データ（セッション履歴・テンプレート・入力履歴・アドレス帳）を他のタブとマージする（下書きは同期しない）
+     */
+    Hooks.useCrossTabSync({
+        values: { sessionHistory, templates, inputHistory, directory },
+        setters: { sessionHistory: setSessionHistory, templates: setTemplates, inputHistory: setInputHistory, directory: setDirectory },
+        onConflict: (message) => showToast(message, 5000)
+    });
 
     // プレビュー再生成は usePreviewSync に移譲
 
@@ -206,16 +355,18 @@ function App() {
 
     /**
      * クリップボードコピー機能
-     * プレビュー内容を指定した形式でクリップボードにコピーし、
-     * 同時に現在の状態をセッション履歴に保存する。
+     * プレビュー内容を出力プロファイルに従って整形してクリップボードにコピーし、
+     * 同時に現在の状態をセッション履歴に保存する（使用したプロファイルも記録）。
      * 直前履歴と内容（content）が完全一致する場合は、重複追加せず
-     * 先頭要素の更新日時（timestamp）のみを上書きする。
+     * 先頭要素の更新日時（timestamp）と使用プロファイルのみを上書きする。
      *
-     * @param {string} format - コピー形式（plain、markdown、html）
+     * @param {Object} profile - 出力プロファイル
      * @returns {void}
      */
-    const copyToClipboard = (format = 'plain') => {
-        DataService.copyToClipboard(preview, format);
+    const copyToClipboard = (profile) => {
+        const output = OutputProfiles.composeOutput(preview, profile, variables);
+        DataService.copyToClipboard(output, profile.markup, { lineBreak: profile.lineBreak });
+        const outputProfile = OutputProfiles.toSessionOutputProfile(profile);
 
         // セッション履歴の重複排除（直前と完全一致ならtimestampのみ更新）
         setSessionHistory((prev) => {
@@ -224,20 +375,21 @@ function App() {
             const currentContent = String(preview ?? '');
             if (last && String(last.content ?? '') === currentContent) {
                 // 直前と完全一致：先頭のtimestampのみ上書き
-                const updatedFirst = { ...last, timestamp: nowIso };
+                const updatedFirst = { ...last, timestamp: nowIso, outputProfile };
                 return [updatedFirst, ...prev.slice(1)];
             }
 
-            // 新規追加（最大50件まで保持）
+            // 新規追加（保持上限を超えた分は useSessionRetention がアーカイブへ移動）
             const newSession = {
                 id: Helpers.generateId(),
                 timestamp: nowIso,
                 content: currentContent,
                 variables: [...variables],
                 segments: [...segments],
-                favorite: false
+                favorite: false,
+                outputProfile
             };
-            return [newSession, ...(prev || [])].slice(0, 50);
+            return [newSession, ...(prev || [])];
         });
     };
 
@@ -258,16 +410,206 @@ function App() {
         }));
     }, []);
 
+    /**
+     * セッション履歴のメタ情報（タイトル・タグ・対応状況・期限日）の更新
+     * 対応状況・期限日の変更はセッションの statusLog に記録される
+     *
+     * @param {string} sessionId - 対象セッションのID
+     * @param {{title?:string, tags?:string[], status?:string|null, dueDate?:string|null}} patch - 変更内容
+     * @returns {void}
+     */
+    const updateSessionMeta = useCallback((sessionId, patch) => {
+        setSessionHistory(prev => (prev || []).map(s => (
+            s && s.id === sessionId ? SessionMeta.applySessionMeta(s, patch) : s
+        )));
+    }, []);
+
+    /**
+     * 折り返しリマインダーの対象（下書き・セッション）の取得
+     * 下書きの本文はアクティブタブなら現在のプレビュー、それ以外は保存されている文節から組み立てる
+     *
+     * @param {{kind:'session'|'draft', id:string}} ref - 対象の種類とID
+     * @returns {{kind:string, id:string, title:string, content:string, reminder:Object|null}|null} 対象（見つからない場合は null）
+     */
+    const findReminderTarget = useCallback((ref) => {
+        if (!ref) return null;
+        const item = ref.kind === 'draft'
+            ? drafts.find(d => d.id === ref.id)
+            : sessionHistory.find(s => s && s.id === ref.id);
+        if (!item) return null;
+        const content = ref.kind === 'draft'
+            ? (item.id === activeDraftId ? preview : Helpers.renderPreviewWithIndexMap(item.segments || [], item.variables || []).previewText)
+            : String(item.content ?? '');
+        return { kind: ref.kind, id: item.id, title: Reminders.getReminderTargetTitle(ref.kind, item), content, reminder: item.reminder || null };
+    }, [drafts, sessionHistory, activeDraftId, preview]);
+
+    /**
+     * 折り返しリマインダーの設定・解除
+     * @param {{kind:'session'|'draft', id:string}} ref - 対象の種類とID
+     * @param {{at:string, note:string}|null} reminder - リマインダー（null は解除）
+     * @returns {void}
+     */
+    const updateReminder = useCallback((ref, reminder) => {
+        if (ref.kind === 'draft') {
+            setDraftReminder(ref.id, reminder);
+            return;
+        }
+        setSessionHistory(prev => (prev || []).map(s => (
+            s && s.id === ref.id ? Reminders.applyReminder(s, reminder) : s
+        )));
+    }, [setDraftReminder]);
+
+    /**
+     * 折り返しリマインダーの予定（.ics）の保存
+     * @param {{kind:'session'|'draft', id:string}} ref - 対象の種類とID
+     * @param {{at:string, note:string}} [reminder] - リマインダー（省略時は対象に設定済みのもの）
+     * @returns {void}
+     */
+    const exportReminderIcs = useCallback((ref, reminder) => {
+        const target = findReminderTarget(ref);
+        const value = reminder || (target && target.reminder);
+        if (!target || !value) return;
+        DataService.exportIcs(Reminders.buildReminderIcs(target, value), DateUtils.formatDateTime(value.at, 'YYYYMMDD-HHmm'));
+        try { showToast('予定（.ics）を保存しました'); } catch (_) {}
+    }, [findReminderTarget, showToast]);
+
+    /**
+     * 折り返しリマインダーの対象を開く（下書きはタブを切り替え、セッションは適用モーダルを開く）
+     * @param {{kind:'session'|'draft', id:string}} ref - 対象の種類とID
+     * @returns {void}
+     */
+    const openReminderTarget = useCallback((ref) => {
+        if (ref.kind === 'draft') {
+            switchDraft(ref.id);
+            return;
+        }
+        const session = sessionHistory.find(s => s && s.id === ref.id);
+        if (session) setRestoringSession(session);
+    }, [switchDraft, sessionHistory]);
+
+    /**
+     * 折り返しリマインダーの通知
+     * 予定日時になったものを通知済みとして記録し、通知が許可されていない場合に備えてトーストでも知らせる
+     */
+    const { overdueReminders } = Hooks.useReminders({
+        sessionHistory,
+        drafts,
+        onNotify: (reminder) => {
+            if (reminder.kind === 'draft') {
+                markDraftReminderNotified(reminder.id);
+            } else {
+                setSessionHistory(prev => (prev || []).map(s => (
+                    s && s.id === reminder.id ? Reminders.markReminderNotified(s) : s
+                )));
+            }
+            try { showToast(`折り返しの時間です: ${reminder.title}`, 5000); } catch (_) {}
+        },
+        onOpen: openReminderTarget
+    });
+
+    /**
+     * アドレス帳の候補の適用
+     * 対応する変数（会社名・担当者名・部署・電話番号）へまとめて入力する。適用前の状態は Undo スタックへ保存する
+     *
+     * @param {string} entryId - 項目ID
+     * @param {string|null} personId - 担当者ID（会社のみ選んだ場合は null）
+     * @returns {void}
+     */
+    const applyDirectoryContact = useCallback((entryId, personId) => {
+        const result = ContactDirectory.applyContactToVariables(variables, directory, entryId, personId, settings.directoryFields);
+        if (result.changed.length === 0) return;
+        try { saveToUndoStack(); } catch (_) {}
+        setVariables(result.variables);
+        try { showToast(`アドレス帳から入力しました（${result.changed.join('・')}）`); } catch (_) {}
+    }, [variables, directory, settings.directoryFields, saveToUndoStack, showToast]);
+
+    /**
+     * 電話番号の逆引き候補から入力
+     * 候補に記録された値（会社名・相手先名など）をまとめて入力する。適用前の状態は Undo スタックへ保存する
+     *
+     * @param {string} phoneName - 入力元の電話番号の変数名
+     * @param {Object} caller - PhoneLookup.lookupCallers の候補
+     * @returns {void}
+     */
+    const applyPhoneCaller = useCallback((phoneName, caller) => {
+        const result = PhoneLookup.applyCallerToVariables(variables, caller, phoneName);
+        if (result.changed.length === 0) return;
+        try { saveToUndoStack(); } catch (_) {}
+        setVariables(result.variables);
+        try { showToast(`過去の通話から入力しました（${result.changed.join('・')}）`); } catch (_) {}
+    }, [variables, saveToUndoStack, showToast]);
+
+    /**
+     * セッション履歴の変数値からアドレス帳へ登録（同じ会社名があれば担当者・電話番号を追加）
+     * @param {Object} session - セッション
+     * @returns {void}
+     */
+    const registerSessionContact = useCallback((session) => {
+        const result = ContactDirectory.upsertFromVariables(directory, session && session.variables, settings.directoryFields);
+        if (!result.entry) {
+            try { showToast(`「${settings.directoryFields.company || '会社名'}」が空のため、アドレス帳に登録できません`, 4000); } catch (_) {}
+            return;
+        }
+        if (result.changed) setDirectory(result.directory);
+        const message = result.created ? 'アドレス帳に登録しました'
+            : (result.changed ? 'アドレス帳の登録内容に追加しました' : 'アドレス帳に登録済みです');
+        try { showToast(`${message}: ${result.entry.company}`); } catch (_) {}
+    }, [directory, settings.directoryFields, showToast]);
+
+    /**
+     * 連絡先の取り込み（新規の連絡先を値グループへ追加し、指定があればアドレス帳にも登録）
+     * @param {Array} records - ContactImport.buildImportPreview の records
+     * @param {{addToDirectory:boolean}} options - オプション
+     * @returns {void}
+     */
+    const importContacts = useCallback((records, { addToDirectory }) => {
+        const result = ContactImport.applyImportToInputHistory(inputHistory, records);
+        if (result.added > 0) setInputHistory(result.inputHistory);
+        let registered = 0;
+        if (addToDirectory) {
+            let nextDirectory = directory;
+            records.filter(r => r.status === 'new' || r.status === 'existing').forEach(r => {
+                const upserted = ContactDirectory.upsertFromVariables(
+                    nextDirectory,
+                    Object.entries(r.variables).map(([name, value]) => ({ name, value })),
+                    settings.directoryFields
+                );
+                if (!upserted.changed) return;
+                nextDirectory = upserted.directory;
+                registered += 1;
+            });
+            if (registered > 0) setDirectory(nextDirectory);
+        }
+        const suffix = addToDirectory ? `（アドレス帳 ${registered}件）` : '';
+        try { showToast(`連絡先 ${result.added}件を取り込みました${suffix}`); } catch (_) {}
+    }, [inputHistory, setInputHistory, directory, settings.directoryFields, showToast]);
+
+    /**
+     * セッション履歴の適用（範囲指定）
+     * 適用前の状態は元に戻す（Undo）スタックへ保存する
+     *
+     * @param {Object} session - 適用するセッション
+     * @param {'all'|'variables'|'segments'} mode - 適用範囲
+     * @returns {void}
+     */
+    const applySessionRestore = useCallback((session, mode) => {
+        if (!session) return;
+        try { saveToUndoStack(); } catch (_) {}
+        const next = SessionRestore.buildRestoredState({ variables, segments }, session, mode);
+        if (next.segments !== segments) setSegments(next.segments);
+        if (next.variables !== variables) setVariables(next.variables);
+    }, [variables, segments, saveToUndoStack]);
+
     /**
      * プレビューの全体コピー（ボタン押下用）
-     * プレーンテキストでコピーし、完了トーストを表示
+     * 選択中の出力プロファイルでコピーし、完了トーストを表示
      *
      * 通知は明示的なボタン操作に限定
      *
      * @returns {void}
      */
     const handleCopyButtonClick = useCallback(() => {
-        copyToClipboard('plain');
+        copyToClipboard(activeOutputProfile);
         // グループ保存（空文字含め完全スナップショット）
         try {
             const snapshot = Object.fromEntries((variables || []).map(v => [v.name, String(v.value ?? '')]));
@@ -279,14 +621,38 @@ function App() {
                 if (!isSameAsLast) {
                     groups.unshift({ id: Helpers.generateId(), savedAt: new Date().toISOString(), variables: snapshot });
                 }
-                // 上限200
-                const MAX_GROUPS = 200;
-                const trimmed = groups.slice(0, MAX_GROUPS);
-                return { ...shaped, valueGroups: trimmed };
+                // 保持件数（0 は無制限。取り込んだ連絡先は含めない）
+                return { ...shaped, valueGroups: Helpers.trimValueGroups(groups, settings.retention.maxValueGroups) };
             });
         } catch (_) {}
-        showToast('コピーしました');
-    }, [copyToClipboard, showToast, variables, setInputHistory]);
+        showToast(`コピーしました（${activeOutputProfile.name}）`);
+    }, [copyToClipboard, showToast, variables, setInputHistory, settings.retention, activeOutputProfile]);
+
+    /**
+     * 下書きタブを閉じる
+     * 入力済みの文節がある場合は確認ダイアログを表示する
+     *
+     * @param {string} draftId - 対象の下書きID
+     * @returns {Promise<void>}
+     */
+    const handleCloseDraft = useCallback(async (draftId) => {
+        try {
+            const target = drafts.find(d => d.id === draftId);
+            if (!target) return;
+            const segs = draftId === activeDraftId ? segments : (target.segments || []);
+            const hasContent = segs.some(s => String(s?.content ?? '').trim() !== '');
+            if (hasContent || target.reminder) {
+                const ok = await window.UI.confirm({
+                    title: '下書きを閉じる',
+                    message: `「${target.title}」を閉じますか？編集中の内容は破棄されます（コピー済みの内容はセッション履歴に残ります）。`
+                        + (target.reminder ? '折り返しリマインダーも解除されます。' : ''),
+                    okText: '閉じる'
+                });
+                if (!ok) return;
+            }
+        } catch (_) {}
+        closeDraft(draftId);
+    }, [drafts, activeDraftId, segments, closeDraft]);
 
     /**
      * 変数編集モーダルを開く
@@ -299,11 +665,14 @@ function App() {
 
     /**
      * 変数編集の適用処理
-     * - 変数名変更に伴い、全セグメント内の `{{旧名}}` を `{{新名}}` に置換
+     * - 変数名変更に伴い、全セグメント内の `{{旧名}}` を `{{新名}}` に置換（`{{旧名|フィルタ}}`・`{{#if 旧名}}` 等も含む）
      * - プレビューは usePreviewSync により自動再生成
      * - タイプ変更が time の場合、フォーマット・丸め設定を既定値で付与
+     * - タイプ変更が date の場合、日付フォーマットを既定値で付与（time/date 間でフォーマットは引き継がない）
+     * - タイプが phone の場合、出力形式を反映し、形式を変えたときは入力済みの正しい番号をその形式で整形
+     * - タイプが select の場合、選択肢リストと自由入力可否を反映
      *
-     * @param {{id:string, name:string, type:string}} updated - 更新後の変数情報
+     * @param {{id:string, name:string, type:string, options?:string[], allowCustom?:boolean, format?:string}} updated - 更新後の変数情報
      * @returns {void}
      */
     const applyVariableEdit = useCallback((updated) => {
@@ -316,6 +685,9 @@ function App() {
             const newName = String(updated.name || '');
 
             // 1) 変数配列を更新
+            const reformatPhone = updated.type === 'phone'
+                && (prevVar.type !== 'phone' || (prevVar.format || '') !== (updated.format || ''))
+                && Helpers.validatePhoneNumber(prevVar.value).valid;
             const nextVariables = [...variables];
             nextVariables[idx] = {
                 ...prevVar,
@@ -323,16 +695,27 @@ function App() {
                 type: updated.type,
                 ...(updated.type === 'time' && {
                     formatMode: prevVar.formatMode || 'preset',
-                    format: prevVar.format || 'HH:mm',
+                    format: (prevVar.type === 'time' && prevVar.format) || 'HH:mm',
                     rounding: prevVar.rounding || { enabled: false, unit: '5', method: 'floor' }
+                }),
+                ...(updated.type === 'date' && {
+                    format: (prevVar.type === 'date' && prevVar.format) || Constants.DATE_FORMAT_PRESETS[0].value
+                }),
+                ...(updated.type === 'select' && {
+                    options: Helpers.normalizeSelectOptions(updated.options || []),
+                    allowCustom: !!updated.allowCustom
+                }),
+                ...(updated.type === 'phone' && {
+                    format: updated.format || '',
+                    ...(reformatPhone && { value: Helpers.formatPhoneNumber(prevVar.value, updated.format) })
                 })
             };
 
             // 2) 文節内の {{旧名}} → {{新名}} を一括置換（厳密一致）
-            const re = new RegExp(`\\{\\{\\s*${Helpers.escapeRegExp(oldName)}\\s*\\}\\}`, 'g');
+            //    フィルタ付き {{旧名|...}} と条件セクション {{#if 旧名}} / {{#unless 旧名}} の変数名も追従させる
             const nextSegments = segments.map(seg => ({
                 ...seg,
-                content: String(seg.content ?? '').replace(re, `{{${newName}}}`)
+                content: Helpers.renameTemplateVariable(seg.content, oldName, newName)
             }));
 
             // 3) 状態反映とUndo
@@ -377,6 +760,18 @@ function App() {
                     )
                 ),
                 React.createElement('div', { className: "flex items-center gap-2" },
+                    // 通話タイマー
+                    React.createElement(Components.CallTimer, {
+                        timer: callTimer.timer,
+                        elapsedMs: callTimer.elapsedMs,
+                        onStart: callTimer.start,
+                        onPause: callTimer.pause,
+                        onResume: callTimer.resume,
+                        onStop: callTimer.stop,
+                        onReset: callTimer.reset,
+                        fields: settings.callTimerFields,
+                        onOpenSettings: () => setShowCallTimerSettings(true)
+                    }),
                     React.createElement('button', {
                         onClick: undo,
                         disabled: undoStack.length === 0,
@@ -433,182 +828,62 @@ function App() {
             React.createElement(Components.SessionSidebar, {
                 open: sidebarOpen,
                 sessionHistory: sessionHistory,
+                archiveRevision: archiveRevision,
                 onToggle: () => setSidebarOpen(!sidebarOpen),
                 onNew: () => {
                     try { saveToUndoStack(); } catch (_) {}
                     setSegments([{ id: Helpers.generateId(), content: '' }]);
-                    setVariables([{
-                        id: Helpers.generateId(),
-                        name: '着信時刻',
-                        type: 'time',
-                        value: DateUtils.formatDateTime(new Date(), 'HH:mm', {
-                            enabled: true,
-                            unit: '5',
-                            method: 'floor'
-                        }),
-                        formatMode: 'preset',
-                        format: 'HH:mm',
-                        rounding: {
-                            enabled: true,
-                            unit: '5',
-                            method: 'floor'
-                        }
-                    }]);
-                },
-                onLoad: async (session) => {
-                    // セッション履歴適用前の確認ダイアログ
-                    // 未保存変更がある場合は強い警告、それ以外でも確認
-                    try {
-                        const hasUnsaved = (typeof window.__telescribe_hasUnsavedChanges === 'function') && window.__telescribe_hasUnsavedChanges();
-                        const message = hasUnsaved
-                            ? '未保存の変更があります。続行すると現在の編集内容が失われる可能性があります。履歴を適用しますか？'
-                            : 'このセッション履歴を適用しますか？';
-                        const ok = await window.UI.confirm({ title: '履歴の適用', message });
-                        if (!ok) return;
-                    } catch (_) {}
-                    try { saveToUndoStack(); } catch (_) {}
-                    setSegments(session.segments);
-                    setVariables(session.variables);
+                    setVariables(Constants.createBlankVariables());
                 },
+                // セッション履歴の適用は範囲選択・差分確認のモーダルを経由する
+                onLoad: (session) => setRestoringSession(session),
                 onToggleFavorite: (sessionId, next) => toggleSessionFavorite(sessionId, next),
+                onEditSession: (sessionId) => setEditingSessionId(sessionId),
+                onCompareSessions: (sessions) => setComparingSessions(sessions),
                 onOpenTemplateManager: () => setShowTemplateManager(true),
-                onOpenDataManagement: () => setShowDataManagement(true)
+                onOpenDataManagement: () => setShowDataManagement(true),
+                onOpenRetentionSettings: () => setShowRetentionSettings(true),
+                onOpenCallLogExport: () => setShowCallLogExport(true),
+                onOpenStats: () => setShowStats(true),
+                overdueReminders: overdueReminders,
+                onOpenReminder: openReminderTarget,
+                onEditReminder: (ref) => setEditingReminder(ref),
+                onDismissReminder: (ref) => updateReminder(ref, null),
+                onExportReminderIcs: (ref) => exportReminderIcs(ref),
+                onRegisterContact: registerSessionContact,
+                onOpenDirectory: () => setShowDirectory(true),
+                onOpenContactImport: () => setShowContactImport(true)
             }),
 
-            // メインコンテンツ（狭幅: 縦並び / 広幅: 横並び）
-            React.createElement('div', { className: "flex-1 flex flex-col lg:flex-row gap-4 p-4 lg:overflow-hidden lg:min-h-0 overflow-visible" },
-                // 左パネル
-                React.createElement('div', { className: "flex flex-col gap-4 min-w-0 w-full lg:w-1/2 lg:flex-1 lg:min-h-0" },
-                    // プレビューセクション（コンポーネント化）
-                    React.createElement(Components.PreviewPane, {
-                        preview: preview,
-                        previewRef: previewRef,
-                        onChange: (text) => { if (preview !== text) handlePreviewChange(text); },
-                        onCopyButtonClick: handleCopyButtonClick,
-                        segments: segments,
-                        variables: variables,
-                        onCommitVariables: (committedText) => {
-                            try {
-                                const next = (window.Helpers && typeof window.Helpers.addMissingVariablesFromText === 'function')
-                                    ? window.Helpers.addMissingVariablesFromText(committedText, variables)
-                                    : variables;
-                                if (next !== variables) {
-                                    try { saveToUndoStack(); } catch (_) {}
-                                    setVariables(next);
-                                }
-                            } catch (_) {}
-                        }
-                    }),
-
-                    // 基本情報セクション（コンポーネント化）
-                    React.createElement(Components.VariablesPanel, {
-                        variables: variables,
-                        variableUsageInfo: variableUsageInfo,
-                        onUpdate: (index, updated) => {
-                            // 変数値編集もUndo対象
-                            try { saveToUndoStack(); } catch (_) {}
-                            const newVariables = [...variables];
-                            newVariables[index] = updated;
-                            setVariables(newVariables);
-                        },
-                        onDelete: async (variableId) => {
-                            const impact = Helpers.analyzeVariableDeletionImpact(variableId, variables, segments);
-                            const canProceed = impact.canDelete || await window.UI.confirm({ title: '変数の削除', message: impact.warningMessage, okText: '削除する' });
-                            if (canProceed) {
-                                setVariables(variables.filter(v => v.id !== variableId));
-                                saveToUndoStack();
-                            }
-                        },
-                        onEdit: (variableId) => openVariableEditModal(variableId),
-                        onAddClick: () => setShowVariableModal(true),
-                        showToast: showToast,
-                        onCommitValue: commitVariableValue,
-                        suggestions: variableSuggestions
-                    })
-                ),
+            // 下書きタブ + メインコンテンツ
+            React.createElement('div', { className: "flex-1 flex flex-col min-w-0 lg:overflow-hidden lg:min-h-0 overflow-visible" },
+                React.createElement(Components.DraftTabs, {
+                    drafts: drafts,
+                    activeDraftId: activeDraftId,
+                    onSelect: switchDraft,
+                    onAdd: addDraft,
+                    onRename: renameDraft,
+                    onClose: handleCloseDraft,
+                    onEditReminder: (id) => setEditingReminder({ kind: 'draft', id })
+                }),
 
-                // 右パネル
-                React.createElement('div', { className: "bg-gray-800 rounded-lg shadow-xl flex flex-col w-full lg:w-1/2 lg:flex-1 lg:min-h-0 lg:overflow-hidden" },
-                    React.createElement('div', { className: "gradient-accent p-3 flex-none rounded-t-lg" },
-                        React.createElement('div', { className: "flex items-center justify-between gap-3 flex-wrap" },
-                            React.createElement('h2', { className: "text-lg font-semibold" }, '報告文の組み立て（文節）'),
-                            React.createElement('div', { className: "flex items-center gap-2" },
-                                React.createElement('select', {
-                                    value: selectedBlockIndex,
-                                    onChange: (e) => {
-                                        const idx = Number(e.target.value);
-                                        setSelectedBlockIndex(idx);
-                                        setBaselineBlockIndex(idx); // ブロック切替時にbaselineを更新
-                                    },
-                                    className: "px-2 py-1 bg-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500",
-                                    tabIndex: -1
-                                },
-                                    React.createElement('option', { value: -1 }, 'ブロック選択'),
-                                    (templates.block || []).map((b, i) => React.createElement('option', { key: i, value: i }, b.name || `ブロック${i + 1}`))
-                                ),
-                                React.createElement('button', {
-                                    onClick: async () => {
-                                        const idx = selectedBlockIndex;
-                                        const block = (templates.block || [])[idx];
-                                        if (!block) return;
-                                        // 未保存変更確認
-                                        if (typeof window.__telescribe_hasUnsavedChanges === 'function' && window.__telescribe_hasUnsavedChanges()) {
-                                            const ok = await window.UI.confirm({ title: '未保存の変更', message: '未保存の変更があります。続行すると変更が失われる可能性があります。続行しますか？' });
-                                            if (!ok) return;
-                                        }
-                                        Hooks.useTemplateOps({ variables, setVariables, segments, setSegments, templates, setBaselineBlockIndex, saveToUndoStack }).applyAppendByIndex(idx);
-                                    },
-                                    disabled: selectedBlockIndex < 0,
-                                    className: "px-3 py-1 bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50",
-                                    tabIndex: -1,
-                                    title: "選択ブロックを末尾に追加"
-                                }, '追加'),
-                                React.createElement('button', {
-                                    onClick: async () => {
-                                        const idx = selectedBlockIndex;
-                                        const block = (templates.block || [])[idx];
-                                        if (!block) return;
-                                        if (typeof window.__telescribe_hasUnsavedChanges === 'function' && window.__telescribe_hasUnsavedChanges()) {
-                                            const ok = await window.UI.confirm({ title: '未保存の変更', message: '未保存の変更があります。続行すると変更が失われます。置換を実行しますか？', okText: '置換する' });
-                                            if (!ok) return;
-                                        }
-                                        Hooks.useTemplateOps({ variables, setVariables, segments, setSegments, templates, setBaselineBlockIndex, saveToUndoStack }).applyReplaceByIndex(idx);
-                                    },
-                                    disabled: selectedBlockIndex < 0,
-                                    className: "px-3 py-1 bg-purple-600 rounded-md hover:bg-purple-700 disabled:opacity-50",
-                                    tabIndex: -1,
-                                    title: "選択ブロックで全置換"
-                                }, '置換'),
-                                React.createElement('button', {
-                                    onClick: () => setShowSaveBlockModal(true),
-                                    className: `px-3 py-1 rounded-md hover:bg-gray-600 ${((segmentChangeStatus.some(s => s === 'new' || s === 'edited')) || (deletionMarkers && deletionMarkers.length > 0)) ? 'bg-gray-700 relative' : 'bg-gray-700'}`,
-                                    tabIndex: -1,
-                                    title: "現在内容をブロック保存"
-                                },
-                                    '保存',
-                                    ((segmentChangeStatus.some(s => s === 'new' || s === 'edited')) || (deletionMarkers && deletionMarkers.length > 0)) && React.createElement('span', {
-                                        className: "ml-2 inline-block w-2 h-2 rounded-full bg-yellow-400 align-middle"
-                                    })
-                                )
-                            )
-                        )
-                    ),
-                    React.createElement('div', { className: "p-4 flex flex-col lg:flex-1 lg:min-h-0" },
-                        React.createElement('div', { className: "mb-2 text-xs text-gray-400 flex items-center gap-2" },
-                            React.createElement('svg', { className: "w-4 h-4", fill: "none", stroke: "currentColor", viewBox: "0 0 24 24" },
-                                React.createElement('path', { strokeLinecap: "round", strokeLinejoin: "round", strokeWidth: 2, d: "M13 16h-1v-4h-1m1-4h.01M12 6a9 9 0 110 12 9 9 0 010-12z" })
-                            ),
-                            'ヒント: \u007b\u007b 入力で変数候補が開きます。↑↓で選択／Enterで確定。左のハンドルで並び替えできます。'
-                        ),
-                        React.createElement(Components.SegmentsPane, {
+                // メインコンテンツ（狭幅: 縦並び / 広幅: 横並び）
+                React.createElement('div', { className: "flex-1 flex flex-col lg:flex-row gap-4 p-4 lg:overflow-hidden lg:min-h-0 overflow-visible" },
+                    // 左パネル
+                    React.createElement('div', { className: "flex flex-col gap-4 min-w-0 w-full lg:w-1/2 lg:flex-1 lg:min-h-0" },
+                        // プレビューセクション（コンポーネント化）
+                        React.createElement(Components.PreviewPane, {
+                            preview: preview,
+                            previewRef: previewRef,
+                            onChange: (text) => { if (preview !== text) handlePreviewChange(text); },
+                            onCopyButtonClick: handleCopyButtonClick,
+                            outputProfiles: settings.outputProfiles,
+                            outputProfileId: activeOutputProfile.id,
+                            onOutputProfileChange: (outputProfileId) => setSettings(prev => ({ ...prev, outputProfileId })),
+                            onOpenOutputProfiles: () => setShowOutputProfiles(true),
+                            onOpenMailDraft: () => setShowMailDraft(true),
                             segments: segments,
-                            deletionMarkers: deletionMarkers,
-                            templates: templates.segment || [],
-                            inputHistory: inputHistory,
                             variables: variables,
-                            onUpdate: updateSegment,
-                            onDelete: deleteSegment,
-                            onAdd: addSegment,
                             onCommitVariables: (committedText) => {
                                 try {
                                     const next = (window.Helpers && typeof window.Helpers.addMissingVariablesFromText === 'function')
@@ -619,14 +894,139 @@ function App() {
                                         setVariables(next);
                                     }
                                 } catch (_) {}
-                            },
-                            changeStatus: segmentChangeStatus,
-                            onAddLineButton: () => {
-                                try { saveToUndoStack(); } catch (_) {}
-                                setSegments([...segments, { id: Helpers.generateId(), content: '' }]);
                             }
+                        }),
+
+                        // 基本情報セクション（コンポーネント化）
+                        React.createElement(Components.VariablesPanel, {
+                            variables: variables,
+                            variableUsageInfo: variableUsageInfo,
+                            onUpdate: (index, updated) => {
+                                // 変数値編集もUndo対象
+                                try { saveToUndoStack(); } catch (_) {}
+                                const newVariables = [...variables];
+                                newVariables[index] = updated;
+                                setVariables(newVariables);
+                            },
+                            onDelete: async (variableId) => {
+                                const impact = Helpers.analyzeVariableDeletionImpact(variableId, variables, segments);
+                                const canProceed = impact.canDelete || await window.UI.confirm({ title: '変数の削除', message: impact.warningMessage, okText: '削除する' });
+                                if (canProceed) {
+                                    setVariables(variables.filter(v => v.id !== variableId));
+                                    saveToUndoStack();
+                                }
+                            },
+                            onEdit: (variableId) => openVariableEditModal(variableId),
+                            onAddClick: () => setShowVariableModal(true),
+                            showToast: showToast,
+                            onCommitValue: commitVariableValue,
+                            suggestions: inputSuggestions,
+                            onPickContact: applyDirectoryContact,
+                            onPickCaller: applyPhoneCaller
                         })
                     ),
+
+                    // 右パネル
+                    React.createElement('div', { className: "bg-gray-800 rounded-lg shadow-xl flex flex-col w-full lg:w-1/2 lg:flex-1 lg:min-h-0 lg:overflow-hidden" },
+                        React.createElement('div', { className: "gradient-accent p-3 flex-none rounded-t-lg" },
+                            React.createElement('div', { className: "flex items-center justify-between gap-3 flex-wrap" },
+                                React.createElement('h2', { className: "text-lg font-semibold" }, '報告文の組み立て（文節）'),
+                                React.createElement('div', { className: "flex items-center gap-2" },
+                                    React.createElement('select', {
+                                        value: selectedBlockIndex,
+                                        onChange: (e) => {
+                                            const idx = Number(e.target.value);
+                                            setSelectedBlockIndex(idx);
+                                            setBaselineBlockIndex(idx); // ブロック切替時にbaselineを更新
+                                        },
+                                        className: "px-2 py-1 bg-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500",
+                                        tabIndex: -1
+                                    },
+                                        React.createElement('option', { value: -1 }, 'ブロック選択'),
+                                        (templates.block || []).map((b, i) => React.createElement('option', { key: i, value: i }, b.name || `ブロック${i + 1}`))
+                                    ),
+                                    React.createElement('button', {
+                                        onClick: async () => {
+                                            const idx = selectedBlockIndex;
+                                            const block = (templates.block || [])[idx];
+                                            if (!block) return;
+                                            // 未保存変更確認
+                                            if (typeof window.__telescribe_hasUnsavedChanges === 'function' && window.__telescribe_hasUnsavedChanges()) {
+                                                const ok = await window.UI.confirm({ title: '未保存の変更', message: '未保存の変更があります。続行すると変更が失われる可能性があります。続行しますか？' });
+                                                if (!ok) return;
+                                            }
+                                            Hooks.useTemplateOps({ variables, setVariables, segments, setSegments, templates, setBaselineBlockIndex, saveToUndoStack }).applyAppendByIndex(idx);
+                                        },
+                                        disabled: selectedBlockIndex < 0,
+                                        className: "px-3 py-1 bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50",
+                                        tabIndex: -1,
+                                        title: "選択ブロックを末尾に追加"
+                                    }, '追加'),
+                                    React.createElement('button', {
+                                        onClick: async () => {
+                                            const idx = selectedBlockIndex;
+                                            const block = (templates.block || [])[idx];
+                                            if (!block) return;
+                                            if (typeof window.__telescribe_hasUnsavedChanges === 'function' && window.__telescribe_hasUnsavedChanges()) {
+                                                const ok = await window.UI.confirm({ title: '未保存の変更', message: '未保存の変更があります。続行すると変更が失われます。置換を実行しますか？', okText: '置換する' });
+                                                if (!ok) return;
+                                            }
+                                            Hooks.useTemplateOps({ variables, setVariables, segments, setSegments, templates, setBaselineBlockIndex, saveToUndoStack }).applyReplaceByIndex(idx);
+                                        },
+                                        disabled: selectedBlockIndex < 0,
+                                        className: "px-3 py-1 bg-purple-600 rounded-md hover:bg-purple-700 disabled:opacity-50",
+                                        tabIndex: -1,
+                                        title: "選択ブロックで全置換"
+                                    }, '置換'),
+                                    React.createElement('button', {
+                                        onClick: () => setShowSaveBlockModal(true),
+                                        className: `px-3 py-1 rounded-md hover:bg-gray-600 ${((segmentChangeStatus.some(s => s === 'new' || s === 'edited')) || (deletionMarkers && deletionMarkers.length > 0)) ? 'bg-gray-700 relative' : 'bg-gray-700'}`,
+                                        tabIndex: -1,
+                                        title: "現在内容をブロック保存"
+                                    },
+                                        '保存',
+                                        ((segmentChangeStatus.some(s => s === 'new' || s === 'edited')) || (deletionMarkers && deletionMarkers.length > 0)) && React.createElement('span', {
+                                            className: "ml-2 inline-block w-2 h-2 rounded-full bg-yellow-400 align-middle"
+                                        })
+                                    )
+                                )
+                            )
+                        ),
+                        React.createElement('div', { className: "p-4 flex flex-col lg:flex-1 lg:min-h-0" },
+                            React.createElement('div', { className: "mb-2 text-xs text-gray-400 flex items-center gap-2" },
+                                React.createElement('svg', { className: "w-4 h-4", fill: "none", stroke: "currentColor", viewBox: "0 0 24 24" },
+                                    React.createElement('path', { strokeLinecap: "round", strokeLinejoin: "round", strokeWidth: 2, d: "M13 16h-1v-4h-1m1-4h.01M12 6a9 9 0 110 12 9 9 0 010-12z" })
+                                ),
+                                'ヒント: \u007b\u007b 入力で変数候補が開きます。↑↓で選択／Enterで確定。左のハンドルで並び替えできます。'
+                            ),
+                            React.createElement(Components.SegmentsPane, {
+                                segments: segments,
+                                deletionMarkers: deletionMarkers,
+                                templates: templates.segment || [],
+                                inputHistory: inputHistory,
+                                variables: variables,
+                                onUpdate: updateSegment,
+                                onDelete: deleteSegment,
+                                onAdd: addSegment,
+                                onCommitVariables: (committedText) => {
+                                    try {
+                                        const next = (window.Helpers && typeof window.Helpers.addMissingVariablesFromText === 'function')
+                                            ? window.Helpers.addMissingVariablesFromText(committedText, variables)
+                                            : variables;
+                                        if (next !== variables) {
+                                            try { saveToUndoStack(); } catch (_) {}
+                                            setVariables(next);
+                                        }
+                                    } catch (_) {}
+                                },
+                                changeStatus: segmentChangeStatus,
+                                onAddLineButton: () => {
+                                    try { saveToUndoStack(); } catch (_) {}
+                                    setSegments([...segments, { id: Helpers.generateId(), content: '' }]);
+                                }
+                            })
+                        ),
+                    )
                 )
             )
         ),
@@ -722,6 +1122,113 @@ function App() {
                 } catch (_) {}
             }
         }),
+        showRetentionSettings && React.createElement(Components.RetentionSettingsModal, {
+            isOpen: showRetentionSettings,
+            onClose: () => setShowRetentionSettings(false),
+            retention: settings.retention,
+            sessionCount: sessionHistory.length,
+            onSave: (retention) => {
+                setSettings(prev => ({ ...prev, retention }));
+                try { showToast('保存設定を更新しました'); } catch (_) {}
+            }
+        }),
+        showCallTimerSettings && React.createElement(Components.CallTimerSettingsModal, {
+            isOpen: showCallTimerSettings,
+            onClose: () => setShowCallTimerSettings(false),
+            fields: settings.callTimerFields,
+            variableNames: variables.map(v => v && v.name),
+            onSave: (callTimerFields) => {
+                setSettings(prev => ({ ...prev, callTimerFields }));
+                try { showToast('通話タイマーの設定を更新しました'); } catch (_) {}
+            }
+        }),
+        editingSessionId && React.createElement(Components.SessionMetaModal, {
+            isOpen: !!editingSessionId,
+            onClose: () => setEditingSessionId(null),
+            session: sessionHistory.find(s => s && s.id === editingSessionId) || null,
+            knownTags: SessionMeta.collectTags(sessionHistory),
+            onSave: updateSessionMeta
+        }),
+        restoringSession && React.createElement(Components.SessionRestoreModal, {
+            isOpen: !!restoringSession,
+            onClose: () => setRestoringSession(null),
+            session: restoringSession,
+            variables: variables,
+            segments: segments,
+            hasUnsavedChanges: (() => {
+                try { return (typeof window.__telescribe_hasUnsavedChanges === 'function') && window.__telescribe_hasUnsavedChanges(); } catch (_) { return false; }
+            })(),
+            onApply: applySessionRestore
+        }),
+        showCallLogExport && React.createElement(Components.CallLogExportModal, {
+            isOpen: showCallLogExport,
+            onClose: () => setShowCallLogExport(false),
+            sessionHistory: sessionHistory,
+            onExported: (count) => { try { showToast(`通話記録 ${count}件をエクスポートしました`); } catch (_) {} }
+        }),
+        showOutputProfiles && React.createElement(Components.OutputProfilesModal, {
+            isOpen: showOutputProfiles,
+            onClose: () => setShowOutputProfiles(false),
+            profiles: settings.outputProfiles,
+            activeProfileId: activeOutputProfile.id,
+            preview: preview,
+            variables: variables,
+            onSave: (outputProfiles, outputProfileId) => {
+                setSettings(prev => ({ ...prev, outputProfiles, outputProfileId }));
+                try { showToast('出力プロファイルを保存しました'); } catch (_) {}
+            }
+        }),
+        showMailDraft && React.createElement(Components.MailDraftModal, {
+            isOpen: showMailDraft,
+            onClose: () => setShowMailDraft(false),
+            preview: preview,
+            variables: variables,
+            outputProfiles: settings.outputProfiles,
+            activeProfileId: activeOutputProfile.id,
+            mailSettings: settings.mailDraft,
+            onSaveSettings: (mailDraft) => setSettings(prev => ({ ...prev, mailDraft })),
+            onCreated: (kind) => { try { showToast(kind === 'eml' ? 'メールの下書き（.eml）を保存しました' : 'メールソフトを開きました'); } catch (_) {} }
+        }),
+        editingReminder && React.createElement(Components.ReminderModal, {
+            isOpen: !!editingReminder,
+            onClose: () => setEditingReminder(null),
+            target: findReminderTarget(editingReminder),
+            onSave: (reminder) => {
+                updateReminder(editingReminder, reminder);
+                try { showToast(reminder ? `折り返しを ${DateUtils.formatDateTime(reminder.at, 'M/D(ddd) HH:mm')} に設定しました` : '折り返しリマインダーを解除しました'); } catch (_) {}
+            },
+            onExportIcs: (reminder) => exportReminderIcs(editingReminder, reminder)
+        }),
+        showDirectory && React.createElement(Components.DirectoryModal, {
+            isOpen: showDirectory,
+            onClose: () => setShowDirectory(false),
+            directory: directory,
+            fields: settings.directoryFields,
+            variables: variables,
+            onSave: (nextDirectory, directoryFields) => {
+                setDirectory(nextDirectory);
+                setSettings(prev => ({ ...prev, directoryFields }));
+                try { showToast('アドレス帳を保存しました'); } catch (_) {}
+            }
+        }),
+        showContactImport && React.createElement(Components.ContactImportModal, {
+            isOpen: showContactImport,
+            onClose: () => setShowContactImport(false),
+            variables: variables,
+            fields: settings.directoryFields,
+            inputHistory: inputHistory,
+            onImport: importContacts
+        }),
+        showStats && React.createElement(Components.StatsDashboardModal, {
+            isOpen: showStats,
+            onClose: () => setShowStats(false),
+            sessionHistory: sessionHistory
+        }),
+        comparingSessions && React.createElement(Components.SessionCompareModal, {
+            isOpen: !!comparingSessions,
+            onClose: () => setComparingSessions(null),
+            sessions: comparingSessions
+        }),
         // 変数編集モーダル
         showVariableEditModal && React.createElement(Components.VariableEditModal, {
             isOpen: showVariableEditModal,
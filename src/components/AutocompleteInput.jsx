@@ -6,6 +6,7 @@
  * - 入力は通常の <input type="text"> を維持し、キャレットやキーバインドは従来どおり
  * - 入力に重ねたオーバーレイレイヤーで同一テキストを描画し、`{{...}}` を枠・背景で強調
  * - 入力文字は透明化し、デザインのみ変更（操作は阻害しない）
+ * - リッチテキストの書式（**太字** 等）もオーバーレイ上で装飾する（記号は淡色で残し、文字位置を揃える）
  *
  * @param {string} value - 現在の入力値
  * @param {Function} onChange - 値変更時のコールバック
@@ -16,6 +17,8 @@
  *  引数: (committedText: string) => void。committedTextは現在の全文字列。
  * @param {string} placeholder - プレースホルダーテキスト
  * @param {string} className - 追加CSSクラス（従来どおり入力の見た目指定に使用。オーバーレイにも適用され整列する）
+ * @param {Object} [inputRef] - 入力要素を受け取る ref（選択範囲の操作用。内部の参照と併用）
+ * @param {Function} [onKeyDown] - キー入力のコールバック。候補操作より先に呼ばれ、preventDefault された場合は候補操作を行わない
  */
 const AutocompleteInput = React.memo(({
     value,
@@ -25,7 +28,9 @@ const AutocompleteInput = React.memo(({
     variables = [],
     onVariableCommit,
     placeholder = "文節を入力...",
-    className = ""
+    className = "",
+    inputRef: externalInputRef,
+    onKeyDown
 }) => {
     const { useState, useEffect, useRef, useCallback, useMemo } = React;
 
@@ -47,6 +52,15 @@ const AutocompleteInput = React.memo(({
      */
     const suppressBlurCommitRef = useRef(false);
 
+    /**
+     * 入力要素の参照（内部と外部の ref の両方へ設定）
+     * @param {HTMLInputElement|null} el - 入力要素
+     */
+    const setInputRef = useCallback((el) => {
+        inputRef.current = el;
+        if (externalInputRef) externalInputRef.current = el;
+    }, [externalInputRef]);
+
     /**
      * 入力（単行）の水平スクロールに合わせてオーバーレイを同期
      * input 要素は scroll イベントが限定的のため、複数イベントで都度同期
@@ -74,21 +88,37 @@ const AutocompleteInput = React.memo(({
     /**
      * 入力テキストをハイライト済みHTMLへ変換
      * `{{...}}` のトークン全体（波括弧含む）を <span class="tsa-var-token"> で囲う
+     * 条件セクションのタグ（`{{#if 名前}}` 等）は <span class="tsa-ctrl-token"> で区別して囲う
+     * 書式の範囲は RichText の文字ごとのクラスで <span> を重ねる
      * @param {string} text - 入力文字列
      * @returns {string} 生成HTML
      */
     const toHighlightedHtml = useCallback((text) => {
-        const re = /\{\{\s*([^}\s]+)\s*\}\}/g;
         const src = String(text ?? '');
+        const markupClasses = RichText.getLineClassMap(src);
+        // 同じ書式が続く範囲ごとに <span> で囲う
+        const renderRange = (start, end) => {
+            let out = '';
+            let i = start;
+            while (i < end) {
+                let j = i + 1;
+                while (j < end && markupClasses[j] === markupClasses[i]) j += 1;
+                const s = escapeHtml(src.slice(i, j));
+                out += markupClasses[i] ? `<span class=\"${markupClasses[i]}\">${s}</span>` : s;
+                i = j;
+            }
+            return out;
+        };
         let html = '';
-        let last = 0;
-        let m;
-        while ((m = re.exec(src)) !== null) {
-            html += escapeHtml(src.slice(last, m.index));
-            html += `<span class=\"tsa-var-token\">${escapeHtml(m[0])}</span>`;
-            last = re.lastIndex;
+        for (const t of Helpers.tokenizeSegmentTemplate(src)) {
+            if (t.type === 'variable') {
+                html += `<span class=\"tsa-var-token\">${renderRange(t.start, t.end)}</span>`;
+            } else if (t.type === 'control') {
+                html += `<span class=\"tsa-ctrl-token\">${renderRange(t.start, t.end)}</span>`;
+            } else {
+                html += renderRange(t.start, t.end);
+            }
         }
-        html += escapeHtml(src.slice(last));
         return html;
     }, [escapeHtml]);
 
@@ -231,6 +261,10 @@ const AutocompleteInput = React.memo(({
      * ↑↓キーでの候補選択、Enterでの確定、Escapeでのキャンセル
      */
     const handleKeyDown = useCallback((e) => {
+        if (typeof onKeyDown === 'function') {
+            onKeyDown(e);
+            if (e.defaultPrevented) return;
+        }
         // 候補オープン時のナビゲーション
         if (isOpen && suggestions.length > 0) {
             switch (e.key) {
@@ -282,7 +316,7 @@ const AutocompleteInput = React.memo(({
             }
         }
         // 候補が閉じている場合は通常のTab移動を許可
-    }, [isOpen, suggestions, selectedIndex, selectSuggestion, isTabbingToSuggestions]);
+    }, [isOpen, suggestions, selectedIndex, selectSuggestion, isTabbingToSuggestions, onKeyDown]);
 
     /**
      * フォーカス処理
@@ -385,7 +419,7 @@ const AutocompleteInput = React.memo(({
 
         // 入力フィールド（キャレット・イベント担当）
         React.createElement('input', {
-            ref: inputRef,
+            ref: setInputRef,
             type: "text",
             value: value,
             onChange: handleInputChange,
@@ -0,0 +1,194 @@
+/**
+ * 通話記録エクスポートモーダル
+ * セッション履歴を「1通話 = 1行」の CSV/TSV として出力する
+ *
+ * 設定:
+ * - 期間: 開始日/終了日（両端を含む。空は制限なし）とアーカイブを含めるか（既定は含める）
+ * - 列: 日時・変数（対象期間のセッションに現れる変数名ごと）・報告文から選択（既定はすべて）
+ * - 形式: CSV / TSV
+ * - 文字コード: UTF-8（BOM付き、Excel向け）/ Shift_JIS（表現できない文字は「?」に置き換えて通知）
+ *
+ * @param {Object} props - プロパティ
+ * @param {boolean} props.isOpen - モーダル表示状態
+ * @param {Function} props.onClose - モーダルを閉じるコールバック
+ * @param {Array} props.sessionHistory - セッション履歴
+ * @param {Function} [props.onExported] - 出力完了の通知 (count:number) => void
+ * @returns {JSX.Element|null} モーダル要素（非表示時はnull）
+ */
+const CallLogExportModal = ({ isOpen, onClose, sessionHistory, onExported }) => {
+  const { useState, useEffect, useMemo } = React;
+  const [dateRange, setDateRange] = useState({ from: '', to: '' });
+  const [includeArchive, setIncludeArchive] = useState(true);
+  // 出力しない列のキー（新しく現れた列は既定で出力する）
+  const [excludedKeys, setExcludedKeys] = useState([]);
+  const [format, setFormat] = useState('csv');
+  const [encoding, setEncoding] = useState('utf-8');
+  const archivedSessions = Hooks.useArchivedSessions(isOpen && includeArchive);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setDateRange({ from: '', to: '' });
+    setExcludedKeys([]);
+  }, [isOpen]);
+
+  const sessions = useMemo(() => {
+    if (!isOpen) return [];
+    const source = includeArchive ? Helpers.mergeArchivedSessions(sessionHistory, archivedSessions) : sessionHistory;
+    return SessionSearch.filterSessions(source, dateRange);
+  }, [isOpen, sessionHistory, archivedSessions, includeArchive, dateRange]);
+
+  const columns = useMemo(() => CallLog.collectCallLogColumns(sessions), [sessions]);
+
+  if (!isOpen) return null;
+
+  const selectedColumns = columns.filter(c => !excludedKeys.includes(c.key));
+
+  /**
+   * 列の選択切り替え
+   * @param {string} key - 列キー
+   * @param {boolean} checked - 出力するか
+   * @returns {void}
+   */
+  const toggleColumn = (key, checked) => {
+    setExcludedKeys(prev => (checked ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  /**
+   * 出力
+   * @returns {Promise<void>}
+   */
+  const handleExport = async () => {
+    const rows = CallLog.buildCallLogRows(sessions, selectedColumns);
+    const fileLabel = (dateRange.from || dateRange.to)
+      ? `${(dateRange.from || 'start').replace(/-/g, '')}-${(dateRange.to || 'end').replace(/-/g, '')}`
+      : 'all';
+    const result = DataService.exportCallLog(rows, { format, encoding, fileLabel });
+    onClose && onClose();
+    if (result.unmappable > 0) {
+      try {
+        await window.UI.alert({
+          title: '一部の文字を置き換えました',
+          message: `Shift_JIS で表現できない文字 ${result.unmappable}件を「?」に置き換えました（${result.unmappableChars.slice(0, 10).join(' ')}${result.unmappableChars.length > 10 ? ' …' : ''}）。すべての文字を残すには UTF-8 で出力してください。`
+        });
+      } catch (_) {}
+    }
+    onExported && onExported(sessions.length);
+  };
+
+  /**
+   * ラジオボタン群
+   * @param {string} name - name 属性
+   * @param {Array<[string, string]>} options - [値, ラベル]
+   * @param {string} value - 選択中の値
+   * @param {Function} onChange - 変更 (value) => void
+   * @returns {JSX.Element} ラジオボタン群
+   */
+  const renderRadios = (name, options, value, onChange) => React.createElement('div', { className: "flex flex-wrap gap-x-4 gap-y-1" },
+    options.map(([optionValue, label]) => React.createElement('label', { key: optionValue, className: "flex items-center gap-2 text-sm" },
+      React.createElement('input', { type: 'radio', name, checked: value === optionValue, onChange: () => onChange(optionValue) }),
+      React.createElement('span', null, label)
+    ))
+  );
+
+  return React.createElement('div', {
+    className: "fixed inset-0 bg-black/60 flex items-center justify-center z-50",
+    onClick: (e) => { if (e.target === e.currentTarget) onClose && onClose(); }
+  },
+    React.createElement('div', {
+      className: "bg-gray-800 rounded-lg w-[min(100vw,560px)] max-w-[92vw] max-h-[90vh] overflow-y-auto p-6",
+      onClick: (e) => e.stopPropagation(),
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': '通話記録のエクスポート'
+    },
+      React.createElement('div', { className: "flex items-center justify-between mb-4" },
+        React.createElement('h3', { className: "text-lg font-semibold" }, '通話記録のエクスポート'),
+        React.createElement('button', { className: "text-gray-300 hover:text-white", onClick: onClose }, '×')
+      ),
+
+      React.createElement('div', { className: "space-y-4" },
+        // 期間
+        React.createElement('div', { className: "space-y-1" },
+          React.createElement('span', { className: "text-sm text-gray-300" }, '期間'),
+          React.createElement('div', { className: "flex items-center gap-2 text-sm" },
+            React.createElement('input', {
+              type: 'date',
+              value: dateRange.from,
+              max: dateRange.to || undefined,
+              onChange: (e) => setDateRange(prev => ({ ...prev, from: e.target.value })),
+              className: "min-w-0 flex-1 px-2 py-1 bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500",
+              'aria-label': '開始日'
+            }),
+            React.createElement('span', { className: "text-gray-400" }, '〜'),
+            React.createElement('input', {
+              type: 'date',
+              value: dateRange.to,
+              min: dateRange.from || undefined,
+              onChange: (e) => setDateRange(prev => ({ ...prev, to: e.target.value })),
+              className: "min-w-0 flex-1 px-2 py-1 bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500",
+              'aria-label': '終了日'
+            })
+          ),
+          React.createElement('label', { className: "flex items-center gap-2 text-sm text-gray-300" },
+            React.createElement('input', {
+              type: 'checkbox',
+              checked: includeArchive,
+              onChange: (e) => setIncludeArchive(e.target.checked)
+            }),
+            'アーカイブを含める'
+          ),
+          React.createElement('div', { className: "text-xs text-gray-400", 'aria-live': 'polite' },
+            includeArchive && !archivedSessions ? 'アーカイブを読み込み中...' : `${sessions.length}件の通話が対象です`
+          )
+        ),
+
+        // 列
+        React.createElement('div', { className: "space-y-1" },
+          React.createElement('div', { className: "flex items-center justify-between" },
+            React.createElement('span', { className: "text-sm text-gray-300" }, `出力する列（${selectedColumns.length}/${columns.length}）`),
+            React.createElement('div', { className: "flex gap-2 text-xs" },
+              React.createElement('button', { type: 'button', onClick: () => setExcludedKeys([]), className: "text-blue-300 hover:text-blue-200" }, 'すべて選択'),
+              React.createElement('button', { type: 'button', onClick: () => setExcludedKeys(columns.map(c => c.key)), className: "text-blue-300 hover:text-blue-200" }, 'すべて解除')
+            )
+          ),
+          React.createElement('div', { className: "grid grid-cols-2 gap-1 max-h-48 overflow-y-auto bg-gray-900/60 rounded p-2" },
+            columns.map(c => React.createElement('label', { key: c.key, className: "flex items-center gap-2 text-sm min-w-0" },
+              React.createElement('input', {
+                type: 'checkbox',
+                checked: !excludedKeys.includes(c.key),
+                onChange: (e) => toggleColumn(c.key, e.target.checked)
+              }),
+              React.createElement('span', { className: `truncate ${c.key.startsWith('var:') ? '' : 'text-gray-300'}`, title: c.label }, c.label)
+            ))
+          )
+        ),
+
+        // 形式・文字コード
+        React.createElement('div', { className: "space-y-1" },
+          React.createElement('span', { className: "text-sm text-gray-300" }, '形式'),
+          renderRadios('callLogFormat', [['csv', 'CSV（カンマ区切り）'], ['tsv', 'TSV（タブ区切り）']], format, setFormat)
+        ),
+        React.createElement('div', { className: "space-y-1" },
+          React.createElement('span', { className: "text-sm text-gray-300" }, '文字コード'),
+          renderRadios('callLogEncoding', [['utf-8', 'UTF-8（BOM付き・Excel向け）'], ['shift_jis', 'Shift_JIS']], encoding, setEncoding)
+        )
+      ),
+
+      React.createElement('div', { className: "flex justify-end gap-2 mt-6" },
+        React.createElement('button', {
+          onClick: onClose,
+          className: "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600"
+        }, 'キャンセル'),
+        React.createElement('button', {
+          onClick: handleExport,
+          disabled: sessions.length === 0 || selectedColumns.length === 0,
+          className: "px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-40 disabled:cursor-not-allowed"
+        }, 'エクスポート')
+      )
+    )
+  );
+};
+
+// グローバル公開
+window.Components = window.Components || {};
+window.Components.CallLogExportModal = CallLogExportModal;
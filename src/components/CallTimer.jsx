@@ -0,0 +1,119 @@
+/**
+ * 通話タイマーコンポーネント
+ * ヘッダーに配置し、通話の開始/一時停止/再開/停止と経過時間を表示する。
+ * 状態管理と変数への値設定は Hooks.useCallTimer が担当し、本コンポーネントは表示と操作のみを行う。
+ *
+ * 表示:
+ * - 未計測: 「通話開始」ボタンのみ
+ * - 計測中: 経過時間（m:ss）を緑で表示し、一時停止・停止ボタン
+ * - 一時停止中: 経過時間を黄色で点滅表示し、再開・停止ボタン
+ * - 停止後: 確定した通話時間と、次の通話の開始・リセットボタン
+ * - いずれの状態でも、設定先の変数を選ぶ設定ボタンを表示する
+ *
+ * @param {Object} props - プロパティ
+ * @param {{status:string, startedAt:string|null, endedAt:string|null}} props.timer - タイマー状態
+ * @param {number} props.elapsedMs - 経過時間（ミリ秒）
+ * @param {{start:string, end:string, duration:string}} [props.fields] - 設定先の変数名（settings.callTimerFields）
+ * @param {Function} props.onStart - 開始
+ * @param {Function} props.onPause - 一時停止
+ * @param {Function} props.onResume - 再開
+ * @param {Function} props.onStop - 停止
+ * @param {Function} props.onReset - リセット
+ * @param {Function} [props.onOpenSettings] - 設定先の変数の設定を開く
+ * @returns {JSX.Element} 通話タイマーUI
+ */
+const CallTimer = React.memo(({ timer, elapsedMs, fields, onStart, onPause, onResume, onStop, onReset, onOpenSettings }) => {
+    const status = (timer && timer.status) || 'idle';
+    const names = Helpers.normalizeCallTimerFields(fields);
+
+    /**
+     * 設定先の変数名の表示（空は使わない設定のため除外）
+     * @param {string[]} list - 変数名
+     * @returns {string} 「A」「B」形式の文字列
+     */
+    const quote = (list) => list.filter(Boolean).map(n => `「${n}」`).join('');
+
+    /**
+     * アイコンボタンの生成
+     * @param {{title:string, onClick:Function, path:string, className?:string}} opts - ボタン設定
+     * @returns {JSX.Element} ボタン要素
+     */
+    const iconButton = ({ title, onClick, path, className }) => React.createElement('button', {
+        type: 'button',
+        onClick,
+        title,
+        'aria-label': title,
+        tabIndex: -1,
+        className: 'p-1.5 hover:bg-white/10 rounded-lg transition-colors ' + (className || '')
+    },
+        React.createElement('svg', { className: 'w-4 h-4', fill: 'currentColor', viewBox: '0 0 20 20', 'aria-hidden': true },
+            React.createElement('path', { d: path })
+        )
+    );
+
+    const PLAY = 'M6.3 2.84A1.5 1.5 0 004 4.11v11.78a1.5 1.5 0 002.3 1.27l9.34-5.89a1.5 1.5 0 000-2.54L6.3 2.84z';
+    const PAUSE = 'M5.75 3a.75.75 0 00-.75.75v12.5c0 .41.34.75.75.75h1.5a.75.75 0 00.75-.75V3.75A.75.75 0 007.25 3h-1.5zm7 0a.75.75 0 00-.75.75v12.5c0 .41.34.75.75.75h1.5a.75.75 0 00.75-.75V3.75a.75.75 0 00-.75-.75h-1.5z';
+    const STOP = 'M5.25 3A2.25 2.25 0 003 5.25v9.5A2.25 2.25 0 005.25 17h9.5A2.25 2.25 0 0017 14.75v-9.5A2.25 2.25 0 0014.75 3h-9.5z';
+    const SETTINGS = 'M7.84 1.804A1 1 0 018.82 1h2.36a1 1 0 01.98.804l.331 1.652a6.993 6.993 0 011.929 1.115l1.598-.54a1 1 0 011.186.447l1.18 2.044a1 1 0 01-.205 1.251l-1.267 1.113a7.047 7.047 0 010 2.228l1.267 1.113a1 1 0 01.206 1.25l-1.18 2.045a1 1 0 01-1.187.447l-1.598-.54a6.993 6.993 0 01-1.929 1.115l-.33 1.652a1 1 0 01-.98.804H8.82a1 1 0 01-.98-.804l-.331-1.652a6.993 6.993 0 01-1.929-1.115l-1.598.54a1 1 0 01-1.186-.447l-1.18-2.044a1 1 0 01.205-1.251l1.267-1.114a7.05 7.05 0 010-2.227L1.821 7.773a1 1 0 01-.206-1.25l1.18-2.045a1 1 0 011.187-.447l1.598.54A6.993 6.993 0 017.51 3.456l.33-1.652zM10 13a3 3 0 100-6 3 3 0 000 6z';
+    const RESET = 'M6.28 5.22a.75.75 0 00-1.06 1.06L8.94 10l-3.72 3.72a.75.75 0 101.06 1.06L10 11.06l3.72 3.72a.75.75 0 101.06-1.06L11.06 10l3.72-3.72a.75.75 0 00-1.06-1.06L10 8.94 6.28 5.22z';
+
+    const settingsButton = typeof onOpenSettings === 'function'
+        ? iconButton({ title: '通話タイマーの設定（値を入れる変数）', onClick: onOpenSettings, path: SETTINGS, className: 'text-white/70' })
+        : null;
+
+    if (status === 'idle') {
+        return React.createElement('div', { className: 'flex items-center gap-1' },
+            React.createElement('button', {
+                type: 'button',
+                onClick: onStart,
+                tabIndex: -1,
+                className: 'flex items-center gap-1 px-3 py-1.5 text-sm bg-white/10 hover:bg-white/20 rounded-lg transition-colors',
+                title: names.start ? `通話を開始し${quote([names.start])}に現在時刻を設定` : '通話を開始'
+            },
+                React.createElement('svg', { className: 'w-4 h-4', fill: 'currentColor', viewBox: '0 0 20 20', 'aria-hidden': true },
+                    React.createElement('path', { d: PLAY })
+                ),
+                '通話開始'
+            ),
+            settingsButton
+        );
+    }
+
+    const timeClass = status === 'running' ? 'text-green-300'
+        : status === 'paused' ? 'text-yellow-300 animate-pulse' : 'text-white/70';
+    const startedLabel = timer.startedAt ? DateUtils.formatDateTime(timer.startedAt, 'HH:mm') : '';
+
+    return React.createElement('div', {
+        className: 'flex items-center gap-1 px-2 py-1 bg-white/10 rounded-lg',
+        role: 'timer',
+        'aria-live': 'off'
+    },
+        React.createElement('span', {
+            className: `font-mono text-sm tabular-nums ${timeClass}`,
+            title: status === 'stopped'
+                ? `${startedLabel} 開始の通話（${DateUtils.formatDuration(elapsedMs)}）`
+                : `${startedLabel} 開始${status === 'paused' ? '（一時停止中）' : ''}`
+        }, DateUtils.formatDuration(elapsedMs, 'clock')),
+        status === 'running' && iconButton({ title: '一時停止（保留中の時間は通話時間に含めない）', onClick: onPause, path: PAUSE }),
+        status === 'paused' && iconButton({ title: '再開', onClick: onResume, path: PLAY }),
+        (status === 'running' || status === 'paused') && iconButton({
+            title: (names.end || names.duration) ? `通話を終了し${quote([names.end, names.duration])}を設定` : '通話を終了',
+            onClick: onStop,
+            path: STOP,
+            className: 'text-red-300'
+        }),
+        status === 'stopped' && iconButton({ title: names.start ? `次の通話を開始（${quote([names.start])}を更新）` : '次の通話を開始', onClick: onStart, path: PLAY }),
+        status === 'stopped' && iconButton({ title: 'タイマーをリセット', onClick: onReset, path: RESET }),
+        settingsButton
+    );
+});
+
+// 表示名の設定（デバッグ用）
+CallTimer.displayName = 'CallTimer';
+
+/**
+ * グローバルスコープへの公開
+ * モジュラー構成でのコンポーネント参照を可能にする
+ */
+window.Components = window.Components || {};
+window.Components.CallTimer = CallTimer;
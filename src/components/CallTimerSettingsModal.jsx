@@ -0,0 +1,82 @@
+/**
+ * 通話タイマーの設定モーダル
+ * 通話タイマーが値を入れる変数（開始時刻・終了時刻・通話時間）を選択する
+ *
+ * - 選択肢は表示中の下書きの変数名（「使わない」を選ぶとその項目は設定しない）
+ * - 保存済みの変数名が現在の変数に無い場合も選択肢に残し、「（変数がありません）」と表示する
+ *
+ * @param {Object} props - プロパティ
+ * @param {boolean} props.isOpen - モーダル表示状態
+ * @param {Function} props.onClose - モーダルを閉じるコールバック
+ * @param {Object} props.fields - 現在の設定先（settings.callTimerFields）
+ * @param {string[]} props.variableNames - 変数名の一覧
+ * @param {Function} props.onSave - 保存 (fields:Object) => void
+ * @returns {JSX.Element|null} モーダル要素（非表示時はnull）
+ */
+const CallTimerSettingsModal = ({ isOpen, onClose, fields, variableNames, onSave }) => {
+  const { useState, useEffect } = React;
+  const [form, setForm] = useState(() => Helpers.normalizeCallTimerFields(fields));
+
+  useEffect(() => {
+    if (isOpen) setForm(Helpers.normalizeCallTimerFields(fields));
+  }, [isOpen, fields]);
+
+  if (!isOpen) return null;
+
+  const names = Array.isArray(variableNames) ? variableNames.filter(Boolean) : [];
+
+  return React.createElement('div', {
+    className: "fixed inset-0 bg-black/60 flex items-center justify-center z-50",
+    onClick: (e) => { if (e.target === e.currentTarget) onClose && onClose(); }
+  },
+    React.createElement('div', {
+      className: "bg-gray-800 rounded-lg w-[min(100vw,420px)] max-w-[92vw] p-6",
+      onClick: (e) => e.stopPropagation(),
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': '通話タイマーの設定'
+    },
+      React.createElement('div', { className: "flex items-center justify-between mb-4" },
+        React.createElement('h3', { className: "text-lg font-semibold" }, '通話タイマーの設定'),
+        React.createElement('button', { className: "text-gray-300 hover:text-white", onClick: onClose }, '×')
+      ),
+
+      React.createElement('div', { className: "space-y-2" },
+        React.createElement('h4', { className: "text-sm font-semibold text-gray-300" }, '値を入れる変数'),
+        Constants.CALL_TIMER_FIELD_KEYS.map(({ key, label }) => React.createElement('label', { key, className: "flex items-center justify-between gap-3" },
+          React.createElement('span', { className: "text-sm" }, label),
+          React.createElement('select', {
+            value: form[key],
+            onChange: (e) => {
+              const value = e.target.value;
+              setForm(prev => ({ ...prev, [key]: value }));
+            },
+            className: "w-48 px-2 py-1 bg-gray-700 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          },
+            React.createElement('option', { value: '' }, '（使わない）'),
+            form[key] && !names.includes(form[key]) && React.createElement('option', { value: form[key] }, `${form[key]}（変数がありません）`),
+            names.map(name => React.createElement('option', { key: name, value: name }, name))
+          )
+        )),
+        React.createElement('div', { className: "text-xs text-gray-400" },
+          '開始時に開始時刻、停止時に終了時刻と通話時間を入力します。選んだ変数が下書きに無い場合は通知します。'
+        )
+      ),
+
+      React.createElement('div', { className: "flex justify-end gap-2 mt-6" },
+        React.createElement('button', {
+          onClick: onClose,
+          className: "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600"
+        }, 'キャンセル'),
+        React.createElement('button', {
+          onClick: () => { onSave && onSave(Helpers.normalizeCallTimerFields(form)); onClose && onClose(); },
+          className: "px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700"
+        }, '保存')
+      )
+    )
+  );
+};
+
+// グローバル公開
+window.Components = window.Components || {};
+window.Components.CallTimerSettingsModal = CallTimerSettingsModal;
@@ -0,0 +1,255 @@
+/**
+ * 連絡先の取り込みモーダル
+ * vCard（.vcf）・CSV/TSV の連絡先を、グループ補完の候補（値グループ）として取り込む（ContactImport）
+ *
+ * 手順:
+ * 1. ファイルを選ぶ（文字コードは UTF-8 / Shift_JIS を自動判定。CSV は先頭行を見出しとして扱うかを選べる）
+ * 2. 列ごとに取り込む変数を選ぶ（見出しから推定した対応を初期値とする）
+ * 3. プレビューで新規・重複（電話番号で判定）・登録済みを確認して取り込む
+ *
+ * @param {Object} props - プロパティ
+ * @param {boolean} props.isOpen - モーダル表示状態
+ * @param {Function} props.onClose - モーダルを閉じるコールバック
+ * @param {Array} props.variables - 現在の変数（取り込み先の選択肢・電話番号の判定）
+ * @param {Object} props.fields - アドレス帳と変数の対応（settings.directoryFields。列の推定に使用）
+ * @param {Object} props.inputHistory - 入力履歴（既存の値グループとの重複判定）
+ * @param {Function} props.onImport - 取り込み (records:Array, options:{addToDirectory:boolean}) => void（records は buildImportPreview の結果）
+ * @returns {JSX.Element|null} モーダル要素（非表示時はnull）
+ */
+const ContactImportModal = ({ isOpen, onClose, variables, fields, inputHistory, onImport }) => {
+  const { useState, useEffect, useMemo, useRef } = React;
+  const [source, setSource] = useState(null); // { fileName, text, encoding }
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState([]);
+  const [addToDirectory, setAddToDirectory] = useState(true);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  /**
+   * プレビューに表示する最大行数
+   * @type {number}
+   */
+  const PREVIEW_LIMIT = 50;
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setSource(null);
+    setHasHeader(true);
+    setMapping([]);
+    setAddToDirectory(true);
+    setError('');
+  }, [isOpen]);
+
+  const variableNames = useMemo(() => (Array.isArray(variables) ? variables : [])
+    .filter(v => v.name && v.type !== 'time' && v.type !== 'date')
+    .map(v => v.name), [variables]);
+
+  const table = useMemo(() => (source
+    ? ContactImport.parseContactFile(source.text, { fileName: source.fileName, hasHeader })
+    : null), [source, hasHeader]);
+
+  // 表が変わったら列の対応を推定し直す
+  useEffect(() => {
+    if (table) setMapping(ContactImport.guessColumnMapping(table.headers, variableNames, fields));
+  }, [table]);
+
+  /**
+   * 電話番号として扱う変数（電話番号タイプ、またはアドレス帳の電話番号に対応する変数）
+   * @type {string[]}
+   */
+  const phoneNames = useMemo(() => {
+    const directoryPhone = ContactDirectory.normalizeDirectoryFields(fields).phone;
+    return (Array.isArray(variables) ? variables : [])
+      .filter(v => v.type === 'phone' || (directoryPhone && v.name === directoryPhone))
+      .map(v => v.name);
+  }, [variables, fields]);
+
+  const preview = useMemo(() => (table
+    ? ContactImport.buildImportPreview({
+      rows: table.rows,
+      mapping,
+      phoneNames,
+      existingGroups: Helpers.ensureInputHistoryShape(inputHistory).valueGroups
+    })
+    : null), [table, mapping, phoneNames, inputHistory]);
+
+  if (!isOpen) return null;
+
+  /**
+   * ファイルの読み込み
+   * @param {Event} e - change イベント
+   * @returns {Promise<void>}
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { text, encoding } = CsvUtils.decodeText(await file.arrayBuffer());
+      const parsed = ContactImport.parseContactFile(text, { fileName: file.name });
+      if (parsed.rows.length === 0) {
+        setSource(null);
+        setError('連絡先が見つかりませんでした。vCard（.vcf）または CSV/TSV ファイルを選んでください。');
+        return;
+      }
+      setError('');
+      setHasHeader(true);
+      setSource({ fileName: file.name, text, encoding });
+    } catch (err) {
+      console.error('Failed to read contacts:', err);
+      setSource(null);
+      setError('ファイルを読み込めませんでした。');
+    }
+  };
+
+  /**
+   * 取り込み
+   * @returns {void}
+   */
+  const handleImport = () => {
+    if (!preview || preview.counts.new === 0) return;
+    onImport && onImport(preview.records, { addToDirectory });
+    onClose && onClose();
+  };
+
+  const mappedNames = mapping.filter((name, i) => name && mapping.indexOf(name) === i);
+
+  /**
+   * 状態の表示
+   * @type {Object<string, {label:string, className:string}>}
+   */
+  const STATUS_LABELS = {
+    new: { label: '新規', className: 'bg-emerald-500/20 text-emerald-200' },
+    existing: { label: '登録済み', className: 'bg-gray-600 text-gray-300' },
+    duplicate: { label: '重複', className: 'bg-yellow-500/20 text-yellow-200' },
+    empty: { label: '空', className: 'bg-gray-600 text-gray-400' }
+  };
+
+  return React.createElement('div', {
+    className: "fixed inset-0 bg-black/60 flex items-center justify-center z-50",
+    onClick: (e) => { if (e.target === e.currentTarget) onClose && onClose(); }
+  },
+    React.createElement('div', {
+      className: "bg-gray-800 rounded-lg w-[min(100vw,860px)] max-w-[92vw] max-h-[90vh] overflow-y-auto p-6",
+      onClick: (e) => e.stopPropagation(),
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': '連絡先の取り込み'
+    },
+      React.createElement('div', { className: "flex items-center justify-between mb-4" },
+        React.createElement('h3', { className: "text-lg font-semibold" }, '連絡先の取り込み'),
+        React.createElement('button', { className: "text-gray-300 hover:text-white", onClick: onClose }, '×')
+      ),
+
+      React.createElement('div', { className: "space-y-4" },
+        // ファイル選択
+        React.createElement('div', { className: "flex flex-wrap items-center gap-3" },
+          React.createElement('input', {
+            ref: fileInputRef,
+            type: 'file',
+            accept: '.vcf,.vcard,.csv,.tsv,.txt,text/vcard,text/csv',
+            onChange: handleFileChange,
+            className: "hidden"
+          }),
+          React.createElement('button', {
+            onClick: () => { try { fileInputRef.current && fileInputRef.current.click(); } catch (_) {} },
+            className: "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600"
+          }, 'ファイルを選択'),
+          source
+            ? React.createElement('span', { className: "text-sm text-gray-300 truncate" },
+              `${source.fileName}（${table.kind === 'vcard' ? 'vCard' : 'CSV/TSV'}・${source.encoding === 'shift_jis' ? 'Shift_JIS' : 'UTF-8'}・${table.rows.length}件）`)
+            : React.createElement('span', { className: "text-sm text-gray-400" }, 'vCard（.vcf）または CSV/TSV ファイル'),
+          table && table.kind === 'csv' && React.createElement('label', { className: "flex items-center gap-2 text-sm" },
+            React.createElement('input', { type: 'checkbox', checked: hasHeader, onChange: (e) => setHasHeader(e.target.checked) }),
+            '先頭行は見出し'
+          )
+        ),
+        error && React.createElement('div', { className: "text-sm text-red-300" }, error),
+
+        // 列の対応
+        table && React.createElement('div', { className: "space-y-2" },
+          React.createElement('h4', { className: "text-sm font-semibold text-gray-300" }, '取り込む変数'),
+          React.createElement('div', { className: "grid grid-cols-1 sm:grid-cols-2 gap-2" },
+            table.headers.map((header, i) => React.createElement('label', { key: i, className: "flex items-center justify-between gap-3" },
+              React.createElement('span', { className: "text-sm truncate", title: header },
+                header,
+                table.rows[0] && table.rows[0][i] && React.createElement('span', { className: "ml-2 text-xs text-gray-400" }, `例: ${table.rows[0][i]}`)
+              ),
+              React.createElement('select', {
+                value: mapping[i] || '',
+                onChange: (e) => { const name = e.target.value; setMapping(prev => table.headers.map((_, j) => (j === i ? name : (prev[j] || '')))); },
+                className: "w-40 shrink-0 px-2 py-1 bg-gray-700 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              },
+                React.createElement('option', { value: '' }, '（取り込まない）'),
+                variableNames.map(name => React.createElement('option', { key: name, value: name }, name))
+              )
+            ))
+          ),
+          React.createElement('div', { className: "text-xs text-gray-400" },
+            phoneNames.some(name => mappedNames.includes(name))
+              ? `電話番号（${phoneNames.filter(name => mappedNames.includes(name)).join('・')}）が同じ連絡先は重複として1件にまとめます。`
+              : '電話番号の変数を選ばない場合は、すべての値が同じ連絡先のみ重複として扱います。'
+          )
+        ),
+
+        // プレビュー
+        preview && React.createElement('div', { className: "space-y-2" },
+          React.createElement('div', { className: "flex flex-wrap items-center gap-3 text-sm" },
+            React.createElement('span', { className: "font-semibold text-gray-300" }, 'プレビュー'),
+            React.createElement('span', { className: "text-emerald-300" }, `新規 ${preview.counts.new}件`),
+            React.createElement('span', { className: "text-gray-400" }, `登録済み ${preview.counts.existing}件`),
+            React.createElement('span', { className: "text-yellow-300" }, `重複 ${preview.counts.duplicate}件`),
+            preview.counts.empty > 0 && React.createElement('span', { className: "text-gray-400" }, `空 ${preview.counts.empty}件`)
+          ),
+          mappedNames.length === 0
+            ? React.createElement('div', { className: "text-sm text-gray-400" }, '取り込む変数を選んでください。')
+            : React.createElement('div', { className: "max-h-72 overflow-auto scrollbar-thin border border-gray-700 rounded" },
+              React.createElement('table', { className: "w-full text-xs" },
+                React.createElement('thead', { className: "bg-gray-900/60 sticky top-0" },
+                  React.createElement('tr', null,
+                    React.createElement('th', { className: "px-2 py-1 text-left font-normal text-gray-400" }, '行'),
+                    React.createElement('th', { className: "px-2 py-1 text-left font-normal text-gray-400" }, '状態'),
+                    mappedNames.map(name => React.createElement('th', { key: name, className: "px-2 py-1 text-left font-normal text-gray-400" }, name))
+                  )
+                ),
+                React.createElement('tbody', null,
+                  preview.records.slice(0, PREVIEW_LIMIT).map(r => React.createElement('tr', { key: r.line, className: "border-t border-gray-700" },
+                    React.createElement('td', { className: "px-2 py-1 text-gray-400" }, r.line),
+                    React.createElement('td', { className: "px-2 py-1 whitespace-nowrap" },
+                      React.createElement('span', { className: `px-1.5 py-0.5 rounded ${STATUS_LABELS[r.status].className}` }, STATUS_LABELS[r.status].label),
+                      r.duplicateOf && React.createElement('span', { className: "ml-1 text-gray-400" }, `→ ${r.duplicateOf}行`)
+                    ),
+                    mappedNames.map(name => React.createElement('td', { key: name, className: "px-2 py-1 break-all" }, r.variables[name] || ''))
+                  ))
+                )
+              )
+            ),
+          preview.records.length > PREVIEW_LIMIT && React.createElement('div', { className: "text-xs text-gray-400" }, `先頭 ${PREVIEW_LIMIT}件を表示しています（全 ${preview.records.length}件）。`),
+          React.createElement('label', { className: "flex items-center gap-2 text-sm" },
+            React.createElement('input', { type: 'checkbox', checked: addToDirectory, onChange: (e) => setAddToDirectory(e.target.checked) }),
+            'アドレス帳にも登録する（同じ会社名の項目には担当者・電話番号を追加）'
+          ),
+          React.createElement('div', { className: "text-xs text-gray-400" },
+            '取り込んだ連絡先はグループ補完の候補（緑の候補・入力履歴）に使われます。値グループの保持件数には含めません。'
+          )
+        )
+      ),
+
+      React.createElement('div', { className: "flex justify-end gap-2 mt-6" },
+        React.createElement('button', {
+          onClick: onClose,
+          className: "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600"
+        }, 'キャンセル'),
+        React.createElement('button', {
+          onClick: handleImport,
+          disabled: !preview || preview.counts.new === 0,
+          className: "px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+        }, preview ? `取り込む（${preview.counts.new}件）` : '取り込む')
+      )
+    )
+  );
+};
+
+// グローバル公開
+window.Components = window.Components || {};
+window.Components.ContactImportModal = ContactImportModal;
@@ -0,0 +1,286 @@
+/**
+ * 日付入力コンポーネント
+ * 日付のみを扱う変数（折り返し予定日など）専用の入力インターフェース
+ *
+ * 主な機能:
+ * - カレンダーピッカー（土曜は青、日曜・祝日は赤で表示。祝日名はツールチップ）
+ * - 相対ショートカット（今日 / 明日 / 翌営業日 / N営業日後）。営業日は土日・祝日を除外
+ * - フォーマット切り替え（Constants.DATE_FORMAT_PRESETS）。切り替え時は選択中の日付で再整形
+ * - キーボード操作: ↑/↓ で1日前後、PageUp/PageDown で1か月前後、Enter/Space でカレンダー開閉、Esc で閉じる、Delete/Backspace でクリア
+ *
+ * 値の保持:
+ * - variable.value: フォーマット済みの表示文字列（プレビューへ展開される値）
+ * - variable.dateValue: 選択日付（`YYYY-MM-DD`）。フォーマットに年が含まれない場合でも年を保持するために使用し、
+ *   value と整合しない場合（プレビュー編集等で value が変わった場合）は value を解析した日付を優先する
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {Object} props.variable - 日付変数オブジェクト {id, name, type: 'date', value, format, dateValue}
+ * @param {Function} props.onChange - 変数変更時のコールバック関数
+ * @param {Function} [props.onCommitValue] - 日付確定時の履歴コミット関数 (name,value,'date')
+ * @returns {JSX.Element} 日付入力コンポーネントのJSX要素
+ */
+const DateInput = React.memo(({ variable, onChange, onCommitValue }) => {
+    const { useState, useMemo, useCallback, useEffect, useRef } = React;
+    const [open, setOpen] = useState(false);
+    const [businessDays, setBusinessDays] = useState(2);
+    const containerRef = useRef(null);
+
+    const format = variable.format || Constants.DATE_FORMAT_PRESETS[0].value;
+    const value = String(variable.value || '');
+
+    /**
+     * 現在選択中の日付（value/dateValue から復元）
+     * @type {Date|null}
+     */
+    const selectedDate = useMemo(() => {
+        if (!value.trim()) return null;
+        if (variable.dateValue) {
+            const d = new Date(`${variable.dateValue}T00:00:00`);
+            if (!isNaN(d.getTime()) && DateUtils.formatDateTime(d, format) === value) return d;
+        }
+        if (!/\d/.test(value)) return null;
+        const parsed = DateUtils.parseFormattedDateTime(value, format);
+        if (!parsed) return null;
+        parsed.setHours(0, 0, 0, 0);
+        return parsed;
+    }, [value, variable.dateValue, format]);
+
+    // カレンダーの表示月（1日固定）
+    const [viewMonth, setViewMonth] = useState(() => {
+        const base = selectedDate || new Date();
+        return new Date(base.getFullYear(), base.getMonth(), 1);
+    });
+
+    /**
+     * 日付の確定
+     * @param {Date|null} date - 選択日付（null でクリア）
+     * @param {string} [nextFormat] - 適用するフォーマット（省略時は現在のフォーマット）
+     * @returns {void}
+     */
+    const applyDate = useCallback((date, nextFormat) => {
+        const fmt = nextFormat || format;
+        if (!date) {
+            onChange({ ...variable, format: fmt, value: '', dateValue: '' });
+            return;
+        }
+        const d = new Date(date);
+        d.setHours(0, 0, 0, 0);
+        const formatted = DateUtils.formatDateTime(d, fmt);
+        const dateValue = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+        onChange({ ...variable, format: fmt, value: formatted, dateValue });
+        setViewMonth(new Date(d.getFullYear(), d.getMonth(), 1));
+        try { onCommitValue && onCommitValue(variable.name, formatted, 'date'); } catch (_) {}
+    }, [variable, format, onChange, onCommitValue]);
+
+    /**
+     * 日数の加算（選択日付が無い場合は今日を基準）
+     * @param {number} days - 加算日数
+     * @returns {void}
+     */
+    const shiftDays = useCallback((days) => {
+        const base = selectedDate ? new Date(selectedDate) : new Date();
+        base.setDate(base.getDate() + days);
+        applyDate(base);
+    }, [selectedDate, applyDate]);
+
+    /**
+     * 月の加算（日は月末で丸める）
+     * @param {number} months - 加算月数
+     * @returns {void}
+     */
+    const shiftMonths = useCallback((months) => {
+        const base = selectedDate ? new Date(selectedDate) : new Date();
+        const day = base.getDate();
+        const target = new Date(base.getFullYear(), base.getMonth() + months, 1);
+        const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+        target.setDate(Math.min(day, lastDay));
+        applyDate(target);
+    }, [selectedDate, applyDate]);
+
+    /**
+     * キーボード操作
+     * @param {KeyboardEvent} e - キーイベント
+     * @returns {void}
+     */
+    const handleKeyDown = useCallback((e) => {
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            shiftDays(e.key === 'ArrowUp' ? -1 : 1);
+        } else if (e.key === 'PageUp' || e.key === 'PageDown') {
+            e.preventDefault();
+            shiftMonths(e.key === 'PageUp' ? -1 : 1);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            setOpen(prev => !prev);
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            applyDate(null);
+        }
+    }, [shiftDays, shiftMonths, applyDate]);
+
+    // 外側クリックでカレンダーを閉じる
+    useEffect(() => {
+        if (!open) return undefined;
+        const onDocMouseDown = (e) => {
+            try {
+                if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+            } catch (_) {}
+        };
+        document.addEventListener('mousedown', onDocMouseDown);
+        return () => { try { document.removeEventListener('mousedown', onDocMouseDown); } catch (_) {} };
+    }, [open]);
+
+    /**
+     * カレンダーのセル（6週 × 7日、日曜始まり）
+     * @type {Array<{date:Date, inMonth:boolean, holiday:string|null}>}
+     */
+    const cells = useMemo(() => {
+        const first = new Date(viewMonth.getFullYear(), viewMonth.getMonth(), 1);
+        const start = new Date(first);
+        start.setDate(first.getDate() - first.getDay());
+        const list = [];
+        for (let i = 0; i < 42; i += 1) {
+            const d = new Date(start);
+            d.setDate(start.getDate() + i);
+            list.push({ date: d, inMonth: d.getMonth() === viewMonth.getMonth(), holiday: DateUtils.getJapaneseHolidayName(d) });
+        }
+        return list;
+    }, [viewMonth]);
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const sameDay = (a, b) => !!(a && b && a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate());
+    const isEmpty = !value.trim();
+
+    /**
+     * ショートカットボタン定義
+     * @type {Array<{label:string, title:string, getDate:Function}>}
+     */
+    const shortcuts = [
+        { label: '今日', title: '今日の日付', getDate: () => new Date() },
+        { label: '明日', title: '明日の日付', getDate: () => { const d = new Date(); d.setDate(d.getDate() + 1); return d; } },
+        { label: '翌営業日', title: '土日・祝日を除いた次の営業日', getDate: () => DateUtils.addBusinessDays(new Date(), 1) }
+    ];
+
+    return React.createElement('div', { ref: containerRef, className: 'relative group' },
+        React.createElement('input', {
+            type: 'text',
+            readOnly: true,
+            value,
+            onClick: () => setOpen(prev => !prev),
+            onKeyDown: handleKeyDown,
+            className: 'w-full pr-8 px-3 py-2 bg-gray-700 rounded-md cursor-pointer focus:outline-none focus:ring-2 focus:ring-blue-500' + (isEmpty ? ' tsa-input-empty' : ''),
+            placeholder: `${variable.name}を選択（クリックでカレンダー）`,
+            'aria-haspopup': 'dialog',
+            'aria-expanded': open
+        }),
+        React.createElement('button', {
+            type: 'button',
+            tabIndex: -1,
+            title: '日付をクリア',
+            'aria-label': '日付をクリア',
+            onMouseDown: (e) => { try { e.preventDefault(); } catch (_) {} },
+            onClick: () => applyDate(null),
+            className: 'absolute right-2 top-1/2 -translate-y-1/2 text-gray-300 hover:text-white opacity-0 group-hover:opacity-100 transition-opacity'
+        },
+            React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+                React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16' })
+            )
+        ),
+        open && React.createElement('div', {
+            role: 'dialog',
+            'aria-label': `${variable.name}のカレンダー`,
+            className: 'absolute left-0 mt-1 p-3 w-72 bg-gray-800 border border-gray-700 rounded shadow-lg z-40'
+        },
+            // ヘッダ（前月/翌月）
+            React.createElement('div', { className: 'flex items-center justify-between mb-2' },
+                React.createElement('button', {
+                    type: 'button',
+                    className: 'px-2 py-1 rounded hover:bg-gray-700',
+                    'aria-label': '前の月',
+                    onClick: () => setViewMonth(new Date(viewMonth.getFullYear(), viewMonth.getMonth() - 1, 1))
+                }, '‹'),
+                React.createElement('span', { className: 'text-sm font-medium' }, `${viewMonth.getFullYear()}年${viewMonth.getMonth() + 1}月`),
+                React.createElement('button', {
+                    type: 'button',
+                    className: 'px-2 py-1 rounded hover:bg-gray-700',
+                    'aria-label': '次の月',
+                    onClick: () => setViewMonth(new Date(viewMonth.getFullYear(), viewMonth.getMonth() + 1, 1))
+                }, '›')
+            ),
+            // 曜日見出し
+            React.createElement('div', { className: 'grid grid-cols-7 text-center text-xs mb-1' },
+                DateUtils.WEEKDAY_LABELS_JA.map((w, i) => React.createElement('span', {
+                    key: w,
+                    className: i === 0 ? 'text-red-400' : (i === 6 ? 'text-blue-400' : 'text-gray-400')
+                }, w))
+            ),
+            // 日付グリッド
+            React.createElement('div', { className: 'grid grid-cols-7 gap-0.5 text-center text-sm' },
+                cells.map(({ date, inMonth, holiday }) => {
+                    const dow = date.getDay();
+                    const selected = sameDay(date, selectedDate);
+                    const colorClass = selected ? 'bg-blue-600 text-white'
+                        : (holiday || dow === 0) ? 'text-red-400'
+                            : dow === 6 ? 'text-blue-400' : '';
+                    return React.createElement('button', {
+                        key: date.toISOString(),
+                        type: 'button',
+                        title: holiday || undefined,
+                        onClick: () => { applyDate(date); setOpen(false); },
+                        className: `py-1 rounded hover:bg-gray-700 ${colorClass}` + (inMonth ? '' : ' opacity-40') + (sameDay(date, today) ? ' ring-1 ring-blue-400' : '')
+                    }, String(date.getDate()));
+                })
+            ),
+            // 相対ショートカット
+            React.createElement('div', { className: 'flex flex-wrap items-center gap-1 mt-3' },
+                shortcuts.map((sc) => React.createElement('button', {
+                    key: sc.label,
+                    type: 'button',
+                    title: sc.title,
+                    onClick: () => { applyDate(sc.getDate()); setOpen(false); },
+                    className: 'px-2 py-1 text-xs bg-gray-700 hover:bg-gray-600 rounded'
+                }, sc.label)),
+                React.createElement('span', { className: 'flex items-center gap-1 text-xs' },
+                    React.createElement('span', null, '+'),
+                    React.createElement('input', {
+                        type: 'number',
+                        min: 1,
+                        max: 60,
+                        value: businessDays,
+                        onChange: (e) => setBusinessDays(Math.max(1, Math.min(60, parseInt(e.target.value, 10) || 1))),
+                        className: 'w-12 px-1 py-0.5 bg-gray-700 rounded text-center',
+                        'aria-label': '営業日数'
+                    }),
+                    React.createElement('button', {
+                        type: 'button',
+                        title: '今日から指定した営業日数後（土日・祝日を除外）',
+                        onClick: () => { applyDate(DateUtils.addBusinessDays(new Date(), businessDays)); setOpen(false); },
+                        className: 'px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded'
+                    }, '営業日後')
+                )
+            ),
+            // フォーマット
+            React.createElement('select', {
+                value: format,
+                onChange: (e) => applyDate(selectedDate, e.target.value),
+                className: 'w-full mt-3 px-2 py-1 text-xs bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500',
+                'aria-label': '日付フォーマット'
+            },
+                Constants.DATE_FORMAT_PRESETS.map(p => React.createElement('option', { key: p.value, value: p.value }, p.label))
+            )
+        )
+    );
+});
+
+// 表示名の設定（デバッグ用）
+DateInput.displayName = 'DateInput';
+
+/**
+ * グローバルスコープへの公開
+ * モジュラー構成でのコンポーネント参照を可能にする
+ */
+window.Components = window.Components || {};
+window.Components.DateInput = DateInput;
@@ -0,0 +1,366 @@
+/**
+ * アドレス帳管理モーダル
+ * 会社ごとの担当者・電話番号・メモを追加・編集・削除し、アドレス帳の値を入れる変数（会社名・担当者名など）を設定する
+ *
+ * 操作:
+ * - 一覧は会社名・担当者名・電話番号で絞り込める
+ * - 電話番号は入力欄を離れたときに整形する（Helpers.formatPhoneNumber。+国番号・内線番号も可）
+ * - 変更は「保存」で反映し、キャンセル時は破棄する（会社名が空の項目は保存しない）
+ *
+ * @param {Object} props - プロパティ
+ * @param {boolean} props.isOpen - モーダル表示状態
+ * @param {Function} props.onClose - モーダルを閉じるコールバック
+ * @param {Array<Object>} props.directory - アドレス帳
+ * @param {Object} props.fields - 変数との対応（settings.directoryFields）
+ * @param {Array} props.variables - 現在の変数（対応先の選択肢）
+ * @param {Function} props.onSave - 保存 (directory:Array<Object>, fields:Object) => void
+ * @returns {JSX.Element|null} モーダル要素（非表示時はnull）
+ */
+const DirectoryModal = ({ isOpen, onClose, directory, fields, variables, onSave }) => {
+  const { useState, useEffect, useMemo } = React;
+  const [drafts, setDrafts] = useState([]);
+  const [fieldDrafts, setFieldDrafts] = useState(() => ContactDirectory.normalizeDirectoryFields(fields));
+  const [selectedId, setSelectedId] = useState(null);
+  const [query, setQuery] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const list = ContactDirectory.normalizeDirectory(directory);
+    setDrafts(list);
+    setFieldDrafts(ContactDirectory.normalizeDirectoryFields(fields));
+    setSelectedId(list[0] ? list[0].id : null);
+    setQuery('');
+  }, [isOpen, directory, fields]);
+
+  /**
+   * 絞り込み後の一覧（会社名・担当者名・電話番号。電話番号は国内表記と +81 の国際表記のどちらでも一致）
+   * @type {Array<Object>}
+   */
+  const filtered = useMemo(() => {
+    const q = ContactDirectory.toContactKey(query);
+    if (!q) return drafts;
+    return drafts.filter(e => [e.company, e.note, ...e.phones.map(p => p.number), ...e.people.flatMap(p => [p.name, p.department, p.phone])]
+      .some(text => ContactDirectory.toContactKey(text).includes(q))
+      || [...e.phones.map(p => p.number), ...e.people.map(p => p.phone)].some(n => ContactDirectory.matchesPhoneNumber(n, query)));
+  }, [drafts, query]);
+
+  /**
+   * 対応先の変数名の選択肢（設定済みで現在の変数に無いものも残す）
+   * @type {string[]}
+   */
+  const variableNames = useMemo(() => {
+    const names = (Array.isArray(variables) ? variables : []).map(v => v.name).filter(Boolean);
+    Object.values(fieldDrafts).forEach(name => { if (name && !names.includes(name)) names.push(name); });
+    return names;
+  }, [variables, fieldDrafts]);
+
+  if (!isOpen) return null;
+
+  const selected = drafts.find(e => e.id === selectedId) || null;
+
+  /**
+   * 選択中の項目を更新
+   * @param {Function} update - (entry) => 新しい項目
+   * @returns {void}
+   */
+  const updateSelected = (update) => {
+    const updatedAt = new Date().toISOString();
+    setDrafts(prev => prev.map(e => (e.id === selectedId ? { ...update(e), updatedAt } : e)));
+  };
+
+  /**
+   * 選択中の項目の配列項目（phones / people）の i 番目を更新
+   * @param {'phones'|'people'} key - 項目名
+   * @param {number} index - インデックス
+   * @param {Object} patch - 差分
+   * @returns {void}
+   */
+  const updateListItem = (key, index, patch) => {
+    updateSelected(e => ({ ...e, [key]: e[key].map((item, i) => (i === index ? { ...item, ...patch } : item)) }));
+  };
+
+  /**
+   * 選択中の項目の配列項目（phones / people）の i 番目を削除
+   * @param {'phones'|'people'} key - 項目名
+   * @param {number} index - インデックス
+   * @returns {void}
+   */
+  const removeListItem = (key, index) => {
+    updateSelected(e => ({ ...e, [key]: e[key].filter((_, i) => i !== index) }));
+  };
+
+  /**
+   * 項目の追加
+   * @returns {void}
+   */
+  const addEntry = () => {
+    const created = ContactDirectory.createEntry();
+    setDrafts(prev => [created, ...prev]);
+    setSelectedId(created.id);
+    setQuery('');
+  };
+
+  /**
+   * 選択中の項目の削除
+   * @returns {Promise<void>}
+   */
+  const removeSelected = async () => {
+    if (!selected) return;
+    let ok = false;
+    try {
+      ok = await window.UI.confirm({
+        title: 'アドレス帳の削除',
+        message: `「${selected.company || '会社名未入力'}」を削除しますか？（保存するまで反映されません）`,
+        okText: '削除'
+      });
+    } catch (_) {}
+    if (!ok) return;
+    const index = drafts.findIndex(e => e.id === selected.id);
+    const next = drafts.filter(e => e.id !== selected.id);
+    setDrafts(next);
+    setSelectedId(next.length > 0 ? next[Math.min(index, next.length - 1)].id : null);
+  };
+
+  /**
+   * 保存（会社名が空の項目・名前の無い担当者・空の電話番号は除く）
+   * @returns {void}
+   */
+  const handleSave = () => {
+    onSave && onSave(ContactDirectory.normalizeDirectory(drafts), ContactDirectory.normalizeDirectoryFields(fieldDrafts));
+    onClose && onClose();
+  };
+
+  /**
+   * 電話番号の整形（入力欄を離れたとき）
+   * @param {string} value - 入力値
+   * @returns {string} 整形後の値（正しくない番号はそのまま）
+   */
+  const formatPhone = (value) => {
+    const s = String(value ?? '').trim();
+    if (!s) return '';
+    try {
+      return Helpers.validatePhoneNumber(s).valid ? Helpers.formatPhoneNumber(s) : s;
+    } catch (_) {
+      return s;
+    }
+  };
+
+  const inputClass = "w-full px-2 py-1 bg-gray-700 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+  return React.createElement('div', {
+    className: "fixed inset-0 bg-black/60 flex items-center justify-center z-50",
+    onClick: (e) => { if (e.target === e.currentTarget) onClose && onClose(); }
+  },
+    React.createElement('div', {
+      className: "bg-gray-800 rounded-lg w-[min(100vw,820px)] max-w-[92vw] max-h-[90vh] overflow-y-auto p-6",
+      onClick: (e) => e.stopPropagation(),
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': 'アドレス帳'
+    },
+      React.createElement('div', { className: "flex items-center justify-between mb-4" },
+        React.createElement('h3', { className: "text-lg font-semibold" }, 'アドレス帳'),
+        React.createElement('button', { className: "text-gray-300 hover:text-white", onClick: onClose }, '×')
+      ),
+
+      React.createElement('div', { className: "flex flex-col sm:flex-row gap-4" },
+        // 項目一覧
+        React.createElement('div', { className: "sm:w-56 shrink-0 space-y-2" },
+          React.createElement('input', {
+            type: 'search',
+            value: query,
+            onChange: (e) => setQuery(e.target.value),
+            placeholder: '会社名・担当者・電話番号',
+            'aria-label': 'アドレス帳を検索',
+            className: inputClass
+          }),
+          React.createElement('ul', { className: "space-y-1 max-h-80 overflow-y-auto scrollbar-thin", role: 'listbox', 'aria-label': 'アドレス帳の一覧' },
+            filtered.map(e => React.createElement('li', { key: e.id },
+              React.createElement('button', {
+                type: 'button',
+                role: 'option',
+                'aria-selected': e.id === selectedId,
+                onClick: () => setSelectedId(e.id),
+                className: `w-full text-left px-2 py-1.5 rounded text-sm ${e.id === selectedId ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'}`
+              },
+                React.createElement('div', { className: "truncate" }, e.company || '会社名未入力'),
+                e.people.length > 0 && React.createElement('div', { className: "text-xs text-gray-300 truncate" }, e.people.map(p => p.name).join('、'))
+              )
+            ))
+          ),
+          filtered.length === 0 && React.createElement('div', { className: "text-xs text-gray-400" }, drafts.length === 0 ? 'まだ登録がありません' : '一致する項目はありません'),
+          React.createElement('div', { className: "flex flex-wrap gap-2 text-xs" },
+            React.createElement('button', { type: 'button', onClick: addEntry, className: "text-blue-300 hover:text-blue-200" }, '追加'),
+            React.createElement('button', {
+              type: 'button',
+              onClick: removeSelected,
+              disabled: !selected,
+              className: "text-red-300 hover:text-red-200 disabled:opacity-40 disabled:cursor-not-allowed"
+            }, '削除')
+          )
+        ),
+
+        // 選択中の項目
+        React.createElement('div', { className: "flex-1 min-w-0 space-y-4" },
+          !selected && React.createElement('div', { className: "text-sm text-gray-400" },
+            '「追加」で会社を登録するか、履歴の人型アイコンから通話の内容を登録できます。'
+          ),
+          selected && React.createElement(React.Fragment, null,
+            React.createElement('label', { className: "block space-y-1" },
+              React.createElement('span', { className: "text-sm" }, '会社名'),
+              React.createElement('input', {
+                type: 'text',
+                value: selected.company,
+                onChange: (e) => updateSelected(x => ({ ...x, company: e.target.value })),
+                placeholder: '例: 株式会社サンプル',
+                className: inputClass
+              }),
+              !String(selected.company || '').trim() && React.createElement('span', { className: "block text-xs text-yellow-300" }, '会社名が空の項目は保存されません。')
+            ),
+
+            // 電話番号（会社の代表番号など）
+            React.createElement('div', { className: "space-y-1" },
+              React.createElement('div', { className: "flex items-center justify-between" },
+                React.createElement('span', { className: "text-sm" }, '電話番号'),
+                React.createElement('button', {
+                  type: 'button',
+                  onClick: () => updateSelected(x => ({ ...x, phones: [...x.phones, { label: '', number: '' }] })),
+                  className: "text-xs text-blue-300 hover:text-blue-200"
+                }, '追加')
+              ),
+              selected.phones.map((p, i) => React.createElement('div', { key: i, className: "flex items-center gap-2" },
+                React.createElement('input', {
+                  type: 'text',
+                  value: p.label,
+                  onChange: (e) => updateListItem('phones', i, { label: e.target.value }),
+                  placeholder: '代表・FAX など',
+                  'aria-label': '電話番号の種類',
+                  className: "w-32 shrink-0 px-2 py-1 bg-gray-700 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                }),
+                React.createElement('input', {
+                  type: 'tel',
+                  value: p.number,
+                  onChange: (e) => updateListItem('phones', i, { number: e.target.value }),
+                  onBlur: (e) => updateListItem('phones', i, { number: formatPhone(e.target.value) }),
+                  placeholder: '03-1234-5678',
+                  'aria-label': '電話番号',
+                  className: inputClass
+                }),
+                React.createElement('button', {
+                  type: 'button',
+                  onClick: () => removeListItem('phones', i),
+                  className: "text-red-300 hover:text-red-200 text-sm",
+                  title: '電話番号を削除',
+                  'aria-label': '電話番号を削除'
+                }, '×')
+              ))
+            ),
+
+            // 担当者
+            React.createElement('div', { className: "space-y-1" },
+              React.createElement('div', { className: "flex items-center justify-between" },
+                React.createElement('span', { className: "text-sm" }, '担当者'),
+                React.createElement('button', {
+                  type: 'button',
+                  onClick: () => updateSelected(x => ({ ...x, people: [...x.people, { id: Helpers.generateId(), name: '', department: '', phone: '', note: '' }] })),
+                  className: "text-xs text-blue-300 hover:text-blue-200"
+                }, '追加')
+              ),
+              selected.people.map((p, i) => React.createElement('div', { key: p.id, className: "bg-gray-900/40 rounded p-2 space-y-1" },
+                React.createElement('div', { className: "flex items-center gap-2" },
+                  React.createElement('input', {
+                    type: 'text',
+                    value: p.name,
+                    onChange: (e) => updateListItem('people', i, { name: e.target.value }),
+                    placeholder: '担当者名',
+                    'aria-label': '担当者名',
+                    className: inputClass
+                  }),
+                  React.createElement('input', {
+                    type: 'text',
+                    value: p.department,
+                    onChange: (e) => updateListItem('people', i, { department: e.target.value }),
+                    placeholder: '部署',
+                    'aria-label': '部署',
+                    className: inputClass
+                  }),
+                  React.createElement('input', {
+                    type: 'tel',
+                    value: p.phone,
+                    onChange: (e) => updateListItem('people', i, { phone: e.target.value }),
+                    onBlur: (e) => updateListItem('people', i, { phone: formatPhone(e.target.value) }),
+                    placeholder: '直通・携帯',
+                    'aria-label': '担当者の電話番号',
+                    className: inputClass
+                  }),
+                  React.createElement('button', {
+                    type: 'button',
+                    onClick: () => removeListItem('people', i),
+                    className: "text-red-300 hover:text-red-200 text-sm",
+                    title: '担当者を削除',
+                    'aria-label': '担当者を削除'
+                  }, '×')
+                ),
+                React.createElement('input', {
+                  type: 'text',
+                  value: p.note,
+                  onChange: (e) => updateListItem('people', i, { note: e.target.value }),
+                  placeholder: 'メモ（在席時間など）',
+                  'aria-label': '担当者のメモ',
+                  className: inputClass
+                })
+              ))
+            ),
+
+            React.createElement('label', { className: "block space-y-1" },
+              React.createElement('span', { className: "text-sm" }, 'メモ'),
+              React.createElement('textarea', {
+                value: selected.note,
+                onChange: (e) => updateSelected(x => ({ ...x, note: e.target.value })),
+                rows: 3,
+                placeholder: '例: 受付は 9:00〜17:00。折り返しは代表番号へ',
+                className: `${inputClass} scrollbar-thin resize-y`
+              })
+            )
+          )
+        )
+      ),
+
+      // 変数との対応
+      React.createElement('div', { className: "mt-6 space-y-2" },
+        React.createElement('h4', { className: "text-sm font-semibold text-gray-300" }, '入力する変数'),
+        React.createElement('div', { className: "grid grid-cols-1 sm:grid-cols-2 gap-2" },
+          ContactDirectory.DIRECTORY_FIELD_KEYS.map(({ key, label }) => React.createElement('label', { key, className: "flex items-center justify-between gap-3" },
+            React.createElement('span', { className: "text-sm" }, label),
+            React.createElement('select', {
+              value: fieldDrafts[key],
+              onChange: (e) => setFieldDrafts(prev => ({ ...prev, [key]: e.target.value })),
+              className: "w-40 px-2 py-1 bg-gray-700 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            },
+              React.createElement('option', { value: '' }, '（使わない）'),
+              variableNames.map(name => React.createElement('option', { key: name, value: name }, name))
+            )
+          ))
+        ),
+        React.createElement('div', { className: "text-xs text-gray-400" },
+          '会社名・担当者名の変数の入力欄でアドレス帳の候補を選ぶと、ここで選んだ変数へまとめて入力します。'
+        )
+      ),
+
+      React.createElement('div', { className: "flex justify-end gap-2 mt-6" },
+        React.createElement('button', {
+          onClick: onClose,
+          className: "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600"
+        }, 'キャンセル'),
+        React.createElement('button', {
+          onClick: handleSave,
+          className: "px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700"
+        }, '保存')
+      )
+    )
+  );
+};
+
+// グローバル公開
+window.Components = window.Components || {};
+window.Components.DirectoryModal = DirectoryModal;
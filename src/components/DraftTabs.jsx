@@ -0,0 +1,136 @@
+/**
+ * 下書きタブコンポーネント
+ * 並行して編集している報告文（下書き）をタブで表示し、切り替え・追加・名前変更・クローズを行う。
+ * 状態は Hooks.useDrafts が管理し、本コンポーネントは表示と操作の通知のみを担当する。
+ *
+ * 操作:
+ * - タブクリック: 切り替え
+ * - ダブルクリック: 名前変更（Enter/フォーカスアウトで確定、Esc で取り消し）
+ * - ×ボタン: タブを閉じる（最後の1件は閉じられない）
+ * - ＋ボタン: 新しい下書きを追加
+ * - ベルボタン: アクティブな下書きに折り返しリマインダーを設定（設定済みのタブには時計アイコンを表示し、クリックで編集）
+ *
+ * @param {Object} props - プロパティ
+ * @param {Array<{id:string, title:string, reminder?:{at:string}}>} props.drafts - 下書き一覧
+ * @param {string} props.activeDraftId - アクティブな下書きID
+ * @param {Function} props.onSelect - 切り替え (id) => void
+ * @param {Function} props.onAdd - 追加 () => void
+ * @param {Function} props.onRename - 名前変更 (id, title) => void
+ * @param {Function} props.onClose - クローズ (id) => void
+ * @param {Function} props.onEditReminder - 折り返しリマインダーの編集 (id) => void
+ * @returns {JSX.Element} タブバー
+ */
+const DraftTabs = React.memo(({ drafts, activeDraftId, onSelect, onAdd, onRename, onClose, onEditReminder }) => {
+    const { useState } = React;
+    const [editingId, setEditingId] = useState(null);
+    const [editingTitle, setEditingTitle] = useState('');
+
+    /**
+     * 名前変更の確定
+     * @returns {void}
+     */
+    const commitRename = () => {
+        if (editingId) onRename(editingId, editingTitle);
+        setEditingId(null);
+    };
+
+    const list = Array.isArray(drafts) ? drafts : [];
+    const closable = list.length > 1;
+
+    return React.createElement('div', {
+        className: 'flex items-end gap-1 px-4 pt-3 overflow-x-auto flex-none',
+        role: 'tablist',
+        'aria-label': '下書きタブ'
+    },
+        list.map(d => {
+            const active = d.id === activeDraftId;
+            const editing = d.id === editingId;
+            return React.createElement('div', {
+                key: d.id,
+                role: 'tab',
+                'aria-selected': active,
+                className: 'group flex items-center gap-1 pl-3 pr-1 py-1.5 rounded-t-lg text-sm cursor-pointer whitespace-nowrap transition-colors ' +
+                    (active ? 'bg-gray-800 text-white' : 'bg-gray-700/50 text-gray-400 hover:bg-gray-700 hover:text-gray-200'),
+                onClick: () => { if (!editing) onSelect(d.id); },
+                onDoubleClick: () => { setEditingId(d.id); setEditingTitle(d.title || ''); },
+                title: 'ダブルクリックで名前を変更'
+            },
+                editing
+                    ? React.createElement('input', {
+                        type: 'text',
+                        value: editingTitle,
+                        autoFocus: true,
+                        onChange: (e) => setEditingTitle(e.target.value),
+                        onBlur: commitRename,
+                        onKeyDown: (e) => {
+                            if (e.nativeEvent && e.nativeEvent.isComposing) return;
+                            if (e.key === 'Enter') { e.preventDefault(); commitRename(); }
+                            else if (e.key === 'Escape') { e.preventDefault(); setEditingId(null); }
+                        },
+                        onClick: (e) => e.stopPropagation(),
+                        className: 'w-32 px-1 py-0 bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500',
+                        'aria-label': 'タブ名'
+                    })
+                    : React.createElement('span', { className: 'max-w-[10rem] truncate' }, d.title || '無題'),
+                d.reminder && React.createElement('button', {
+                    type: 'button',
+                    tabIndex: -1,
+                    onClick: (e) => { e.stopPropagation(); onEditReminder(d.id); },
+                    className: 'p-0.5 rounded hover:bg-white/10 text-yellow-300',
+                    title: `折り返し ${DateUtils.formatDateTime(d.reminder.at, 'M/D(ddd) HH:mm')}${d.reminder.note ? `（${d.reminder.note}）` : ''}`,
+                    'aria-label': `${d.title || '無題'}の折り返しリマインダーを編集`
+                },
+                    React.createElement('svg', { className: 'w-3.5 h-3.5', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24', 'aria-hidden': true },
+                        React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z' })
+                    )
+                ),
+                closable && React.createElement('button', {
+                    type: 'button',
+                    tabIndex: -1,
+                    onClick: (e) => { e.stopPropagation(); onClose(d.id); },
+                    className: 'p-0.5 rounded hover:bg-white/10 text-gray-400 hover:text-white ' + (active ? '' : 'opacity-0 group-hover:opacity-100'),
+                    title: 'タブを閉じる',
+                    'aria-label': `${d.title || '無題'}を閉じる`
+                },
+                    React.createElement('svg', { className: 'w-3.5 h-3.5', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24', 'aria-hidden': true },
+                        React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M6 18L18 6M6 6l12 12' })
+                    )
+                )
+            );
+        }),
+        React.createElement('button', {
+            type: 'button',
+            tabIndex: -1,
+            onClick: onAdd,
+            className: 'px-2 py-1.5 mb-0.5 rounded-lg text-gray-400 hover:text-white hover:bg-gray-700 transition-colors',
+            title: '新しい下書きを追加',
+            'aria-label': '新しい下書きを追加'
+        },
+            React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24', 'aria-hidden': true },
+                React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M12 4v16m8-8H4' })
+            )
+        ),
+        React.createElement('button', {
+            type: 'button',
+            tabIndex: -1,
+            onClick: () => onEditReminder(activeDraftId),
+            className: 'px-2 py-1.5 mb-0.5 rounded-lg text-gray-400 hover:text-white hover:bg-gray-700 transition-colors',
+            title: 'この下書きに折り返しリマインダーを設定',
+            'aria-label': 'この下書きに折り返しリマインダーを設定'
+        },
+            React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24', 'aria-hidden': true },
+                React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9' })
+            )
+        )
+    );
+});
+
+// 表示名の設定（デバッグ用）
+DraftTabs.displayName = 'DraftTabs';
+
+/**
+ * グローバルスコープへの公開
+ * モジュラー構成でのコンポーネント参照を可能にする
+ */
+window.Components = window.Components || {};
+window.Components.DraftTabs = DraftTabs;
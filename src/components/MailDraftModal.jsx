@@ -0,0 +1,281 @@
+/**
+ * メール下書き作成モーダル（「メールで作成」）
+ * 現在の報告文からメールソフトで開ける下書きを作成する（MailDraft）
+ *
+ * 設定:
+ * - 宛先: 宛先リストから選択（表示名付きで保存可能）・変数の値・直接入力（複数は「,」区切り）を合わせて使う
+ * - 件名: 件名テンプレート（{{変数名}} を展開）
+ * - 本文: 出力プロファイルで整形した報告文（書式はテキスト。Markdown のプロファイルは Markdown のまま）
+ *
+ * 作成方法:
+ * - .eml を保存: ファイルを開くと既定のメールソフトで下書きとして表示される（長い報告文にも対応）
+ * - メールソフトで開く: mailto: リンク（MailDraft.MAILTO_MAX_LENGTH を超える場合は使用不可）
+ *
+ * 宛先リスト・変数・件名テンプレートは作成時に設定として保存する
+ *
+ * @param {Object} props - プロパティ
+ * @param {boolean} props.isOpen - モーダル表示状態
+ * @param {Function} props.onClose - モーダルを閉じるコールバック
+ * @param {string} props.preview - 現在のプレビュー（本文）
+ * @param {Array} props.variables - 現在の変数
+ * @param {Array<Object>} props.outputProfiles - 出力プロファイル一覧
+ * @param {string} props.activeProfileId - 全体コピーで選択中のプロファイルID（本文の既定）
+ * @param {Object} props.mailSettings - メール下書きの設定（MailDraft.normalizeMailDraftSettings）
+ * @param {Function} props.onSaveSettings - 設定の保存 (settings:Object) => void
+ * @param {Function} [props.onCreated] - 作成完了の通知 (kind:'eml'|'mailto') => void
+ * @returns {JSX.Element|null} モーダル要素（非表示時はnull）
+ */
+const MailDraftModal = ({ isOpen, onClose, preview, variables, outputProfiles, activeProfileId, mailSettings, onSaveSettings, onCreated }) => {
+  const { useState, useEffect, useMemo } = React;
+  const [form, setForm] = useState(() => MailDraft.normalizeMailDraftSettings(mailSettings));
+  // 宛先リストのうち今回の宛先に含めるアドレス
+  const [checkedAddresses, setCheckedAddresses] = useState([]);
+  const [extraTo, setExtraTo] = useState('');
+  const [profileId, setProfileId] = useState(activeProfileId);
+  const [newRecipient, setNewRecipient] = useState({ label: '', address: '' });
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setForm(MailDraft.normalizeMailDraftSettings(mailSettings));
+    setCheckedAddresses([]);
+    setExtraTo('');
+    setProfileId(activeProfileId);
+    setNewRecipient({ label: '', address: '' });
+  }, [isOpen]);
+
+  const profile = OutputProfiles.findOutputProfile(outputProfiles, profileId);
+
+  const draft = useMemo(() => {
+    if (!isOpen) return null;
+    const to = [];
+    const add = (address, label = '') => {
+      if (!to.some(r => r.address.toLowerCase() === address.toLowerCase())) to.push({ address, label });
+    };
+    form.recipients.filter(r => checkedAddresses.includes(r.address)).forEach(r => add(r.address, r.label));
+    const variable = form.toVariable ? (variables || []).find(v => v.name === form.toVariable) : null;
+    const fromVariable = MailDraft.parseMailAddresses(variable ? variable.value : '');
+    fromVariable.addresses.forEach(a => add(a));
+    const extra = MailDraft.parseMailAddresses(extraTo);
+    extra.addresses.forEach(a => add(a));
+    const output = OutputProfiles.composeOutput(preview, profile, variables);
+    const body = profile.markup === 'markdown' ? RichText.toMarkdown(output)
+      : (profile.markup === 'plain' ? output : RichText.toPlainText(output));
+    const subject = MailDraft.renderMailSubject(form.subjectTemplate, variables);
+    const mailtoUrl = MailDraft.buildMailtoUrl({ to, subject, body });
+    return {
+      to,
+      subject,
+      body,
+      mailtoUrl,
+      invalid: [...fromVariable.invalid, ...extra.invalid],
+      variableEmpty: !!form.toVariable && fromVariable.addresses.length === 0
+    };
+  }, [isOpen, form, checkedAddresses, extraTo, variables, preview, profile]);
+
+  if (!isOpen || !draft) return null;
+
+  const mailtoTooLong = draft.mailtoUrl.length > MailDraft.MAILTO_MAX_LENGTH;
+  const newAddressValid = MailDraft.isValidMailAddress(newRecipient.address);
+
+  /**
+   * 宛先リストへの追加（追加した宛先は今回の宛先にも含める）
+   * @returns {void}
+   */
+  const addRecipient = () => {
+    if (!newAddressValid) return;
+    const address = newRecipient.address.trim();
+    setForm(prev => MailDraft.normalizeMailDraftSettings({
+      ...prev,
+      recipients: [...prev.recipients, { label: newRecipient.label, address }]
+    }));
+    setCheckedAddresses(prev => (prev.includes(address) ? prev : [...prev, address]));
+    setNewRecipient({ label: '', address: '' });
+  };
+
+  /**
+   * 宛先リストからの削除
+   * @param {string} address - メールアドレス
+   * @returns {void}
+   */
+  const removeRecipient = (address) => {
+    setForm(prev => ({ ...prev, recipients: prev.recipients.filter(r => r.address !== address) }));
+    setCheckedAddresses(prev => prev.filter(a => a !== address));
+  };
+
+  /**
+   * 下書きの作成
+   * @param {'eml'|'mailto'} kind - 作成方法
+   * @returns {void}
+   */
+  const handleCreate = (kind) => {
+    if (kind === 'eml') {
+      const now = new Date();
+      DataService.exportEml(
+        MailDraft.buildEml({ to: draft.to, subject: draft.subject, body: draft.body, date: now }),
+        DateUtils.formatDateTime(now, 'YYYYMMDD-HHmmss')
+      );
+    } else {
+      DataService.openMailto(draft.mailtoUrl);
+    }
+    onSaveSettings && onSaveSettings(MailDraft.normalizeMailDraftSettings(form));
+    onClose && onClose();
+    onCreated && onCreated(kind);
+  };
+
+  const inputClass = "px-2 py-1 bg-gray-700 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+  return React.createElement('div', {
+    className: "fixed inset-0 bg-black/60 flex items-center justify-center z-50",
+    onClick: (e) => { if (e.target === e.currentTarget) onClose && onClose(); }
+  },
+    React.createElement('div', {
+      className: "bg-gray-800 rounded-lg w-[min(100vw,640px)] max-w-[92vw] max-h-[90vh] overflow-y-auto p-6",
+      onClick: (e) => e.stopPropagation(),
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': 'メールで作成'
+    },
+      React.createElement('div', { className: "flex items-center justify-between mb-4" },
+        React.createElement('h3', { className: "text-lg font-semibold" }, 'メールで作成'),
+        React.createElement('button', { className: "text-gray-300 hover:text-white", onClick: onClose }, '×')
+      ),
+
+      React.createElement('div', { className: "space-y-4" },
+        // 宛先
+        React.createElement('div', { className: "space-y-2" },
+          React.createElement('span', { className: "text-sm text-gray-300" }, '宛先'),
+          form.recipients.length > 0 && React.createElement('ul', { className: "space-y-1 max-h-36 overflow-y-auto scrollbar-thin bg-gray-900/60 rounded p-2" },
+            form.recipients.map(r => React.createElement('li', { key: r.address, className: "flex items-center gap-2 text-sm" },
+              React.createElement('label', { className: "flex items-center gap-2 min-w-0 flex-1" },
+                React.createElement('input', {
+                  type: 'checkbox',
+                  checked: checkedAddresses.includes(r.address),
+                  onChange: (e) => {
+                    const checked = e.target.checked;
+                    setCheckedAddresses(prev => (checked ? [...prev, r.address] : prev.filter(a => a !== r.address)));
+                  }
+                }),
+                React.createElement('span', { className: "truncate", title: r.address },
+                  r.label ? `${r.label} <${r.address}>` : r.address
+                )
+              ),
+              React.createElement('button', {
+                type: 'button',
+                onClick: () => removeRecipient(r.address),
+                className: "text-xs text-red-300 hover:text-red-200",
+                'aria-label': `${r.address} を宛先リストから削除`
+              }, '削除')
+            ))
+          ),
+          React.createElement('div', { className: "flex flex-wrap items-center gap-2" },
+            React.createElement('input', {
+              type: 'text',
+              value: newRecipient.label,
+              onChange: (e) => setNewRecipient(prev => ({ ...prev, label: e.target.value })),
+              placeholder: '表示名（任意）',
+              className: `${inputClass} w-32`,
+              'aria-label': '宛先リストに追加する表示名'
+            }),
+            React.createElement('input', {
+              type: 'email',
+              value: newRecipient.address,
+              onChange: (e) => setNewRecipient(prev => ({ ...prev, address: e.target.value })),
+              onKeyDown: (e) => { if (e.key === 'Enter' && !e.nativeEvent?.isComposing) { e.preventDefault(); addRecipient(); } },
+              placeholder: 'name@example.com',
+              className: `${inputClass} min-w-0 flex-1`,
+              'aria-label': '宛先リストに追加するメールアドレス'
+            }),
+            React.createElement('button', {
+              type: 'button',
+              onClick: addRecipient,
+              disabled: !newAddressValid,
+              className: "px-3 py-1 bg-gray-700 rounded-md hover:bg-gray-600 text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+            }, 'リストに追加')
+          ),
+          React.createElement('label', { className: "flex items-center justify-between gap-3" },
+            React.createElement('span', { className: "text-sm" }, '変数の値を宛先にする'),
+            React.createElement('select', {
+              value: form.toVariable,
+              onChange: (e) => {
+                const toVariable = e.target.value;
+                setForm(prev => ({ ...prev, toVariable }));
+              },
+              className: `${inputClass} w-48`
+            },
+              React.createElement('option', { value: '' }, '使わない'),
+              (variables || []).map(v => React.createElement('option', { key: v.id || v.name, value: v.name }, v.name))
+            )
+          ),
+          React.createElement('input', {
+            type: 'text',
+            value: extraTo,
+            onChange: (e) => setExtraTo(e.target.value),
+            placeholder: 'その他の宛先（複数は「,」区切り）',
+            className: `${inputClass} w-full`,
+            'aria-label': 'その他の宛先'
+          }),
+          React.createElement('div', { className: "text-xs text-gray-400", 'aria-live': 'polite' },
+            draft.to.length > 0 ? `To: ${draft.to.map(r => r.address).join(', ')}` : '宛先なし（メールソフトで入力できます）',
+            draft.variableEmpty && React.createElement('span', { className: "block text-yellow-300" }, `変数「${form.toVariable}」にメールアドレスが入力されていません`),
+            draft.invalid.length > 0 && React.createElement('span', { className: "block text-red-300" }, `メールアドレスとして扱えない入力: ${draft.invalid.join(', ')}`)
+          )
+        ),
+
+        // 件名
+        React.createElement('label', { className: "block space-y-1" },
+          React.createElement('span', { className: "text-sm text-gray-300" }, '件名テンプレート'),
+          React.createElement('input', {
+            type: 'text',
+            value: form.subjectTemplate,
+            onChange: (e) => {
+              const subjectTemplate = e.target.value;
+              setForm(prev => ({ ...prev, subjectTemplate }));
+            },
+            className: `${inputClass} w-full`
+          }),
+          React.createElement('span', { className: "block text-xs text-gray-400 truncate" }, `件名: ${draft.subject || '（なし）'}`)
+        ),
+
+        // 本文
+        React.createElement('div', { className: "space-y-1" },
+          React.createElement('div', { className: "flex items-center justify-between gap-3" },
+            React.createElement('span', { className: "text-sm text-gray-300" }, '本文'),
+            React.createElement('select', {
+              value: profile.id,
+              onChange: (e) => setProfileId(e.target.value),
+              className: `${inputClass} w-48`,
+              'aria-label': '本文の出力プロファイル'
+            },
+              (outputProfiles || []).map(p => React.createElement('option', { key: p.id, value: p.id }, p.name))
+            )
+          ),
+          React.createElement('pre', {
+            className: "max-h-48 overflow-y-auto scrollbar-thin bg-gray-900/60 rounded p-2 text-xs whitespace-pre-wrap break-words font-sans"
+          }, draft.body || '（空）')
+        )
+      ),
+
+      React.createElement('div', { className: "flex flex-wrap items-center justify-end gap-2 mt-6" },
+        mailtoTooLong && React.createElement('span', { className: "mr-auto text-xs text-gray-400" }, '本文が長いため、.eml で作成してください'),
+        React.createElement('button', {
+          onClick: onClose,
+          className: "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600"
+        }, 'キャンセル'),
+        React.createElement('button', {
+          onClick: () => handleCreate('mailto'),
+          disabled: mailtoTooLong,
+          title: mailtoTooLong ? `mailto: リンクは ${MailDraft.MAILTO_MAX_LENGTH} 文字までです` : '既定のメールソフトで新規作成画面を開く',
+          className: "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed"
+        }, 'メールソフトで開く'),
+        React.createElement('button', {
+          onClick: () => handleCreate('eml'),
+          className: "px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700"
+        }, '.eml を保存')
+      )
+    )
+  );
+};
+
+// グローバル公開
+window.Components = window.Components || {};
+window.Components.MailDraftModal = MailDraftModal;
@@ -0,0 +1,226 @@
+/**
+ * 出力プロファイル管理モーダル
+ * 貼り付け先（チャット・メール・チケット等）ごとの全体コピーの出力設定を追加・編集・削除する
+ *
+ * 設定項目（OutputProfiles）:
+ * - 名前
+ * - ヘッダー/フッター（{{変数名}}・フィルタ・条件セクションが使える。メールの件名・挨拶・署名など）
+ * - 改行コード（LF / CRLF）
+ * - 空行の扱い（そのまま / 連続する空行を1行に / 空行を削除）
+ * - 書式（テキスト / Markdown / HTML）
+ *
+ * 現在のプレビューと変数で出力例を表示する。変更は「保存」で反映し、キャンセル時は破棄する
+ *
+ * @param {Object} props - プロパティ
+ * @param {boolean} props.isOpen - モーダル表示状態
+ * @param {Function} props.onClose - モーダルを閉じるコールバック
+ * @param {Array<Object>} props.profiles - 出力プロファイル一覧
+ * @param {string} props.activeProfileId - 全体コピーで選択中のプロファイルID
+ * @param {string} props.preview - 現在のプレビュー（出力例用）
+ * @param {Array} props.variables - 現在の変数（出力例用）
+ * @param {Function} props.onSave - 保存 (profiles:Array<Object>, activeProfileId:string) => void
+ * @returns {JSX.Element|null} モーダル要素（非表示時はnull）
+ */
+const OutputProfilesModal = ({ isOpen, onClose, profiles, activeProfileId, preview, variables, onSave }) => {
+  const { useState, useEffect, useMemo } = React;
+  const [drafts, setDrafts] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const list = OutputProfiles.normalizeOutputProfiles(profiles);
+    setDrafts(list);
+    setSelectedId(OutputProfiles.findOutputProfile(list, activeProfileId).id);
+  }, [isOpen, profiles, activeProfileId]);
+
+  const selected = drafts.find(p => p.id === selectedId) || drafts[0] || null;
+
+  /**
+   * 出力例（書式の変換後。改行コードは表示上区別しない）
+   * @type {string}
+   */
+  const sample = useMemo(() => {
+    if (!selected) return '';
+    const output = OutputProfiles.composeOutput(preview, selected, variables);
+    if (selected.markup === 'markdown') return RichText.toMarkdown(output);
+    if (selected.markup === 'html') return RichText.toHtml(output);
+    if (selected.markup === 'stripped') return RichText.toPlainText(output);
+    return output;
+  }, [selected, preview, variables]);
+
+  if (!isOpen || !selected) return null;
+
+  /**
+   * 選択中のプロファイルの項目を更新
+   * @param {string} key - 項目名
+   * @param {*} value - 値
+   * @returns {void}
+   */
+  const updateSelected = (key, value) => {
+    setDrafts(prev => prev.map(p => (p.id === selected.id ? { ...p, [key]: value } : p)));
+  };
+
+  /**
+   * プロファイルの追加（base 指定時は複製）
+   * @param {Object} [base] - 複製元
+   * @returns {void}
+   */
+  const addProfile = (base) => {
+    const created = OutputProfiles.createOutputProfile(base);
+    setDrafts(prev => [...prev, created]);
+    setSelectedId(created.id);
+  };
+
+  /**
+   * 選択中のプロファイルの削除（最後の1件は削除できない）
+   * @returns {Promise<void>}
+   */
+  const removeSelected = async () => {
+    if (drafts.length <= 1) return;
+    let ok = false;
+    try {
+      ok = await window.UI.confirm({
+        title: 'プロファイルの削除',
+        message: `「${selected.name}」を削除しますか？（保存するまで反映されません）`,
+        okText: '削除'
+      });
+    } catch (_) {}
+    if (!ok) return;
+    const index = drafts.findIndex(p => p.id === selected.id);
+    const next = drafts.filter(p => p.id !== selected.id);
+    setDrafts(next);
+    setSelectedId(next[Math.min(index, next.length - 1)].id);
+  };
+
+  /**
+   * 保存（名前の空欄などは正規化して補う）
+   * @returns {void}
+   */
+  const handleSave = () => {
+    const normalized = OutputProfiles.normalizeOutputProfiles(drafts);
+    onSave && onSave(normalized, OutputProfiles.findOutputProfile(normalized, activeProfileId).id);
+    onClose && onClose();
+  };
+
+  /**
+   * 選択欄
+   * @param {string} key - 項目名
+   * @param {string} label - ラベル
+   * @param {Array<{value:string,label:string}>} options - 選択肢
+   * @returns {JSX.Element} 選択欄
+   */
+  const selectField = (key, label, options) => React.createElement('label', { className: "flex items-center justify-between gap-3" },
+    React.createElement('span', { className: "text-sm" }, label),
+    React.createElement('select', {
+      value: selected[key],
+      onChange: (e) => updateSelected(key, e.target.value),
+      className: "w-56 px-2 py-1 bg-gray-700 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+    },
+      options.map(o => React.createElement('option', { key: o.value, value: o.value }, o.label))
+    )
+  );
+
+  /**
+   * ヘッダー/フッターの入力欄
+   * @param {string} key - 項目名
+   * @param {string} label - ラベル
+   * @param {string} placeholder - プレースホルダー
+   * @returns {JSX.Element} 入力欄
+   */
+  const templateField = (key, label, placeholder) => React.createElement('label', { className: "block space-y-1" },
+    React.createElement('span', { className: "text-sm" }, label),
+    React.createElement('textarea', {
+      value: selected[key],
+      onChange: (e) => updateSelected(key, e.target.value),
+      rows: 3,
+      placeholder,
+      className: "w-full px-2 py-1 bg-gray-700 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 scrollbar-thin resize-y"
+    })
+  );
+
+  return React.createElement('div', {
+    className: "fixed inset-0 bg-black/60 flex items-center justify-center z-50",
+    onClick: (e) => { if (e.target === e.currentTarget) onClose && onClose(); }
+  },
+    React.createElement('div', {
+      className: "bg-gray-800 rounded-lg w-[min(100vw,760px)] max-w-[92vw] max-h-[90vh] overflow-y-auto p-6",
+      onClick: (e) => e.stopPropagation(),
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': '出力プロファイル'
+    },
+      React.createElement('div', { className: "flex items-center justify-between mb-4" },
+        React.createElement('h3', { className: "text-lg font-semibold" }, '出力プロファイル'),
+        React.createElement('button', { className: "text-gray-300 hover:text-white", onClick: onClose }, '×')
+      ),
+
+      React.createElement('div', { className: "flex flex-col sm:flex-row gap-4" },
+        // プロファイル一覧
+        React.createElement('div', { className: "sm:w-44 shrink-0 space-y-2" },
+          React.createElement('ul', { className: "space-y-1", role: 'listbox', 'aria-label': 'プロファイル一覧' },
+            drafts.map(p => React.createElement('li', { key: p.id },
+              React.createElement('button', {
+                type: 'button',
+                role: 'option',
+                'aria-selected': p.id === selected.id,
+                onClick: () => setSelectedId(p.id),
+                className: `w-full text-left px-2 py-1.5 rounded text-sm truncate ${p.id === selected.id ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'}`
+              }, p.name || '名称未設定', p.id === activeProfileId && React.createElement('span', { className: "ml-1 text-xs text-gray-300" }, '（使用中）'))
+            ))
+          ),
+          React.createElement('div', { className: "flex flex-wrap gap-2 text-xs" },
+            React.createElement('button', { type: 'button', onClick: () => addProfile(), className: "text-blue-300 hover:text-blue-200" }, '追加'),
+            React.createElement('button', { type: 'button', onClick: () => addProfile(selected), className: "text-blue-300 hover:text-blue-200" }, '複製'),
+            React.createElement('button', {
+              type: 'button',
+              onClick: removeSelected,
+              disabled: drafts.length <= 1,
+              className: "text-red-300 hover:text-red-200 disabled:opacity-40 disabled:cursor-not-allowed"
+            }, '削除')
+          )
+        ),
+
+        // 選択中のプロファイルの設定
+        React.createElement('div', { className: "flex-1 min-w-0 space-y-3" },
+          React.createElement('label', { className: "flex items-center justify-between gap-3" },
+            React.createElement('span', { className: "text-sm" }, '名前'),
+            React.createElement('input', {
+              type: 'text',
+              value: selected.name,
+              maxLength: OutputProfiles.OUTPUT_PROFILE_NAME_MAX_LENGTH,
+              onChange: (e) => updateSelected('name', e.target.value),
+              className: "w-56 px-2 py-1 bg-gray-700 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            })
+          ),
+          templateField('header', 'ヘッダー（本文の前）', '例: 件名: 電話連絡のご報告（{{着信時刻}}）'),
+          templateField('footer', 'フッター（本文の後）', '例: 以上、よろしくお願いいたします。'),
+          React.createElement('div', { className: "text-xs text-gray-400" }, '{{変数名}}・フィルタ・{{#if 変数名}}…{{/if}} が使えます。'),
+          selectField('markup', '書式', Constants.COPY_FORMAT_OPTIONS),
+          selectField('lineBreak', '改行コード', Constants.OUTPUT_LINE_BREAK_OPTIONS),
+          selectField('blankLines', '空行', Constants.OUTPUT_BLANK_LINE_OPTIONS),
+          React.createElement('div', { className: "space-y-1" },
+            React.createElement('span', { className: "text-sm text-gray-300" }, '出力例（現在のプレビュー）'),
+            React.createElement('pre', {
+              className: "max-h-48 overflow-y-auto scrollbar-thin bg-gray-900/60 rounded p-2 text-xs whitespace-pre-wrap break-words font-sans"
+            }, sample || '（空）')
+          )
+        )
+      ),
+
+      React.createElement('div', { className: "flex justify-end gap-2 mt-6" },
+        React.createElement('button', {
+          onClick: onClose,
+          className: "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600"
+        }, 'キャンセル'),
+        React.createElement('button', {
+          onClick: handleSave,
+          className: "px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700"
+        }, '保存')
+      )
+    )
+  );
+};
+
+// グローバル公開
+window.Components = window.Components || {};
+window.Components.OutputProfilesModal = OutputProfilesModal;
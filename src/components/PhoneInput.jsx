@@ -1,28 +1,37 @@
 /**
  * 電話番号入力コンポーネント
- * 日本の電話番号に対応し、入力中は数字のみを許容し、Blur時に自動でハイフンを付与する
+ * 日本の電話番号に加え、国際電話番号（+国番号）と内線番号（内線123 / ext. 123）に対応し、Blur時に自動で整形する
  *
  * 仕様:
- * - onChange: 数字以外は除去して値を反映
- * - onBlur: Helpers.formatJapanesePhone でハイフン整形
- * - onFocus: 編集しやすいように数字のみ表示に戻す
+ * - onChange: 電話番号に使う文字（数字・+・ハイフン・空白・括弧）と内線の書き方（内線 / ext / x / # / , / ;）以外は除去して値を反映
+ *   （全角は半角にする。IMEの変換中はそのまま反映し、確定時に除去）
+ * - onBlur: Helpers.formatPhoneNumber で変数の出力形式（variable.format。入力どおり/国内表記/国際表記/数字のみ）に整形
+ *   （番号として読み取れない入力（「内線」だけなど）は整形せずそのまま残す）
+ * - 入力欄を離れたとき、あり得ない番号（桁数の誤り・割り当てのない市外局番・正しくない国番号など。Helpers.validatePhoneNumber）は
+ *   入力欄を赤枠にして理由を表示する。番号の種類（固定電話・携帯電話・国際電話番号など）は入力欄のツールチップに表示する
  * - 右半分の緑Chipは、`groupValues` を対象に曖昧検索（Helpers.fuzzyFilterAndRank）し、
  *   上位3件を表示する。入力値と候補の完全一致がある場合はChipを非表示。
+ * - 入力した番号が過去の通話（値グループ・セッション履歴）にあれば、入力欄の下に相手の候補（`callers`）を
+ *   通話回数・最終通話日時の順で表示し、選ぶと onPickCaller で記録済みの値（会社名・相手先名など）を入力させる。
+ *   × で閉じた候補は番号が変わるまで表示しない。
  *
  * @param {Object} props - プロパティ
- * @param {Object} props.variable - 変数オブジェクト {id, name, type: 'phone', value}
+ * @param {Object} props.variable - 変数オブジェクト {id, name, type: 'phone', value, format?}
  * @param {Function} props.onChange - 値変更コールバック (updatedVariable:Object) => void
  * @param {Function} [props.onCommitValue] - Blur/Chipクリック時の履歴コミット関数 (name,value,'phone')
- * @param {{groupValues?:string[], history?:string[]}} [props.suggestions] - 右半分Chip候補/下部履歴
+ * @param {{groupValues?:string[], history?:string[], callers?:Array}} [props.suggestions] - 右半分Chip候補/下部履歴/電話番号の逆引き候補（PhoneLookup.lookupCallers）
  * @param {Function} [props.onSuggestOpen] - ドロップダウン展開通知
  * @param {Function} [props.onSuggestClose] - ドロップダウンクローズ通知
+ * @param {Function} [props.onPickCaller] - 逆引き候補の選択 (phoneName:string, caller:Object) => void
  * @returns {JSX.Element} 入力フィールド
  */
-const PhoneInput = React.memo(({ variable, onChange, onCommitValue, suggestions, onSuggestOpen, onSuggestClose }) => {
+const PhoneInput = React.memo(({ variable, onChange, onCommitValue, suggestions, onSuggestOpen, onSuggestClose, onPickCaller }) => {
   const isComposingRef = React.useRef(false);
 
-  const toHalfWidthDigits = React.useCallback((value) => {
-    return String(value || '').replace(/[０-９]/g, (s) => String.fromCharCode(s.charCodeAt(0) - 0xFEE0));
+  const sanitizePhoneText = React.useCallback((value) => {
+    return String(value || '').normalize('NFKC')
+      .replace(/[‐‑‒–—―−ー]/g, '-')
+      .replace(/[^0-9+\-\s().#:,;内線extEXT]/g, '');
   }, []);
 
   const handleCompositionStart = React.useCallback(() => {
@@ -31,28 +40,23 @@ const PhoneInput = React.memo(({ variable, onChange, onCommitValue, suggestions,
 
   const handleCompositionEnd = React.useCallback((e) => {
     isComposingRef.current = false;
-    const half = toHalfWidthDigits(e.target.value);
-    const digitsOnly = half.replace(/\D/g, '');
-    onChange({ ...variable, value: digitsOnly });
-  }, [onChange, variable, toHalfWidthDigits]);
+    onChange({ ...variable, value: sanitizePhoneText(e.target.value) });
+  }, [onChange, variable, sanitizePhoneText]);
 
   const handleChange = React.useCallback((e) => {
-    // 作成中でも都度更新（数字のみ許容）
-    const half = toHalfWidthDigits(e.target.value);
-    const digitsOnly = half.replace(/\D/g, '');
-    onChange({ ...variable, value: digitsOnly });
-  }, [variable, onChange, toHalfWidthDigits]);
+    // 変換中（「ないせん」→「内線」など）はそのまま反映し、確定時に除去する
+    const value = isComposingRef.current ? e.target.value : sanitizePhoneText(e.target.value);
+    onChange({ ...variable, value });
+  }, [variable, onChange, sanitizePhoneText]);
 
   const handleBlur = React.useCallback(() => {
-    const formatted = Helpers.formatJapanesePhone(variable.value || '');
+    const raw = String(variable.value || '');
+    const formatted = Helpers.formatPhoneNumber(raw, variable.format);
+    if (!formatted && raw.trim()) return;
     onChange({ ...variable, value: formatted });
     try { onCommitValue && onCommitValue(variable.name, formatted, 'phone'); } catch (_) {}
   }, [variable, onChange, onCommitValue]);
 
-  const handleFocus = React.useCallback(() => {
-    // 入力時は数字のみを保持（valueはstate反映で既に数字のみ）
-  }, []);
-
   /**
    * クリアボタンクリックハンドラ
    * 入力フィールド右端のゴミ箱アイコン押下で値を空文字にする。
@@ -67,94 +71,144 @@ const PhoneInput = React.memo(({ variable, onChange, onCommitValue, suggestions,
 
   const isEmpty = !String(variable.value || '').trim();
 
-  return React.createElement('div', { className: 'relative group' },
-    React.createElement('input', {
-      type: 'text',
-      inputMode: 'numeric',
-      pattern: '[0-9]*',
-      value: String(variable.value || ''),
-      onCompositionStart: handleCompositionStart,
-      onCompositionEnd: handleCompositionEnd,
-      onChange: handleChange,
-      onBlur: (e) => { try { handleBlur(e); } catch (_) {} try { setTimeout(() => { setOpenSuggest(false); if (typeof onSuggestClose === 'function') onSuggestClose(); }, 120); } catch (_) {} },
-      onFocus: (e) => { try { handleFocus(e); } catch (_) {} try { setOpenSuggest(true); if (typeof onSuggestOpen === 'function') onSuggestOpen(dropdownRef.current); } catch (_) {} },
-      className: 'w-full pr-8 px-3 py-2 bg-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500' + (isEmpty ? ' tsa-input-empty' : ''),
-      placeholder: `${variable.name}を入力（数字のみ）`
-    }),
-    // 右半分Chip（曖昧検索で上位3件、完全一致時は非表示）
-    React.createElement('div', { className: 'pointer-events-none absolute inset-y-0 right-10 w-1/2 flex items-center justify-start gap-1 pl-2 z-10 tsa-scroll-x' },
+  // 番号の検証（入力中は表示しない）
+  const [focused, setFocused] = React.useState(false);
+  const validation = Helpers.validatePhoneNumber(variable.value);
+  const showInvalid = !focused && !isEmpty && !validation.valid && !!validation.message;
+
+  // 逆引き候補を閉じた番号（照合用のキー）
+  const [dismissedKey, setDismissedKey] = React.useState('');
+  const currentKey = Helpers.normalizePhoneKey(variable.value);
+  const callers = (suggestions && Array.isArray(suggestions.callers) && typeof onPickCaller === 'function') ? suggestions.callers : [];
+  const showCallers = callers.length > 0 && dismissedKey !== currentKey;
+
+  return React.createElement('div', null,
+    React.createElement('div', { className: 'relative group' },
+      React.createElement('input', {
+        type: 'text',
+        inputMode: 'tel',
+        value: String(variable.value || ''),
+        onCompositionStart: handleCompositionStart,
+        onCompositionEnd: handleCompositionEnd,
+        onChange: handleChange,
+        onBlur: (e) => { try { handleBlur(e); } catch (_) {} setFocused(false); try { setTimeout(() => { setOpenSuggest(false); if (typeof onSuggestClose === 'function') onSuggestClose(); }, 120); } catch (_) {} },
+        onFocus: () => { setFocused(true); try { setOpenSuggest(true); if (typeof onSuggestOpen === 'function') onSuggestOpen(dropdownRef.current); } catch (_) {} },
+        className: 'w-full pr-8 px-3 py-2 bg-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500' + (isEmpty ? ' tsa-input-empty' : '') + (showInvalid ? ' ring-1 ring-red-500' : ''),
+        placeholder: `${variable.name}を入力（+国番号・内線も可）`,
+        title: validation.label || undefined,
+        'aria-invalid': showInvalid ? 'true' : undefined
+      }),
+      // 右半分Chip（曖昧検索で上位3件、完全一致時は非表示）
+      React.createElement('div', { className: 'pointer-events-none absolute inset-y-0 right-10 w-1/2 flex items-center justify-start gap-1 pl-2 z-10 tsa-scroll-x' },
+        (() => {
+          const chips = [];
+          const values = (suggestions && Array.isArray(suggestions.groupValues)) ? suggestions.groupValues : [];
+          const inputValue = String(variable.value || '');
+          const helpers = (typeof window !== 'undefined' && window.Helpers) ? window.Helpers : null;
+          const ranked = (helpers && typeof helpers.fuzzyFilterAndRank === 'function')
+            ? helpers.fuzzyFilterAndRank(values, inputValue)
+            : (inputValue
+                ? values.filter(v => String(v || '').toLowerCase().includes(inputValue.toLowerCase()))
+                : values);
+          const normalizeDigits = (s) => String(s ?? '').replace(/\D/g, '');
+          const hasExactMatch = values.some(v => normalizeDigits(v) === normalizeDigits(inputValue));
+          const toRender = (!hasExactMatch ? ranked.slice(0, 3) : []);
+          toRender.forEach((val, idx) => {
+            chips.push(React.createElement('button', {
+              key: `group${idx}`,
+              type: 'button',
+              className: 'pointer-events-auto px-2 py-0.5 text-xs bg-transparent border border-emerald-400/60 text-emerald-300 hover:bg-emerald-400/10 rounded',
+              title: 'グループ候補を適用',
+              'aria-label': `${variable.name}にグループ候補を適用`,
+              tabIndex: -1,
+              onMouseDown: (e) => { try { e.preventDefault(); } catch (_) {} },
+              onClick: () => {
+                const v = String(val ?? '');
+                onChange({ ...variable, value: v });
+                try { onCommitValue && onCommitValue(variable.name, v, 'phone'); } catch (_) {}
+              }
+            }, String(val)));
+          });
+          return chips;
+        })()
+      ),
+      // 下部候補ドロップダウン（通常履歴）
       (() => {
-        const chips = [];
-        const values = (suggestions && Array.isArray(suggestions.groupValues)) ? suggestions.groupValues : [];
+        const history = (suggestions && Array.isArray(suggestions.history)) ? suggestions.history : [];
         const inputValue = String(variable.value || '');
-        const helpers = (typeof window !== 'undefined' && window.Helpers) ? window.Helpers : null;
-        const ranked = (helpers && typeof helpers.fuzzyFilterAndRank === 'function')
-          ? helpers.fuzzyFilterAndRank(values, inputValue)
-          : (inputValue
-              ? values.filter(v => String(v || '').toLowerCase().includes(inputValue.toLowerCase()))
-              : values);
-        const normalizeDigits = (s) => String(s ?? '').replace(/\D/g, '');
-        const hasExactMatch = values.some(v => normalizeDigits(v) === normalizeDigits(inputValue));
-        const toRender = (!hasExactMatch ? ranked.slice(0, 3) : []);
-        toRender.forEach((val, idx) => {
-          chips.push(React.createElement('button', {
-            key: `group${idx}`,
-            type: 'button',
-            className: 'pointer-events-auto px-2 py-0.5 text-xs bg-transparent border border-emerald-400/60 text-emerald-300 hover:bg-emerald-400/10 rounded',
-            title: 'グループ候補を適用',
-            'aria-label': `${variable.name}にグループ候補を適用`,
-            tabIndex: -1,
-            onMouseDown: (e) => { try { e.preventDefault(); } catch (_) {} },
-            onClick: () => {
-              const v = String(val ?? '');
-              onChange({ ...variable, value: v });
-              try { onCommitValue && onCommitValue(variable.name, v, 'phone'); } catch (_) {}
-            }
-          }, String(val)));
-        });
-        return chips;
-      })()
-    ),
-    // 下部候補ドロップダウン（通常履歴）
-    (() => {
-      const history = (suggestions && Array.isArray(suggestions.history)) ? suggestions.history : [];
-      const inputValue = String(variable.value || '');
-      const max = 5;
-      const filtered = (inputValue
-        ? history.filter(h => String(h || '').includes(inputValue))
-        : history)
-        .filter(h => String(h || '') !== inputValue);
-      const toShow = filtered.slice(0, max);
-      if (!openSuggest || toShow.length === 0) return null;
-      return React.createElement('div', {
-        ref: dropdownRef,
-        className: 'absolute left-0 right-0 mt-1 bg-gray-800 border border-gray-700 rounded shadow-lg z-40 max-h-48 overflow-auto'
-      }, toShow.map((val, i) => React.createElement('button', {
-        key: i,
+        const max = 5;
+        const filtered = (inputValue
+          ? history.filter(h => String(h || '').includes(inputValue))
+          : history)
+          .filter(h => String(h || '') !== inputValue);
+        const toShow = filtered.slice(0, max);
+        if (!openSuggest || toShow.length === 0) return null;
+        return React.createElement('div', {
+          ref: dropdownRef,
+          className: 'absolute left-0 right-0 mt-1 bg-gray-800 border border-gray-700 rounded shadow-lg z-40 max-h-48 overflow-auto'
+        }, toShow.map((val, i) => React.createElement('button', {
+          key: i,
+          type: 'button',
+          className: 'w-full text-left px-3 py-2 text-sm hover:bg-gray-700',
+          tabIndex: -1,
+          onMouseDown: (e) => { try { e.preventDefault(); } catch (_) {} },
+          onClick: () => {
+            const v = String(val ?? '');
+            onChange({ ...variable, value: v });
+            try { onCommitValue && onCommitValue(variable.name, v, 'phone'); } catch (_) {}
+            try { setOpenSuggest(false); } catch (_) {}
+          }
+        }, val)));
+      })(),
+      React.createElement('button', {
         type: 'button',
-        className: 'w-full text-left px-3 py-2 text-sm hover:bg-gray-700',
         tabIndex: -1,
+        title: '入力内容をクリア',
+        'aria-label': '入力内容をクリア',
         onMouseDown: (e) => { try { e.preventDefault(); } catch (_) {} },
-        onClick: () => {
-          const v = String(val ?? '');
-          onChange({ ...variable, value: v });
-          try { onCommitValue && onCommitValue(variable.name, v, 'phone'); } catch (_) {}
-          try { setOpenSuggest(false); } catch (_) {}
-        }
-      }, val)));
-    })(),
-    React.createElement('button', {
-      type: 'button',
-      tabIndex: -1,
-      title: '入力内容をクリア',
-      'aria-label': '入力内容をクリア',
-      onMouseDown: (e) => { try { e.preventDefault(); } catch (_) {} },
-      onClick: handleClearClick,
-      className: 'absolute right-2 top-1/2 -translate-y-1/2 text-gray-300 hover:text-white opacity-0 group-hover:opacity-100 transition-opacity'
-    },
-      React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
-        React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16' })
+        onClick: handleClearClick,
+        className: 'absolute right-2 top-1/2 -translate-y-1/2 text-gray-300 hover:text-white opacity-0 group-hover:opacity-100 transition-opacity'
+      },
+        React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+          React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16' })
+        )
       )
+    ),
+    showInvalid && React.createElement('div', { className: 'mt-1 text-xs text-red-300', role: 'alert' }, validation.message),
+    // 電話番号の逆引き（過去の通話の相手。通話回数・最終通話日時の順）
+    showCallers && React.createElement('div', {
+      className: 'mt-1 px-3 py-2 text-sm bg-sky-500/10 border border-sky-500/40 rounded-md',
+      role: 'group',
+      'aria-label': `${variable.name}の過去の通話`
+    },
+      React.createElement('div', { className: 'flex items-center justify-between gap-2 mb-1' },
+        React.createElement('span', { className: 'text-xs text-sky-200' },
+          callers.length > 1 ? `この番号は ${callers.length}件の相手に該当します（選ぶと入力）` : 'この番号の過去の通話（選ぶと入力）'),
+        React.createElement('button', {
+          type: 'button',
+          tabIndex: -1,
+          title: '閉じる',
+          'aria-label': '過去の通話の候補を閉じる',
+          onClick: () => setDismissedKey(currentKey),
+          className: 'text-gray-400 hover:text-white'
+        }, '×')
+      ),
+      callers.map(caller => React.createElement('button', {
+        key: caller.key,
+        type: 'button',
+        onMouseDown: (e) => { try { e.preventDefault(); } catch (_) {} },
+        onClick: () => onPickCaller(variable.name, caller),
+        className: 'w-full flex items-center justify-between gap-3 px-2 py-1 text-left rounded hover:bg-sky-500/20'
+      },
+        React.createElement('span', { className: 'min-w-0 truncate' },
+          caller.company || caller.person || '（名称なし）',
+          caller.company && caller.person && React.createElement('span', { className: 'ml-2 text-gray-300' }, caller.person)
+        ),
+        React.createElement('span', { className: 'shrink-0 text-xs text-gray-400' },
+          caller.lastCalledAt
+            ? `最終 ${DateUtils.formatDateTime(caller.lastCalledAt, 'YYYY/MM/DD HH:mm')}・${caller.callCount}回`
+            : '取り込んだ連絡先')
+      ))
     )
   );
 });
@@ -4,7 +4,9 @@
  *
  * 主な機能:
  * - プレビュー内容の表示とテキスト編集
- * - 全体コピーのボタン操作
+ * - 全体コピーのボタン操作（出力プロファイルの選択と管理画面の呼び出し）
+ * - 「メールで作成」（.eml / mailto の下書き作成画面の呼び出し）
+ * - 表示の切り替え（編集: 記法のまま装飾 / 書式: 書式を反映した読み取り専用表示）
  *
  * パフォーマンス:
  * - プレゼンテーションに特化し、状態は親（App/usePreviewSync）から受け取る
@@ -16,6 +18,11 @@
  * @param {Function} props.onCopyButtonClick - 全体コピー押下時に呼ばれるハンドラ () => void
  * @param {Array<{id:string,content:string}>} props.segments - 現在のセグメント配列
  * @param {Array<{id:string,name:string,value:string}>} props.variables - 現在の変数配列
+ * @param {Array<{id:string,name:string}>} [props.outputProfiles] - 出力プロファイル一覧
+ * @param {string} [props.outputProfileId] - 選択中の出力プロファイルID
+ * @param {Function} [props.onOutputProfileChange] - 出力プロファイルの選択 (id: string) => void
+ * @param {Function} [props.onOpenOutputProfiles] - 出力プロファイルの管理を開く () => void
+ * @param {Function} [props.onOpenMailDraft] - メール下書きの作成を開く () => void
  * @returns {JSX.Element} プレビューセクションのJSX
  */
 /**
@@ -24,10 +31,12 @@
  * `{{...}}` 形式の変数トークンだけでなく、「変数値に置換された文字列」も
  * 変数と同じスタイルで強調表示する。入力・編集機能は阻害しない。
  */
-const PreviewPane = React.memo(({ preview, previewRef, onChange, onCopyButtonClick, segments = [], variables = [], onCommitVariables }) => {
-  const { useMemo, useCallback, useRef, useEffect } = React;
+const PreviewPane = React.memo(({ preview, previewRef, onChange, onCopyButtonClick, segments = [], variables = [], onCommitVariables, outputProfiles = [], outputProfileId, onOutputProfileChange, onOpenOutputProfiles, onOpenMailDraft }) => {
+  const { useMemo, useCallback, useRef, useEffect, useState } = React;
   const overlayRef = useRef(null);
   const copyButtonRef = useRef(null);
+  // 表示モード（edit: 編集 / rich: 書式を反映した表示）
+  const [viewMode, setViewMode] = useState('edit');
 
   /**
    * HTMLエスケープ
@@ -41,11 +50,33 @@ const PreviewPane = React.memo(({ preview, previewRef, onChange, onCopyButtonCli
     .replace(/"/g, '&quot;')
     .replace(/'/g, '&#39;'), []);
 
+  /**
+   * 行の範囲をHTMLへ変換し、書式（RichText の文字ごとのクラス）が同じ範囲ごとに <span> で囲む
+   * @param {string} line - 行の文字列
+   * @param {number} start - 開始位置
+   * @param {number} end - 終了位置
+   * @param {string[]} classes - 文字ごとのクラス（RichText.getLineClassMap）
+   * @returns {string} HTML
+   */
+  const renderMarkupRange = useCallback((line, start, end, classes) => {
+    let html = '';
+    let i = start;
+    while (i < end) {
+      let j = i + 1;
+      while (j < end && classes[j] === classes[i]) j += 1;
+      const escaped = escapeHtml(line.slice(i, j));
+      html += classes[i] ? `<span class=\"${classes[i]}\">${escaped}</span>` : escaped;
+      i = j;
+    }
+    return html;
+  }, [escapeHtml]);
+
   /**
    * プレビュー文字列をハイライト済みHTMLへ変換（複数行対応）
    * 仕様:
    * - renderPreviewWithIndexMap の charMap に基づき、変数由来の文字範囲を <span class="tsa-var-token"> で囲む
-   * - フォールバック: セグメント/変数が未提供または失敗時は `{{...}}` 正規表現による簡易ハイライト
+   * - 書式記法（**太字** 等）の範囲は内側に <span class="tsa-md-*"> を重ねる
+   * - フォールバック: セグメント/変数が未提供または失敗時は、プレビュー文字列中の `{{...}}` トークン（共通パーサで検出）を簡易ハイライト
    *
    * @param {string} text - プレビュー文字列
    * @param {Array} segs - セグメント配列
@@ -62,8 +93,9 @@ const PreviewPane = React.memo(({ preview, previewRef, onChange, onCopyButtonCli
         for (let i = 0; i < lines.length; i += 1) {
           const line = String(lines[i] ?? '');
           const map = Array.isArray(lineMaps) ? lineMaps[i] : null;
+          const markupClasses = RichText.getLineClassMap(line);
           if (!map || !Array.isArray(map.charMap) || map.charMap.length !== line.length) {
-            htmlLines.push(escapeHtml(line));
+            htmlLines.push(renderMarkupRange(line, 0, line.length, markupClasses));
             continue;
           }
           let runType = map.charMap.length > 0 && map.charMap[0] && map.charMap[0].type === 'variable' ? 'variable' : 'literal';
@@ -76,9 +108,8 @@ const PreviewPane = React.memo(({ preview, previewRef, onChange, onCopyButtonCli
             const currTokenIndex = entry && typeof entry.tokenIndex === 'number' ? entry.tokenIndex : -1;
             const isBoundary = pos === map.charMap.length || currType !== runType || (currType === 'variable' && currTokenIndex !== runTokenIndex);
             if (isBoundary) {
-              const chunk = line.slice(runStart, pos);
-              if (chunk) {
-                const escaped = escapeHtml(chunk);
+              if (pos > runStart) {
+                const escaped = renderMarkupRange(line, runStart, pos, markupClasses);
                 if (runType === 'variable') {
                   // トークンの値有無でスタイルを分岐（未入力: 黄/現状、入力済み: 緑）
                   let useValueStyle = false;
@@ -109,21 +140,21 @@ const PreviewPane = React.memo(({ preview, previewRef, onChange, onCopyButtonCli
     } catch (_) { /* フォールバックへ */ }
 
     // フォールバック: `{{...}}` のみをハイライト
-    const re = /\{\{\s*([^}\s]+)\s*\}\}/g;
     const src = String(text ?? '');
     let html = '';
-    let last = 0;
-    let m;
-    while ((m = re.exec(src)) !== null) {
-      html += escapeHtml(src.slice(last, m.index));
-      html += `<span class=\"tsa-var-token\">${escapeHtml(m[0])}</span>`;
-      last = re.lastIndex;
+    try {
+      for (const t of window.Helpers.tokenizeSegmentTemplate(src)) {
+        const raw = src.slice(t.start, t.end);
+        html += t.type === 'literal' ? escapeHtml(raw) : `<span class=\"tsa-var-token\">${escapeHtml(raw)}</span>`;
+      }
+    } catch (_) {
+      html = escapeHtml(src);
     }
-    html += escapeHtml(src.slice(last));
     return html;
-  }, [escapeHtml]);
+  }, [escapeHtml, renderMarkupRange]);
 
   const highlightedHtml = useMemo(() => toHighlightedHtml(preview, segments, variables), [preview, segments, variables, toHighlightedHtml]);
+  const richHtml = useMemo(() => (viewMode === 'rich' ? RichText.toHtml(preview) : ''), [viewMode, preview]);
 
   /**
    * スクロール同期（textarea とオーバーレイ）
@@ -155,6 +186,43 @@ const PreviewPane = React.memo(({ preview, previewRef, onChange, onCopyButtonCli
       React.createElement('div', { className: "flex items-center justify-between gap-3 flex-wrap" },
         React.createElement('h2', { className: "text-lg font-semibold" }, 'プレビュー'),
         React.createElement('div', { className: "flex items-center gap-2" },
+          // 表示切り替え
+          React.createElement('div', { className: "flex rounded-md overflow-hidden border border-gray-600 text-sm", role: 'group', 'aria-label': '表示' },
+            [['edit', '編集'], ['rich', '書式']].map(([mode, label]) => React.createElement('button', {
+              key: mode,
+              type: 'button',
+              tabIndex: -1,
+              onClick: () => setViewMode(mode),
+              'aria-pressed': viewMode === mode,
+              title: mode === 'edit' ? '記法のまま編集' : '書式を反映して表示（読み取り専用）',
+              className: `px-2 py-1 ${viewMode === mode ? 'bg-gray-600' : 'bg-gray-800 hover:bg-gray-700'}`
+            }, label))
+          ),
+          React.createElement('select', {
+            value: outputProfileId,
+            onChange: (e) => onOutputProfileChange && onOutputProfileChange(e.target.value),
+            tabIndex: -1,
+            title: '出力プロファイル（貼り付け先）',
+            'aria-label': '出力プロファイル',
+            className: "max-w-[9rem] px-2 py-1.5 bg-gray-700 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          },
+            outputProfiles.map(p => React.createElement('option', { key: p.id, value: p.id }, p.name))
+          ),
+          React.createElement('button', {
+            type: 'button',
+            tabIndex: -1,
+            onClick: onOpenOutputProfiles,
+            title: '出力プロファイルの管理',
+            'aria-label': '出力プロファイルの管理',
+            className: "px-2 py-1.5 bg-gray-700 rounded-md hover:bg-gray-600 text-sm"
+          }, '⚙'),
+          React.createElement('button', {
+            type: 'button',
+            tabIndex: -1,
+            onClick: onOpenMailDraft,
+            title: 'メールソフトで開ける下書き（.eml / mailto）を作成',
+            className: "px-3 py-1.5 bg-gray-700 rounded-md hover:bg-gray-600 transition-colors"
+          }, 'メールで作成'),
           React.createElement('button', {
             ref: copyButtonRef,
             onClick: onCopyButtonClick,
@@ -172,7 +240,13 @@ const PreviewPane = React.memo(({ preview, previewRef, onChange, onCopyButtonCli
       )
     ),
     React.createElement('div', { className: "p-4" },
-      React.createElement('div', { className: 'relative' },
+      // 書式を反映した表示（編集用の入力は非表示のまま保持する）
+      viewMode === 'rich' && React.createElement('div', {
+        className: "tsa-rich-view w-full h-48 px-3 py-2 bg-gray-700 rounded-md overflow-y-auto scrollbar-thin break-words",
+        'aria-label': 'プレビュー（書式表示）',
+        dangerouslySetInnerHTML: { __html: richHtml || '<span class=\"text-gray-400\">ここに報告文が表示されます...</span>' }
+      }),
+      React.createElement('div', { className: `relative ${viewMode === 'rich' ? 'hidden' : ''}` },
         // オーバーレイ（視覚表示: 複数行対応）
         React.createElement('div', { className: 'tsa-overlay-container', 'aria-hidden': true },
           React.createElement('div', {
@@ -0,0 +1,160 @@
+/**
+ * 折り返しリマインダー設定モーダル
+ * 下書きまたはセッション履歴に折り返しの予定日時とメモを設定・解除する（Reminders）
+ *
+ * 操作:
+ * - 予定日時: 日時の入力、または候補（Constants.REMINDER_PRESETS。30分後・明日 12:00・翌営業日 9:00 など）から選択
+ * - .ics を保存: 入力中の予定日時でカレンダー登録用のファイルを保存する
+ * - 保存時、ブラウザ通知が未確認であれば許可を求める（拒否されていても期限を過ぎた折り返しはサイドバーに表示される）
+ *
+ * @param {Object} props - プロパティ
+ * @param {boolean} props.isOpen - モーダル表示状態
+ * @param {Function} props.onClose - モーダルを閉じるコールバック
+ * @param {{kind:'session'|'draft', id:string, title:string, content:string, reminder:Object|null}|null} props.target - 対象
+ * @param {Function} props.onSave - 保存 (reminder:{at:string, note:string}|null) => void（null は解除）
+ * @param {Function} props.onExportIcs - .ics の保存 (reminder:{at:string, note:string}) => void
+ * @returns {JSX.Element|null} モーダル要素（非表示時はnull）
+ */
+const ReminderModal = ({ isOpen, onClose, target, onSave, onExportIcs }) => {
+  const { useState, useEffect } = React;
+  const [atValue, setAtValue] = useState('');
+  const [note, setNote] = useState('');
+  const [permission, setPermission] = useState(() => NotificationService.getPermission());
+
+  // 対象の本文（プレビュー）が変わっても入力中の内容は保持する
+  useEffect(() => {
+    if (!isOpen || !target) return;
+    const reminder = Reminders.normalizeReminder(target.reminder);
+    setAtValue(reminder ? Reminders.toDateTimeLocalValue(reminder.at) : Reminders.toDateTimeLocalValue(Reminders.resolveReminderPreset(Constants.REMINDER_PRESETS[1])));
+    setNote(reminder ? reminder.note : '');
+    setPermission(NotificationService.getPermission());
+  }, [isOpen, target?.kind, target?.id, target?.reminder?.at]);
+
+  if (!isOpen || !target) return null;
+
+  const at = Reminders.fromDateTimeLocalValue(atValue);
+  const reminder = at ? { at: at.toISOString(), note: note.trim() } : null;
+
+  /**
+   * 保存（通知の許可が未確認なら求める）
+   * @returns {Promise<void>}
+   */
+  const handleSave = async () => {
+    if (!reminder) return;
+    onSave && onSave(reminder);
+    onClose && onClose();
+    try { await NotificationService.requestPermission(); } catch (_) {}
+  };
+
+  /**
+   * 解除
+   * @returns {void}
+   */
+  const handleClear = () => {
+    onSave && onSave(null);
+    onClose && onClose();
+  };
+
+  /**
+   * 通知の状態の説明
+   * @type {string}
+   */
+  const permissionText = {
+    granted: '予定日時にデスクトップ通知を表示します（アプリを開いている間）。',
+    denied: 'ブラウザの通知がブロックされています。期限を過ぎた折り返しはサイドバーに表示されます。',
+    default: '保存時にブラウザ通知の許可を求めます。',
+    unsupported: 'このブラウザは通知に対応していません。期限を過ぎた折り返しはサイドバーに表示されます。'
+  }[permission] || '';
+
+  return React.createElement('div', {
+    className: "fixed inset-0 bg-black/60 flex items-center justify-center z-50",
+    onClick: (e) => { if (e.target === e.currentTarget) onClose && onClose(); }
+  },
+    React.createElement('div', {
+      className: "bg-gray-800 rounded-lg w-[min(100vw,480px)] max-w-[92vw] max-h-[90vh] overflow-y-auto p-6",
+      onClick: (e) => e.stopPropagation(),
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': '折り返しリマインダー'
+    },
+      React.createElement('div', { className: "flex items-center justify-between mb-4" },
+        React.createElement('h3', { className: "text-lg font-semibold" }, '折り返しリマインダー'),
+        React.createElement('button', { className: "text-gray-300 hover:text-white", onClick: onClose }, '×')
+      ),
+
+      React.createElement('div', { className: "space-y-4" },
+        React.createElement('div', { className: "text-sm text-gray-300 truncate", title: target.title },
+          `${target.kind === 'draft' ? '下書き' : '履歴'}「${target.title}」`
+        ),
+
+        // 予定日時
+        React.createElement('div', { className: "space-y-2" },
+          React.createElement('label', { className: "block space-y-1" },
+            React.createElement('span', { className: "text-sm text-gray-300" }, '予定日時'),
+            React.createElement('input', {
+              type: 'datetime-local',
+              value: atValue,
+              onChange: (e) => setAtValue(e.target.value),
+              className: "w-full px-3 py-2 bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500",
+              autoFocus: true
+            })
+          ),
+          React.createElement('div', { className: "flex flex-wrap gap-1" },
+            Constants.REMINDER_PRESETS.map(preset => React.createElement('button', {
+              key: preset.label,
+              type: 'button',
+              onClick: () => setAtValue(Reminders.toDateTimeLocalValue(Reminders.resolveReminderPreset(preset))),
+              className: "px-2 py-0.5 text-xs bg-gray-700 rounded hover:bg-gray-600"
+            }, preset.label))
+          ),
+          at && at.getTime() <= Date.now() && React.createElement('div', { className: "text-xs text-yellow-300" }, '過去の日時です。保存するとすぐに通知されます。')
+        ),
+
+        // メモ
+        React.createElement('label', { className: "block space-y-1" },
+          React.createElement('span', { className: "text-sm text-gray-300" }, 'メモ'),
+          React.createElement('input', {
+            type: 'text',
+            value: note,
+            maxLength: Reminders.REMINDER_NOTE_MAX_LENGTH,
+            onChange: (e) => setNote(e.target.value),
+            placeholder: '例: 明日の午前中までにご連絡予定',
+            className: "w-full px-3 py-2 bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          })
+        ),
+
+        React.createElement('div', { className: "text-xs text-gray-400" }, permissionText)
+      ),
+
+      React.createElement('div', { className: "flex flex-wrap items-center justify-between gap-2 mt-6" },
+        React.createElement('div', { className: "flex items-center gap-2" },
+          target.reminder && React.createElement('button', {
+            onClick: handleClear,
+            className: "px-3 py-2 text-sm text-red-300 hover:text-red-200"
+          }, '解除'),
+          React.createElement('button', {
+            onClick: () => reminder && onExportIcs && onExportIcs(reminder),
+            disabled: !reminder,
+            className: "px-3 py-2 text-sm bg-gray-700 rounded-md hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed",
+            title: 'カレンダーに登録する予定ファイルを保存'
+          }, '.ics を保存')
+        ),
+        React.createElement('div', { className: "flex items-center gap-2" },
+          React.createElement('button', {
+            onClick: onClose,
+            className: "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600"
+          }, 'キャンセル'),
+          React.createElement('button', {
+            onClick: handleSave,
+            disabled: !reminder,
+            className: "px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          }, '保存')
+        )
+      )
+    )
+  );
+};
+
+// グローバル公開
+window.Components = window.Components || {};
+window.Components.ReminderModal = ReminderModal;
@@ -0,0 +1,123 @@
+/**
+ * 履歴の保存設定モーダル
+ * セッション履歴・値グループ履歴の保持上限を設定する
+ *
+ * 設定項目:
+ * - セッション履歴の保持件数（0 は無制限）
+ * - セッション履歴の保持日数（0 は無制限）
+ * - お気に入りを常に保持するか（保持件数にも含めない）
+ * - 値グループ履歴の保持件数（0 は無制限）
+ *
+ * 上限を超えたセッションは削除せずアーカイブへ移動し、サイドバーの「アーカイブ」タブから参照できる。
+ *
+ * @param {Object} props - プロパティ
+ * @param {boolean} props.isOpen - モーダル表示状態
+ * @param {Function} props.onClose - モーダルを閉じるコールバック
+ * @param {Object} props.retention - 現在の保持設定
+ * @param {number} props.sessionCount - 現在のセッション履歴件数
+ * @param {Function} props.onSave - 保存 (retention:Object) => void
+ * @returns {JSX.Element|null} モーダル要素（非表示時はnull）
+ */
+const RetentionSettingsModal = ({ isOpen, onClose, retention, sessionCount, onSave }) => {
+  const { useState, useEffect } = React;
+  const [form, setForm] = useState(() => Helpers.normalizeRetentionSettings(retention));
+
+  useEffect(() => {
+    if (isOpen) setForm(Helpers.normalizeRetentionSettings(retention));
+  }, [isOpen, retention]);
+
+  if (!isOpen) return null;
+
+  /**
+   * 入力値を正規化した保存用の設定（空欄・不正値は既定値で補完）
+   * @type {Object}
+   */
+  const normalized = Helpers.normalizeRetentionSettings(form);
+
+  /**
+   * 数値入力欄の生成
+   * @param {string} key - 設定キー
+   * @param {string} label - ラベル
+   * @param {string} unit - 単位
+   * @returns {JSX.Element} 入力欄
+   */
+  const numberField = (key, label, unit) => React.createElement('label', { className: "flex items-center justify-between gap-3" },
+    React.createElement('span', { className: "text-sm" }, label),
+    React.createElement('span', { className: "flex items-center gap-2" },
+      React.createElement('input', {
+        type: 'number',
+        min: 0,
+        step: 1,
+        value: form[key],
+        onChange: (e) => {
+          const value = e.target.value;
+          setForm(prev => ({ ...prev, [key]: value }));
+        },
+        className: "w-24 px-2 py-1 bg-gray-700 rounded text-right focus:outline-none focus:ring-2 focus:ring-blue-500"
+      }),
+      React.createElement('span', { className: "text-sm text-gray-400 w-6" }, unit)
+    )
+  );
+
+  return React.createElement('div', {
+    className: "fixed inset-0 bg-black/60 flex items-center justify-center z-50",
+    onClick: (e) => { if (e.target === e.currentTarget) onClose && onClose(); }
+  },
+    React.createElement('div', {
+      className: "bg-gray-800 rounded-lg w-[min(100vw,480px)] max-w-[92vw] p-6",
+      onClick: (e) => e.stopPropagation(),
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': '履歴の保存設定'
+    },
+      React.createElement('div', { className: "flex items-center justify-between mb-4" },
+        React.createElement('h3', { className: "text-lg font-semibold" }, '履歴の保存設定'),
+        React.createElement('button', { className: "text-gray-300 hover:text-white", onClick: onClose }, '×')
+      ),
+
+      React.createElement('div', { className: "space-y-4" },
+        React.createElement('div', { className: "space-y-3 border border-gray-700 rounded-md p-4" },
+          React.createElement('h4', { className: "font-semibold" }, 'セッション履歴'),
+          numberField('maxSessions', '保持件数', '件'),
+          numberField('maxAgeDays', '保持期間', '日'),
+          React.createElement('label', { className: "flex items-center gap-2" },
+            React.createElement('input', {
+              type: 'checkbox',
+              checked: !!form.keepFavorites,
+              onChange: (e) => {
+                const checked = e.target.checked;
+                setForm(prev => ({ ...prev, keepFavorites: checked }));
+              }
+            }),
+            React.createElement('span', { className: "text-sm" }, 'お気に入りは常に保持する（件数に含めない）')
+          ),
+          React.createElement('div', { className: "text-xs text-gray-400" },
+            `0 は無制限です。上限を超えた履歴は削除されず「アーカイブ」へ移動し、サイドバーから参照・検索できます。（現在 ${sessionCount || 0} 件）`
+          )
+        ),
+        React.createElement('div', { className: "space-y-3 border border-gray-700 rounded-md p-4" },
+          React.createElement('h4', { className: "font-semibold" }, '値グループ履歴'),
+          numberField('maxValueGroups', '保持件数', '件'),
+          React.createElement('div', { className: "text-xs text-gray-400" },
+            'コピー時に保存される変数値の組み合わせ（グループ補完の候補）です。0 は無制限です。取り込んだ連絡先は件数に含めず、常に保持します。'
+          )
+        )
+      ),
+
+      React.createElement('div', { className: "flex justify-end gap-2 mt-6" },
+        React.createElement('button', {
+          onClick: onClose,
+          className: "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600"
+        }, 'キャンセル'),
+        React.createElement('button', {
+          onClick: () => { onSave && onSave(normalized); onClose && onClose(); },
+          className: "px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700"
+        }, '保存')
+      )
+    )
+  );
+};
+
+// グローバル公開
+window.Components = window.Components || {};
+window.Components.RetentionSettingsModal = RetentionSettingsModal;
@@ -6,6 +6,7 @@
  * - ドラッグハンドルでの並び替え
  * - オートコンプリート機能付きのリアルタイム編集
  * - テンプレート・履歴・変数候補の表示
+ * - 書式ツールバー（入力中のみ表示）とショートカットによる書式の付け外し（RichText.MARKUP_FORMATS）
  * - 文節の削除と追加
  * - パフォーマンス最適化のためのReact.memoでラップ
  *
@@ -27,6 +28,8 @@ const SegmentItem = React.memo(({ segment, index, onUpdate, onDelete, onAdd, tem
 
     // ドラッグハンドルの参照
     const dragHandleRef = useRef(null);
+    // 入力要素の参照（書式適用時の選択範囲の取得・復元用）
+    const inputRef = useRef(null);
     // ローカル編集用の状態（デバウンス処理のため）
     const [localValue, setLocalValue] = useState(segment.content);
 
@@ -51,8 +54,38 @@ const SegmentItem = React.memo(({ segment, index, onUpdate, onDelete, onAdd, tem
         setLocalValue(segment.content);
     }, [segment.content]);
 
+    /**
+     * 選択範囲への書式の付け外し
+     * 値の反映後に選択範囲を書式の内側へ戻す
+     * @param {string} formatId - 書式ID
+     */
+    const applyFormat = (formatId) => {
+        const el = inputRef.current;
+        if (!el) return;
+        const result = RichText.toggleFormat(el.value, el.selectionStart, el.selectionEnd, formatId);
+        setLocalValue(result.value);
+        requestAnimationFrame(() => {
+            try {
+                el.focus();
+                el.setSelectionRange(result.selectionStart, result.selectionEnd);
+            } catch (_) {}
+        });
+    };
+
+    /**
+     * 書式ショートカットの処理（IME変換中は対象外）
+     * @param {KeyboardEvent} e - キーボードイベント
+     */
+    const handleKeyDown = (e) => {
+        if (e.nativeEvent?.isComposing) return;
+        const formatId = RichText.matchShortcut(e);
+        if (!formatId) return;
+        e.preventDefault();
+        applyFormat(formatId);
+    };
+
     return React.createElement('div', { className: "w-full" },
-        React.createElement('div', { className: "flex items-center gap-2 p-2 bg-gray-800 rounded-lg group" },
+        React.createElement('div', { className: "relative flex items-center gap-2 p-2 bg-gray-800 rounded-lg group" },
             React.createElement('div', {
                 ref: dragHandleRef,
                 className: "cursor-move p-1 hover:bg-gray-700 rounded",
@@ -80,8 +113,27 @@ const SegmentItem = React.memo(({ segment, index, onUpdate, onDelete, onAdd, tem
                 variables: variables,
                 onVariableCommit: onVariableCommit,
                 placeholder: "文節を入力…（{{}}で変数）",
-                className: "flex-1 px-3 py-2 bg-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                className: "flex-1 px-3 py-2 bg-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500",
+                inputRef: inputRef,
+                onKeyDown: handleKeyDown
             }),
+            // 書式ツールバー（入力中のみ表示。ボタンは入力のフォーカスを奪わない）
+            React.createElement('div', {
+                className: "absolute right-24 top-0 -translate-y-1/2 hidden group-focus-within:flex items-center gap-0.5 px-1 py-0.5 bg-gray-900 border border-gray-600 rounded-md shadow-lg z-30",
+                role: 'toolbar',
+                'aria-label': '書式'
+            },
+                RichText.MARKUP_FORMATS.map(f => React.createElement('button', {
+                    key: f.id,
+                    type: 'button',
+                    tabIndex: -1,
+                    title: `${f.label}（${f.shortcutLabel}）`,
+                    'aria-label': f.label,
+                    onMouseDown: (e) => { try { e.preventDefault(); } catch (_) {} },
+                    onClick: () => applyFormat(f.id),
+                    className: `min-w-[1.5rem] px-1 text-xs leading-5 text-gray-200 hover:bg-gray-700 rounded ${f.id === 'bold' ? 'font-bold' : ''} ${f.id === 'italic' ? 'italic font-serif' : ''} ${f.id === 'strike' ? 'line-through' : ''} ${f.id === 'code' ? 'font-mono' : ''}`
+                }, f.icon))
+            ),
             // 右側の固定幅カラム（変更ドットと削除ハイフンを重ねて表示）
             React.createElement('div', { className: "relative w-5 shrink-0 flex items-center justify-center" },
                 changeStatus
@@ -0,0 +1,192 @@
+/**
+ * 選択肢入力コンポーネント
+ * 選択肢（select）タイプの変数専用の入力。管理された選択肢リストから値を選ぶ。
+ *
+ * 仕様:
+ * - フォーカス時に選択肢ドロップダウンを表示（先頭9件には 1〜9 のショートカット番号を表示）
+ * - キーボード操作:
+ *   - 数字キー 1〜9: 対応する選択肢を即時選択（自由入力許可時は Alt+数字）
+ *   - ↑/↓: ドロップダウン内の候補を移動、Enter: 候補を確定、Esc: ドロップダウンを閉じる
+ *   - Delete/Backspace（自由入力不可時）: 値をクリア
+ * - 自由入力許可（variable.allowCustom）時は通常のテキスト入力として動作し、
+ *   ドロップダウンは入力値で曖昧検索（Helpers.fuzzyFilterAndRank）した候補を表示する
+ * - 自由入力不可時は入力欄を読み取り専用とし、選択肢以外の値を入力させない
+ * - 確定時（選択/Blur）に onCommitValue で履歴へコミット
+ *
+ * @param {Object} props - プロパティ
+ * @param {Object} props.variable - 変数オブジェクト {id, name, type: 'select', value, options, allowCustom}
+ * @param {Function} props.onChange - 値変更コールバック (updatedVariable:Object) => void
+ * @param {Function} [props.onCommitValue] - 確定時の履歴コミット関数 (name,value,'select')
+ * @param {Function} [props.onSuggestOpen] - ドロップダウン展開通知
+ * @param {Function} [props.onSuggestClose] - ドロップダウンクローズ通知
+ * @returns {JSX.Element} 入力フィールド
+ */
+const SelectInput = React.memo(({ variable, onChange, onCommitValue, onSuggestOpen, onSuggestClose }) => {
+    const { useState, useCallback, useMemo, useRef } = React;
+    const [open, setOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(-1);
+    const dropdownRef = useRef(null);
+
+    const options = useMemo(() => Helpers.normalizeSelectOptions(variable.options || []), [variable.options]);
+    const allowCustom = !!variable.allowCustom;
+    const value = String(variable.value || '');
+    const isEmpty = !value.trim();
+
+    /**
+     * ドロップダウンに表示する候補
+     * 自由入力時は入力値で曖昧検索し、入力値が選択肢と完全一致する場合は全件を表示する
+     */
+    const visibleOptions = useMemo(() => {
+        if (!allowCustom || !value || options.includes(value)) return options;
+        return Helpers.fuzzyFilterAndRank(options, value);
+    }, [allowCustom, value, options]);
+
+    /**
+     * 選択肢の確定
+     * @param {string} opt - 選択した値
+     * @returns {void}
+     */
+    const pick = useCallback((opt) => {
+        const v = String(opt ?? '');
+        onChange({ ...variable, value: v });
+        try { onCommitValue && onCommitValue(variable.name, v, 'select'); } catch (_) {}
+        setActiveIndex(-1);
+    }, [variable, onChange, onCommitValue]);
+
+    /**
+     * キーボードショートカット処理
+     * @param {KeyboardEvent} e - キーイベント
+     * @returns {void}
+     */
+    const handleKeyDown = useCallback((e) => {
+        if (e.nativeEvent && e.nativeEvent.isComposing) return;
+        // 数字キーによるクイック選択（自由入力時は Alt 併用）
+        if (/^[1-9]$/.test(e.key) && (!allowCustom || e.altKey) && !e.ctrlKey && !e.metaKey) {
+            const opt = options[parseInt(e.key, 10) - 1];
+            if (opt !== undefined) {
+                e.preventDefault();
+                pick(opt);
+            }
+            return;
+        }
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (visibleOptions.length === 0) return;
+            e.preventDefault();
+            setOpen(true);
+            setActiveIndex((prev) => {
+                const base = prev < 0 ? visibleOptions.indexOf(value) : prev;
+                const delta = e.key === 'ArrowDown' ? 1 : -1;
+                if (base < 0) return delta > 0 ? 0 : visibleOptions.length - 1;
+                return (base + delta + visibleOptions.length) % visibleOptions.length;
+            });
+            return;
+        }
+        if (e.key === 'Enter' && open && activeIndex >= 0 && activeIndex < visibleOptions.length) {
+            e.preventDefault();
+            pick(visibleOptions[activeIndex]);
+            setOpen(false);
+            return;
+        }
+        if (e.key === 'Escape') {
+            setOpen(false);
+            setActiveIndex(-1);
+            return;
+        }
+        if (!allowCustom && (e.key === 'Delete' || e.key === 'Backspace')) {
+            e.preventDefault();
+            pick('');
+        }
+    }, [allowCustom, options, visibleOptions, value, open, activeIndex, pick]);
+
+    /**
+     * 自由入力時のテキスト変更
+     * @param {Event} e - 入力イベント
+     * @returns {void}
+     */
+    const handleTextChange = useCallback((e) => {
+        if (!allowCustom) return;
+        onChange({ ...variable, value: e.target.value });
+        setActiveIndex(-1);
+        setOpen(true);
+    }, [allowCustom, variable, onChange]);
+
+    /**
+     * Blur時の処理（自由入力値のコミットとドロップダウンのクローズ）
+     * @returns {void}
+     */
+    const handleBlur = useCallback(() => {
+        if (allowCustom) {
+            try { onCommitValue && onCommitValue(variable.name, value, 'select'); } catch (_) {}
+        }
+        try {
+            setTimeout(() => {
+                setOpen(false);
+                setActiveIndex(-1);
+                if (typeof onSuggestClose === 'function') onSuggestClose();
+            }, 120);
+        } catch (_) {}
+    }, [allowCustom, onCommitValue, variable, value, onSuggestClose]);
+
+    return React.createElement('div', { className: 'relative group' },
+        React.createElement('input', {
+            type: 'text',
+            value,
+            readOnly: !allowCustom,
+            onChange: handleTextChange,
+            onKeyDown: handleKeyDown,
+            onClick: () => setOpen(true),
+            onFocus: () => { setOpen(true); try { if (typeof onSuggestOpen === 'function') onSuggestOpen(dropdownRef.current); } catch (_) {} },
+            onBlur: handleBlur,
+            className: 'w-full pr-8 px-3 py-2 bg-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500' + (allowCustom ? '' : ' cursor-pointer') + (isEmpty ? ' tsa-input-empty' : ''),
+            placeholder: allowCustom ? `${variable.name}を選択または入力` : `${variable.name}を選択（1〜9キー）`,
+            role: 'combobox',
+            'aria-expanded': open,
+            'aria-autocomplete': 'list'
+        }),
+        // 選択肢ドロップダウン
+        open && visibleOptions.length > 0 && React.createElement('div', {
+            ref: dropdownRef,
+            role: 'listbox',
+            className: 'absolute left-0 right-0 mt-1 bg-gray-800 border border-gray-700 rounded shadow-lg z-40 max-h-48 overflow-auto'
+        }, visibleOptions.map((opt, i) => {
+            const shortcut = options.indexOf(opt) + 1;
+            const selected = opt === value;
+            return React.createElement('button', {
+                key: opt,
+                type: 'button',
+                role: 'option',
+                'aria-selected': selected,
+                tabIndex: -1,
+                className: 'w-full text-left px-3 py-2 text-sm flex items-center gap-2 hover:bg-gray-700' + (i === activeIndex ? ' bg-gray-700' : '') + (selected ? ' text-blue-300' : ''),
+                onMouseDown: (e) => { try { e.preventDefault(); } catch (_) {} },
+                onClick: () => { pick(opt); setOpen(false); }
+            },
+                React.createElement('span', { className: 'w-4 text-xs text-gray-400 text-right' }, shortcut > 0 && shortcut <= 9 ? String(shortcut) : ''),
+                React.createElement('span', null, opt)
+            );
+        })),
+        React.createElement('button', {
+            type: 'button',
+            tabIndex: -1,
+            title: '選択をクリア',
+            'aria-label': '選択をクリア',
+            onMouseDown: (e) => { try { e.preventDefault(); } catch (_) {} },
+            onClick: () => pick(''),
+            className: 'absolute right-2 top-1/2 -translate-y-1/2 text-gray-300 hover:text-white opacity-0 group-hover:opacity-100 transition-opacity',
+        },
+            React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+                React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16' })
+            )
+        )
+    );
+});
+
+// 表示名の設定（デバッグ用）
+SelectInput.displayName = 'SelectInput';
+
+/**
+ * グローバルスコープへの公開
+ * モジュラー構成でのコンポーネント参照を可能にする
+ */
+window.Components = window.Components || {};
+window.Components.SelectInput = SelectInput;
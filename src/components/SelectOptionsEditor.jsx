@@ -0,0 +1,73 @@
+/**
+ * 選択肢編集コンポーネント
+ * 選択肢（select）タイプの変数について、選択肢リストと自由入力可否を編集する。
+ * 変数追加モーダル/変数編集モーダルの双方から利用する。
+ *
+ * 仕様:
+ * - 選択肢はテキストエリアに1行1件で入力する（空行・重複は保存時に除外）
+ * - プリセット（Constants.SELECT_OPTION_PRESETS）ボタンで定型リストを一括展開
+ * - 「自由入力を許可」ON の場合、入力欄で選択肢以外の値も入力できる
+ *
+ * @param {Object} props - プロパティ
+ * @param {string[]} props.options - 現在の選択肢配列
+ * @param {boolean} props.allowCustom - 自由入力の許可
+ * @param {Function} props.onChange - 変更通知 ({options:string[], allowCustom:boolean}) => void
+ * @returns {JSX.Element} 選択肢編集UI
+ */
+const SelectOptionsEditor = ({ options, allowCustom, onChange }) => {
+    const { useState } = React;
+
+    // 入力途中の空行を保持するため、テキストはローカルで管理し、通知時のみ正規化する
+    const [text, setText] = useState(() => (Array.isArray(options) ? options : []).join('\n'));
+    const presets = (window.Constants && Array.isArray(window.Constants.SELECT_OPTION_PRESETS)) ? window.Constants.SELECT_OPTION_PRESETS : [];
+
+    /**
+     * テキスト変更時の処理
+     * @param {string} nextText - 入力テキスト
+     * @returns {void}
+     */
+    const handleTextChange = (nextText) => {
+        setText(nextText);
+        onChange && onChange({ options: Helpers.normalizeSelectOptions(nextText), allowCustom: !!allowCustom });
+    };
+
+    const count = Helpers.normalizeSelectOptions(text).length;
+
+    return React.createElement('div', { className: 'mb-4' },
+        React.createElement('label', { className: 'block text-sm font-medium mb-2' }, '選択肢（1行に1つ）'),
+        presets.length > 0 && React.createElement('div', { className: 'flex flex-wrap gap-1 mb-2' },
+            presets.map((p, i) => React.createElement('button', {
+                key: i,
+                type: 'button',
+                onClick: () => handleTextChange(p.options.join('\n')),
+                className: 'px-2 py-0.5 text-xs bg-gray-700 hover:bg-gray-600 rounded',
+                title: `${p.options.join(' / ')}`
+            }, p.label))
+        ),
+        React.createElement('textarea', {
+            value: text,
+            onChange: (e) => handleTextChange(e.target.value),
+            rows: 4,
+            className: 'w-full px-3 py-2 bg-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm',
+            placeholder: '例:\n折り返し\n伝言\n転送'
+        }),
+        React.createElement('div', { className: 'flex items-center justify-between mt-1' },
+            React.createElement('label', { className: 'flex items-center gap-2 text-sm' },
+                React.createElement('input', {
+                    type: 'checkbox',
+                    checked: !!allowCustom,
+                    onChange: (e) => onChange && onChange({ options: Helpers.normalizeSelectOptions(text), allowCustom: e.target.checked })
+                }),
+                '自由入力を許可'
+            ),
+            React.createElement('span', { className: 'text-xs text-gray-400' }, `${count}件`)
+        )
+    );
+};
+
+/**
+ * グローバルスコープへの公開
+ * モジュラー構成でのコンポーネント参照を可能にする
+ */
+window.Components = window.Components || {};
+window.Components.SelectOptionsEditor = SelectOptionsEditor;
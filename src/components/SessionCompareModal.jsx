@@ -0,0 +1,194 @@
+/**
+ * セッション比較モーダル
+ * 2件のセッション履歴を左右に並べ、報告文の行・文字単位の差分と、値が異なる変数の一覧を表示する
+ *
+ * 表示:
+ * - 左が以前（古い方）、右が以後（新しい方）。入れ替えボタンで左右を反転できる
+ * - 報告文: 類似性ベースで行を整列（DiffUtils.buildLineDiff）し、変更行は文字単位の差分（DiffUtils.computeCharDiff）を強調
+ * - 変数: 変数名ごとに左右の値を表示（既定は値が異なるもののみ。「すべての変数を表示」で同じ値も表示）
+ *
+ * @param {Object} props - プロパティ
+ * @param {boolean} props.isOpen - モーダル表示状態
+ * @param {Function} props.onClose - モーダルを閉じるコールバック
+ * @param {Array<Object>} props.sessions - 比較する2件のセッション
+ * @returns {JSX.Element|null} モーダル要素（非表示時はnull）
+ */
+const SessionCompareModal = ({ isOpen, onClose, sessions }) => {
+  const { useState, useEffect, useMemo } = React;
+  const [swapped, setSwapped] = useState(false);
+  const [showAllVariables, setShowAllVariables] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setSwapped(false);
+    setShowAllVariables(false);
+  }, [isOpen, sessions]);
+
+  // 古い順に並べてから、必要に応じて左右を入れ替える
+  const [left, right] = useMemo(() => {
+    const list = (Array.isArray(sessions) ? sessions : []).filter(Boolean).slice(0, 2)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return swapped ? [list[1], list[0]] : [list[0], list[1]];
+  }, [sessions, swapped]);
+
+  const lineRows = useMemo(() => {
+    if (!left || !right) return [];
+    return DiffUtils.buildLineDiff(String(left.content ?? '').split(/\r?\n/), String(right.content ?? '').split(/\r?\n/));
+  }, [left, right]);
+
+  const variableRows = useMemo(() => {
+    if (!left || !right) return [];
+    return SessionRestore.diffVariables(left.variables, right.variables);
+  }, [left, right]);
+
+  if (!isOpen || !left || !right) return null;
+
+  const changedLineCount = lineRows.filter(r => r.type !== 'same').length;
+  const changedVariableCount = variableRows.filter(r => r.type !== 'same').length;
+  const visibleVariableRows = showAllVariables ? variableRows : variableRows.filter(r => r.type !== 'same');
+
+  /**
+   * セッションの見出し（タイトルまたは本文1行目＋日時）
+   * @param {Object} session - セッション
+   * @returns {JSX.Element} 見出し要素
+   */
+  const renderSessionHeader = (session) => React.createElement('div', { className: "min-w-0" },
+    React.createElement('div', { className: "text-sm font-semibold truncate" },
+      session.title || String(session.content || '').split(/\r?\n/)[0] || '(空の報告)'
+    ),
+    React.createElement('div', { className: "text-xs text-gray-400" }, DateUtils.formatDateTime(session.timestamp, 'YYYY/MM/DD(ddd) HH:mm'))
+  );
+
+  /**
+   * 変更行の文字差分の描画
+   * @param {string} before - 左の行
+   * @param {string} after - 右の行
+   * @param {'left'|'right'} side - 描画する側
+   * @returns {Array<JSX.Element>} 差分片
+   */
+  const renderCharDiff = (before, after, side) => DiffUtils.computeCharDiff(before, after)
+    .filter(part => part.type === 'same' || part.type === (side === 'left' ? 'removed' : 'added'))
+    .map((part, i) => (part.type === 'same'
+      ? React.createElement('span', { key: i }, part.text)
+      : React.createElement('mark', {
+        key: i,
+        className: `${side === 'left' ? 'bg-red-500/40' : 'bg-green-500/40'} text-inherit rounded-sm`
+      }, part.text)));
+
+  /**
+   * 行差分セルの描画
+   * @param {Object} row - 行差分
+   * @param {'left'|'right'} side - 描画する側
+   * @returns {JSX.Element} セル要素
+   */
+  const renderLineCell = (row, side) => {
+    const text = side === 'left' ? row.before : row.after;
+    const empty = (side === 'left' && row.type === 'added') || (side === 'right' && row.type === 'removed');
+    const tone = empty ? 'bg-gray-900/40'
+      : row.type === 'same' ? ''
+        : side === 'left' ? 'bg-red-500/10' : 'bg-green-500/10';
+    return React.createElement('div', { className: `px-2 py-0.5 min-w-0 whitespace-pre-wrap break-words ${tone}` },
+      empty ? '' : (row.type === 'changed' ? renderCharDiff(row.before, row.after, side) : (text || ' '))
+    );
+  };
+
+  return React.createElement('div', {
+    className: "fixed inset-0 bg-black/60 flex items-center justify-center z-50",
+    onClick: (e) => { if (e.target === e.currentTarget) onClose && onClose(); }
+  },
+    React.createElement('div', {
+      className: "bg-gray-800 rounded-lg w-[min(100vw,960px)] max-w-[95vw] max-h-[90vh] flex flex-col p-6",
+      onClick: (e) => e.stopPropagation(),
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': '履歴の比較'
+    },
+      React.createElement('div', { className: "flex items-center justify-between mb-4" },
+        React.createElement('h3', { className: "text-lg font-semibold" }, '履歴の比較'),
+        React.createElement('button', { className: "text-gray-300 hover:text-white", onClick: onClose }, '×')
+      ),
+
+      // 見出し（左右）
+      React.createElement('div', { className: "grid grid-cols-[1fr_auto_1fr] items-center gap-2 mb-3" },
+        renderSessionHeader(left),
+        React.createElement('button', {
+          type: 'button',
+          onClick: () => setSwapped(v => !v),
+          className: "px-2 py-1 text-sm bg-gray-700 rounded hover:bg-gray-600",
+          title: '左右を入れ替え',
+          'aria-label': '左右を入れ替え'
+        }, '⇄'),
+        renderSessionHeader(right)
+      ),
+
+      React.createElement('div', { className: "flex-1 min-h-0 overflow-y-auto space-y-4" },
+        // 報告文の差分
+        React.createElement('div', { className: "space-y-1" },
+          React.createElement('div', { className: "flex items-center justify-between text-sm text-gray-300" },
+            React.createElement('span', null, '報告文'),
+            React.createElement('span', { className: "text-xs text-gray-500" }, changedLineCount === 0 ? '差分なし' : `${changedLineCount}行の差分`)
+          ),
+          React.createElement('div', { className: "grid grid-cols-2 gap-x-2 bg-gray-900/60 rounded p-2 text-sm font-mono" },
+            lineRows.map((row, i) => React.createElement(React.Fragment, { key: i },
+              renderLineCell(row, 'left'),
+              renderLineCell(row, 'right')
+            ))
+          )
+        ),
+
+        // 変数の差分
+        React.createElement('div', { className: "space-y-1" },
+          React.createElement('div', { className: "flex items-center justify-between text-sm text-gray-300" },
+            React.createElement('span', null, '変数'),
+            React.createElement('label', { className: "flex items-center gap-1 text-xs text-gray-400" },
+              React.createElement('input', {
+                type: 'checkbox',
+                checked: showAllVariables,
+                onChange: (e) => setShowAllVariables(e.target.checked)
+              }),
+              `すべての変数を表示（値の違い ${changedVariableCount}件）`
+            )
+          ),
+          visibleVariableRows.length === 0
+            ? React.createElement('div', { className: "text-xs text-gray-500" }, '値の異なる変数はありません')
+            : React.createElement('table', { className: "w-full text-sm table-fixed" },
+              React.createElement('thead', null,
+                React.createElement('tr', { className: "text-left text-xs text-gray-400" },
+                  React.createElement('th', { className: "w-1/4 px-2 py-1 font-normal" }, '変数名'),
+                  React.createElement('th', { className: "px-2 py-1 font-normal" }, '左'),
+                  React.createElement('th', { className: "px-2 py-1 font-normal" }, '右')
+                )
+              ),
+              React.createElement('tbody', null,
+                visibleVariableRows.map(row => React.createElement('tr', {
+                  key: row.name,
+                  className: `border-t border-gray-700 ${row.type === 'same' ? 'text-gray-400' : ''}`
+                },
+                  React.createElement('td', { className: "px-2 py-1 break-words" }, row.name),
+                  React.createElement('td', { className: "px-2 py-1 break-words whitespace-pre-wrap" },
+                    row.type === 'added' ? React.createElement('span', { className: "text-gray-500" }, '(なし)')
+                      : row.type === 'changed' ? renderCharDiff(row.before, row.after, 'left') : (row.before || '(空)')
+                  ),
+                  React.createElement('td', { className: "px-2 py-1 break-words whitespace-pre-wrap" },
+                    row.type === 'removed' ? React.createElement('span', { className: "text-gray-500" }, '(なし)')
+                      : row.type === 'changed' ? renderCharDiff(row.before, row.after, 'right') : (row.after || '(空)')
+                  )
+                ))
+              )
+            )
+        )
+      ),
+
+      React.createElement('div', { className: "flex justify-end gap-2 mt-4" },
+        React.createElement('button', {
+          onClick: onClose,
+          className: "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600"
+        }, '閉じる')
+      )
+    )
+  );
+};
+
+// グローバル公開
+window.Components = window.Components || {};
+window.Components.SessionCompareModal = SessionCompareModal;
@@ -0,0 +1,197 @@
+/**
+ * セッション情報編集モーダル
+ * セッション履歴のタイトル・タグ・対応状況（ステータス）・期限日を編集し、ステータスの変更履歴を表示する
+ *
+ * 操作:
+ * - タグ: 入力欄で Enter または「,」「、」で追加、チップの×で削除（既存タグを候補表示）
+ * - ステータス: 未設定 / 未対応 / 折り返し待ち / 完了
+ * - 期限日: 任意（ステータス未設定でも指定可能）
+ * - 保存時、ステータスまたは期限日が変わっていれば変更履歴（statusLog）へ記録される（SessionMeta.applySessionMeta）
+ *
+ * @param {Object} props - プロパティ
+ * @param {boolean} props.isOpen - モーダル表示状態
+ * @param {Function} props.onClose - モーダルを閉じるコールバック
+ * @param {Object|null} props.session - 編集対象のセッション
+ * @param {string[]} props.knownTags - 既存のタグ一覧（候補表示用）
+ * @param {Function} props.onSave - 保存 (sessionId:string, patch:{title, tags, status, dueDate}) => void
+ * @returns {JSX.Element|null} モーダル要素（非表示時はnull）
+ */
+const SessionMetaModal = ({ isOpen, onClose, session, knownTags, onSave }) => {
+  const { useState, useEffect } = React;
+  const [title, setTitle] = useState('');
+  const [tags, setTags] = useState([]);
+  const [tagInput, setTagInput] = useState('');
+  const [status, setStatus] = useState('');
+  const [dueDate, setDueDate] = useState('');
+
+  useEffect(() => {
+    if (!isOpen || !session) return;
+    setTitle(session.title || '');
+    setTags(Array.isArray(session.tags) ? session.tags : []);
+    setTagInput('');
+    setStatus(session.status || '');
+    setDueDate(session.dueDate || '');
+  }, [isOpen, session]);
+
+  if (!isOpen || !session) return null;
+
+  /**
+   * 入力中のタグを確定して追加
+   * @returns {string[]} 追加後のタグ
+   */
+  const commitTagInput = () => {
+    const next = SessionMeta.normalizeTags([...tags, ...SessionMeta.normalizeTags(tagInput)]);
+    setTags(next);
+    setTagInput('');
+    return next;
+  };
+
+  /**
+   * 保存
+   * @returns {void}
+   */
+  const handleSave = () => {
+    const finalTags = tagInput.trim() ? commitTagInput() : tags;
+    onSave && onSave(session.id, { title, tags: finalTags, status: status || null, dueDate: dueDate || null });
+    onClose && onClose();
+  };
+
+  /**
+   * ステータス値の表示名
+   * @param {string|null} value - ステータス値
+   * @returns {string} 表示名
+   */
+  const statusLabel = (value) => (SessionMeta.getStatusOption(value)?.label || '未設定');
+
+  const suggestions = (knownTags || []).filter(t => !tags.includes(t));
+  const log = Array.isArray(session.statusLog) ? session.statusLog : [];
+
+  return React.createElement('div', {
+    className: "fixed inset-0 bg-black/60 flex items-center justify-center z-50",
+    onClick: (e) => { if (e.target === e.currentTarget) onClose && onClose(); }
+  },
+    React.createElement('div', {
+      className: "bg-gray-800 rounded-lg w-[min(100vw,520px)] max-w-[92vw] max-h-[90vh] overflow-y-auto p-6",
+      onClick: (e) => e.stopPropagation(),
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': 'セッション情報の編集'
+    },
+      React.createElement('div', { className: "flex items-center justify-between mb-4" },
+        React.createElement('h3', { className: "text-lg font-semibold" }, 'セッション情報の編集'),
+        React.createElement('button', { className: "text-gray-300 hover:text-white", onClick: onClose }, '×')
+      ),
+
+      React.createElement('div', { className: "space-y-4" },
+        // タイトル
+        React.createElement('label', { className: "block space-y-1" },
+          React.createElement('span', { className: "text-sm text-gray-300" }, 'タイトル'),
+          React.createElement('input', {
+            type: 'text',
+            value: title,
+            onChange: (e) => setTitle(e.target.value),
+            placeholder: String(session.content || '').split(/\r?\n/)[0] || '(空の報告)',
+            className: "w-full px-3 py-2 bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500",
+            autoFocus: true
+          })
+        ),
+
+        // タグ
+        React.createElement('div', { className: "space-y-1" },
+          React.createElement('span', { className: "text-sm text-gray-300" }, 'タグ'),
+          React.createElement('div', { className: "flex flex-wrap items-center gap-1 px-2 py-1.5 bg-gray-700 rounded focus-within:ring-2 focus-within:ring-blue-500" },
+            tags.map(tag => React.createElement('span', {
+              key: tag,
+              className: "inline-flex items-center gap-1 px-2 py-0.5 text-xs bg-blue-500/20 text-blue-200 rounded-full"
+            },
+              tag,
+              React.createElement('button', {
+                type: 'button',
+                onClick: () => setTags(tags.filter(t => t !== tag)),
+                className: "hover:text-white",
+                'aria-label': `タグ「${tag}」を削除`
+              }, '×')
+            )),
+            React.createElement('input', {
+              type: 'text',
+              value: tagInput,
+              list: 'session-meta-tag-suggestions',
+              onChange: (e) => {
+                const value = e.target.value;
+                if (/[,、]/.test(value)) {
+                  setTags(SessionMeta.normalizeTags([...tags, ...SessionMeta.normalizeTags(value)]));
+                  setTagInput('');
+                } else {
+                  setTagInput(value);
+                }
+              },
+              onKeyDown: (e) => {
+                if (e.nativeEvent && e.nativeEvent.isComposing) return;
+                if (e.key === 'Enter' && tagInput.trim()) { e.preventDefault(); commitTagInput(); }
+                else if (e.key === 'Backspace' && !tagInput && tags.length > 0) setTags(tags.slice(0, -1));
+              },
+              placeholder: tags.length === 0 ? '例: クレーム, 見積' : '',
+              className: "flex-1 min-w-[6rem] bg-transparent text-sm focus:outline-none",
+              'aria-label': 'タグを追加'
+            }),
+            React.createElement('datalist', { id: 'session-meta-tag-suggestions' },
+              suggestions.map(t => React.createElement('option', { key: t, value: t }))
+            )
+          )
+        ),
+
+        // ステータス・期限日
+        React.createElement('div', { className: "grid grid-cols-2 gap-3" },
+          React.createElement('label', { className: "block space-y-1" },
+            React.createElement('span', { className: "text-sm text-gray-300" }, '対応状況'),
+            React.createElement('select', {
+              value: status,
+              onChange: (e) => setStatus(e.target.value),
+              className: "w-full px-3 py-2 bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            },
+              React.createElement('option', { value: '' }, '未設定'),
+              Constants.SESSION_STATUS_OPTIONS.map(o => React.createElement('option', { key: o.value, value: o.value }, o.label))
+            )
+          ),
+          React.createElement('label', { className: "block space-y-1" },
+            React.createElement('span', { className: "text-sm text-gray-300" }, '期限日'),
+            React.createElement('input', {
+              type: 'date',
+              value: dueDate,
+              onChange: (e) => setDueDate(e.target.value),
+              className: "w-full px-3 py-2 bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            })
+          )
+        ),
+
+        // ステータス変更履歴
+        React.createElement('div', { className: "space-y-1" },
+          React.createElement('span', { className: "text-sm text-gray-300" }, '対応状況の変更履歴'),
+          log.length === 0
+            ? React.createElement('div', { className: "text-xs text-gray-500" }, 'まだ変更はありません')
+            : React.createElement('ul', { className: "max-h-32 overflow-y-auto text-xs text-gray-300 space-y-0.5" },
+              log.map((entry, i) => React.createElement('li', { key: i },
+                `${DateUtils.formatDateTime(entry.at, 'YYYY/MM/DD HH:mm')}　${statusLabel(entry.from)} → ${statusLabel(entry.to)}`,
+                entry.dueDate ? `（期限 ${DateUtils.formatDateTime(`${entry.dueDate}T00:00:00`, 'M/D(ddd)')}）` : ''
+              ))
+            )
+        )
+      ),
+
+      React.createElement('div', { className: "flex justify-end gap-2 mt-6" },
+        React.createElement('button', {
+          onClick: onClose,
+          className: "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600"
+        }, 'キャンセル'),
+        React.createElement('button', {
+          onClick: handleSave,
+          className: "px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700"
+        }, '保存')
+      )
+    )
+  );
+};
+
+// グローバル公開
+window.Components = window.Components || {};
+window.Components.SessionMetaModal = SessionMetaModal;
@@ -0,0 +1,154 @@
+/**
+ * セッション履歴の復元モーダル
+ * 履歴を適用する範囲（すべて / 変数の値のみ / 文節のみ）を選択し、現在の下書きとの差分を確認してから適用する
+ *
+ * 表示:
+ * - 未保存の変更がある場合は警告を表示
+ * - 変数: 変数名ごとの変更前 → 変更後（追加・変更・削除。変更なしは件数のみ）
+ * - 文節: 類似性ベースで整列した変更前 → 変更後（追加・変更・削除。変更なしは件数のみ）
+ *
+ * @param {Object} props - プロパティ
+ * @param {boolean} props.isOpen - モーダル表示状態
+ * @param {Function} props.onClose - モーダルを閉じるコールバック
+ * @param {Object|null} props.session - 復元するセッション
+ * @param {Array} props.variables - 現在の変数配列
+ * @param {Array} props.segments - 現在の文節配列
+ * @param {boolean} [props.hasUnsavedChanges] - 未保存の変更があるか
+ * @param {Function} props.onApply - 適用 (session:Object, mode:'all'|'variables'|'segments') => void
+ * @returns {JSX.Element|null} モーダル要素（非表示時はnull）
+ */
+const SessionRestoreModal = ({ isOpen, onClose, session, variables, segments, hasUnsavedChanges, onApply }) => {
+  const { useState, useEffect, useMemo } = React;
+  const [mode, setMode] = useState('all');
+
+  useEffect(() => {
+    if (isOpen) setMode('all');
+  }, [isOpen, session]);
+
+  const diff = useMemo(() => {
+    if (!isOpen || !session) return null;
+    const next = SessionRestore.buildRestoredState({ variables, segments }, session, mode);
+    return {
+      variables: SessionRestore.diffVariables(variables, next.variables),
+      segments: SessionRestore.diffSegments(segments, next.segments)
+    };
+  }, [isOpen, session, variables, segments, mode]);
+
+  if (!isOpen || !session || !diff) return null;
+
+  /**
+   * 差分種別の表示（記号・色）
+   * @type {Object<string, {mark:string, className:string}>}
+   */
+  const TYPE_STYLES = {
+    added: { mark: '+', className: "text-green-300" },
+    removed: { mark: '−', className: "text-red-300" },
+    changed: { mark: '~', className: "text-yellow-200" }
+  };
+
+  /**
+   * 差分一覧の描画
+   * @param {string} label - 見出し
+   * @param {Array} rows - 差分行
+   * @param {Function} renderRow - 行の描画 (row, style) => ReactNode
+   * @returns {JSX.Element} 差分一覧
+   */
+  const renderDiffSection = (label, rows, renderRow) => {
+    const changes = rows.filter(r => r.type !== 'same');
+    const sameCount = rows.length - changes.length;
+    return React.createElement('div', { className: "space-y-1" },
+      React.createElement('div', { className: "flex items-center justify-between text-sm text-gray-300" },
+        React.createElement('span', null, label),
+        React.createElement('span', { className: "text-xs text-gray-500" },
+          changes.length === 0 ? '変更なし' : `${changes.length}件の変更${sameCount > 0 ? `（変更なし ${sameCount}件）` : ''}`
+        )
+      ),
+      changes.length > 0 && React.createElement('ul', { className: "max-h-48 overflow-y-auto bg-gray-900/60 rounded p-2 text-xs space-y-1" },
+        changes.map((row, i) => React.createElement('li', { key: i, className: `flex gap-2 ${TYPE_STYLES[row.type].className}` },
+          React.createElement('span', { className: "w-3 shrink-0 text-center" }, TYPE_STYLES[row.type].mark),
+          React.createElement('div', { className: "min-w-0 flex-1 break-words whitespace-pre-wrap" }, renderRow(row))
+        ))
+      )
+    );
+  };
+
+  /**
+   * 値の表示（空は「(空)」）
+   * @param {string} value - 値
+   * @returns {string} 表示文字列
+   */
+  const display = (value) => (value === '' ? '(空)' : value);
+
+  return React.createElement('div', {
+    className: "fixed inset-0 bg-black/60 flex items-center justify-center z-50",
+    onClick: (e) => { if (e.target === e.currentTarget) onClose && onClose(); }
+  },
+    React.createElement('div', {
+      className: "bg-gray-800 rounded-lg w-[min(100vw,640px)] max-w-[92vw] max-h-[90vh] overflow-y-auto p-6",
+      onClick: (e) => e.stopPropagation(),
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': '履歴の適用'
+    },
+      React.createElement('div', { className: "flex items-center justify-between mb-4" },
+        React.createElement('h3', { className: "text-lg font-semibold" }, '履歴の適用'),
+        React.createElement('button', { className: "text-gray-300 hover:text-white", onClick: onClose }, '×')
+      ),
+
+      React.createElement('div', { className: "space-y-4" },
+        hasUnsavedChanges && React.createElement('div', { className: "px-3 py-2 text-sm bg-yellow-500/10 text-yellow-200 rounded" },
+          '未保存の変更があります。適用した範囲の現在の編集内容は置き換えられます（元に戻すで復帰できます）。'
+        ),
+
+        // 適用範囲
+        React.createElement('fieldset', { className: "space-y-2" },
+          React.createElement('legend', { className: "text-sm text-gray-300 mb-1" }, '適用する範囲'),
+          SessionRestore.RESTORE_MODE_OPTIONS.map(option => React.createElement('label', {
+            key: option.value,
+            className: `flex items-start gap-2 px-3 py-2 rounded cursor-pointer ${mode === option.value ? 'bg-blue-500/20' : 'bg-gray-700 hover:bg-gray-600'}`
+          },
+            React.createElement('input', {
+              type: 'radio',
+              name: 'session-restore-mode',
+              value: option.value,
+              checked: mode === option.value,
+              onChange: () => setMode(option.value),
+              className: "mt-1"
+            }),
+            React.createElement('span', null,
+              React.createElement('span', { className: "block text-sm" }, option.label),
+              React.createElement('span', { className: "block text-xs text-gray-400" }, option.description)
+            )
+          ))
+        ),
+
+        // 差分
+        renderDiffSection('変数', diff.variables, (row) => (
+          row.type === 'added' ? `${row.name}: ${display(row.after)}`
+            : row.type === 'removed' ? `${row.name}: ${display(row.before)}`
+              : `${row.name}: ${display(row.before)} → ${display(row.after)}`
+        )),
+        renderDiffSection('文節', diff.segments, (row) => (
+          row.type === 'added' ? display(row.after)
+            : row.type === 'removed' ? display(row.before)
+              : `${display(row.before)}\n→ ${display(row.after)}`
+        ))
+      ),
+
+      React.createElement('div', { className: "flex justify-end gap-2 mt-6" },
+        React.createElement('button', {
+          onClick: onClose,
+          className: "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600"
+        }, 'キャンセル'),
+        React.createElement('button', {
+          onClick: () => { onApply && onApply(session, mode); onClose && onClose(); },
+          className: "px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700"
+        }, '適用')
+      )
+    )
+  );
+};
+
+// グローバル公開
+window.Components = window.Components || {};
+window.Components.SessionRestoreModal = SessionRestoreModal;
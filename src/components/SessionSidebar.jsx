@@ -3,31 +3,92 @@
  * セッション履歴の表示・お気に入り管理とロード、新規作成ボタンを提供
  *
  * 主な機能:
- * - 履歴/お気に入りのタブ切り替え表示
+ * - 履歴/お気に入り/アーカイブのタブ切り替え表示（アーカイブは保持上限を超えた履歴。タブ表示時に読み込む）
+ * - タイトル・タグ・本文・変数値の全文検索（複数語は AND、一致箇所をハイライト）と期間・タグ・対応状況での絞り込み
+ * - タイトル・タグ・対応状況（期限日）の表示と編集ボタン
  * - 各履歴アイテム右端の星アイコンでお気に入りON/OFF
  * - 履歴アイテムのクリックでセッションをロード
- * - 新規作成、テンプレート管理、データ管理のショートカット
+ * - 比較モードでは2件を選択して比較を開く（履歴・お気に入り・アーカイブをまたいで選択可能）
+ * - 新規作成、テンプレート管理、データ管理、通話記録のエクスポート、通話統計のショートカット
+ * - 期限を過ぎた折り返しリマインダー（下書き・履歴）の一覧（開く・変更・.ics 保存・完了）と、履歴ごとのリマインダー設定
+ * - 履歴の変数値（会社名・担当者名・電話番号など）のアドレス帳への登録（ワンクリック）と、アドレス帳の管理
+ * - 連絡先ファイル（vCard・CSV）の取り込み
  *
  * @param {Object} props - プロパティ
  * @param {boolean} props.open - サイドバー開閉状態
- * @param {Array<{id:string,timestamp:string,content:string,variables:Array,segments:Array,favorite?:boolean}>} props.sessionHistory - セッション履歴
+ * @param {Array<{id:string,timestamp:string,content:string,variables:Array,segments:Array,favorite?:boolean,outputProfile?:{id:string,name:string}}>} props.sessionHistory - セッション履歴
+ * @param {number} [props.archiveRevision] - アーカイブの更新番号（変化したらアーカイブを再読み込み）
  * @param {Function} props.onToggle - 開閉トグル () => void
  * @param {Function} props.onNew - 新規作成押下 () => void
  * @param {Function} props.onLoad - セッションロード (session:Object) => void
  * @param {Function} props.onToggleFavorite - お気に入りトグル (sessionId:string, next?:boolean) => void
+ * @param {Function} props.onEditSession - セッション情報の編集を開く (sessionId:string) => void
+ * @param {Function} props.onCompareSessions - 2件の比較を開く (sessions:Array<Object>) => void
  * @param {Function} props.onOpenTemplateManager - テンプレート管理開く () => void
  * @param {Function} props.onOpenDataManagement - データ管理モーダルを開く () => void
+ * @param {Function} props.onOpenRetentionSettings - 履歴の保存設定モーダルを開く () => void
+ * @param {Function} props.onOpenCallLogExport - 通話記録のエクスポートを開く () => void
+ * @param {Function} props.onOpenStats - 通話統計ダッシュボードを開く () => void
+ * @param {Array} [props.overdueReminders] - 期限を過ぎた折り返しリマインダー（Reminders.collectReminders の項目）
+ * @param {Function} props.onOpenReminder - リマインダーの対象を開く (ref:{kind, id}) => void
+ * @param {Function} props.onEditReminder - リマインダーの設定を開く (ref:{kind, id}) => void
+ * @param {Function} props.onDismissReminder - リマインダーの完了（解除） (ref:{kind, id}) => void
+ * @param {Function} props.onExportReminderIcs - リマインダーの予定（.ics）を保存 (ref:{kind, id}) => void
+ * @param {Function} [props.onRegisterContact] - 履歴の変数値をアドレス帳へ登録 (session:Object) => void
+ * @param {Function} [props.onOpenDirectory] - アドレス帳の管理を開く () => void
+ * @param {Function} [props.onOpenContactImport] - 連絡先の取り込みを開く () => void
  * @returns {JSX.Element} サイドバーJSX
  */
-const SessionSidebar = React.memo(({ open, sessionHistory, onToggle, onNew, onLoad, onToggleFavorite, onOpenTemplateManager, onOpenDataManagement }) => {
-  const { useState, useMemo, useCallback, useEffect } = React;
+const SessionSidebar = React.memo(({ open, sessionHistory, archiveRevision, onToggle, onNew, onLoad, onToggleFavorite, onEditSession, onCompareSessions, onOpenTemplateManager, onOpenDataManagement, onOpenRetentionSettings, onOpenCallLogExport, onOpenStats, overdueReminders, onOpenReminder, onEditReminder, onDismissReminder, onExportReminderIcs, onRegisterContact, onOpenDirectory, onOpenContactImport }) => {
+  const { useState, useMemo, useCallback, useEffect, useDeferredValue } = React;
   /**
    * 表示タブの状態
    * - 'history': すべての履歴
    * - 'favorites': お気に入りのみ
-   * @type {[('history'|'favorites'), Function]}
+   * - 'archive': アーカイブ
+   * @type {[('history'|'favorites'|'archive'), Function]}
    */
   const [activeTab, setActiveTab] = useState('history');
+  /**
+   * アーカイブ済みセッション（アーカイブタブ表示時に StorageService から読み込む）
+   * @type {Array|null}
+   */
+  const archivedSessions = Hooks.useArchivedSessions(open && activeTab === 'archive', archiveRevision);
+  /**
+   * 検索クエリと絞り込み条件
+   * - 検索は入力を優先するため遅延値（useDeferredValue）で絞り込む
+   * - from/to は YYYY-MM-DD（両端を含む）
+   * - tagFilter: タグ（空は指定なし） / statusFilter: 対応状況（空は指定なし、'none' は未設定）
+   */
+  const [query, setQuery] = useState('');
+  const deferredQuery = useDeferredValue(query);
+  const [dateRange, setDateRange] = useState({ from: '', to: '' });
+  const [tagFilter, setTagFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [filtersOpen, setFiltersOpen] = useState(false);
+  const hasFilterConditions = !!(dateRange.from || dateRange.to || tagFilter || statusFilter);
+  /**
+   * 比較モード
+   * - compareMode 中はアイテムのクリックでロードせず、比較対象として選択/解除する
+   * - 選択は最大2件（3件目を選ぶと古い選択から外す）。タブを切り替えても選択を保持する
+   */
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareSelection, setCompareSelection] = useState([]);
+  const toggleCompareSelection = useCallback((session) => {
+    setCompareSelection(prev => (prev.some(s => s.id === session.id)
+      ? prev.filter(s => s.id !== session.id)
+      : [...prev, session].slice(-2)));
+  }, []);
+  const exitCompareMode = useCallback(() => {
+    setCompareMode(false);
+    setCompareSelection([]);
+  }, []);
+  const isFiltering = !!(deferredQuery.trim() || hasFilterConditions);
+  /**
+   * 期限を過ぎた折り返しリマインダー（履歴の一覧で期限切れを強調するためのID）
+   */
+  const overdueList = Array.isArray(overdueReminders) ? overdueReminders : [];
+  const overdueSessionIds = useMemo(() => new Set(overdueList.filter(r => r.kind === 'session').map(r => r.id)), [overdueList]);
   /**
    * 履歴一覧用の表示テキストを生成
    * - 改行とスペース（全角/半角）を除去して詰めた1行を返す
@@ -64,17 +125,79 @@ const SessionSidebar = React.memo(({ open, sessionHistory, onToggle, onNew, onLo
   };
 
   /**
-   * タブ別の表示対象セッション配列を算出
+   * 一覧表示用テキストの生成（検索一致時は最初の一致箇所が見えるよう前方を省略）
+   * @param {string} content - セッション内容の全文
+   * @returns {{text:string, ranges:Array<{start:number, end:number}>}} 表示テキストと一致範囲
+   */
+  const buildListText = (content) => {
+    const text = formatSessionListText(content);
+    const ranges = SessionSearch.findMatchRanges(text, deferredQuery);
+    const LEAD = 8;
+    if (ranges.length === 0 || ranges[0].start <= LEAD * 2) return { text, ranges };
+    const cut = ranges[0].start - LEAD;
+    return {
+      text: '…' + text.slice(cut),
+      ranges: ranges.map(r => ({ start: r.start - cut + 1, end: r.end - cut + 1 }))
+    };
+  };
+
+  /**
+   * 一致範囲をハイライトした要素列の生成
+   * @param {string} text - 表示テキスト
+   * @param {Array<{start:number, end:number}>} ranges - 一致範囲
+   * @returns {Array<string|JSX.Element>} 子要素
+   */
+  const renderHighlighted = (text, ranges) => {
+    if (!ranges || ranges.length === 0) return [text];
+    const parts = [];
+    let pos = 0;
+    ranges.forEach((r, i) => {
+      if (r.start > pos) parts.push(text.slice(pos, r.start));
+      parts.push(React.createElement('mark', { key: i, className: 'bg-yellow-400/40 text-inherit rounded-sm' }, text.slice(r.start, r.end)));
+      pos = r.end;
+    });
+    if (pos < text.length) parts.push(text.slice(pos));
+    return parts;
+  };
+
+  /**
+   * 表示中のタブの母集団（アーカイブタブはアーカイブ、それ以外は履歴）
+   * @type {Array}
+   */
+  const sourceSessions = useMemo(() => (activeTab === 'archive' ? (archivedSessions || []) : (sessionHistory || [])),
+    [activeTab, archivedSessions, sessionHistory]);
+
+  /**
+   * タグ絞り込みの選択肢（母集団で使用されているタグ）
+   * @type {string[]}
+   */
+  const tagOptions = useMemo(() => SessionMeta.collectTags(sourceSessions), [sourceSessions]);
+
+  /**
+   * タブ・検索条件別の表示対象セッション配列を算出
    * お気に入りタブでは favorite === true のみ抽出
    * @returns {Array}
    */
   const displayedSessions = useMemo(() => {
-    const base = activeTab === 'favorites'
-      ? (sessionHistory || []).filter(s => !!s?.favorite)
-      : (sessionHistory || []);
+    const base = SessionSearch.filterSessions(sourceSessions, {
+      query: deferredQuery,
+      from: dateRange.from,
+      to: dateRange.to,
+      favoritesOnly: activeTab === 'favorites',
+      tag: tagFilter,
+      status: statusFilter
+    });
     // timestamp 降順で並べ替え（ISO文字列の比較でOK）
     return [...base].sort((a, b) => String(b?.timestamp || '').localeCompare(String(a?.timestamp || '')));
-  }, [activeTab, sessionHistory]);
+  }, [activeTab, sourceSessions, deferredQuery, dateRange, tagFilter, statusFilter]);
+
+  /**
+   * 一覧の描画件数（履歴が多い場合に備えて段階的に表示）
+   * 条件が変わったら先頭から表示し直す
+   */
+  const PAGE_SIZE = 100;
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  useEffect(() => { setVisibleCount(PAGE_SIZE); }, [activeTab, deferredQuery, dateRange, tagFilter, statusFilter]);
 
   /**
    * リストの相対時刻更新を制御するための現在時刻ステート
@@ -159,38 +282,203 @@ const SessionSidebar = React.memo(({ open, sessionHistory, onToggle, onNew, onLo
         onClick: onNew,
         className: "w-full px-4 py-2 bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors mb-4"
       }, '新規作成'),
-      // タブ（等幅2分割）
-      React.createElement('div', { className: "grid grid-cols-2 mb-3 border-b border-gray-700", role: 'tablist', 'aria-label': '履歴とお気に入りの切り替え' },
-        React.createElement('button', {
-          role: 'tab',
-          'aria-selected': activeTab === 'history' ? 'true' : 'false',
-          onClick: () => setActiveTab('history'),
-          className: `-mb-px w-full text-center px-3 py-2 text-sm ${activeTab === 'history' ? 'border-b-2 border-blue-400 text-white font-semibold' : 'border-b-2 border-transparent text-gray-300 hover:text-gray-100'}`
-        }, '履歴'),
-        React.createElement('button', {
+      // 期限を過ぎた折り返しリマインダー
+      overdueList.length > 0 && React.createElement('div', {
+        className: "mb-3 p-2 bg-red-500/10 border border-red-500/30 rounded space-y-1",
+        role: 'region',
+        'aria-label': '期限を過ぎた折り返し'
+      },
+        React.createElement('div', { className: "text-xs font-semibold text-red-300" }, `期限を過ぎた折り返し（${overdueList.length}）`),
+        React.createElement('ul', { className: "max-h-40 overflow-y-auto scrollbar-thin space-y-1.5" },
+          overdueList.map(r => {
+            const ref = { kind: r.kind, id: r.id };
+            return React.createElement('li', { key: `${r.kind}-${r.id}`, className: "text-xs" },
+              React.createElement('button', {
+                type: 'button',
+                onClick: () => onOpenReminder && onOpenReminder(ref),
+                className: "w-full min-w-0 text-left hover:text-white",
+                title: r.note || r.title
+              },
+                React.createElement('div', { className: "truncate text-gray-100" }, r.kind === 'draft' ? `[下書き] ${r.title}` : r.title),
+                React.createElement('div', { className: "truncate text-red-300" },
+                  `${DateUtils.formatDateTime(r.at, 'M/D(ddd) HH:mm')}${r.note ? ` · ${r.note}` : ''}`
+                )
+              ),
+              React.createElement('div', { className: "flex items-center gap-2 mt-0.5" },
+                React.createElement('button', {
+                  type: 'button',
+                  onClick: () => onEditReminder && onEditReminder(ref),
+                  className: "text-blue-300 hover:text-blue-200"
+                }, '変更'),
+                React.createElement('button', {
+                  type: 'button',
+                  onClick: () => onExportReminderIcs && onExportReminderIcs(ref),
+                  className: "text-blue-300 hover:text-blue-200",
+                  title: 'カレンダーに登録する予定ファイルを保存'
+                }, '.ics'),
+                React.createElement('button', {
+                  type: 'button',
+                  onClick: () => onDismissReminder && onDismissReminder(ref),
+                  className: "text-green-300 hover:text-green-200"
+                }, '完了')
+              )
+            );
+          })
+        )
+      ),
+      // タブ（等幅3分割）
+      React.createElement('div', { className: "grid grid-cols-3 mb-3 border-b border-gray-700", role: 'tablist', 'aria-label': '履歴・お気に入り・アーカイブの切り替え' },
+        [['history', '履歴'], ['favorites', 'お気に入り'], ['archive', 'アーカイブ']].map(([key, label]) => React.createElement('button', {
+          key,
           role: 'tab',
-          'aria-selected': activeTab === 'favorites' ? 'true' : 'false',
-          onClick: () => setActiveTab('favorites'),
-          className: `-mb-px w-full text-center px-3 py-2 text-sm ${activeTab === 'favorites' ? 'border-b-2 border-blue-400 text-white font-semibold' : 'border-b-2 border-transparent text-gray-300 hover:text-gray-100'}`
-        }, 'お気に入り')
+          'aria-selected': activeTab === key ? 'true' : 'false',
+          onClick: () => setActiveTab(key),
+          className: `-mb-px w-full text-center px-1 py-2 text-sm ${activeTab === key ? 'border-b-2 border-blue-400 text-white font-semibold' : 'border-b-2 border-transparent text-gray-300 hover:text-gray-100'}`
+        }, label))
+      ),
+      // 検索・絞り込み
+      React.createElement('div', { className: 'mb-3 space-y-2' },
+        React.createElement('div', { className: 'flex items-center gap-1' },
+          React.createElement('div', { className: 'relative flex-1 min-w-0' },
+            React.createElement('input', {
+              type: 'search',
+              value: query,
+              onChange: (e) => setQuery(e.target.value),
+              onKeyDown: (e) => { if (e.key === 'Escape' && query) { e.preventDefault(); setQuery(''); } },
+              placeholder: 'タイトル・本文・変数値を検索',
+              className: 'w-full px-2 py-1.5 text-sm bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500',
+              'aria-label': 'セッション履歴を検索'
+            })
+          ),
+          React.createElement('button', {
+            type: 'button',
+            onClick: () => setFiltersOpen(v => !v),
+            className: `px-2 py-1.5 rounded text-sm ${(filtersOpen || hasFilterConditions) ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`,
+            title: '期間・タグ・対応状況で絞り込み',
+            'aria-label': '期間・タグ・対応状況で絞り込み',
+            'aria-expanded': filtersOpen ? 'true' : 'false'
+          },
+            React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24', 'aria-hidden': true },
+              React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z' })
+            )
+          ),
+          React.createElement('button', {
+            type: 'button',
+            onClick: () => (compareMode ? exitCompareMode() : setCompareMode(true)),
+            className: `px-2 py-1.5 rounded text-sm ${compareMode ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`,
+            title: '2件の履歴を比較',
+            'aria-label': '2件の履歴を比較',
+            'aria-pressed': compareMode ? 'true' : 'false'
+          },
+            React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24', 'aria-hidden': true },
+              React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2' })
+            )
+          )
+        ),
+        compareMode && React.createElement('div', { className: 'flex items-center justify-between gap-1 px-2 py-1.5 text-xs bg-blue-500/10 rounded' },
+          React.createElement('span', { className: 'text-gray-300', 'aria-live': 'polite' }, `比較する履歴を選択（${compareSelection.length}/2）`),
+          React.createElement('div', { className: 'flex items-center gap-1' },
+            React.createElement('button', {
+              type: 'button',
+              disabled: compareSelection.length !== 2,
+              onClick: () => {
+                if (typeof onCompareSessions === 'function') onCompareSessions(compareSelection);
+                exitCompareMode();
+              },
+              className: 'px-2 py-0.5 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-40 disabled:cursor-not-allowed'
+            }, '比較'),
+            React.createElement('button', {
+              type: 'button',
+              onClick: exitCompareMode,
+              className: 'px-2 py-0.5 rounded text-gray-300 hover:text-white'
+            }, 'やめる')
+          )
+        ),
+        filtersOpen && React.createElement('div', { className: 'grid grid-cols-2 gap-1 text-xs' },
+          React.createElement('select', {
+            value: tagFilter,
+            onChange: (e) => setTagFilter(e.target.value),
+            className: 'min-w-0 px-1 py-1 bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500',
+            'aria-label': 'タグで絞り込み'
+          },
+            React.createElement('option', { value: '' }, 'すべてのタグ'),
+            // 選択中のタグが母集団から消えても選択肢に残す
+            (tagFilter && !tagOptions.includes(tagFilter) ? [tagFilter, ...tagOptions] : tagOptions)
+              .map(t => React.createElement('option', { key: t, value: t }, t))
+          ),
+          React.createElement('select', {
+            value: statusFilter,
+            onChange: (e) => setStatusFilter(e.target.value),
+            className: 'min-w-0 px-1 py-1 bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500',
+            'aria-label': '対応状況で絞り込み'
+          },
+            React.createElement('option', { value: '' }, 'すべての状況'),
+            Constants.SESSION_STATUS_OPTIONS.map(o => React.createElement('option', { key: o.value, value: o.value }, o.label)),
+            React.createElement('option', { value: 'none' }, '未設定')
+          )
+        ),
+        filtersOpen && React.createElement('div', { className: 'flex items-center gap-1 text-xs' },
+          React.createElement('input', {
+            type: 'date',
+            value: dateRange.from,
+            max: dateRange.to || undefined,
+            onChange: (e) => setDateRange(prev => ({ ...prev, from: e.target.value })),
+            className: 'min-w-0 flex-1 px-1 py-1 bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500',
+            'aria-label': '開始日'
+          }),
+          React.createElement('span', { className: 'text-gray-400' }, '〜'),
+          React.createElement('input', {
+            type: 'date',
+            value: dateRange.to,
+            min: dateRange.from || undefined,
+            onChange: (e) => setDateRange(prev => ({ ...prev, to: e.target.value })),
+            className: 'min-w-0 flex-1 px-1 py-1 bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500',
+            'aria-label': '終了日'
+          })
+        ),
+        isFiltering && React.createElement('div', { className: 'flex items-center justify-between text-xs text-gray-400' },
+          React.createElement('span', { 'aria-live': 'polite' }, `${displayedSessions.length}件`),
+          React.createElement('button', {
+            type: 'button',
+            onClick: () => { setQuery(''); setDateRange({ from: '', to: '' }); setTagFilter(''); setStatusFilter(''); },
+            className: 'text-blue-300 hover:text-blue-200'
+          }, '条件をクリア')
+        )
       ),
       // リスト（右側スクロールバーの干渉を回避するため右パディング付与＋スクロールバーガターを安定化）
       React.createElement('div', { className: "flex-1 min-h-0 space-y-2 overflow-y-auto overflow-x-hidden scrollbar-thin pr-1", style: { scrollbarGutter: 'stable' } },
-        displayedSessions.map((session) => (
-          React.createElement('div', {
+        displayedSessions.slice(0, visibleCount).map((session) => {
+          const compareIndex = compareMode ? compareSelection.findIndex(s => s.id === session.id) : -1;
+          return React.createElement('div', {
             key: session.id,
-            className: "w-full p-2 bg-gray-700 rounded hover:bg-gray-600 transition-colors",
+            className: `w-full p-2 bg-gray-700 rounded hover:bg-gray-600 transition-colors ${compareIndex !== -1 ? 'ring-2 ring-blue-400' : ''}`,
             title: buildSessionTitle(session.content)
           },
             React.createElement('div', { className: "flex items-center gap-2 min-w-0" },
-              // 左: ロードボタン（本文）
+              // 左: ロードボタン（本文）。比較モードでは比較対象の選択
               React.createElement('button', {
-                onClick: () => onLoad(session),
-                className: "min-w-0 flex-1 text-left"
+                onClick: () => (compareMode ? toggleCompareSelection(session) : onLoad(session)),
+                className: "min-w-0 flex-1 text-left",
+                'aria-pressed': compareMode ? (compareIndex !== -1 ? 'true' : 'false') : undefined
               },
-                React.createElement('div', { className: "text-sm truncate" },
-                  formatSessionListText(session.content)
+                // タイトルがある場合はタイトルを1行目に表示
+                session.title && React.createElement('div', { className: "text-sm font-semibold truncate" },
+                  renderHighlighted(session.title, SessionSearch.findMatchRanges(session.title, deferredQuery))
                 ),
+                (() => {
+                  const { text, ranges } = buildListText(session.content);
+                  return React.createElement('div', { className: session.title ? "text-xs text-gray-300 truncate" : "text-sm truncate" }, renderHighlighted(text, ranges));
+                })(),
+                // 本文に一致しない場合は一致した変数値を補足表示
+                (() => {
+                  if (!deferredQuery.trim() || SessionSearch.findMatchRanges(session.content, deferredQuery).length > 0) return null;
+                  const hit = SessionSearch.findMatchedVariable(session, deferredQuery);
+                  if (!hit) return null;
+                  return React.createElement('div', { className: "text-xs text-gray-300 truncate" },
+                    `${hit.name}: `,
+                    renderHighlighted(hit.value, SessionSearch.findMatchRanges(hit.value, deferredQuery))
+                  );
+                })(),
                 React.createElement('div', { className: "text-xs text-gray-400" },
                   (() => {
                     try {
@@ -201,11 +489,63 @@ const SessionSidebar = React.memo(({ open, sessionHistory, onToggle, onNew, onLo
                     } catch (_) {}
                     // フォールバック
                     return new Date(session.timestamp).toLocaleString('ja-JP');
-                  })()
+                  })(),
+                  // コピー時に使用した出力プロファイル
+                  session.outputProfile && session.outputProfile.name && React.createElement('span', { className: "ml-1" }, `· ${session.outputProfile.name}`)
+                ),
+                // 対応状況・期限日・折り返し予定・タグ
+                (session.status || session.dueDate || session.reminder || (Array.isArray(session.tags) && session.tags.length > 0)) && React.createElement('div', { className: "flex flex-wrap items-center gap-1 mt-1" },
+                  (() => {
+                    const option = SessionMeta.getStatusOption(session.status);
+                    return option && React.createElement('span', { className: `px-1.5 py-0.5 text-[10px] rounded ${option.className}` }, option.label);
+                  })(),
+                  session.dueDate && React.createElement('span', {
+                    className: `text-[10px] ${(session.status !== 'done' && session.dueDate < DateUtils.toDateKey(now)) ? 'text-red-300' : 'text-gray-400'}`
+                  }, `期限 ${DateUtils.formatDateTime(`${session.dueDate}T00:00:00`, 'M/D(ddd)')}`),
+                  session.reminder && session.reminder.at && React.createElement('span', {
+                    className: `text-[10px] ${overdueSessionIds.has(session.id) ? 'text-red-300' : 'text-yellow-300'}`
+                  }, `折り返し ${DateUtils.formatDateTime(session.reminder.at, 'M/D HH:mm')}`),
+                  (Array.isArray(session.tags) ? session.tags : []).map(tag => React.createElement('span', {
+                    key: tag,
+                    className: `px-1.5 py-0.5 text-[10px] rounded-full ${tag === tagFilter ? 'bg-blue-500/40 text-white' : 'bg-blue-500/20 text-blue-200'}`
+                  }, `#${tag}`))
                 )
               ),
-              // 右: お気に入りトグル
-              React.createElement('button', {
+              // アドレス帳への登録（会社名などの変数値から）
+              typeof onRegisterContact === 'function' && React.createElement('button', {
+                onClick: (e) => { try { e.stopPropagation(); } catch (_) {} onRegisterContact(session); },
+                className: 'px-1 py-1 rounded hover:bg-gray-500 text-gray-300',
+                title: 'アドレス帳に登録',
+                'aria-label': 'アドレス帳に登録'
+              },
+                React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24', 'aria-hidden': true },
+                  React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z' })
+                )
+              ),
+              // セッション情報の編集（アーカイブでは非表示）
+              activeTab !== 'archive' && React.createElement('button', {
+                onClick: (e) => { try { e.stopPropagation(); } catch (_) {} if (typeof onEditSession === 'function') onEditSession(session.id); },
+                className: 'px-1.5 py-1 rounded hover:bg-gray-500 text-gray-300',
+                title: 'タイトル・タグ・対応状況を編集',
+                'aria-label': 'タイトル・タグ・対応状況を編集'
+              },
+                React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24', 'aria-hidden': true },
+                  React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z' })
+                )
+              ),
+              // 折り返しリマインダーの設定（アーカイブでは非表示）
+              activeTab !== 'archive' && React.createElement('button', {
+                onClick: (e) => { try { e.stopPropagation(); } catch (_) {} if (typeof onEditReminder === 'function') onEditReminder({ kind: 'session', id: session.id }); },
+                className: `px-1 py-1 rounded hover:bg-gray-500 ${session.reminder ? 'text-yellow-300' : 'text-gray-300'}`,
+                title: '折り返しリマインダーを設定',
+                'aria-label': '折り返しリマインダーを設定'
+              },
+                React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24', 'aria-hidden': true },
+                  React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9' })
+                )
+              ),
+              // 右: お気に入りトグル（アーカイブでは非表示）
+              activeTab !== 'archive' && React.createElement('button', {
                 onClick: (e) => handleToggleFavorite(e, session.id, !session.favorite),
                 className: `px-2 py-1 rounded hover:bg-gray-500`,
                 title: session.favorite ? 'お気に入りから外す' : 'お気に入りに追加',
@@ -216,10 +556,17 @@ const SessionSidebar = React.memo(({ open, sessionHistory, onToggle, onNew, onLo
                 React.createElement('span', { className: 'text-gray-300 text-base' }, '☆')
               )
             )
-          )
-        )),
+          );
+        }),
+        // 続きの表示
+        (displayedSessions.length > visibleCount) && React.createElement('button', {
+          type: 'button',
+          onClick: () => setVisibleCount(c => c + PAGE_SIZE),
+          className: 'w-full px-2 py-1.5 text-sm text-gray-300 bg-gray-700/50 rounded hover:bg-gray-600'
+        }, `さらに表示（残り${displayedSessions.length - visibleCount}件）`),
         // 空表示
-        (displayedSessions.length === 0) && React.createElement('div', { className: "text-sm text-gray-400 p-2" }, activeTab === 'favorites' ? 'お気に入りはまだありません' : '履歴がありません')
+        (displayedSessions.length === 0) && React.createElement('div', { className: "text-sm text-gray-400 p-2" }, isFiltering ? '条件に一致する履歴はありません' : (activeTab === 'favorites' ? 'お気に入りはまだありません'
+          : activeTab === 'archive' ? (archivedSessions ? 'アーカイブされた履歴はありません' : '読み込み中...') : '履歴がありません'))
       ),
       // 下寄せアクション（テンプレート・データ管理・閉じる）
       React.createElement('div', { className: "mt-auto" },
@@ -237,7 +584,27 @@ const SessionSidebar = React.memo(({ open, sessionHistory, onToggle, onNew, onLo
           React.createElement('button', {
             onClick: onOpenDataManagement,
             className: "w-full px-4 py-2 bg-gray-700 rounded-lg hover:bg-gray-600 transition-colors"
-          }, 'インポート/エクスポート')
+          }, 'インポート/エクスポート'),
+          typeof onOpenDirectory === 'function' && React.createElement('button', {
+            onClick: onOpenDirectory,
+            className: "w-full px-4 py-2 bg-gray-700 rounded-lg hover:bg-gray-600 transition-colors"
+          }, 'アドレス帳'),
+          typeof onOpenContactImport === 'function' && React.createElement('button', {
+            onClick: onOpenContactImport,
+            className: "w-full px-4 py-2 bg-gray-700 rounded-lg hover:bg-gray-600 transition-colors"
+          }, '連絡先の取り込み'),
+          React.createElement('button', {
+            onClick: onOpenCallLogExport,
+            className: "w-full px-4 py-2 bg-gray-700 rounded-lg hover:bg-gray-600 transition-colors"
+          }, '通話記録のエクスポート'),
+          React.createElement('button', {
+            onClick: onOpenRetentionSettings,
+            className: "w-full px-4 py-2 bg-gray-700 rounded-lg hover:bg-gray-600 transition-colors"
+          }, '履歴の保存設定'),
+          React.createElement('button', {
+            onClick: onOpenStats,
+            className: "w-full px-4 py-2 bg-gray-700 rounded-lg hover:bg-gray-600 transition-colors"
+          }, '通話統計')
         ),
         React.createElement('div', { className: 'lg:hidden mt-6' },
           React.createElement('button', {
@@ -0,0 +1,263 @@
+/**
+ * 通話統計ダッシュボードモーダル
+ * セッション履歴を集計し、日別・時間帯別の件数、会社名・用件の上位、用件の構成比を表示する
+ *
+ * 表示:
+ * - 期間: 直近7日 / 直近30日 / 全期間 / 期間指定
+ * - アーカイブを含めて集計するか選択可能（既定は含める。表示時に StorageService から読み込む）
+ * - グラフは SVG で描画する（外部ライブラリ・ネットワーク不要）
+ * - 集計結果を CSV でエクスポート（DataService.exportStatsCsv）
+ *
+ * @param {Object} props - プロパティ
+ * @param {boolean} props.isOpen - モーダル表示状態
+ * @param {Function} props.onClose - モーダルを閉じるコールバック
+ * @param {Array} props.sessionHistory - セッション履歴
+ * @returns {JSX.Element|null} モーダル要素（非表示時はnull）
+ */
+const StatsDashboardModal = ({ isOpen, onClose, sessionHistory }) => {
+  const { useState, useMemo } = React;
+  const [period, setPeriod] = useState('7');
+  const [customRange, setCustomRange] = useState({ from: '', to: '' });
+  const [includeArchive, setIncludeArchive] = useState(true);
+  const archivedSessions = Hooks.useArchivedSessions(isOpen && includeArchive);
+
+  /**
+   * 集計期間（YYYY-MM-DD。空は制限なし）
+   */
+  const range = useMemo(() => {
+    if (period === 'custom') return customRange;
+    if (period === 'all') return { from: '', to: '' };
+    const today = new Date();
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (Number(period) - 1));
+    return { from: DateUtils.toDateKey(start), to: DateUtils.toDateKey(today) };
+  }, [period, customRange, isOpen]);
+
+  const stats = useMemo(() => {
+    if (!isOpen) return null;
+    const sessions = includeArchive ? Helpers.mergeArchivedSessions(sessionHistory, archivedSessions) : sessionHistory;
+    return SessionStats.aggregateSessionStats(sessions, range);
+  }, [isOpen, sessionHistory, archivedSessions, includeArchive, range]);
+
+  if (!isOpen || !stats) return null;
+
+  const fields = Constants.SESSION_STATS_FIELDS;
+
+  /**
+   * 構成比グラフの配色
+   * @type {string[]}
+   */
+  const SHARE_COLORS = ['#3b82f6', '#22c55e', '#f59e0b', '#ef4444', '#a855f7', '#14b8a6', '#6b7280', '#374151'];
+
+  /**
+   * 縦棒グラフ（SVG）
+   * @param {Array<{label:string, count:number, title:string}>} data - 棒ごとのデータ
+   * @param {number} labelEvery - ラベルを表示する間隔（本数）
+   * @param {string} ariaLabel - グラフの説明
+   * @returns {JSX.Element} SVG要素
+   */
+  const renderBarChart = (data, labelEvery, ariaLabel) => {
+    const width = 600;
+    const height = 160;
+    const top = 14;
+    const bottom = 18;
+    const max = Math.max(1, ...data.map(d => d.count));
+    const slot = width / Math.max(1, data.length);
+    const barWidth = Math.max(1, slot * 0.7);
+    return React.createElement('svg', {
+      viewBox: `0 0 ${width} ${height}`,
+      className: "w-full h-40",
+      role: 'img',
+      'aria-label': ariaLabel
+    },
+      React.createElement('line', { x1: 0, x2: width, y1: height - bottom, y2: height - bottom, stroke: '#4b5563', strokeWidth: 1 }),
+      data.map((d, i) => {
+        const h = ((height - top - bottom) * d.count) / max;
+        const x = i * slot + (slot - barWidth) / 2;
+        return React.createElement('g', { key: i },
+          React.createElement('rect', { x, y: height - bottom - h, width: barWidth, height: h, fill: '#3b82f6', rx: 1 },
+            React.createElement('title', null, d.title)
+          ),
+          d.count > 0 && slot >= 14 && React.createElement('text', {
+            x: x + barWidth / 2, y: height - bottom - h - 3, textAnchor: 'middle', fontSize: 10, fill: '#d1d5db'
+          }, d.count),
+          i % labelEvery === 0 && React.createElement('text', {
+            x: x + barWidth / 2, y: height - 4, textAnchor: 'middle', fontSize: 10, fill: '#9ca3af'
+          }, d.label)
+        );
+      })
+    );
+  };
+
+  /**
+   * 構成比のドーナツグラフ（SVG。円周100の円に stroke-dasharray で割合を描く）
+   * @returns {JSX.Element} SVG要素
+   */
+  const renderShareChart = () => {
+    let offset = 0;
+    return React.createElement('svg', { viewBox: '0 0 42 42', className: "w-36 h-36 shrink-0", role: 'img', 'aria-label': `${fields.purpose}の構成比` },
+      React.createElement('circle', { cx: 21, cy: 21, r: 15.915, fill: 'none', stroke: '#374151', strokeWidth: 6 }),
+      stats.purposeShare.map((p, i) => {
+        const length = p.ratio * 100;
+        const circle = React.createElement('circle', {
+          key: i,
+          cx: 21,
+          cy: 21,
+          r: 15.915,
+          fill: 'none',
+          stroke: SHARE_COLORS[i % SHARE_COLORS.length],
+          strokeWidth: 6,
+          strokeDasharray: `${length} ${100 - length}`,
+          strokeDashoffset: 25 - offset
+        }, React.createElement('title', null, `${p.label}: ${p.count}件`));
+        offset += length;
+        return circle;
+      }),
+      React.createElement('text', { x: 21, y: 22.5, textAnchor: 'middle', fontSize: 5, fill: '#e5e7eb' }, `${stats.total}件`)
+    );
+  };
+
+  /**
+   * 上位一覧（横棒）
+   * @param {string} label - 見出し
+   * @param {Array<{label:string, count:number}>} items - 件数
+   * @returns {JSX.Element} 一覧要素
+   */
+  const renderRanking = (label, items) => {
+    const max = Math.max(1, ...items.map(item => item.count));
+    return React.createElement('div', { className: "space-y-1" },
+      React.createElement('div', { className: "text-sm text-gray-300" }, `${label}（上位${SessionStats.STATS_TOP_LIMIT}件）`),
+      items.length === 0
+        ? React.createElement('div', { className: "text-xs text-gray-500" }, 'データがありません')
+        : React.createElement('ol', { className: "space-y-1 text-xs" },
+          items.map(item => React.createElement('li', { key: item.label, className: "flex items-center gap-2" },
+            React.createElement('span', { className: "w-28 shrink-0 truncate", title: item.label }, item.label),
+            React.createElement('div', { className: "flex-1 h-3 bg-gray-700 rounded" },
+              React.createElement('div', { className: "h-3 bg-blue-500 rounded", style: { width: `${(item.count / max) * 100}%` } })
+            ),
+            React.createElement('span', { className: "w-8 text-right text-gray-300" }, item.count)
+          ))
+        )
+    );
+  };
+
+  const dayData = stats.byDay.map(d => ({
+    label: DateUtils.formatDateTime(`${d.date}T00:00:00`, 'M/D'),
+    count: d.count,
+    title: `${DateUtils.formatDateTime(`${d.date}T00:00:00`, 'M/D(ddd)')}: ${d.count}件`
+  }));
+  const hourData = stats.byHour.map((count, hour) => ({ label: String(hour), count, title: `${hour}時台: ${count}件` }));
+
+  return React.createElement('div', {
+    className: "fixed inset-0 bg-black/60 flex items-center justify-center z-50",
+    onClick: (e) => { if (e.target === e.currentTarget) onClose && onClose(); }
+  },
+    React.createElement('div', {
+      className: "bg-gray-800 rounded-lg w-[min(100vw,880px)] max-w-[95vw] max-h-[90vh] overflow-y-auto p-6",
+      onClick: (e) => e.stopPropagation(),
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': '通話統計'
+    },
+      React.createElement('div', { className: "flex items-center justify-between mb-4" },
+        React.createElement('h3', { className: "text-lg font-semibold" }, '通話統計'),
+        React.createElement('button', { className: "text-gray-300 hover:text-white", onClick: onClose }, '×')
+      ),
+
+      // 期間・対象
+      React.createElement('div', { className: "flex flex-wrap items-center gap-2 mb-4 text-sm" },
+        [['7', '直近7日'], ['30', '直近30日'], ['all', '全期間'], ['custom', '期間指定']].map(([value, label]) => React.createElement('button', {
+          key: value,
+          type: 'button',
+          onClick: () => setPeriod(value),
+          'aria-pressed': period === value ? 'true' : 'false',
+          className: `px-3 py-1 rounded ${period === value ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`
+        }, label)),
+        period === 'custom' && React.createElement('div', { className: "flex items-center gap-1" },
+          React.createElement('input', {
+            type: 'date',
+            value: customRange.from,
+            max: customRange.to || undefined,
+            onChange: (e) => setCustomRange(prev => ({ ...prev, from: e.target.value })),
+            className: "px-2 py-1 bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500",
+            'aria-label': '開始日'
+          }),
+          React.createElement('span', { className: "text-gray-400" }, '〜'),
+          React.createElement('input', {
+            type: 'date',
+            value: customRange.to,
+            min: customRange.from || undefined,
+            onChange: (e) => setCustomRange(prev => ({ ...prev, to: e.target.value })),
+            className: "px-2 py-1 bg-gray-700 rounded focus:outline-none focus:ring-2 focus:ring-blue-500",
+            'aria-label': '終了日'
+          })
+        ),
+        React.createElement('label', { className: "flex items-center gap-1 ml-auto text-gray-300" },
+          React.createElement('input', {
+            type: 'checkbox',
+            checked: includeArchive,
+            onChange: (e) => setIncludeArchive(e.target.checked)
+          }),
+          'アーカイブを含める'
+        )
+      ),
+
+      // 概要
+      React.createElement('div', { className: "flex items-baseline gap-3 mb-4" },
+        React.createElement('span', { className: "text-3xl font-semibold" }, stats.total),
+        React.createElement('span', { className: "text-sm text-gray-300" }, '件の通話'),
+        stats.from && React.createElement('span', { className: "text-xs text-gray-400" },
+          `${DateUtils.formatDateTime(`${stats.from}T00:00:00`, 'YYYY/M/D(ddd)')} 〜 ${DateUtils.formatDateTime(`${stats.to}T00:00:00`, 'YYYY/M/D(ddd)')}`
+        ),
+        includeArchive && !archivedSessions && React.createElement('span', { className: "text-xs text-gray-500" }, 'アーカイブを読み込み中...')
+      ),
+
+      React.createElement('div', { className: "space-y-5" },
+        React.createElement('div', { className: "space-y-1" },
+          React.createElement('div', { className: "text-sm text-gray-300" }, '日別の件数'),
+          dayData.length === 0
+            ? React.createElement('div', { className: "text-xs text-gray-500" }, 'データがありません')
+            : renderBarChart(dayData, Math.max(1, Math.ceil(dayData.length / 15)), '日別の件数')
+        ),
+        React.createElement('div', { className: "space-y-1" },
+          React.createElement('div', { className: "text-sm text-gray-300" }, '時間帯別の件数'),
+          renderBarChart(hourData, 2, '時間帯別の件数')
+        ),
+        React.createElement('div', { className: "grid grid-cols-1 md:grid-cols-2 gap-5" },
+          renderRanking(fields.company, stats.companies),
+          renderRanking(fields.purpose, stats.purposes)
+        ),
+        React.createElement('div', { className: "space-y-1" },
+          React.createElement('div', { className: "text-sm text-gray-300" }, `${fields.purpose}の構成比`),
+          stats.total === 0
+            ? React.createElement('div', { className: "text-xs text-gray-500" }, 'データがありません')
+            : React.createElement('div', { className: "flex flex-wrap items-center gap-6" },
+              renderShareChart(),
+              React.createElement('ul', { className: "space-y-1 text-xs" },
+                stats.purposeShare.map((p, i) => React.createElement('li', { key: p.label, className: "flex items-center gap-2" },
+                  React.createElement('span', { className: "inline-block w-3 h-3 rounded-sm", style: { backgroundColor: SHARE_COLORS[i % SHARE_COLORS.length] } }),
+                  React.createElement('span', { className: "max-w-[16rem] truncate", title: p.label }, p.label),
+                  React.createElement('span', { className: "text-gray-400" }, `${p.count}件（${(p.ratio * 100).toFixed(1)}%）`)
+                ))
+              )
+            )
+        )
+      ),
+
+      React.createElement('div', { className: "flex justify-end gap-2 mt-6" },
+        React.createElement('button', {
+          onClick: () => DataService.exportStatsCsv(stats),
+          disabled: stats.total === 0,
+          className: "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed"
+        }, 'CSVエクスポート'),
+        React.createElement('button', {
+          onClick: onClose,
+          className: "px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700"
+        }, '閉じる')
+      )
+    )
+  );
+};
+
+// グローバル公開
+window.Components = window.Components || {};
+window.Components.StatsDashboardModal = StatsDashboardModal;
@@ -20,65 +20,14 @@ const TimeInput = React.memo(({ variable, onChange }) => {
 
     /**
      * 文字列化された時刻値をフォーマットに基づいて Date に変換する補助関数
-     * - フォーマットに含まれるトークン（YYYY/MM/DD/HH/mm/ss）から数値を抽出して生成
-     * - 不足するトークンは「今日」の値で補完
-     * - 時・分が特定できない場合は、末尾2つの数値グループを「時:分」としてフォールバック
+     * 解析ロジックは DateUtils.parseFormattedDateTime に集約（テンプレートの format フィルタと共通）
      *
      * @param {string} value - 解析対象の時刻文字列
      * @param {string} format - 対応するフォーマット文字列
      * @returns {Date|null} 解析に成功した場合は Date、失敗時は null
      */
     function parseDateFromFormattedValue(value, format) {
-        try {
-            const v = String(value ?? '').trim();
-            if (!v) return null;
-
-            const tokens = String(format || '').split(/[^YMDHms]+/).filter(Boolean);
-            const groups = v.match(/\d+/g) || [];
-
-            const now = new Date();
-            let year = now.getFullYear();
-            let month = now.getMonth() + 1; // 1-12
-            let day = now.getDate();
-            let hours = 0;
-            let minutes = 0;
-            let seconds = 0;
-
-            // トークンに基づく厳密パース
-            for (let i = 0; i < tokens.length; i++) {
-                const t = tokens[i];
-                const numStr = groups[i];
-                if (!numStr) continue;
-                const num = parseInt(numStr, 10);
-                if (Number.isNaN(num)) continue;
-                if (t === 'YYYY') year = num;
-                else if (t === 'MM') month = num;
-                else if (t === 'DD') day = num;
-                else if (t === 'HH') hours = num;
-                else if (t === 'mm') minutes = num;
-                else if (t === 'ss') seconds = num;
-            }
-
-            // 時・分が判定できない場合は末尾2グループを時:分として使用
-            if (!tokens.includes('HH') || !tokens.includes('mm')) {
-                if (groups.length >= 2) {
-                    const [hStr, mStr] = groups.slice(-2);
-                    const h = parseInt(hStr, 10);
-                    const m = parseInt(mStr, 10);
-                    if (!Number.isNaN(h) && !Number.isNaN(m)) {
-                        hours = h;
-                        minutes = m;
-                    }
-                }
-            }
-
-            // Date生成（月は0始まり）
-            const d = new Date(year, Math.max(0, (month | 0) - 1), day | 0, hours | 0, minutes | 0, seconds | 0, 0);
-            if (isNaN(d.getTime())) return null;
-            return d;
-        } catch (_) {
-            return null;
-        }
+        return DateUtils.parseFormattedDateTime(value, format);
     }
 
     /**
@@ -159,37 +108,12 @@ const TimeInput = React.memo(({ variable, onChange }) => {
                 : 1;
 
             // 現在時刻をベースに、入力値の時刻部分を適用
+            // （午前/午後・12時間表記を含むフォーマットも DateUtils.parseFormattedDateTime で解析）
             const now = new Date();
             let targetDate = new Date(now);
-
-            // フォーマットに基づいて HH と mm の位置を特定し、対応する数値を抽出
-            const formatTokens = (variable.format || '').split(/[^YMDHms]+/).filter(Boolean);
-            const numericGroups = currentValue.match(/\d+/g) || [];
-            const hoursIndex = formatTokens.findIndex((t) => t === 'HH');
-            const minutesIndex = formatTokens.findIndex((t) => t === 'mm');
-
-            let parsed = false;
-            if (hoursIndex !== -1 && minutesIndex !== -1) {
-                const hoursStr = numericGroups[hoursIndex] ?? '';
-                const minutesStr = numericGroups[minutesIndex] ?? '';
-                if (hoursStr && minutesStr) {
-                    const hours = parseInt(hoursStr, 10);
-                    const minutes = parseInt(minutesStr, 10);
-                    if (!Number.isNaN(hours) && !Number.isNaN(minutes)) {
-                        targetDate.setHours(hours, minutes, 0, 0);
-                        parsed = true;
-                    }
-                }
-            }
-
-            // フォールバック: 末尾の2つの数値グループを時:分と見なす
-            if (!parsed && numericGroups.length >= 2) {
-                const [hoursStr, minutesStr] = numericGroups.slice(-2);
-                const hours = parseInt(hoursStr, 10);
-                const minutes = parseInt(minutesStr, 10);
-                if (!Number.isNaN(hours) && !Number.isNaN(minutes)) {
-                    targetDate.setHours(hours, minutes, 0, 0);
-                }
+            const parsedValue = currentValue ? parseDateFromFormattedValue(currentValue, variable.format) : null;
+            if (parsedValue) {
+                targetDate.setHours(parsedValue.getHours(), parsedValue.getMinutes(), 0, 0);
             }
 
             // 調整単位分だけ調整
@@ -208,24 +132,49 @@ const TimeInput = React.memo(({ variable, onChange }) => {
         }
     }, [variable, onChange, handleReloadCurrentTime]);
 
+    /**
+     * フォーマットの分解結果（トークン/リテラル）
+     * 例: 'A h時mm分' → [A][ ][h][時][mm][分]
+     */
+    const formatParts = React.useMemo(() => DateUtils.tokenizeDateFormat(variable.format || ''), [variable.format]);
+
+    /**
+     * 現在値をフォーマットの各パートに対応する文字列へ分割
+     * フォーマット構造に一致しない値（旧データ等）は、数値トークンへ数値グループを順に割り当てる
+     */
+    const fieldValues = React.useMemo(() => {
+        const value = String(variable.value ?? '');
+        const split = DateUtils.splitFormattedDateTime(value, variable.format || '');
+        if (split) return split;
+        const groups = value.match(/\d+/g) || [];
+        let k = 0;
+        return formatParts.map(part => {
+            if (part.type === 'literal') return part.value;
+            if (!DateUtils.isEditableDateToken(part.value) || ['A', 'a', 'G'].includes(part.value)) return '';
+            return groups[k++] || '';
+        });
+    }, [variable.value, variable.format, formatParts]);
+
     /**
      * 入力フィールド値変更処理
      * 分割された入力フィールドの値を結合して最終値を生成
+     * 曜日など他の値から算出されるトークンは、結合後の日時から再計算する
      * @param {number} partIndex - 変更対象のパートインデックス
      * @param {string} newValue - 新しい値
      */
     const handleFieldChange = React.useCallback((partIndex, newValue) => {
-        // 各フィールドの値を結合して最終的な値を構成
-        const values = variable.value?.split(/[^0-9]+/) || [];
-        const separators = variable.format.match(/[^YMDHms]+/g) || [];
-
+        const values = [...fieldValues];
         values[partIndex] = newValue;
-        const finalValue = values.reduce((acc, val, idx) => {
-            return acc + val + (separators[idx] || '');
-        }, '');
 
-        onChange({ ...variable, value: finalValue });
-    }, [variable, onChange]);
+        const parsed = DateUtils.parseFormattedDateTime(values.join(''), variable.format);
+        formatParts.forEach((part, idx) => {
+            if (part.type === 'token' && !DateUtils.isEditableDateToken(part.value)) {
+                values[idx] = parsed ? DateUtils.formatDateTime(parsed, part.value) : '';
+            }
+        });
+
+        onChange({ ...variable, value: values.join('') });
+    }, [variable, onChange, fieldValues, formatParts]);
 
     /**
      * 詳細設定モーダルの変更処理
@@ -236,30 +185,29 @@ const TimeInput = React.memo(({ variable, onChange }) => {
         onChange(updatedVariable);
     }, [onChange]);
 
-    // フォーマットをパーツと区切り文字に分割
-    // 末尾がトークン以外（例: "分"）で終わると空文字が生成されるため除外
-    const parts = variable.format.split(/[^YMDHms]+/).filter(Boolean);
-    const separators = variable.format.match(/[^YMDHms]+/g) || [];
-
     return React.createElement('div', { className: "space-y-3" },
         // 時刻入力メインセクション
         React.createElement('div', { className: "space-y-2" },
             // 入力フィールドと操作ボタンを左寄せで密着配置
             React.createElement('div', { className: "flex items-center gap-1" },
-                // 時刻入力フィールド群
-                parts.map((part, i) => {
-                    const fieldValue = variable.value?.split(/[^0-9]+/)[i] || '';
+                // 時刻入力フィールド群（リテラルと算出トークンはテキスト表示）
+                formatParts.map((part, i) => {
+                    if (part.type === 'literal') {
+                        return React.createElement('span', { key: i, className: "text-gray-400 whitespace-pre" }, part.value);
+                    }
+                    const fieldValue = fieldValues[i] || '';
+                    if (!DateUtils.isEditableDateToken(part.value)) {
+                        return React.createElement('span', { key: i, className: "text-gray-300" }, fieldValue);
+                    }
                     const isFieldEmpty = !String(fieldValue).trim();
-                    return React.createElement(React.Fragment, { key: i },
-                        React.createElement('input', {
-                            type: "text",
-                            value: fieldValue,
-                            onChange: (e) => handleFieldChange(i, e.target.value),
-                            className: ("w-16 px-2 py-1 bg-gray-700 rounded text-center focus:outline-none focus:ring-2 focus:ring-blue-500" + (isFieldEmpty ? " tsa-input-empty" : "")),
-                            placeholder: part
-                        }),
-                        i < separators.length && React.createElement('span', { className: "text-gray-400" }, separators[i])
-                    );
+                    return React.createElement('input', {
+                        key: i,
+                        type: "text",
+                        value: fieldValue,
+                        onChange: (e) => handleFieldChange(i, e.target.value),
+                        className: ("w-16 px-2 py-1 bg-gray-700 rounded text-center focus:outline-none focus:ring-2 focus:ring-blue-500" + (isFieldEmpty ? " tsa-input-empty" : "")),
+                        placeholder: part.value
+                    });
                 }),
 
                 // 時刻調整ボタングループ（マイナス・プラス）
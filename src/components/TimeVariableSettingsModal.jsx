@@ -145,8 +145,10 @@ const TimeVariableSettingsModal = ({ variable, onChange, isOpen, onClose }) => {
                         className: "w-full px-3 py-2 bg-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-white",
                         placeholder: "例: YYYY/MM/DD HH:mm"
                     }),
-                    React.createElement('div', { className: "text-xs text-gray-400" },
-                        '使用可能なトークン: YYYY(年) MM(月) DD(日) HH(時) mm(分) ss(秒)'
+                    React.createElement('div', { className: "text-xs text-gray-400 space-y-0.5" },
+                        React.createElement('div', null, '使用可能なトークン: YYYY/YY(年) MM/M(月) DD/D(日) HH/H(時) hh/h(12時間制) mm/m(分) ss/s(秒)'),
+                        React.createElement('div', null, 'ddd(火) dddd(火曜日) A(午前/午後) a(AM/PM) G(元号) E(和暦年) ※1文字はゼロ埋めなし'),
+                        React.createElement('div', null, '[ ] で囲んだ文字はそのまま出力（例: [at]）')
                     )
                 )
             ),
@@ -1,24 +1,26 @@
 /**
  * 変数編集モーダルコンポーネント
- * 既存の変数に対して「名前」および「タイプ（text/time/phone）」の編集を行い、
+ * 既存の変数に対して「名前」および「タイプ（text/time/phone/date/select）」の編集を行い、
  * 適用時に親コンポーネントへ変更内容をコールバックするモーダル。
  *
  * 仕様:
  * - 「適用」クリックで `onApply(updated)` を呼び出す。
  * - 名前の重複は不可（同一IDの変数を除く）。重複時はエラーメッセージを表示し適用を無効化。
  * - 名前未入力時も適用を無効化。
- * - タイプは text / time / phone から選択。
+ * - タイプは Constants.VARIABLE_TYPE_OPTIONS（text / time / phone / date / select）から選択。
+ * - select タイプでは選択肢リストと自由入力可否を編集でき、選択肢が空の場合は適用を無効化。
+ * - phone タイプでは出力形式（Constants.PHONE_OUTPUT_FORMAT_OPTIONS。入力どおり/国内表記/国際表記/数字のみ）を選択。
  *
  * 注意:
  * - 文節中の `{{旧名}}` → `{{新名}}` の一括置換や、プレビュー再生成は親側（App.jsx）で実行する。
- * - time タイプに切り替えた際のフォーマット・丸め設定の付与も親側で行う。
+ * - time/date タイプに切り替えた際のフォーマット・丸め設定の付与、phone の出力形式による値の整形も親側で行う。
  *
  * @param {Object} props - プロパティ
  * @param {boolean} props.isOpen - モーダルの開閉状態
  * @param {Function} props.onClose - モーダルを閉じるコールバック
  * @param {Object} props.variable - 編集対象の変数
  * @param {Array} props.variables - 既存の全変数（重複チェック用）
- * @param {Function} props.onApply - 変更適用コールバック (updatedVar: {id, name, type}) => void
+ * @param {Function} props.onApply - 変更適用コールバック (updatedVar: {id, name, type, options?, allowCustom?, format?}) => void
  * @returns {JSX.Element|null} 変数編集モーダルのJSX
  */
 const VariableEditModal = ({ isOpen, onClose, variable, variables, onApply }) => {
@@ -29,6 +31,11 @@ const VariableEditModal = ({ isOpen, onClose, variable, variables, onApply }) =>
   // ローカル編集状態
   const [name, setName] = useState(variable.name || '');
   const [type, setType] = useState(variable.type || 'text');
+  const [selectConfig, setSelectConfig] = useState({
+    options: Helpers.normalizeSelectOptions(variable.options || []),
+    allowCustom: !!variable.allowCustom
+  });
+  const [phoneFormat, setPhoneFormat] = useState(variable.type === 'phone' ? (variable.format || '') : '');
   const [error, setError] = useState('');
 
   /**
@@ -59,8 +66,16 @@ const VariableEditModal = ({ isOpen, onClose, variable, variables, onApply }) =>
     validate();
     if (error) return;
     const trimmed = String(name || '').trim();
-    onApply && onApply({ id: variable.id, name: trimmed, type });
-  }, [validate, error, name, type, onApply, variable]);
+    onApply && onApply({
+      id: variable.id,
+      name: trimmed,
+      type,
+      ...(type === 'select' && { options: selectConfig.options, allowCustom: selectConfig.allowCustom }),
+      ...(type === 'phone' && { format: phoneFormat })
+    });
+  }, [validate, error, name, type, selectConfig, phoneFormat, onApply, variable]);
+
+  const selectInvalid = type === 'select' && selectConfig.options.length === 0;
 
   return React.createElement('div', { className: 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50' },
     React.createElement('div', { className: 'bg-gray-800 rounded-lg p-6 w-96' },
@@ -83,11 +98,25 @@ const VariableEditModal = ({ isOpen, onClose, variable, variables, onApply }) =>
           onChange: (e) => setType(e.target.value),
           className: 'w-full px-3 py-2 bg-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500'
         },
-          React.createElement('option', { value: 'text' }, 'テキスト'),
-          React.createElement('option', { value: 'time' }, '時刻'),
-          React.createElement('option', { value: 'phone' }, '電話番号')
+          Constants.VARIABLE_TYPE_OPTIONS.map(opt => React.createElement('option', { key: opt.value, value: opt.value }, opt.label))
         )
       ),
+      type === 'select' && React.createElement(Components.SelectOptionsEditor, {
+        options: selectConfig.options,
+        allowCustom: selectConfig.allowCustom,
+        onChange: setSelectConfig
+      }),
+      type === 'phone' && React.createElement('div', { className: 'mb-4' },
+        React.createElement('label', { className: 'block text-sm font-medium mb-2' }, '出力形式'),
+        React.createElement('select', {
+          value: phoneFormat,
+          onChange: (e) => setPhoneFormat(e.target.value),
+          className: 'w-full px-3 py-2 bg-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500'
+        },
+          Constants.PHONE_OUTPUT_FORMAT_OPTIONS.map(opt => React.createElement('option', { key: opt.value, value: opt.value }, opt.label))
+        ),
+        React.createElement('p', { className: 'mt-1 text-xs text-gray-400' }, '入力欄を離れたときにこの形式へ整形します（+国番号・内線番号も可）')
+      ),
       React.createElement('p', { className: 'text-xs text-gray-400 mb-4' }, '適用時に文節内の {{旧名}} は {{新名}} へ自動置換されます。'),
       React.createElement('div', { className: 'flex justify-end gap-2' },
         React.createElement('button', {
@@ -96,7 +125,7 @@ const VariableEditModal = ({ isOpen, onClose, variable, variables, onApply }) =>
         }, 'キャンセル'),
         React.createElement('button', {
           onClick: handleApply,
-          disabled: !!error || !String(name || '').trim(),
+          disabled: !!error || !String(name || '').trim() || selectInvalid,
           className: 'px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50'
         }, '適用')
       )
@@ -4,7 +4,9 @@
  *
  * 対応タイプ:
  * - time: 時刻入力（TimeInputコンポーネントに委譲）
+ * - date: 日付入力（DateInputコンポーネントに委譲）
  * - phone: 電話番号入力（PhoneInputコンポーネントに委譲）
+ * - select: 選択肢入力（SelectInputコンポーネントに委譲）
  * - text: テキスト入力（デフォルト）
  *
  * 設計思想:
@@ -17,16 +19,25 @@
  * - 入力と候補の完全一致時はChipを非表示
  * - 入力が空のときは従来どおり先頭3件を表示
  *
+ * 下部ドロップダウン:
+ * - アドレス帳の候補（`contacts`。会社名・担当者名に対応する変数のみ）を通常履歴より上に表示
+ * - アドレス帳の候補を選ぶと onPickContact で対応するすべての変数へまとめて入力させる
+ *
+ * 電話番号の逆引き:
+ * - 電話番号タイプでは、過去の通話の候補（`callers`）を入力欄の下に表示し、選ぶと onPickCaller で記録済みの値を入力させる
+ *
  * @param {Object} props - コンポーネントのプロパティ
  * @param {Object} props.variable - 変数オブジェクト
  * @param {Function} props.onChange - 変更時のコールバック関数
  * @param {Function} [props.onCommitValue] - Blur/Chipクリック時の履歴コミット関数 (name,value,type)
- * @param {{groupValues?:string[], history?:string[]}} [props.suggestions] - Chip/履歴候補
+ * @param {{groupValues?:string[], history?:string[], contacts?:Array<{entryId:string, personId:string|null, label:string, detail:string}>, callers?:Array}} [props.suggestions] - Chip/履歴/アドレス帳候補/電話番号の逆引き候補
  * @param {Function} [props.onSuggestOpen] - 下部ドロップダウン展開に伴うスクロール調整通知
  * @param {Function} [props.onSuggestClose] - 下部ドロップダウンクローズ通知
+ * @param {Function} [props.onPickContact] - アドレス帳の候補の選択 (entryId:string, personId:string|null) => void
+ * @param {Function} [props.onPickCaller] - 電話番号の逆引き候補の選択 (phoneName:string, caller:Object) => void
  * @returns {JSX.Element} 適切な入力コンポーネントのJSX要素
  */
-const VariableInput = React.memo(({ variable, onChange, onCommitValue, suggestions, onSuggestOpen, onSuggestClose }) => {
+const VariableInput = React.memo(({ variable, onChange, onCommitValue, suggestions, onSuggestOpen, onSuggestClose, onPickContact, onPickCaller }) => {
     /**
      * 時刻タイプの場合はTimeInputコンポーネントに委譲
      */
@@ -37,6 +48,17 @@ const VariableInput = React.memo(({ variable, onChange, onCommitValue, suggestio
         });
     }
 
+    /**
+     * 日付タイプの場合はDateInputコンポーネントに委譲
+     */
+    if (variable.type === 'date') {
+        return React.createElement(Components.DateInput, {
+            variable: variable,
+            onChange: onChange,
+            onCommitValue: onCommitValue
+        });
+    }
+
     /**
      * 電話番号タイプの場合はPhoneInputコンポーネントに委譲
      */
@@ -47,6 +69,20 @@ const VariableInput = React.memo(({ variable, onChange, onCommitValue, suggestio
             onCommitValue: onCommitValue,
             suggestions: suggestions,
             onSuggestOpen: onSuggestOpen,
+            onSuggestClose: onSuggestClose,
+            onPickCaller: onPickCaller
+        });
+    }
+
+    /**
+     * 選択肢タイプの場合はSelectInputコンポーネントに委譲
+     */
+    if (variable.type === 'select') {
+        return React.createElement(Components.SelectInput, {
+            variable: variable,
+            onChange: onChange,
+            onCommitValue: onCommitValue,
+            onSuggestOpen: onSuggestOpen,
             onSuggestClose: onSuggestClose
         });
     }
@@ -124,9 +160,10 @@ const VariableInput = React.memo(({ variable, onChange, onCommitValue, suggestio
                 return chips;
             })()
         ),
-        // 下部候補ドロップダウン（通常履歴）
+        // 下部候補ドロップダウン（アドレス帳・通常履歴）
         (() => {
             const history = (suggestions && Array.isArray(suggestions.history)) ? suggestions.history : [];
+            const contacts = (suggestions && Array.isArray(suggestions.contacts) && typeof onPickContact === 'function') ? suggestions.contacts : [];
             const inputValue = String(variable.value || '');
             const max = 5;
             const filtered = (inputValue
@@ -134,11 +171,29 @@ const VariableInput = React.memo(({ variable, onChange, onCommitValue, suggestio
                 : history)
                 .filter(h => String(h || '') !== inputValue);
             const toShow = filtered.slice(0, max);
-            if (!openSuggest || toShow.length === 0) return null;
+            if (!openSuggest || (toShow.length === 0 && contacts.length === 0)) return null;
             return React.createElement('div', {
                 ref: dropdownRef,
-                className: 'absolute left-0 right-0 mt-1 bg-gray-800 border border-gray-700 rounded shadow-lg z-40 max-h-48 overflow-auto'
-            }, toShow.map((val, i) => React.createElement('button', {
+                className: 'absolute left-0 right-0 mt-1 bg-gray-800 border border-gray-700 rounded shadow-lg z-40 max-h-64 overflow-auto'
+            },
+            contacts.length > 0 && React.createElement('div', { className: 'px-3 pt-1.5 pb-0.5 text-[11px] text-gray-400' }, 'アドレス帳'),
+            contacts.map(c => React.createElement('button', {
+                key: `contact-${c.entryId}-${c.personId || ''}`,
+                type: 'button',
+                className: 'w-full text-left px-3 py-2 text-sm hover:bg-gray-700 flex items-baseline gap-2',
+                tabIndex: -1,
+                title: 'アドレス帳の内容を対応する変数へまとめて入力',
+                onMouseDown: (e) => { try { e.preventDefault(); } catch (_) {} },
+                onClick: () => {
+                    onPickContact(c.entryId, c.personId);
+                    try { setOpenSuggest(false); } catch (_) {}
+                }
+            },
+                React.createElement('span', { className: 'text-emerald-300 truncate' }, c.label),
+                c.detail && React.createElement('span', { className: 'text-xs text-gray-400 truncate' }, c.detail)
+            )),
+            contacts.length > 0 && toShow.length > 0 && React.createElement('div', { className: 'border-t border-gray-700' }),
+            toShow.map((val, i) => React.createElement('button', {
                 key: i,
                 type: 'button',
                 className: 'w-full text-left px-3 py-2 text-sm hover:bg-gray-700',
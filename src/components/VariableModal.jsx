@@ -4,7 +4,9 @@
  *
  * 機能:
  * - 変数名の入力（曖昧検索サジェスト表示: 既存名は除外）
- * - 変数タイプの選択（テキスト/時刻/電話番号）
+ * - 変数タイプの選択（テキスト/時刻/電話番号/選択肢）
+ * - 選択肢タイプの場合は選択肢リストと自由入力可否の編集（SelectOptionsEditor）
+ * - 電話番号タイプの場合は出力形式の選択（Constants.PHONE_OUTPUT_FORMAT_OPTIONS）
  * - 新しい変数の作成と状態への追加
  * - Undoスタックへの操作保存
  * - 変数名の履歴登録（T1）
@@ -22,6 +24,8 @@ const VariableModal = ({ variables, setVariables, setShowVariableModal, saveToUn
     // モーダル内のローカル状態
     const [varName, setVarName] = useState(''); // 変数名
     const [varType, setVarType] = useState('text'); // 変数タイプ
+    const [selectConfig, setSelectConfig] = useState({ options: [], allowCustom: false }); // 選択肢タイプ設定
+    const [phoneFormat, setPhoneFormat] = useState(''); // 電話番号タイプの出力形式
     const [openSuggest, setOpenSuggest] = useState(false);
 
     // サジェスト候補（既存名を除外）
@@ -55,6 +59,19 @@ const VariableModal = ({ variables, setVariables, setShowVariableModal, saveToUn
                 formatMode: 'preset',
                 format: 'HH:mm',
                 rounding: { enabled: false, unit: '5', method: 'floor' }
+            }),
+            // 日付タイプの場合は既定の日付フォーマットを設定（値はカレンダーで選択）
+            ...(varType === 'date' && {
+                format: Constants.DATE_FORMAT_PRESETS[0].value
+            }),
+            // 選択肢タイプの場合は選択肢リストと自由入力可否を追加
+            ...(varType === 'select' && {
+                options: selectConfig.options,
+                allowCustom: selectConfig.allowCustom
+            }),
+            // 電話番号タイプの場合は出力形式を設定（入力欄を離れたときに整形）
+            ...(varType === 'phone' && {
+                format: phoneFormat
             })
         };
         setVariables([...variables, newVar]);
@@ -94,9 +111,22 @@ const VariableModal = ({ variables, setVariables, setShowVariableModal, saveToUn
                     onChange: (e) => setVarType(e.target.value),
                     className: "w-full px-3 py-2 bg-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 },
-                    React.createElement('option', { value: "text" }, 'テキスト'),
-                    React.createElement('option', { value: "time" }, '時刻'),
-                    React.createElement('option', { value: "phone" }, '電話番号')
+                    Constants.VARIABLE_TYPE_OPTIONS.map(opt => React.createElement('option', { key: opt.value, value: opt.value }, opt.label))
+                )
+            ),
+            varType === 'select' && React.createElement(Components.SelectOptionsEditor, {
+                options: selectConfig.options,
+                allowCustom: selectConfig.allowCustom,
+                onChange: setSelectConfig
+            }),
+            varType === 'phone' && React.createElement('div', { className: "mb-4" },
+                React.createElement('label', { className: "block text-sm font-medium mb-2" }, '出力形式'),
+                React.createElement('select', {
+                    value: phoneFormat,
+                    onChange: (e) => setPhoneFormat(e.target.value),
+                    className: "w-full px-3 py-2 bg-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                },
+                    Constants.PHONE_OUTPUT_FORMAT_OPTIONS.map(opt => React.createElement('option', { key: opt.value, value: opt.value }, opt.label))
                 )
             ),
             React.createElement('div', { className: "flex justify-end gap-2" },
@@ -106,7 +136,7 @@ const VariableModal = ({ variables, setVariables, setShowVariableModal, saveToUn
                 }, 'キャンセル'),
                 React.createElement('button', {
                     onClick: handleAdd,
-                    disabled: !varName,
+                    disabled: !varName || (varType === 'select' && selectConfig.options.length === 0),
                     className: "px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
                 }, '追加')
             )
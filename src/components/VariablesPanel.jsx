@@ -11,10 +11,12 @@
  * @param {Function} props.onAddClick - 追加ボタン押下ハンドラ () => void
  * @param {Function} [props.showToast] - トースト表示関数 (message:string, durationMs?:number) => void
  * @param {Function} [props.onCommitValue] - 値コミット関数 (name:string, value:string, type:string) => void
- * @param {Object} [props.suggestions] - 変数名→候補 { [name]: { groupValues?:string[], history?:string[] } }
+ * @param {Object} [props.suggestions] - 変数名→候補 { [name]: { groupValues?:string[], history?:string[], contacts?:Array, callers?:Array } }
+ * @param {Function} [props.onPickContact] - アドレス帳の候補の選択 (entryId:string, personId:string|null) => void
+ * @param {Function} [props.onPickCaller] - 電話番号の逆引き候補の選択 (phoneName:string, caller:Object) => void
  * @returns {JSX.Element} 変数一覧パネルのJSX
  */
-const VariablesPanel = React.memo(({ variables, variableUsageInfo, onUpdate, onDelete, onEdit, onAddClick, showToast, onCommitValue, suggestions }) => {
+const VariablesPanel = React.memo(({ variables, variableUsageInfo, onUpdate, onDelete, onEdit, onAddClick, showToast, onCommitValue, suggestions, onPickContact, onPickCaller }) => {
   /**
    * 変数表示順計算関数
    * 文節セクションでの「出現順」に基づき使用中の変数を並べ、未使用の変数は追加順（元配列順）で末尾に配置する。
@@ -28,7 +30,7 @@ const VariablesPanel = React.memo(({ variables, variableUsageInfo, onUpdate, onD
    * 実装詳細:
    * - `variableUsageInfo.variableUsage[id].usedInSegments` に含まれる `segmentIndex` と `content` を用いて、
    *   各変数の初出位置（最も小さい `segmentIndex` と、その行での `{{name}}` の開始位置）を算出する。
-   * - `{{ name }}` の検出は、前後の空白を許容する `/\{\{\s*name\s*\}\}/` で検索し、見つからない場合に厳密一致 `{{name}}` で補完。
+   * - 参照位置の検出は共通パーサ（Helpers.tokenizeSegmentTemplate）で行い、`{{ name }}`・`{{name|フィルタ}}`・`{{#if name}}` を同等に扱う。
    *
    * @param {Array} variables - 変数配列
    * @param {Object} variableUsageInfo - 使用状況情報
@@ -38,17 +40,8 @@ const VariablesPanel = React.memo(({ variables, variableUsageInfo, onUpdate, onD
     const items = Array.isArray(variables) ? variables : [];
     const usage = (variableUsageInfo && variableUsageInfo.variableUsage) ? variableUsageInfo.variableUsage : {};
 
-    const escapeRegExp = (s) => {
-      try {
-        if (window.Helpers && typeof window.Helpers.escapeRegExp === 'function') {
-          return window.Helpers.escapeRegExp(String(s ?? ''));
-        }
-      } catch (_) {}
-      return String(s ?? '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    };
-
     /**
-     * 指定変数がテキスト中に現れる最初の位置を返す（空白許容）。
+     * 指定変数がテキスト中に現れる最初の位置を返す（空白・フィルタ・条件タグ許容）。
      * 見つからない場合は Number.POSITIVE_INFINITY を返す。
      * @param {string} text - 行テキスト
      * @param {string} varName - 変数名
@@ -56,13 +49,11 @@ const VariablesPanel = React.memo(({ variables, variableUsageInfo, onUpdate, onD
      */
     const findFirstVarRefPosition = (text, varName) => {
       try {
-        const relaxed = new RegExp(`\\{\\{\\s*${escapeRegExp(varName)}\\s*\\}}`);
-        const idx = String(text ?? '').search(relaxed);
-        if (idx >= 0) return idx;
+        const hit = window.Helpers.tokenizeSegmentTemplate(String(text ?? ''))
+          .find(t => t.type !== 'literal' && t.name === String(varName ?? ''));
+        if (hit) return hit.start;
       } catch (_) {}
-      const strict = `{{${String(varName ?? '')}}}`;
-      const idx2 = String(text ?? '').indexOf(strict);
-      return idx2 >= 0 ? idx2 : Number.POSITIVE_INFINITY;
+      return Number.POSITIVE_INFINITY;
     };
 
     const used = [];
@@ -123,7 +114,7 @@ const VariablesPanel = React.memo(({ variables, variableUsageInfo, onUpdate, onD
     const text = `{{${String(variableName || '').trim()}}}`;
     try {
       if (window.DataService && typeof window.DataService.copyToClipboard === 'function') {
-        window.DataService.copyToClipboard(text, 'plain');
+        window.DataService.copyToClipboard(text, 'raw');
       } else if (navigator && navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
         navigator.clipboard.writeText(text);
       }
@@ -231,7 +222,9 @@ const VariablesPanel = React.memo(({ variables, variableUsageInfo, onUpdate, onD
               onCommitValue: onCommitValue,
               suggestions: (suggestions && suggestions[variable.name]) ? suggestions[variable.name] : {},
               onSuggestOpen: handleSuggestOpen,
-              onSuggestClose: handleSuggestClose
+              onSuggestClose: handleSuggestClose,
+              onPickContact: onPickContact,
+              onPickCaller: onPickCaller
             })
           )
         )),
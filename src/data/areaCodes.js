@@ -0,0 +1,125 @@
+/**
+ * 日本の市外局番テーブル（同梱データ）
+ * 固定電話の番号を市外局番・市内局番・加入者番号に区切る（Helpers.formatJapanesePhone / validateJapanesePhone）ために使用する。
+ * libphonenumber（CDN）を読み込めないオフライン環境でも、すべての国内の固定電話番号を正しく区切るための表。
+ *
+ * 形式:
+ * - キーは先頭0を含む番号の先頭部分、値は市外局番の桁数（先頭0を含む）。最も長く一致するキーを使う
+ *   例: '046' → 4（0467-xx-xxxx など）、'04992' → 5（04992-x-xxxx）、'03' → 2（03-xxxx-xxxx）
+ * - 市外局番と市内局番を合わせて6桁、加入者番号は4桁（固定電話は10桁）
+ * - 値 0 は割り当てのない番号（'010' は国際電話の識別番号、'0990' は提供を終了した番号）
+ * - 携帯電話・IP電話・フリーダイヤルなどの番号（020/050/070/080/090/0120/0180/0570/0800）は含めない（phoneUtils.js の JAPANESE_PHONE_RULES で判定）
+ *
+ * 収録内容: libphonenumber の日本の番号の区切り（総務省の電気通信番号計画に基づく）と同じ結果になるよう、先頭部分ごとにまとめたもの
+ * 注意:
+ * - 市外局番の変更（番号の統合・桁数の変更）があれば追記・修正すること
+ * - 市内局番ごとの割り当て状況は含めない（割り当てのない市内局番は判定しない）
+ *
+ * constants.js の後に読み込み、window.Constants へ追加公開する
+ */
+const JAPANESE_AREA_CODES = {
+    // 01: 北海道・東北（青森・秋田・岩手）
+    '01': 4,
+    '010': 0,
+    '011': 3,
+    '01267': 5,
+    '01372': 5, '01374': 5, '01377': 5, '01392': 5, '01397': 5, '01398': 5,
+    '01456': 5, '01457': 5, '01466': 5,
+    '01540': 3, '01541': 3, '01547': 5, '01548': 3, '01550': 3, '01551': 3, '01557': 3, '01558': 5,
+    '01564': 5, '01586': 5, '01587': 5,
+    '01632': 5, '01634': 5, '01635': 5, '01648': 5, '01654': 5, '01655': 5, '01656': 5, '01658': 5,
+    '0177': 3,
+    '0188': 3,
+    '0196': 3, '0199': 3,
+    // 02: 東北（宮城・山形・福島）・北関東・信越
+    '02': 4,
+    '021': 0,
+    '0221': 3, '0222': 3, '0223': 3, '02232': 4, '02233': 4, '0227': 3,
+    '023': 3, '0233': 4, '0234': 4, '0235': 4, '0237': 4, '0238': 4,
+    '0245': 3, '0249': 3,
+    '025': 3, '0250': 4, '02500': 3, '02501': 3, '0254': 4, '02540': 3, '02541': 3, '02557': 4,
+    '02558': 4, '0256': 4, '02560': 3, '02561': 3, '02572': 4, '02573': 4, '02574': 4, '0258': 4,
+    '02580': 3, '02581': 3, '0259': 4, '025917': 3, '025999': 3,
+    '0262': 3, '0264': 3, '02642': 4, '02643': 4, '02644': 4, '02645': 4,
+    '0271': 3, '0272': 3, '0273': 3, '0275': 3, '02780': 3, '02781': 3, '02788': 3, '02789': 3,
+    '0281': 3, '02830': 3, '02831': 3, '02833': 3, '02834': 3, '0286': 3, '0289': 3, '02896': 4,
+    '02897': 4, '02898': 4, '02899': 4,
+    '0290': 3, '02917': 3, '0292': 3, '0293': 3, '02932': 4, '02933': 4, '02934': 4, '0298': 3,
+    // 03: 東京
+    '03': 2,
+    // 04: 関東（千葉・埼玉・神奈川・多摩・伊豆諸島など）
+    '04': 3,
+    '040': 4,
+    '041': 4,
+    '0420': 2, '0422': 4, '04220': 3, '04221': 3, '04282': 4, '04283': 4, '04287': 4, '04288': 4,
+    '04289': 4, '0429': 2, '04291': 3, '04297': 3, '04298': 3,
+    '0436': 4, '0438': 4, '0439': 4,
+    '046': 4, '0462': 3, '0464': 3, '0468': 3,
+    '0470': 4, '04700': 2, '04701': 2, '04709': 2, '0471': 2, '0475': 4, '04750': 3, '04751': 3,
+    '04759': 3, '0476': 4, '0478': 4, '0479': 4, '04790': 3, '04791': 3, '04799': 3,
+    '0480': 4,
+    '049': 4, '0492': 3, '0499': 3, '04992': 5, '04994': 5, '04996': 5, '04998': 5,
+    // 05: 東海・山梨
+    '05': 4,
+    '051': 0,
+    '052': 3,
+    '0530': 3, '0534': 3, '0535': 3, '0539': 3, '053960': 4, '053961': 4, '053962': 4, '053963': 4,
+    '053974': 4, '053977': 4, '05399': 4,
+    '054': 3, '0544': 4, '0545': 4, '0547': 4, '0548': 4,
+    '0552': 3, '0559': 3,
+    '05769': 5,
+    '058': 3, '0581': 4, '0584': 4, '0585': 4, '0586': 4, '0587': 4,
+    '0590': 3, '0591': 3, '0592': 3, '0593': 3, '05979': 5, '059790': 4, '059791': 4, '059797': 4,
+    '059798': 4, '05980': 3, '05981': 3, '05989': 3, '05990': 3, '05991': 3, '05999': 3,
+    // 06: 大阪
+    '06': 2,
+    // 07: 近畿・北陸
+    '07': 4,
+    '071': 0,
+    '072': 3, '0721': 4, '0725': 4,
+    '0734': 3,
+    '07468': 5,
+    '075': 3,
+    '0760': 3, '0762': 3, '0764': 3, '0769': 3,
+    '0775': 3, '0777': 3,
+    '078': 3,
+    '0792': 3, '0793': 3, '0794': 3, '07946': 4, '07947': 4, '07948': 4, '0795': 3, '07952': 4,
+    '07953': 4, '07954': 4, '07957': 4, '07958': 4, '07960': 3, '07961': 3, '07966': 3, '07967': 3,
+    // 08: 中国・四国
+    '08': 4,
+    '081': 0,
+    '082': 3, '0820': 4, '0823': 4, '08244': 4, '08245': 4, '08246': 4, '08247': 4, '08248': 4,
+    '0826': 4, '0827': 4, '082920': 4, '08293': 4, '08294': 4, '082941': 3, '082942': 3, '082943': 3,
+    '08295': 4, '08297': 4, '08298': 4,
+    '0832': 3, '08360': 3, '0837': 3, '08372': 4, '08373': 4, '08374': 4, '08375': 4, '08376': 4,
+    '083766': 3, '083767': 3, '083768': 3, '08380': 3, '08381': 3, '08387': 5, '08388': 5, '08389': 5,
+    '0839': 3, '08396': 5, '083960': 3, '083961': 3, '083963': 3, '083966': 3,
+    '08477': 5, '0849': 3,
+    '0851': 5, '08510': 3, '08511': 3,
+    '086': 3, '0863': 4, '08636': 3, '086360': 4, '086361': 4, '086366': 4, '08654': 4, '08655': 4,
+    '086552': 3, '086553': 3, '08656': 4, '08657': 4, '0866': 4, '08660': 3, '08661': 3, '086691': 3,
+    '086697': 3, '086698': 3, '0867': 4, '086722': 3, '086723': 3, '086724': 3, '086726': 3, '086728': 3,
+    '086737': 3, '086738': 3, '0868': 4, '08680': 3, '08681': 3, '08689': 3, '0869': 4, '08690': 3,
+    '08691': 3, '08694': 3, '08695': 3, '08699': 3, '086992': 4, '086993': 4,
+    '087': 3, '0875': 4, '0877': 4, '0879': 4,
+    '0886': 3, '0888': 3,
+    '0890': 3, '0891': 3, '0899': 3,
+    // 09: 九州・沖縄
+    '09': 4,
+    '091': 0,
+    '092': 3, '0920': 4,
+    '093': 3, '0930': 4,
+    '0941': 3, '0945': 3,
+    '0951': 3, '0953': 3, '0958': 3,
+    '0961': 3, '0962': 3, '0963': 3,
+    '0971': 3, '0975': 3, '0976': 3,
+    '09802': 5, '0981': 3, '0988': 3, '0989': 3,
+    '0990': 0, '0991': 3, '09912': 5, '09913': 5, '0992': 3, '099331': 3, '099343': 3, '099345': 3, '099347': 3,
+    '09940': 3, '09941': 3, '09947': 3, '09948': 3, '09969': 5, '0998': 3, '0999': 3
+};
+
+/**
+ * グローバルスコープへの公開
+ * constants.js で定義済みの window.Constants へ追加する
+ */
+window.Constants = Object.assign(window.Constants || {}, { JAPANESE_AREA_CODES });
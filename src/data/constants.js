@@ -53,6 +53,32 @@ const createSampleVariables = () => [
     }
 ];
 
+/**
+ * 空の報告用変数セットの生成
+ * 「新規」や新しい下書きタブの作成時に使用する（着信時刻のみ）
+ *
+ * @returns {Array} 変数オブジェクトの配列
+ */
+const createBlankVariables = () => [
+    {
+        id: Helpers.generateId(),
+        name: '着信時刻',
+        type: 'time',
+        value: DateUtils.formatDateTime(new Date(), 'HH:mm', {
+            enabled: true,
+            unit: '5',
+            method: 'floor'
+        }),
+        formatMode: 'preset',
+        format: 'HH:mm',
+        rounding: {
+            enabled: true,
+            unit: '5',
+            method: 'floor'
+        }
+    }
+];
+
 /**
  * サンプルセグメントの生成
  * 初回起動時またはリセット時に使用されるデフォルトセグメントセット
@@ -139,9 +165,205 @@ const TIME_FORMAT_PRESETS = [
     { label: 'MM/DD HH:mm (例: 03/15 14:30)', value: 'MM/DD HH:mm' },
     { label: 'YYYY-MM-DD HH:mm:ss (例: 2024-03-15 14:30:00)', value: 'YYYY-MM-DD HH:mm:ss' },
     { label: 'MM月DD日 HH:mm (例: 03月15日 14:30)', value: 'MM月DD日 HH:mm' },
-    { label: 'YYYY年MM月DD日 (例: 2024年03月15日)', value: 'YYYY年MM月DD日' }
+    { label: 'YYYY年MM月DD日 (例: 2024年03月15日)', value: 'YYYY年MM月DD日' },
+    { label: 'A h時mm分 (例: 午後 2時30分)', value: 'A h時mm分' },
+    { label: 'M/D(ddd) HH:mm (例: 3/15(金) 14:30)', value: 'M/D(ddd) HH:mm' },
+    { label: 'M月D日(ddd) A h時mm分 (例: 3月15日(金) 午後 2時30分)', value: 'M月D日(ddd) A h時mm分' },
+    { label: 'h:mm a (例: 2:30 PM)', value: 'h:mm a' },
+    { label: 'GE年M月D日 H時mm分 (例: 令和6年3月15日 14時30分)', value: 'GE年M月D日 H時mm分' }
 ];
 
+/**
+ * 変数タイプの選択肢
+ * 変数追加/編集モーダルのタイプ選択で使用する
+ */
+const VARIABLE_TYPE_OPTIONS = [
+    { label: 'テキスト', value: 'text' },
+    { label: '時刻', value: 'time' },
+    { label: '電話番号', value: 'phone' },
+    { label: '日付', value: 'date' },
+    { label: '選択肢', value: 'select' }
+];
+
+/**
+ * 電話番号（phone）変数の出力形式
+ * 入力欄を離れたときに、選んだ形式で値を整形する（Helpers.formatPhoneNumber）
+ */
+const PHONE_OUTPUT_FORMAT_OPTIONS = [
+    { label: '入力どおり', value: '' },
+    { label: '国内表記（03-1234-5678）', value: 'national' },
+    { label: '国際表記（+81 3-1234-5678）', value: 'international' },
+    { label: '数字のみ（0312345678）', value: 'digits' }
+];
+
+/**
+ * 選択肢（select）変数用の選択肢プリセット
+ * 選択肢編集欄からワンクリックで一覧へ展開できる定型リスト
+ */
+const SELECT_OPTION_PRESETS = [
+    { label: '対応区分', options: ['折り返し', '伝言', '転送', '解決済み'] },
+    { label: '担当部署', options: ['営業部', '技術部', 'サポート窓口', '総務部', '経理部'] }
+];
+
+/**
+ * 日付変数用フォーマットプリセット定義
+ * 日付のみを扱う変数（折り返し予定日など）で選択できるフォーマット。先頭が既定値
+ */
+const DATE_FORMAT_PRESETS = [
+    { label: 'MM月DD日(ddd) (例: 03月15日(金))', value: 'MM月DD日(ddd)' },
+    { label: 'YYYY年MM月DD日(ddd) (例: 2024年03月15日(金))', value: 'YYYY年MM月DD日(ddd)' },
+    { label: 'MM/DD(ddd) (例: 03/15(金))', value: 'MM/DD(ddd)' },
+    { label: 'M月D日(ddd) (例: 3月15日(金))', value: 'M月D日(ddd)' },
+    { label: 'GE年M月D日(ddd) (例: 令和6年3月15日(金))', value: 'GE年M月D日(ddd)' },
+    { label: 'YYYY/MM/DD (例: 2024/03/15)', value: 'YYYY/MM/DD' },
+    { label: 'YYYY-MM-DD (例: 2024-03-15)', value: 'YYYY-MM-DD' }
+];
+
+/**
+ * 通話タイマーが値を設定する変数名の既定値（settings.callTimerFields で変更できる。空は使わない）
+ * - start: 開始時に現在時刻を設定
+ * - end: 停止時に現在時刻を設定（変数が存在する場合のみ）
+ * - duration: 停止時に通話時間（例: 12分30秒）を設定（変数が存在する場合のみ）
+ */
+const CALL_TIMER_VARIABLES = {
+    start: '着信時刻',
+    end: '終了時刻',
+    duration: '通話時間'
+};
+
+/**
+ * 通話タイマーの設定先の項目（設定画面の表示順）
+ * @type {Array<{key:string, label:string}>}
+ */
+const CALL_TIMER_FIELD_KEYS = [
+    { key: 'start', label: '開始時刻' },
+    { key: 'end', label: '終了時刻' },
+    { key: 'duration', label: '通話時間' }
+];
+
+/**
+ * セッション履歴の対応状況（ステータス）の選択肢
+ * - value: 保存値 / label: 表示名 / className: バッジの配色（Tailwind クラス）
+ * 未設定（null）はステータス無しとして扱う
+ */
+const SESSION_STATUS_OPTIONS = [
+    { value: 'todo', label: '未対応', className: 'bg-red-500/20 text-red-300' },
+    { value: 'callback', label: '折り返し待ち', className: 'bg-yellow-500/20 text-yellow-300' },
+    { value: 'done', label: '完了', className: 'bg-green-500/20 text-green-300' }
+];
+
+/**
+ * 履歴の保持設定の既定値
+ * - maxSessions: セッション履歴の保持件数（0 は無制限。お気に入りは件数に含めない）
+ * - maxAgeDays: セッション履歴の保持日数（0 は無制限）
+ * - keepFavorites: お気に入りは上限に関わらず保持する
+ * - maxValueGroups: 値グループ履歴の保持件数（0 は無制限）
+ * 上限を超えたセッションは削除せずアーカイブへ移動する
+ */
+const DEFAULT_RETENTION_SETTINGS = {
+    maxSessions: 50,
+    maxAgeDays: 0,
+    keepFavorites: true,
+    maxValueGroups: 200
+};
+
+/**
+ * 通話統計で集計する変数名
+ * - company: 会社別の件数（上位）に使用
+ * - purpose: 用件別の件数（上位）と構成比に使用
+ */
+const SESSION_STATS_FIELDS = {
+    company: '会社名',
+    purpose: '用件'
+};
+
+/**
+ * 全体コピーの形式の選択肢
+ * - value: 保存値（DataService.copyToClipboard の format）/ label: 表示名
+ * 先頭を既定値とする（plain は従来どおり変換しない。書式記号を除くのは書式を使う場合の stripped）
+ */
+const COPY_FORMAT_OPTIONS = [
+    { value: 'plain', label: 'テキスト' },
+    { value: 'stripped', label: 'テキスト（書式記号を除く）' },
+    { value: 'markdown', label: 'Markdown' },
+    { value: 'html', label: 'HTML' }
+];
+
+/**
+ * 出力プロファイルの改行コードの選択肢
+ */
+const OUTPUT_LINE_BREAK_OPTIONS = [
+    { value: 'lf', label: 'LF（チャット・一般）' },
+    { value: 'crlf', label: 'CRLF（メール・Windows）' }
+];
+
+/**
+ * 出力プロファイルの空行の扱いの選択肢
+ * - keep: そのまま / single: 連続する空行を1行にまとめる / remove: 空行をすべて除く
+ */
+const OUTPUT_BLANK_LINE_OPTIONS = [
+    { value: 'keep', label: 'そのまま' },
+    { value: 'single', label: '連続する空行を1行に' },
+    { value: 'remove', label: '空行を削除' }
+];
+
+/**
+ * 既定の出力プロファイル（貼り付け先ごとの出力設定）
+ * - header / footer: 本文の前後に付ける文字列（{{変数名}}・フィルタ・条件セクションが使える）
+ * - lineBreak: OUTPUT_LINE_BREAK_OPTIONS / blankLines: OUTPUT_BLANK_LINE_OPTIONS / markup: COPY_FORMAT_OPTIONS
+ * 先頭を既定のプロファイルとする
+ */
+const DEFAULT_OUTPUT_PROFILES = [
+    { id: 'standard', name: '標準', header: '', footer: '', lineBreak: 'lf', blankLines: 'keep', markup: 'plain' },
+    { id: 'chat', name: 'チャット', header: '', footer: '', lineBreak: 'lf', blankLines: 'remove', markup: 'plain' },
+    {
+        id: 'email',
+        name: 'メール',
+        header: '件名: 電話連絡のご報告（{{着信時刻}}）\n\nお疲れ様です。\n以下のとおりお電話がありましたのでご連絡します。\n',
+        footer: '\n以上、よろしくお願いいたします。',
+        lineBreak: 'crlf',
+        blankLines: 'single',
+        markup: 'plain'
+    }
+];
+
+/**
+ * メール下書き（.eml / mailto）の設定の既定値
+ * - subjectTemplate: 件名テンプレート（{{変数名}}・フィルタ・条件セクションが使える）
+ * - toVariable: 宛先を値に持つ変数名（空は使わない）
+ * - recipients: 宛先リスト [{ label, address }]（label は表示名。空可）
+ */
+const DEFAULT_MAIL_DRAFT_SETTINGS = {
+    subjectTemplate: '【電話連絡】{{会社名}} {{相手先名}}',
+    toVariable: '',
+    recipients: []
+};
+
+/**
+ * 折り返しリマインダーの予定日時の候補（Reminders.resolveReminderPreset で日時に変換）
+ * - minutes: 現在から指定分後
+ * - days + time: 指定日後の時刻（0 は今日）
+ * - businessDays + time: 指定営業日後の時刻（土日・祝日を除く）
+ */
+const REMINDER_PRESETS = [
+    { label: '30分後', minutes: 30 },
+    { label: '1時間後', minutes: 60 },
+    { label: '今日 17:00', days: 0, time: '17:00' },
+    { label: '明日 12:00', days: 1, time: '12:00' },
+    { label: '翌営業日 9:00', businessDays: 1, time: '09:00' }
+];
+
+/**
+ * アドレス帳と変数の対応の既定値（値は変数名。空は使わない）
+ * - company: 会社名 / person: 担当者名 / department: 部署 / phone: 電話番号
+ */
+const DEFAULT_DIRECTORY_FIELDS = {
+    company: '会社名',
+    person: '相手先名',
+    department: '',
+    phone: 'TEL'
+};
+
 /**
  * 丸め設定用オプション定義
  * 丸め単位と方法の選択肢
@@ -168,9 +390,26 @@ const ROUNDING_OPTIONS = {
  */
 window.Constants = {
     createSampleVariables,
+    createBlankVariables,
     createSampleSegments,
     SAMPLE_TEMPLATES,
     INITIAL_INPUT_HISTORY,
     TIME_FORMAT_PRESETS,
+    DATE_FORMAT_PRESETS,
+    VARIABLE_TYPE_OPTIONS,
+    PHONE_OUTPUT_FORMAT_OPTIONS,
+    SELECT_OPTION_PRESETS,
+    CALL_TIMER_VARIABLES,
+    CALL_TIMER_FIELD_KEYS,
+    SESSION_STATUS_OPTIONS,
+    DEFAULT_RETENTION_SETTINGS,
+    SESSION_STATS_FIELDS,
+    COPY_FORMAT_OPTIONS,
+    OUTPUT_LINE_BREAK_OPTIONS,
+    OUTPUT_BLANK_LINE_OPTIONS,
+    DEFAULT_OUTPUT_PROFILES,
+    DEFAULT_MAIL_DRAFT_SETTINGS,
+    REMINDER_PRESETS,
+    DEFAULT_DIRECTORY_FIELDS,
     ROUNDING_OPTIONS
 };
\ No newline at end of file
@@ -0,0 +1,186 @@
+/**
+ * 国番号テーブル（同梱データ）
+ * 国際電話番号（+国番号）を国番号と国内番号に分け、国ごとの区切りで表示する（Helpers.formatPhoneNumber / validatePhoneNumber）ために使用する。
+ * libphonenumber（CDN）を読み込めないオフライン環境でも、主な国の番号を読みやすく区切るための表。
+ *
+ * 形式:
+ * - COUNTRY_CALLING_CODES: 割り当て済みの国番号（1〜3桁）。+ の後の数字と先頭から一致するものを国番号とする
+ *   （国番号は先頭が重ならないよう割り当てられているため、一致するものは1つだけ）
+ * - COUNTRY_PHONE_FORMATS: 国番号 → { name: 国・地域名, rules: 区切りの規則 }
+ *   rules は先頭から順に、leading（国内番号の先頭）と pattern（国内番号全体）の両方に一致した最初の規則の format で区切る
+ *   （format の $1〜 は pattern のグループ。国際表記の国内番号部分で、国内の先頭の 0 は含めない）
+ * - 表に無い国・規則に一致しない番号は、末尾から4桁ごとに空白で区切る
+ *
+ * 収録内容: 国番号は ITU-T E.164 の割り当て（国際フリーフォンなど国以外の番号を除く）、
+ * 区切りは libphonenumber の国際表記と同じ結果になるよう、主な国の代表的な番号についてまとめたもの
+ * 注意:
+ * - 国番号の割り当ての変更・区切りの追加があれば追記・修正すること
+ * - 番号の割り当て状況（国ごとの有効な番号）は含めない（桁数のみ判定する）
+ *
+ * constants.js の後に読み込み、window.Constants へ追加公開する
+ */
+const COUNTRY_CALLING_CODES = [
+    '1', '7',
+    '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47',
+    '48', '49', '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65',
+    '66', '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98',
+    '211', '212', '213', '216', '218', '220', '221', '222', '223', '224', '225', '226', '227', '228', '229', '230',
+    '231', '232', '233', '234', '235', '236', '237', '238', '239', '240', '241', '242', '243', '244', '245', '246',
+    '247', '248', '249', '250', '251', '252', '253', '254', '255', '256', '257', '258', '260', '261', '262', '263',
+    '264', '265', '266', '267', '268', '269', '290', '291', '297', '298', '299', '350', '351', '352', '353', '354',
+    '355', '356', '357', '358', '359', '370', '371', '372', '373', '374', '375', '376', '377', '378', '380', '381',
+    '382', '383', '385', '386', '387', '389', '420', '421', '423', '500', '501', '502', '503', '504', '505', '506',
+    '507', '508', '509', '590', '591', '592', '593', '594', '595', '596', '597', '598', '599', '670', '672', '673',
+    '674', '675', '676', '677', '678', '679', '680', '681', '682', '683', '685', '686', '687', '688', '689', '690',
+    '691', '692', '850', '852', '853', '855', '856', '880', '886', '960', '961', '962', '963', '964', '965', '966',
+    '967', '968', '970', '971', '972', '973', '974', '975', '976', '977', '992', '993', '994', '995', '996', '998'
+];
+
+/**
+ * 国ごとの番号の区切り（国際表記）
+ * @type {Object<string, {name:string, rules:Array<{leading:RegExp, pattern:RegExp, format:string}>}>}
+ */
+const COUNTRY_PHONE_FORMATS = {
+    '1': {
+        name: 'アメリカ・カナダ',
+        rules: [
+            { leading: /^[2-9]/, pattern: /^(\d{3})(\d{3})(\d{4})$/, format: '$1-$2-$3' }
+        ]
+    },
+    '7': {
+        name: 'ロシア・カザフスタン',
+        rules: [
+            { leading: /^[3-9]/, pattern: /^(\d{3})(\d{3})(\d{2})(\d{2})$/, format: '$1 $2-$3-$4' }
+        ]
+    },
+    '33': {
+        name: 'フランス',
+        rules: [
+            { leading: /^[1-9]/, pattern: /^(\d)(\d{2})(\d{2})(\d{2})(\d{2})$/, format: '$1 $2 $3 $4 $5' }
+        ]
+    },
+    '34': {
+        name: 'スペイン',
+        rules: [
+            { leading: /^[5-9]/, pattern: /^(\d{3})(\d{2})(\d{2})(\d{2})$/, format: '$1 $2 $3 $4' }
+        ]
+    },
+    '39': {
+        name: 'イタリア',
+        rules: [
+            { leading: /^0[26]/, pattern: /^(\d{2})(\d{4})(\d{4})$/, format: '$1 $2 $3' },
+            { leading: /^3/, pattern: /^(\d{3})(\d{3})(\d{4})$/, format: '$1 $2 $3' }
+        ]
+    },
+    '44': {
+        name: 'イギリス',
+        rules: [
+            { leading: /^2/, pattern: /^(\d{2})(\d{4})(\d{4})$/, format: '$1 $2 $3' },
+            { leading: /^1\d1/, pattern: /^(\d{3})(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+            { leading: /^[17]/, pattern: /^(\d{4})(\d{6})$/, format: '$1 $2' },
+            { leading: /^[389]/, pattern: /^(\d{3})(\d{3})(\d{4})$/, format: '$1 $2 $3' }
+        ]
+    },
+    '55': {
+        name: 'ブラジル',
+        rules: [
+            { leading: /^[1-9]/, pattern: /^(\d{2})(\d{5})(\d{4})$/, format: '$1 $2-$3' },
+            { leading: /^[1-9]/, pattern: /^(\d{2})(\d{4})(\d{4})$/, format: '$1 $2-$3' }
+        ]
+    },
+    '60': {
+        name: 'マレーシア',
+        rules: [
+            { leading: /^3/, pattern: /^(\d)(\d{4})(\d{4})$/, format: '$1-$2 $3' },
+            { leading: /^1/, pattern: /^(\d{2})(\d{3})(\d{4})$/, format: '$1-$2 $3' }
+        ]
+    },
+    '61': {
+        name: 'オーストラリア',
+        rules: [
+            { leading: /^4/, pattern: /^(\d{3})(\d{3})(\d{3})$/, format: '$1 $2 $3' },
+            { leading: /^[2378]/, pattern: /^(\d)(\d{4})(\d{4})$/, format: '$1 $2 $3' }
+        ]
+    },
+    '63': {
+        name: 'フィリピン',
+        rules: [
+            { leading: /^2/, pattern: /^(\d)(\d{4})(\d{4})$/, format: '$1 $2 $3' },
+            { leading: /^9/, pattern: /^(\d{3})(\d{3})(\d{4})$/, format: '$1 $2 $3' }
+        ]
+    },
+    '64': {
+        name: 'ニュージーランド',
+        rules: [
+            { leading: /^[3-9]/, pattern: /^(\d)(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+            { leading: /^2/, pattern: /^(\d{2})(\d{3})(\d{3,4})$/, format: '$1 $2 $3' }
+        ]
+    },
+    '65': {
+        name: 'シンガポール',
+        rules: [
+            { leading: /^[3689]/, pattern: /^(\d{4})(\d{4})$/, format: '$1 $2' }
+        ]
+    },
+    '66': {
+        name: 'タイ',
+        rules: [
+            { leading: /^2/, pattern: /^(\d)(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+            { leading: /^[3-9]/, pattern: /^(\d{2})(\d{3})(\d{3,4})$/, format: '$1 $2 $3' }
+        ]
+    },
+    '82': {
+        name: '韓国',
+        rules: [
+            { leading: /^2/, pattern: /^(\d)(\d{3,4})(\d{4})$/, format: '$1-$2-$3' },
+            { leading: /^[1-6]/, pattern: /^(\d{2})(\d{3,4})(\d{4})$/, format: '$1-$2-$3' }
+        ]
+    },
+    '84': {
+        name: 'ベトナム',
+        rules: [
+            { leading: /^[35789]/, pattern: /^(\d{3})(\d{3})(\d{3})$/, format: '$1 $2 $3' },
+            { leading: /^2/, pattern: /^(\d{3})(\d{4})(\d{3})$/, format: '$1 $2 $3' }
+        ]
+    },
+    '86': {
+        name: '中国',
+        rules: [
+            { leading: /^1[3-9]/, pattern: /^(\d{3})(\d{4})(\d{4})$/, format: '$1 $2 $3' },
+            { leading: /^(?:10|2)/, pattern: /^(\d{2})(\d{4})(\d{4})$/, format: '$1 $2 $3' },
+            { leading: /^[3-9]/, pattern: /^(\d{3})(\d{3,4})(\d{4})$/, format: '$1 $2 $3' }
+        ]
+    },
+    '91': {
+        name: 'インド',
+        rules: [
+            { leading: /^[6-9]/, pattern: /^(\d{5})(\d{5})$/, format: '$1 $2' }
+        ]
+    },
+    '852': {
+        name: '香港',
+        rules: [
+            { leading: /^[2-9]/, pattern: /^(\d{4})(\d{4})$/, format: '$1 $2' }
+        ]
+    },
+    '853': {
+        name: 'マカオ',
+        rules: [
+            { leading: /^[2-8]/, pattern: /^(\d{4})(\d{4})$/, format: '$1 $2' }
+        ]
+    },
+    '886': {
+        name: '台湾',
+        rules: [
+            { leading: /^9/, pattern: /^(\d{3})(\d{3})(\d{3})$/, format: '$1 $2 $3' },
+            { leading: /^2/, pattern: /^(\d)(\d{4})(\d{4})$/, format: '$1 $2 $3' },
+            { leading: /^[3-8]/, pattern: /^(\d)(\d{3,4})(\d{4})$/, format: '$1 $2 $3' }
+        ]
+    }
+};
+
+/**
+ * グローバルスコープへの公開
+ * constants.js で定義済みの window.Constants へ追加する
+ */
+window.Constants = Object.assign(window.Constants || {}, { COUNTRY_CALLING_CODES, COUNTRY_PHONE_FORMATS });
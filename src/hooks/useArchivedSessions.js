@@ -0,0 +1,25 @@
+/**
+ * アーカイブ済みセッションの読み込みフック
+ * アーカイブは起動時には読み込まないため、表示・集計が必要になった時点で StorageService から読み込む
+ *
+ * @param {boolean} enabled - 読み込むか（false の間は読み込まない。読み込み済みの内容は保持する）
+ * @param {number} [revision] - アーカイブの更新番号（変化したら再読み込み）
+ * @returns {Array|null} アーカイブ済みセッション（未読み込みは null）
+ */
+const useArchivedSessions = (enabled, revision) => {
+  const { useState, useEffect } = React;
+  const [archivedSessions, setArchivedSessions] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let cancelled = false;
+    StorageService.loadArchive().then(list => { if (!cancelled) setArchivedSessions(list); });
+    return () => { cancelled = true; };
+  }, [enabled, revision]);
+
+  return archivedSessions;
+};
+
+// グローバル公開
+window.Hooks = window.Hooks || {};
+window.Hooks.useArchivedSessions = useArchivedSessions;
@@ -0,0 +1,178 @@
+/**
+ * 通話タイマーフック
+ * 通話の開始/一時停止/再開/停止を管理し、時刻系の変数へ値を自動設定する。
+ *
+ * 仕様:
+ * - 開始: fields.start（既定: 着信時刻）へ現在時刻を設定
+ * - 停止: fields.end（既定: 終了時刻）へ現在時刻、fields.duration（既定: 通話時間）へ経過時間（例: 12分30秒）を設定
+ * - 設定先の変数が無い場合は onMissingVariables で通知する（空の設定先は使わない）
+ * - 一時停止中（保留など）の時間は通話時間に含めない
+ * - 時刻の設定は変数のタイプに従う（time: 変数の format/rounding、date: 変数の format、その他: HH:mm）
+ * - 状態はタイムスタンプで保持するため、リロード後も計測を継続できる（App が usePersistence で永続化）
+ * - 状態は下書きタブごとに持つ（App が下書きの切り替え時に replaceTimer で入れ替える）
+ * - 変数の更新は Undo 対象
+ *
+ * 状態（timer）:
+ * - status: 'idle' | 'running' | 'paused' | 'stopped'
+ * - startedAt: 開始時刻（ISO） / endedAt: 停止時刻（ISO）
+ * - resumedAt: 直近の開始/再開時刻（ISO、running のときのみ）
+ * - accumulatedMs: 直近の再開までに累積した経過時間（ミリ秒）
+ *
+ * @param {Object} params - 引数
+ * @param {Object|null} [params.initialState] - 永続化済みのタイマー状態
+ * @param {Array} params.variables - 現在の変数配列（設定先の有無の確認用）
+ * @param {{start:string, end:string, duration:string}} [params.fields] - 設定先の変数名（settings.callTimerFields）
+ * @param {Function} params.setVariables - 変数配列のsetter
+ * @param {Function} [params.saveToUndoStack] - Undoスタック保存関数
+ * @param {Function} [params.onMissingVariables] - 設定先の変数が無い場合の通知 (names:string[]) => void
+ * @returns {{timer:Object, elapsedMs:number, start:Function, pause:Function, resume:Function, stop:Function, reset:Function, replaceTimer:Function}} タイマー状態と操作関数
+ */
+const useCallTimer = ({ initialState, variables, fields, setVariables, saveToUndoStack, onMissingVariables }) => {
+  const { useState, useEffect, useCallback } = React;
+
+  /**
+   * 初期状態（未計測）
+   * @type {{status:string, startedAt:null, endedAt:null, resumedAt:null, accumulatedMs:number}}
+   */
+  const IDLE_STATE = { status: 'idle', startedAt: null, endedAt: null, resumedAt: null, accumulatedMs: 0 };
+
+  /**
+   * 保存済みのタイマー状態の正規化（不正な値は未計測として扱う）
+   * @param {Object|null} s - タイマー状態
+   * @returns {Object} タイマー状態
+   */
+  const normalizeTimer = (s) => {
+    try {
+      if (!s || !['running', 'paused', 'stopped'].includes(s.status)) return IDLE_STATE;
+      if (s.status === 'running' && isNaN(new Date(s.resumedAt).getTime())) return IDLE_STATE;
+      return { ...IDLE_STATE, ...s, accumulatedMs: Math.max(0, Number(s.accumulatedMs) || 0) };
+    } catch (_) {
+      return IDLE_STATE;
+    }
+  };
+
+  // 永続化データの復元
+  const [timer, setTimer] = useState(() => normalizeTimer(initialState));
+  const [now, setNow] = useState(() => Date.now());
+  const targets = Helpers.normalizeCallTimerFields(fields);
+
+  // 計測中は1秒ごとに再描画
+  useEffect(() => {
+    if (timer.status !== 'running') return undefined;
+    setNow(Date.now());
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => { try { clearInterval(id); } catch (_) {} };
+  }, [timer.status]);
+
+  /**
+   * 経過時間の算出
+   * @param {Object} state - タイマー状態
+   * @param {number} at - 基準時刻（epoch ms）
+   * @returns {number} 経過時間（ミリ秒）
+   */
+  const computeElapsed = (state, at) => {
+    const base = Number(state.accumulatedMs) || 0;
+    if (state.status !== 'running' || !state.resumedAt) return base;
+    return base + Math.max(0, at - new Date(state.resumedAt).getTime());
+  };
+
+  /**
+   * 変数への値設定
+   * 指定名の変数が存在する場合のみ、タイプに応じた形式で値を設定する（空の変数名は使わない設定として無視）
+   * @param {Object<string, {date?:Date, text?:string}>} entries - 変数名 → 設定内容
+   * @returns {void}
+   */
+  const fillVariables = useCallback((entries) => {
+    const names = Object.keys(entries).filter(Boolean);
+    if (names.length === 0) return;
+    const existing = new Set((variables || []).map(v => v && v.name));
+    const missing = names.filter(name => !existing.has(name));
+    if (missing.length > 0 && typeof onMissingVariables === 'function') {
+      try { onMissingVariables(missing); } catch (_) {}
+    }
+    if (missing.length === names.length) return;
+    try { if (typeof saveToUndoStack === 'function') saveToUndoStack(); } catch (_) {}
+    setVariables(prev => (prev || []).map(v => {
+      const entry = v && v.name && entries[v.name];
+      if (!entry) return v;
+      if (typeof entry.text === 'string') return { ...v, value: entry.text };
+      if (v.type === 'time') return { ...v, value: DateUtils.formatDateTime(entry.date, v.format || 'HH:mm', v.rounding) };
+      if (v.type === 'date') return { ...v, value: DateUtils.formatDateTime(entry.date, v.format || Constants.DATE_FORMAT_PRESETS[0].value) };
+      return { ...v, value: DateUtils.formatDateTime(entry.date, 'HH:mm') };
+    }));
+  }, [variables, setVariables, saveToUndoStack, onMissingVariables]);
+
+  /**
+   * 計測開始（未計測/停止後のみ）
+   * @returns {void}
+   */
+  const start = useCallback(() => {
+    if (timer.status === 'running' || timer.status === 'paused') return;
+    const startedAt = new Date();
+    setTimer({ ...IDLE_STATE, status: 'running', startedAt: startedAt.toISOString(), resumedAt: startedAt.toISOString() });
+    setNow(startedAt.getTime());
+    fillVariables({ [targets.start]: { date: startedAt } });
+  }, [timer.status, fillVariables, targets.start]);
+
+  /**
+   * 一時停止
+   * @returns {void}
+   */
+  const pause = useCallback(() => {
+    if (timer.status !== 'running') return;
+    const at = Date.now();
+    setTimer(prev => ({ ...prev, status: 'paused', resumedAt: null, accumulatedMs: computeElapsed(prev, at) }));
+    setNow(at);
+  }, [timer.status]);
+
+  /**
+   * 再開
+   * @returns {void}
+   */
+  const resume = useCallback(() => {
+    if (timer.status !== 'paused') return;
+    const at = new Date();
+    setTimer(prev => ({ ...prev, status: 'running', resumedAt: at.toISOString() }));
+    setNow(at.getTime());
+  }, [timer.status]);
+
+  /**
+   * 計測停止（終了時刻・通話時間を設定）
+   * @returns {void}
+   */
+  const stop = useCallback(() => {
+    if (timer.status !== 'running' && timer.status !== 'paused') return;
+    const endedAt = new Date();
+    const elapsed = computeElapsed(timer, endedAt.getTime());
+    setTimer(prev => ({ ...prev, status: 'stopped', resumedAt: null, endedAt: endedAt.toISOString(), accumulatedMs: elapsed }));
+    setNow(endedAt.getTime());
+    fillVariables({
+      [targets.end]: { date: endedAt },
+      [targets.duration]: { text: DateUtils.formatDuration(elapsed) }
+    });
+  }, [timer, fillVariables, targets.end, targets.duration]);
+
+  /**
+   * リセット（未計測へ戻す。変数値は変更しない）
+   * @returns {void}
+   */
+  const reset = useCallback(() => {
+    setTimer(IDLE_STATE);
+  }, []);
+
+  /**
+   * タイマー状態の入れ替え（下書きタブの切り替え時。変数値は変更しない）
+   * @param {Object|null} state - 切り替え先のタイマー状態（無い場合は未計測）
+   * @returns {void}
+   */
+  const replaceTimer = useCallback((state) => {
+    setTimer(normalizeTimer(state));
+    setNow(Date.now());
+  }, []);
+
+  return { timer, elapsedMs: computeElapsed(timer, now), start, pause, resume, stop, reset, replaceTimer };
+};
+
+// グローバル公開
+window.Hooks = window.Hooks || {};
+window.Hooks.useCallTimer = useCallTimer;
@@ -0,0 +1,86 @@
+/**
+ * タブ間同期フック
+ * 共有データ（セッション履歴・テンプレート・入力履歴・アドレス帳）の変更を他のタブへ通知し、
+ * 他のタブの変更を受信して現在の状態へマージする（SyncService を使用）。
+ * 作業中の下書き（変数・文節・下書きタブ）は同期対象外で、タブごとに独立して編集できる。
+ *
+ * 設計:
+ * - スライスごとに「他のタブと共有済みの値」（baseRef）を保持し、変更時は base → 現在値 を通知する
+ * - 受信した変更を適用した結果は再通知しない（appliedRef で識別）
+ * - 同じ項目が両方のタブで変更されていた場合は送信時刻の新しい側を採用し、
+ *   このタブの内容が採用されなかった場合はコピーとして残して通知を表示する
+ *
+ * @param {Object} params - 引数
+ * @param {{sessionHistory:Array, templates:Object, inputHistory:Object, directory:Array}} params.values - 現在の共有データ
+ * @param {{sessionHistory:Function, templates:Function, inputHistory:Function, directory:Function}} params.setters - 共有データの setter
+ * @param {Function} [params.onConflict] - 競合時の通知 (message:string) => void
+ * @returns {void}
+ */
+const useCrossTabSync = ({ values, setters, onConflict }) => {
+  const { useEffect, useRef } = React;
+
+  const valuesRef = useRef(values);
+  valuesRef.current = values;
+  const settersRef = useRef(setters);
+  settersRef.current = setters;
+  const onConflictRef = useRef(onConflict);
+  onConflictRef.current = onConflict;
+
+  const baseRef = useRef({ ...values });
+  const appliedRef = useRef({});
+  const publishedAtRef = useRef({});
+
+  /**
+   * 競合時の通知文言
+   * @type {Object<string, string>}
+   */
+  const CONFLICT_MESSAGES = {
+    sessionHistory: '別のタブと同じ履歴が同時に更新されました。このタブの内容は別の履歴として残しています',
+    templates: `別のタブと同じブロックが同時に更新されました。このタブの内容は「${SyncService.CONFLICT_COPY_SUFFIX}」として残しています`,
+    directory: `別のタブと同じアドレス帳の項目が同時に更新されました。このタブの内容は「${SyncService.CONFLICT_COPY_SUFFIX}」として残しています`
+  };
+
+  /**
+   * スライスの変更を通知（受信した変更の適用結果は通知しない）
+   * @param {string} slice - スライス名
+   * @returns {void}
+   */
+  const publishIfChanged = (slice) => {
+    const current = valuesRef.current[slice];
+    if (current === baseRef.current[slice]) return;
+    if (current !== appliedRef.current[slice]) {
+      publishedAtRef.current[slice] = SyncService.publish(slice, baseRef.current[slice], current);
+    }
+    baseRef.current[slice] = current;
+  };
+
+  useEffect(() => { publishIfChanged('sessionHistory'); }, [values.sessionHistory]);
+  useEffect(() => { publishIfChanged('templates'); }, [values.templates]);
+  useEffect(() => { publishIfChanged('inputHistory'); }, [values.inputHistory]);
+  useEffect(() => { publishIfChanged('directory'); }, [values.directory]);
+
+  // 他のタブからの変更の受信
+  useEffect(() => SyncService.subscribe((message) => {
+    const { slice } = message;
+    const setter = settersRef.current[slice];
+    if (typeof setter !== 'function') return;
+    const local = valuesRef.current[slice];
+    // 後勝ち: このタブの最終通知より後に送信された変更を優先する
+    const remoteWins = !(publishedAtRef.current[slice] > message.at);
+    const { value, conflicts } = SyncService.mergeSlice(slice, local, message, remoteWins);
+    if (value === local) return;
+    appliedRef.current[slice] = value;
+    setter(value);
+    if (conflicts > 0) {
+      // 競合コピーは送信元のタブにも反映させる
+      publishedAtRef.current[slice] = SyncService.publish(slice, message.next, value);
+      if (typeof onConflictRef.current === 'function') {
+        try { onConflictRef.current(CONFLICT_MESSAGES[slice] || '別のタブと同時に更新されました'); } catch (_) {}
+      }
+    }
+  }), []);
+};
+
+// グローバル公開
+window.Hooks = window.Hooks || {};
+window.Hooks.useCrossTabSync = useCrossTabSync;
@@ -0,0 +1,191 @@
+/**
+ * 下書きタブ管理フック
+ * 複数の報告文（下書き）をタブで並行して編集するための状態を管理する。
+ *
+ * 設計:
+ * - 編集中（アクティブ）タブの内容は App の通常の state（variables/segments/ブロック選択/Undoスタック）が正とし、
+ *   タブ切り替え時にのみ、現在の state をタブへ退避し、切り替え先タブの内容を state へ適用する
+ * - これにより既存のフック（プレビュー同期・差分表示・Undo/Redo 等）は単一の下書きを前提としたまま動作する
+ * - Undo/Redo スタックはタブごとにメモリ上でのみ保持し、永続化しない
+ *
+ * 下書きの形:
+ * { id, title, createdAt, variables, segments, selectedBlockIndex, baselineBlockIndex, callTimer?, reminder?, undoStack?, redoStack? }
+ * - callTimer: 通話タイマーの状態（useCallTimer 参照）。タブごとに計測し、切り替えても他のタブへ引き継がない
+ * - reminder: 折り返しリマインダー（Reminders 参照）。タブの内容とは別に本フックの state で保持する
+ *
+ * @param {Object} params - 引数
+ * @param {Array|null} [params.initialDrafts] - 永続化済みの下書き一覧
+ * @param {string|null} [params.initialActiveId] - 永続化済みのアクティブタブID
+ * @param {{variables:Array, segments:Array, selectedBlockIndex:number, baselineBlockIndex:number, undoStack:Array, redoStack:Array, callTimer:Object}} params.current - 現在の編集状態
+ * @param {Function} params.applyDraft - 下書きの内容を編集状態へ適用する関数 (draft) => void
+ * @returns {{drafts:Array, activeDraftId:string, persistableDrafts:Array, switchDraft:Function, addDraft:Function, renameDraft:Function, closeDraft:Function, setDraftReminder:Function, markDraftReminderNotified:Function}} 下書き状態と操作関数
+ */
+const useDrafts = ({ initialDrafts, initialActiveId, current, applyDraft }) => {
+  const { useState, useCallback, useMemo } = React;
+
+  /**
+   * 重複しない既定タイトル（下書き1, 下書き2, ...）
+   * @param {Array} list - 既存の下書き一覧
+   * @returns {string} タイトル
+   */
+  const nextTitle = (list) => {
+    const used = new Set((list || []).map(d => d && d.title));
+    let n = 1;
+    while (used.has(`下書き${n}`)) n += 1;
+    return `下書き${n}`;
+  };
+
+  /**
+   * 変数定義の複製（名前・タイプ・フォーマット・選択肢などの設定は引き継ぎ、値は空にする）
+   * 複製元に変数が無い場合は既定の変数（着信時刻）を返す
+   * @param {Array} variables - 複製元の変数配列
+   * @returns {Array} 値を空にした変数配列
+   */
+  const cloneVariableDefinitions = (variables) => {
+    const list = (Array.isArray(variables) ? variables : []).filter(v => v && v.name);
+    if (list.length === 0) return Constants.createBlankVariables();
+    return list.map(({ dateValue, ...v }) => ({ ...v, id: Helpers.generateId(), value: '' }));
+  };
+
+  // 永続化データの復元（無い場合は現在の内容で1件目の下書きを作成）
+  const [state, setState] = useState(() => {
+    const valid = Array.isArray(initialDrafts)
+      ? initialDrafts.filter(d => d && typeof d.id === 'string' && Array.isArray(d.segments) && Array.isArray(d.variables))
+      : [];
+    if (valid.length > 0) {
+      const activeId = valid.some(d => d.id === initialActiveId) ? initialActiveId : valid[0].id;
+      return { drafts: valid, activeId };
+    }
+    const first = {
+      id: Helpers.generateId(),
+      title: nextTitle([]),
+      createdAt: new Date().toISOString(),
+      variables: current.variables,
+      segments: current.segments,
+      selectedBlockIndex: current.selectedBlockIndex,
+      baselineBlockIndex: current.baselineBlockIndex,
+      callTimer: current.callTimer
+    };
+    return { drafts: [first], activeId: first.id };
+  });
+
+  /**
+   * アクティブタブへ現在の編集状態を書き戻した一覧
+   * @param {Array} list - 下書き一覧
+   * @param {string} activeId - アクティブタブID
+   * @returns {Array} 同期済みの一覧
+   */
+  const withCurrent = useCallback((list, activeId) => list.map(d => (d.id === activeId ? { ...d, ...current } : d)), [current]);
+
+  /**
+   * タブの切り替え
+   * @param {string} draftId - 切り替え先の下書きID
+   * @returns {void}
+   */
+  const switchDraft = useCallback((draftId) => {
+    if (draftId === state.activeId) return;
+    const list = withCurrent(state.drafts, state.activeId);
+    const target = list.find(d => d.id === draftId);
+    if (!target) return;
+    setState({ drafts: list, activeId: draftId });
+    applyDraft(target);
+  }, [state, withCurrent, applyDraft]);
+
+  /**
+   * 新しい下書きタブを追加して切り替える
+   * 変数はアクティブタブの定義を値を空にして引き継ぐ（テンプレートが参照する変数を失わないため）
+   * @returns {void}
+   */
+  const addDraft = useCallback(() => {
+    const list = withCurrent(state.drafts, state.activeId);
+    const draft = {
+      id: Helpers.generateId(),
+      title: nextTitle(list),
+      createdAt: new Date().toISOString(),
+      variables: cloneVariableDefinitions(current.variables),
+      segments: [{ id: Helpers.generateId(), content: '' }],
+      selectedBlockIndex: -1,
+      baselineBlockIndex: -1,
+      callTimer: null,
+      undoStack: [],
+      redoStack: []
+    };
+    setState({ drafts: [...list, draft], activeId: draft.id });
+    applyDraft(draft);
+  }, [state, withCurrent, applyDraft]);
+
+  /**
+   * タブ名の変更（空文字は無視）
+   * @param {string} draftId - 対象の下書きID
+   * @param {string} title - 新しいタイトル
+   * @returns {void}
+   */
+  const renameDraft = useCallback((draftId, title) => {
+    const nextTitleText = String(title ?? '').trim();
+    if (!nextTitleText) return;
+    setState(prev => ({ ...prev, drafts: prev.drafts.map(d => (d.id === draftId ? { ...d, title: nextTitleText } : d)) }));
+  }, []);
+
+  /**
+   * 折り返しリマインダーの設定・解除
+   * @param {string} draftId - 対象の下書きID
+   * @param {{at:Date|string, note?:string}|null} reminder - リマインダー（null は解除）
+   * @returns {void}
+   */
+  const setDraftReminder = useCallback((draftId, reminder) => {
+    setState(prev => ({ ...prev, drafts: prev.drafts.map(d => (d.id === draftId ? Reminders.applyReminder(d, reminder) : d)) }));
+  }, []);
+
+  /**
+   * 折り返しリマインダーを通知済みとして記録
+   * @param {string} draftId - 対象の下書きID
+   * @returns {void}
+   */
+  const markDraftReminderNotified = useCallback((draftId) => {
+    setState(prev => ({ ...prev, drafts: prev.drafts.map(d => (d.id === draftId ? Reminders.markReminderNotified(d) : d)) }));
+  }, []);
+
+  /**
+   * タブを閉じる（最後の1件は閉じない）
+   * アクティブタブを閉じた場合は隣のタブへ切り替える
+   * @param {string} draftId - 対象の下書きID
+   * @returns {void}
+   */
+  const closeDraft = useCallback((draftId) => {
+    if (state.drafts.length <= 1) return;
+    const list = withCurrent(state.drafts, state.activeId);
+    const idx = list.findIndex(d => d.id === draftId);
+    if (idx === -1) return;
+    const rest = list.filter(d => d.id !== draftId);
+    if (draftId !== state.activeId) {
+      setState({ drafts: rest, activeId: state.activeId });
+      return;
+    }
+    const target = rest[Math.min(idx, rest.length - 1)];
+    setState({ drafts: rest, activeId: target.id });
+    applyDraft(target);
+  }, [state, withCurrent, applyDraft]);
+
+  /**
+   * 永続化用の下書き一覧（アクティブタブは現在の編集状態、Undo/Redoスタックは除外）
+   * @type {Array}
+   */
+  const persistableDrafts = useMemo(() => withCurrent(state.drafts, state.activeId)
+    .map(({ undoStack, redoStack, ...rest }) => rest), [state, withCurrent]);
+
+  return {
+    drafts: state.drafts,
+    activeDraftId: state.activeId,
+    persistableDrafts,
+    switchDraft,
+    addDraft,
+    renameDraft,
+    closeDraft,
+    setDraftReminder,
+    markDraftReminderNotified
+  };
+};
+
+// グローバル公開
+window.Hooks = window.Hooks || {};
+window.Hooks.useDrafts = useDrafts;
@@ -4,7 +4,7 @@
  * また、UIで利用する `variableSuggestions`（name→{history, groupValues}）も提供する。
  *
  * 仕様:
- * - time 型の変数は候補対象外
+ * - time 型・date 型の変数は候補対象外
  * - スコア: 入力済み変数での完全一致数 / 対象数（未入力は評価対象外）
  * - ソート: ①スコア降順 ②一致数降順 ③新しいグループ優先（配列先頭ほど新しい）
  * - 各変数に対し上位グループから最大3件の候補値を重複除外で抽出
@@ -45,7 +45,7 @@ const useGroupSuggestions = (variables, inputHistory, externalSuggestions = {})
         let matches = 0;
         for (const [name, val] of currentByName.entries()) {
           const t = nameToType.get(name) || 'text';
-          if (t === 'time') continue;
+          if (t === 'time' || t === 'date') continue;
           if (!val) continue;
           considered++;
           if (Object.prototype.hasOwnProperty.call(gv, name) && String(gv[name] ?? '') === val) {
@@ -66,7 +66,7 @@ const useGroupSuggestions = (variables, inputHistory, externalSuggestions = {})
       // 各フィールドについて、上位グループから最大3件の候補を収集
       const suggested = {};
       for (const [name, type] of nameToType.entries()) {
-        if (type === 'time') continue;
+        if (type === 'time' || type === 'date') continue;
         const vals = [];
         for (const item of scored) {
           const g = groups[item.idx];
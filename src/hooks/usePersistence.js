@@ -0,0 +1,118 @@
+/**
+ * データ永続化フック
+ * アプリケーションの状態を StorageService（IndexedDB / localStorage フォールバック）へ自動保存する
+ *
+ * 機能:
+ * - スライス単位の保存（変更されたスライスのみ書き込む）
+ *   - 作業中の下書き（変数・文節・下書きタブ・通話タイマー）
+ *   - セッション履歴 / テンプレート / 入力履歴 / 設定 / アドレス帳
+ * - 下書きは入力のたびに変化するため遅延保存し、タブ非表示・ページ離脱時に即時保存する
+ * - 初回描画時は読み込んだ内容と同一のため保存しない
+ * - 読み込みに失敗した場合（enabled: false）は保存しない（空の状態で保存済みデータを上書きしないため）
+ * - 保存の失敗は StorageService がログへ記録するため、ここでは拒否を握りつぶす
+ *
+ * 読み込みは描画前に StorageService.load() で行い、App へ initialData として渡す（index.html 参照）
+ *
+ * @param {Object} params - 保存対象の状態
+ * @param {Array} params.variables - 変数配列
+ * @param {Array} params.segments - セグメント配列
+ * @param {Array} params.sessionHistory - セッション履歴配列
+ * @param {Object} params.templates - テンプレートオブジェクト
+ * @param {Object} params.inputHistory - 入力履歴オブジェクト
+ * @param {Object} [params.callTimer] - 通話タイマー状態（リロード後の計測継続用）
+ * @param {Array} [params.drafts] - 下書きタブ（variables/segments はアクティブタブの内容）
+ * @param {string} [params.activeDraftId] - アクティブな下書きタブID
+ * @param {Object} [params.settings] - アプリ設定（履歴の保持設定など）
+ * @param {Array} [params.directory] - アドレス帳
+ * @param {boolean} [params.enabled=true] - 保存するか
+ * @returns {void}
+ */
+const usePersistence = ({ variables, segments, sessionHistory, templates, inputHistory, callTimer, drafts, activeDraftId, settings, directory, enabled = true }) => {
+    const { useEffect, useRef } = React;
+
+    /**
+     * 下書き保存の遅延時間（ミリ秒）
+     * @type {number}
+     */
+    const DRAFT_SAVE_DELAY = 400;
+
+    const draftRef = useRef(null);
+    const draftTimerRef = useRef(null);
+
+    /**
+     * 保存の実行（無効時は保存しない）
+     * @param {Function} save - 保存処理（Promise を返す）
+     * @returns {void}
+     */
+    const runSave = (save) => {
+        if (!enabled) return;
+        save().catch(() => {});
+    };
+
+    /**
+     * 保留中の下書きを即時保存
+     * @returns {void}
+     */
+    const flushDraft = () => {
+        if (draftTimerRef.current) {
+            clearTimeout(draftTimerRef.current);
+            draftTimerRef.current = null;
+        }
+        if (draftRef.current) {
+            const draft = draftRef.current;
+            runSave(() => StorageService.saveDraft(draft));
+            draftRef.current = null;
+        }
+    };
+
+    /**
+     * 初回実行のスキップ判定付き useEffect
+     * @param {Function} effect - 保存処理
+     * @param {Array} deps - 依存配列
+     * @returns {void}
+     */
+    const useSaveEffect = (effect, deps) => {
+        const mountedRef = useRef(false);
+        useEffect(() => {
+            if (!mountedRef.current) {
+                mountedRef.current = true;
+                return;
+            }
+            effect();
+        }, deps);
+    };
+
+    // 作業中の下書き（遅延保存）
+    useSaveEffect(() => {
+        draftRef.current = { variables, segments, callTimer, drafts, activeDraftId };
+        if (draftTimerRef.current) clearTimeout(draftTimerRef.current);
+        draftTimerRef.current = setTimeout(flushDraft, DRAFT_SAVE_DELAY);
+    }, [variables, segments, callTimer, drafts, activeDraftId]);
+
+    useSaveEffect(() => { runSave(() => StorageService.saveSessions(sessionHistory)); }, [sessionHistory]);
+    useSaveEffect(() => { runSave(() => StorageService.saveTemplates(templates)); }, [templates]);
+    useSaveEffect(() => { runSave(() => StorageService.saveInputHistory(inputHistory)); }, [inputHistory]);
+    useSaveEffect(() => { runSave(() => StorageService.saveSettings(settings)); }, [settings]);
+    useSaveEffect(() => { runSave(() => StorageService.saveDirectory(directory)); }, [directory]);
+
+    // タブ非表示・ページ離脱時に保留中の下書きを保存
+    useEffect(() => {
+        const onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') flushDraft();
+        };
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        window.addEventListener('pagehide', flushDraft);
+        return () => {
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            window.removeEventListener('pagehide', flushDraft);
+            flushDraft();
+        };
+    }, []);
+};
+
+/**
+ * グローバルスコープへの公開
+ * モジュラー構成でのフック参照を可能にする
+ */
+window.Hooks = window.Hooks || {};
+window.Hooks.usePersistence = usePersistence;
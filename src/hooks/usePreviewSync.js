@@ -62,19 +62,12 @@ const usePreviewSync = (params) => {
   /**
    * プレビューの自動生成
    * 変数/セグメント変更時に、自動的にプレビュー文字列を再生成
+   * 条件セクション（`{{#if}}` 等）の評価を含めるため、展開は Helpers.renderPreviewWithIndexMap に一本化する
    */
   useEffect(() => {
     if (!isEditingPreview) {
-      const text = segments.map((segment) => {
-        let content = segment.content;
-        variables.forEach((variable) => {
-          const nameEsc = Helpers.escapeRegExp(String(variable.name || ''));
-          const regex = new RegExp(`\\{\\{\\s*${nameEsc}\\s*\\}}`, 'g');
-          content = content.replace(regex, variable.value || `{{${variable.name}}}`);
-        });
-        return content;
-      }).join('\n');
-      setPreview(text);
+      const { previewText } = Helpers.renderPreviewWithIndexMap(segments, variables);
+      setPreview(previewText);
     }
   }, [segments, variables, isEditingPreview]);
 
@@ -168,7 +161,8 @@ const usePreviewSync = (params) => {
         if (removedAtBackspace(caret)) {
           // Delete（行末で次行の改行を削除）相当
           const lineIdx = oldPreview.slice(0, caret).split('\n').length - 1;
-          const nextSegments = Helpers.applyDeleteAtLineEnd(segments, lineIdx);
+          const { lineMaps } = Helpers.renderPreviewWithIndexMap(segments, variables);
+          const nextSegments = Helpers.applyDeleteAtLineEnd(segments, lineIdx, lineMaps);
           setIsEditingPreview(true);
           setSegments(nextSegments);
           if (typeof saveToUndoStack === 'function') saveToUndoStack();
@@ -188,7 +182,8 @@ const usePreviewSync = (params) => {
           // Backspace（行頭）: 前行と結合
           const removedPos = caret - 1;
           const currLineIdx = oldPreview.slice(0, removedPos).split('\n').length; // 削除された改行の直後の行
-          const nextSegments = Helpers.applyBackspaceAtLineStart(segments, currLineIdx);
+          const { lineMaps } = Helpers.renderPreviewWithIndexMap(segments, variables);
+          const nextSegments = Helpers.applyBackspaceAtLineStart(segments, currLineIdx, lineMaps);
           setIsEditingPreview(true);
           setSegments(nextSegments);
           if (typeof saveToUndoStack === 'function') saveToUndoStack();
@@ -0,0 +1,74 @@
+/**
+ * 折り返しリマインダーの通知フック
+ * 下書き・セッション履歴のリマインダーを監視し、予定日時になったらブラウザ通知を表示する。
+ *
+ * 設計:
+ * - 次の予定日時まで（最長 CHECK_INTERVAL_MS ごと）タイマーで現在時刻を更新し、期限を判定する
+ *   （スリープ復帰などでタイマーが遅れた場合に備え、タブが表示されたときにも判定する）
+ * - 予定日時を過ぎた未通知のリマインダーは NotificationService で通知し、onNotify で通知済みとして記録させる
+ *   （通知が許可されていない場合も onNotify は呼ぶ。アプリ内の表示は呼び出し側で行う）
+ * - 通知のクリック（Service Worker 経由を含む）は onOpen で対象の下書き・セッションを開かせる
+ *
+ * @param {Object} params - 引数
+ * @param {Array} params.sessionHistory - セッション履歴
+ * @param {Array} params.drafts - 下書き一覧
+ * @param {Function} params.onNotify - 予定日時になったリマインダーの通知 (reminder:Object) => void
+ * @param {Function} params.onOpen - 通知のクリック (target:{kind:'session'|'draft', id:string}) => void
+ * @returns {{reminders:Array, overdueReminders:Array}} リマインダー一覧（Reminders.collectReminders）と期限を過ぎたもの
+ */
+const useReminders = ({ sessionHistory, drafts, onNotify, onOpen }) => {
+  const { useState, useEffect, useMemo, useRef } = React;
+  const CHECK_INTERVAL_MS = 30 * 1000;
+
+  const onNotifyRef = useRef(onNotify);
+  onNotifyRef.current = onNotify;
+  const onOpenRef = useRef(onOpen);
+  onOpenRef.current = onOpen;
+  // 通知済みのキー（状態の反映前に同じリマインダーを二重に通知しないため）
+  const notifiedKeysRef = useRef(new Set());
+
+  const [now, setNow] = useState(() => new Date());
+  const reminders = useMemo(() => Reminders.collectReminders({ sessions: sessionHistory, drafts, now }), [sessionHistory, drafts, now]);
+  const overdueReminders = useMemo(() => reminders.filter(r => r.overdue), [reminders]);
+
+  // 次の予定日時（最長 CHECK_INTERVAL_MS 後）に現在時刻を更新
+  useEffect(() => {
+    const delay = Reminders.getNextReminderDelay(reminders, now);
+    const id = setTimeout(() => setNow(new Date()), Math.max(1000, Math.min(delay === null ? CHECK_INTERVAL_MS : delay, CHECK_INTERVAL_MS)));
+    return () => clearTimeout(id);
+  }, [reminders, now]);
+
+  // タブが表示されたときに判定し直す
+  useEffect(() => {
+    const handleVisibility = () => { if (document.visibilityState === 'visible') setNow(new Date()); };
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, []);
+
+  // Service Worker 経由の通知クリック
+  useEffect(() => NotificationService.subscribeClicks((data) => {
+    if (data && data.kind && data.id) onOpenRef.current({ kind: data.kind, id: data.id });
+  }), []);
+
+  // 予定日時になったリマインダーの通知
+  useEffect(() => {
+    Reminders.getDueReminders(reminders).forEach(r => {
+      const key = `${r.kind}:${r.id}:${r.at}`;
+      if (notifiedKeysRef.current.has(key)) return;
+      notifiedKeysRef.current.add(key);
+      NotificationService.show(`折り返しの時間です: ${r.title}`, {
+        body: r.note || `${DateUtils.formatDateTime(r.at, 'M/D(ddd) HH:mm')} の予定`,
+        tag: `telescribe-reminder-${r.kind}-${r.id}`,
+        data: { kind: r.kind, id: r.id },
+        onClick: (data) => onOpenRef.current(data)
+      });
+      onNotifyRef.current(r);
+    });
+  }, [reminders]);
+
+  return { reminders, overdueReminders };
+};
+
+// グローバル公開
+window.Hooks = window.Hooks || {};
+window.Hooks.useReminders = useReminders;
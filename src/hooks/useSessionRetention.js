@@ -0,0 +1,39 @@
+/**
+ * セッション履歴の保持管理フック
+ * 保持設定（件数・日数・お気に入りの常時保持）を超えたセッションをアーカイブへ移動する。
+ *
+ * 設計:
+ * - 履歴や設定が変わるたびに判定し、対象があればアーカイブへ保存してから履歴から取り除く（削除はしない）
+ * - アーカイブへの保存に失敗した場合は履歴に残す
+ * - アーカイブは StorageService の archive ストアに保存し、起動時には読み込まない
+ * - アーカイブの更新ごとに archiveRevision を増やし、一覧表示側の再読み込みに使用する
+ *
+ * @param {Object} params - 引数
+ * @param {Array} params.sessionHistory - セッション履歴
+ * @param {Function} params.setSessionHistory - セッション履歴の setter
+ * @param {Object} params.retention - 保持設定
+ * @returns {{archiveRevision:number}} アーカイブの更新番号
+ */
+const useSessionRetention = ({ sessionHistory, setSessionHistory, retention }) => {
+  const { useState, useEffect } = React;
+  const [archiveRevision, setArchiveRevision] = useState(0);
+
+  useEffect(() => {
+    const { archived } = Helpers.partitionSessionsByRetention(sessionHistory, retention);
+    if (archived.length === 0) return undefined;
+    let cancelled = false;
+    const ids = new Set(archived.map(s => s.id));
+    StorageService.archiveSessions(archived).then(() => {
+      setArchiveRevision(n => n + 1);
+      if (cancelled) return;
+      setSessionHistory(prev => (prev || []).filter(s => !s || !ids.has(s.id)));
+    }).catch(() => {});
+    return () => { cancelled = true; };
+  }, [sessionHistory, retention]);
+
+  return { archiveRevision };
+};
+
+// グローバル公開
+window.Hooks = window.Hooks || {};
+window.Hooks.useSessionRetention = useSessionRetention;
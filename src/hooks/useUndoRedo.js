@@ -7,6 +7,7 @@
  * - 元に戻す（Undo）機能
  * - やり直し（Redo）機能
  * - 状態のスナップショット保存
+ * - スタックの差し替え（下書きタブ切り替え時に、タブごとの履歴へ入れ替える）
  *
  * @param {Array} segments - 現在のセグメント配列
  * @param {Array} variables - 現在の変数配列
@@ -61,12 +62,26 @@ const useUndoRedo = (segments, variables, setSegments, setVariables) => {
         }
     }, [redoStack, segments, variables]);
 
+    /**
+     * Undo/Redoスタックの差し替え
+     * 下書きタブの切り替え時に、切り替え先タブの履歴を復元するために使用
+     *
+     * @param {Array} nextUndoStack - 新しいUndoスタック
+     * @param {Array} nextRedoStack - 新しいRedoスタック
+     * @returns {void}
+     */
+    const replaceStacks = useCallback((nextUndoStack, nextRedoStack) => {
+        setUndoStack(Array.isArray(nextUndoStack) ? nextUndoStack : []);
+        setRedoStack(Array.isArray(nextRedoStack) ? nextRedoStack : []);
+    }, []);
+
     return {
         undoStack,
         redoStack,
         saveToUndoStack,
         undo,
-        redo
+        redo,
+        replaceStacks
     };
 };
 
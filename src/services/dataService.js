@@ -5,7 +5,10 @@
  * 機能:
  * - JSON形式でのデータエクスポート
  * - ファイルからのデータインポート
+ * - 通話統計のCSVエクスポート
+ * - 通話記録（セッション履歴）のCSV/TSVエクスポート（UTF-8 BOM付き / Shift_JIS）
  * - 複数形式でのクリップボードコピー
+ * - メール下書き（.eml / mailto）・折り返しリマインダーの予定（.ics）のダウンロード
  */
 const DataService = {
     /**
@@ -13,7 +16,7 @@ const DataService = {
      * アプリケーションの全データをJSON形式でファイルにエクスポート
      * エクスポート日時を含むバックアップファイルを生成
      *
-     * @param {Array} variables - 変数配列
+     * @param {Array} variables - 変数配列（タイプ固有の設定 format/rounding/options/allowCustom もそのまま出力）
      * @param {Array} segments - セグメント配列
      * @param {Object} templates - テンプレートオブジェクト
      * @param {Object} inputHistory - 入力履歴オブジェクト
@@ -59,28 +62,147 @@ const DataService = {
         URL.revokeObjectURL(url);
     },
 
+    /**
+     * 通話統計のCSVエクスポート
+     * Excel で文字化けしないよう UTF-8 BOM 付きで出力する（数式として解釈される値は無効化する）
+     *
+     * @param {Object} stats - SessionStats.aggregateSessionStats の結果
+     * @returns {void}
+     */
+    exportStatsCsv: (stats) => {
+        const csv = CsvUtils.toCsv(SessionStats.buildStatsCsvRows(stats), ',', { protectFormulas: true });
+        DataService._download(
+            new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' }),
+            `telescribe-assist-stats-${stats.from || 'all'}_${stats.to || 'all'}.csv`
+        );
+    },
+
+    /**
+     * 通話記録のCSV/TSVエクスポート
+     * - UTF-8: Excel で文字化けしないよう BOM を付与する
+     * - Shift_JIS: 表現できない文字（絵文字など）は「?」に置き換え、その件数を返す
+     * - 先頭が = + - @ の値（国際表記の電話番号など）は Excel で数式として実行されないよう「'」を付ける
+     *
+     * @param {Array<string[]>} rows - 行（見出し行を含む。CallLog.buildCallLogRows の結果）
+     * @param {Object} options - 出力設定
+     * @param {'csv'|'tsv'} options.format - 形式
+     * @param {'utf-8'|'shift_jis'} options.encoding - 文字コード
+     * @param {string} options.fileLabel - ファイル名に含める期間などの文字列
+     * @returns {{unmappable:number, unmappableChars:string[]}} 置き換えた文字の件数と文字
+     */
+    exportCallLog: (rows, { format, encoding, fileLabel }) => {
+        const isTsv = format === 'tsv';
+        const text = CsvUtils.toCsv(rows, isTsv ? '\t' : ',', { protectFormulas: true });
+        const mime = isTsv ? 'text/tab-separated-values' : 'text/csv';
+        let blob;
+        let result = { unmappable: 0, unmappableChars: [] };
+        if (encoding === 'shift_jis') {
+            const encoded = CsvUtils.encodeShiftJis(text);
+            blob = new Blob([encoded.bytes], { type: `${mime};charset=shift_jis` });
+            result = { unmappable: encoded.unmappable, unmappableChars: encoded.unmappableChars };
+        } else {
+            blob = new Blob(['\uFEFF', text], { type: `${mime};charset=utf-8` });
+        }
+        DataService._download(blob, `telescribe-assist-calllog-${fileLabel || 'all'}.${isTsv ? 'tsv' : 'csv'}`);
+        return result;
+    },
+
+    /**
+     * メール下書き（.eml）の保存
+     * 保存したファイルを開くと、既定のメールソフトで送信前の下書きとして表示される
+     *
+     * @param {string} eml - .eml の内容（MailDraft.buildEml の結果）
+     * @param {string} [fileLabel] - ファイル名に含める文字列（日時など）
+     * @returns {void}
+     */
+    exportEml: (eml, fileLabel) => {
+        DataService._download(
+            new Blob([eml], { type: 'message/rfc822' }),
+            `telescribe-assist-mail-${fileLabel || new Date().toISOString().split('T')[0]}.eml`
+        );
+    },
+
+    /**
+     * mailto: リンクを開く（既定のメールソフトの新規作成画面）
+     * @param {string} url - mailto: URL（MailDraft.buildMailtoUrl の結果）
+     * @returns {void}
+     */
+    openMailto: (url) => {
+        const a = document.createElement('a');
+        a.href = url;
+        a.click();
+    },
+
+    /**
+     * 予定（.ics）のダウンロード（カレンダーアプリへの登録用）
+     * @param {string} ics - .ics の内容（Reminders.buildIcs の結果）
+     * @param {string} [fileLabel] - ファイル名に付けるラベル（省略時は日付）
+     * @returns {void}
+     */
+    exportIcs: (ics, fileLabel) => {
+        DataService._download(
+            new Blob([ics], { type: 'text/calendar;charset=utf-8' }),
+            `telescribe-assist-reminder-${fileLabel || new Date().toISOString().split('T')[0]}.ics`
+        );
+    },
+
+    /**
+     * ファイルのダウンロード
+     * @param {Blob} blob - 内容
+     * @param {string} filename - ファイル名
+     * @returns {void}
+     */
+    _download: (blob, filename) => {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url); // メモリリーク防止
+    },
+
     // 旧 importData / importDataWithMode は廃止（UI通知を含むため）
 
     /**
      * クリップボードコピー機能
      * プレビューテキストを指定した形式でクリップボードにコピー
-     * 複数の出力形式に対応（プレーンテキスト、Markdown、HTML）
+     * 複数の出力形式に対応（書式記法は RichText で変換）
+     * - plain: 変換せずそのまま（従来どおり。文中の * や ` などの記号も残す）
+     * - stripped: 書式記号を除いたプレーンテキスト
+     * - markdown: Markdown（改行を保つよう調整）
+     * - html: text/html（書式をタグで表現）と text/plain（プレーンテキスト）を同時に登録
+     *   ClipboardItem 非対応の環境では HTML 文字列をテキストとしてコピー
+     * - raw: 変換せずそのまま（plain と同じ）
+     * 改行コードは options.lineBreak（'lf' / 'crlf'）に従う（html の text/html は <br> のため対象外）
      *
      * @param {string} preview - コピーするテキスト内容
-     * @param {string} format - 出力形式（'plain'、'markdown'、'html'）
-     * @returns {string} 実際にコピーされたテキスト
+     * @param {string} format - 出力形式（'plain'、'stripped'、'markdown'、'html'、'raw'）
+     * @param {{lineBreak?:('lf'|'crlf')}} [options] - 出力オプション
+     * @returns {string} 実際にコピーされたテキスト（html は HTML 文字列）
      */
-    copyToClipboard: (preview, format = 'plain') => {
-        let textToCopy = preview;
+    copyToClipboard: (preview, format = 'plain', options = {}) => {
+        const source = String(preview ?? '');
+        const applyLineBreak = (text) => (options.lineBreak === 'crlf' ? text.replace(/\r?\n/g, '\r\n') : text);
+        let textToCopy = source;
 
-        if (format === 'markdown') {
-            // Markdown形式への変換（将来の拡張用、現在はプレーンテキストと同じ）
-            textToCopy = preview;
+        if (format === 'stripped') {
+            textToCopy = RichText.toPlainText(source);
+        } else if (format === 'markdown') {
+            textToCopy = RichText.toMarkdown(source);
         } else if (format === 'html') {
-            // HTML形式への変換（改行を<br>タグに置換）
-            textToCopy = preview.split('\n').join('<br>');
+            textToCopy = RichText.toHtml(source);
+            if (typeof ClipboardItem !== 'undefined' && typeof navigator.clipboard.write === 'function') {
+                const item = new ClipboardItem({
+                    'text/html': new Blob([textToCopy], { type: 'text/html' }),
+                    'text/plain': new Blob([applyLineBreak(RichText.toPlainText(source))], { type: 'text/plain' })
+                });
+                navigator.clipboard.write([item]).catch(() => navigator.clipboard.writeText(textToCopy));
+                return textToCopy;
+            }
         }
 
+        if (format !== 'html') textToCopy = applyLineBreak(textToCopy);
+
         // Clipboard APIを使用してコピー
         navigator.clipboard.writeText(textToCopy);
         return textToCopy;
@@ -197,7 +319,9 @@ DataService.importDataWithModeAsync = (fileOrEvent, mode, current, setters) => {
                                 value: iv.value,
                                 type: iv.type || existing.type,
                                 format: iv.format || existing.format,
-                                rounding: iv.rounding || existing.rounding
+                                rounding: iv.rounding || existing.rounding,
+                                options: Array.isArray(iv.options) ? iv.options : existing.options,
+                                allowCustom: typeof iv.allowCustom === 'boolean' ? iv.allowCustom : existing.allowCustom
                             };
                         }
                     } else {
@@ -207,7 +331,9 @@ DataService.importDataWithModeAsync = (fileOrEvent, mode, current, setters) => {
                             type: iv.type || 'text',
                             value: iv.value || '',
                             format: iv.format,
-                            rounding: iv.rounding
+                            rounding: iv.rounding,
+                            options: iv.options,
+                            allowCustom: iv.allowCustom
                         });
                     }
                 }
@@ -383,6 +509,16 @@ DataService._validateImportedData = (data) => {
                     if ('type' in v && typeof v.type !== 'string') {
                         fail(`variables[${i}].type は文字列である必要があります`);
                     }
+                    // 選択肢（select）: options は文字列配列、allowCustom は真偽値
+                    if ('options' in v && v.options !== undefined && (!Array.isArray(v.options) || !v.options.every(o => typeof o === 'string'))) {
+                        fail(`variables[${i}].options は文字列の配列である必要があります`);
+                    }
+                    if (v.type === 'select' && !(Array.isArray(v.options) && v.options.some(o => typeof o === 'string' && o.trim() !== ''))) {
+                        fail(`variables[${i}] は選択肢タイプのため、options に1件以上の選択肢が必要です`);
+                    }
+                    if ('allowCustom' in v && v.allowCustom !== undefined && typeof v.allowCustom !== 'boolean') {
+                        fail(`variables[${i}].allowCustom は真偽値である必要があります`);
+                    }
                 });
             }
         }
@@ -0,0 +1,101 @@
+/**
+ * 通知サービス - ブラウザ通知（Notification API）
+ * 折り返しリマインダーの予定日時にデスクトップ通知を表示する
+ *
+ * 表示:
+ * - Service Worker が登録済みの場合は ServiceWorkerRegistration.showNotification で表示する
+ *   （タブが裏にあっても表示され、クリックは sw.js の notificationclick でアプリのタブへ戻す）
+ * - Service Worker が使えない場合は new Notification で表示し、クリックでこのタブへ戻す
+ * - 通知の許可はユーザー操作（リマインダーの保存）の時点で求める
+ *
+ * 制限:
+ * - 予定日時の判定はアプリのページで行うため、アプリを開いているタブが無い間は通知されない
+ *   （次にアプリを開いたときに、期限を過ぎたリマインダーとして通知・一覧表示する）
+ */
+const NotificationService = {
+    /**
+     * sw.js からアプリへ送る、通知クリックのメッセージ種別
+     * @type {string}
+     */
+    CLICK_MESSAGE_TYPE: 'telescribe-notification-click',
+
+    /**
+     * 通知に対応した環境か
+     * @returns {boolean} Notification API が使えれば true
+     */
+    isSupported: () => typeof window !== 'undefined' && 'Notification' in window,
+
+    /**
+     * 現在の許可状態
+     * @returns {'granted'|'denied'|'default'|'unsupported'} 許可状態
+     */
+    getPermission: () => (NotificationService.isSupported() ? Notification.permission : 'unsupported'),
+
+    /**
+     * 通知の許可を求める（未確認の場合のみダイアログを表示）
+     * @returns {Promise<'granted'|'denied'|'default'|'unsupported'>} 許可状態
+     */
+    requestPermission: async () => {
+        const current = NotificationService.getPermission();
+        if (current !== 'default') return current;
+        try {
+            return await Notification.requestPermission();
+        } catch (_) {
+            return NotificationService.getPermission();
+        }
+    },
+
+    /**
+     * 通知の表示
+     * @param {string} title - タイトル
+     * @param {Object} options - オプション
+     * @param {string} [options.body] - 本文
+     * @param {string} [options.tag] - 同じ対象の通知をまとめるタグ（複数タブで同時に表示しても1件になる）
+     * @param {Object} [options.data] - クリック時に受け取るデータ
+     * @param {Function} [options.onClick] - クリック時の処理 (data) => void（Service Worker 経由の場合はメッセージで呼ばれる）
+     * @returns {Promise<boolean>} 表示できた場合は true（未許可・非対応は false）
+     */
+    show: async (title, { body = '', tag, data = {}, onClick } = {}) => {
+        if (NotificationService.getPermission() !== 'granted') return false;
+        const options = { body, tag, data, icon: 'favicon.ico', requireInteraction: true };
+        try {
+            const registration = ('serviceWorker' in navigator) ? await navigator.serviceWorker.getRegistration() : null;
+            if (registration && typeof registration.showNotification === 'function') {
+                await registration.showNotification(title, options);
+                return true;
+            }
+        } catch (_) {}
+        try {
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                try { window.focus(); } catch (_) {}
+                notification.close();
+                if (typeof onClick === 'function') onClick(data);
+            };
+            return true;
+        } catch (_) {
+            return false;
+        }
+    },
+
+    /**
+     * Service Worker 経由の通知クリックの購読
+     * @param {Function} handler - クリック時の処理 (data) => void
+     * @returns {Function} 購読解除関数
+     */
+    subscribeClicks: (handler) => {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return () => {};
+        const listener = (event) => {
+            const message = event && event.data;
+            if (message && message.type === NotificationService.CLICK_MESSAGE_TYPE) handler(message.data || {});
+        };
+        navigator.serviceWorker.addEventListener('message', listener);
+        return () => navigator.serviceWorker.removeEventListener('message', listener);
+    }
+};
+
+/**
+ * グローバルスコープへの公開
+ * モジュラー構成でのサービス参照を可能にする
+ */
+window.NotificationService = NotificationService;
@@ -0,0 +1,580 @@
+/**
+ * ストレージサービス - アプリケーションデータの永続化
+ * IndexedDB を主ストレージとし、利用できない環境では localStorage へフォールバックする。
+ *
+ * 構成（IndexedDB: データベース `telescribeAssist`）:
+ * - sessions: セッション履歴（1件1レコード。keyPath: id、並び順は order で保持）
+ * - templates: テンプレート（キー: 'current'）
+ * - history: 入力履歴（キー: 'inputHistory'）
+ * - draft: 作業中の下書き（変数・文節・下書きタブ・通話タイマー。キー: 'current'）
+ * - archive: 保持上限を超えたセッション履歴のアーカイブ（1件1レコード。keyPath: id。起動時には読み込まない）
+ * - directory: アドレス帳（キー: 'current'）
+ * - meta: スキーマバージョン・設定（キー: 'schemaVersion' / 'settings'）
+ *
+ * スキーマバージョン:
+ * - 保存データの形式は SCHEMA_VERSION で管理し、読み込み時に古い形式であれば MIGRATIONS を順に適用する
+ * - 旧 localStorage キー（telescribeAssistData）のデータはバージョン0として扱い、初回読み込み時に一度だけ移行する
+ *   （全スライスを1つのトランザクションで書き込み、完了してから旧キーを削除する）
+ * - IndexedDB へ保存したことがある環境（STORAGE_BACKEND_KEY で記録）では、IndexedDB を開けなくても localStorage へフォールバックしない
+ *   （旧キーは移行時に削除済みのため、フォールバックすると保存データの無い状態で開き、入力内容も二度と読み込まれない）
+ *
+ * 複数タブ:
+ * - 別のタブが新しいデータベースバージョンで開こうとしたら接続を閉じ（onversionchange）、このタブの再読み込みを促す
+ * - 古いバージョンのタブが開いていてバージョンアップが待たされる間（onblocked）は、他のタブを閉じるよう案内して開けるまで待つ
+ *
+ * 読み込み・保存の失敗:
+ * - 保存関数は書き込みに失敗すると reject する（ログは本サービスで出力する）
+ * - 読み込み（移行・マイグレーションの保存を含む）に失敗したら reject し、このタブでは以降の保存をすべて拒否する
+ *   （空の状態で保存すると、ディスク上に残っている履歴を上書きしてしまうため）
+ *
+ * 読み込み結果の形（スライス別の保存関数もこの単位で扱う）:
+ * { schemaVersion, variables, segments, sessionHistory, templates, inputHistory, callTimer, drafts, activeDraftId, settings, directory }
+ */
+
+/**
+ * IndexedDB のデータベース名
+ * @type {string}
+ */
+const STORAGE_DB_NAME = 'telescribeAssist';
+
+/**
+ * IndexedDB のデータベースバージョン（オブジェクトストア構成の版）
+ * @type {number}
+ */
+const STORAGE_DB_VERSION = 3;
+
+/**
+ * 保存データ形式のスキーマバージョン
+ * @type {number}
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * 旧形式（localStorage 一括保存）のキー。フォールバック時の保存先も兼ねる
+ * @type {string}
+ */
+const LEGACY_STORAGE_KEY = 'telescribeAssistData';
+
+/**
+ * IndexedDB へ保存したことを記録する localStorage のキー（値: 'indexeddb'）
+ * @type {string}
+ */
+const STORAGE_BACKEND_KEY = 'telescribeAssistBackend';
+
+/**
+ * ストレージの案内の要素ID
+ * @type {string}
+ */
+const STORAGE_NOTICE_ID = 'tsa-storage-notice';
+
+/**
+ * ストレージの案内の表示（画面上部の帯。アプリの描画前にも表示できるよう DOM へ直接追加する）
+ * @param {string} message - 案内文（空文字で非表示）
+ * @returns {void}
+ */
+const showStorageNotice = (message) => {
+    try {
+        if (typeof document === 'undefined' || !document.body) return;
+        let el = document.getElementById(STORAGE_NOTICE_ID);
+        if (!message) {
+            if (el) el.remove();
+            return;
+        }
+        if (!el) {
+            el = document.createElement('div');
+            el.id = STORAGE_NOTICE_ID;
+            el.setAttribute('role', 'alert');
+            el.className = 'fixed top-0 inset-x-0 z-[100] px-4 py-2 text-sm text-center text-white bg-amber-600 shadow-lg';
+            document.body.appendChild(el);
+        }
+        el.textContent = message;
+    } catch (_) {}
+};
+
+/**
+ * スキーマのマイグレーション定義
+ * キー n の関数はバージョン n-1 のデータをバージョン n へ変換する（引数は変更せず新しいオブジェクトを返す）
+ * @type {Object<number, Function>}
+ */
+const MIGRATIONS = {
+    /**
+     * v0（旧 localStorage 一括保存）→ v1
+     * - 各スライスの型を正規化（配列/オブジェクト以外は未保存扱い）
+     * - セッション履歴の id 欠落を補完（IndexedDB のキーとして必須）
+     * - 入力履歴の不足キーを補完
+     */
+    1: (data) => {
+        const src = data || {};
+        const sessions = Array.isArray(src.sessionHistory) ? src.sessionHistory.filter(s => s && typeof s === 'object') : [];
+        return {
+            ...src,
+            variables: Array.isArray(src.variables) ? src.variables : undefined,
+            segments: Array.isArray(src.segments) ? src.segments : undefined,
+            sessionHistory: sessions.map(s => (s.id ? s : { ...s, id: Helpers.generateId() })),
+            templates: (src.templates && typeof src.templates === 'object') ? src.templates : undefined,
+            inputHistory: src.inputHistory ? Helpers.ensureInputHistoryShape(src.inputHistory) : undefined
+        };
+    }
+};
+
+/**
+ * データを最新スキーマへ移行
+ * @param {Object} data - 読み込んだデータ
+ * @param {number} fromVersion - データのスキーマバージョン（旧形式は 0）
+ * @returns {Object} 最新スキーマのデータ（schemaVersion を含む）
+ */
+const migrateData = (data, fromVersion) => {
+    let current = data || {};
+    const start = Number.isInteger(fromVersion) && fromVersion >= 0 ? fromVersion : 0;
+    for (let v = start + 1; v <= SCHEMA_VERSION; v += 1) {
+        const migrate = MIGRATIONS[v];
+        if (typeof migrate === 'function') current = migrate(current);
+    }
+    return { ...current, schemaVersion: SCHEMA_VERSION };
+};
+
+/**
+ * IDBRequest を Promise 化
+ * @param {IDBRequest} request - リクエスト
+ * @returns {Promise<any>} 結果
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * トランザクション完了を Promise 化
+ * @param {IDBTransaction} tx - トランザクション
+ * @returns {Promise<void>} 完了時に解決
+ */
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error || new Error('transaction failed'));
+    tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+});
+
+/**
+ * データベースを開く（初回/バージョンアップ時にオブジェクトストアを作成）
+ * - 古いバージョンの接続が残っていてバージョンアップが待たされる場合は案内を表示し、開けるまで待つ
+ * - 開いた接続は、別のタブがバージョンアップするときに閉じて再読み込みを促す
+ * @returns {Promise<IDBDatabase>} データベース
+ */
+const openDatabase = () => new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        ['sessions', 'archive'].forEach(name => {
+            if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+        });
+        ['templates', 'history', 'draft', 'meta', 'directory'].forEach(name => {
+            if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+        });
+    };
+    request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => {
+            db.close();
+            showStorageNotice('別のタブで新しいバージョンの本サイトが開かれたため、このタブでは保存できなくなりました。再読み込みしてください。');
+        };
+        showStorageNotice('');
+        resolve(db);
+    };
+    request.onerror = () => {
+        showStorageNotice('');
+        reject(request.error);
+    };
+    request.onblocked = () => {
+        showStorageNotice('他のタブで古いバージョンの本サイトが開いています。他のタブを閉じると読み込みを続けます。');
+    };
+});
+
+/**
+ * IndexedDB へ保存したことの記録（以降は localStorage へフォールバックしない）
+ * @returns {void}
+ */
+const markIndexedDbBackend = () => {
+    if (storageState.backendMarked) return;
+    try {
+        window.localStorage.setItem(STORAGE_BACKEND_KEY, 'indexeddb');
+        storageState.backendMarked = true;
+    } catch (_) {}
+};
+
+/**
+ * IndexedDB へ保存したことがあるか
+ * @returns {boolean} 記録があれば true
+ */
+const hasIndexedDbBackend = () => {
+    try {
+        return window.localStorage.getItem(STORAGE_BACKEND_KEY) === 'indexeddb';
+    } catch (_) {
+        return false;
+    }
+};
+
+/**
+ * 書き込み可否の確認（読み込みに失敗したタブ・保存先が無い環境では書き込まない）
+ * @returns {void}
+ * @throws {Error} 書き込めない場合
+ */
+const assertWritable = () => {
+    if (storageState.loadFailed) throw new Error('saving is disabled because loading failed');
+    if (storageState.backend === 'unavailable') throw new Error('storage is unavailable');
+};
+
+/**
+ * 旧 localStorage キーの読み込み
+ * @returns {Object|null} パースされたデータ（無い/不正な場合は null）
+ */
+const readLegacyData = () => {
+    try {
+        const raw = window.localStorage.getItem(LEGACY_STORAGE_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        console.error('Failed to load data:', e);
+        return null;
+    }
+};
+
+/**
+ * サービス内部状態
+ * - backend: 'indexeddb' | 'localstorage' | 'unavailable'（init 完了まで null。'unavailable' は保存先が無く読み書きしない）
+ * - db: IndexedDB 接続
+ * - fallbackCache: localStorage フォールバック時の全データ（スライス保存時に結合して一括保存）
+ * - backendMarked: STORAGE_BACKEND_KEY を記録済みか
+ * - loadFailed: 読み込みに失敗したか（true の間は保存しない）
+ */
+const storageState = {
+    backend: null,
+    db: null,
+    initPromise: null,
+    fallbackCache: {},
+    backendMarked: false,
+    loadFailed: false
+};
+
+const StorageService = {
+    SCHEMA_VERSION,
+    MIGRATIONS,
+    migrateData,
+
+    /**
+     * 使用中のバックエンド
+     * @returns {'indexeddb'|'localstorage'|'unavailable'|null} バックエンド種別（初期化前は null）
+     */
+    getBackend: () => storageState.backend,
+
+    /**
+     * 初期化（IndexedDB を開く。失敗時は localStorage へフォールバック）
+     * IndexedDB へ保存したことがある環境では localStorage へフォールバックせず、案内を表示して読み書きしない（'unavailable'）
+     * 複数回呼び出しても初期化は1回のみ
+     * @returns {Promise<string>} 使用するバックエンド種別
+     */
+    init: () => {
+        if (storageState.initPromise) return storageState.initPromise;
+        storageState.initPromise = (async () => {
+            try {
+                if (!window.indexedDB) throw new Error('indexedDB unavailable');
+                storageState.db = await openDatabase();
+                storageState.backend = 'indexeddb';
+            } catch (e) {
+                storageState.db = null;
+                if (hasIndexedDbBackend()) {
+                    console.error('IndexedDB is unavailable:', e);
+                    storageState.backend = 'unavailable';
+                    showStorageNotice('保存データ（IndexedDB）を開けませんでした。このままでは変更が保存されないため、再読み込みしてください。');
+                } else {
+                    console.warn('IndexedDB is unavailable. Falling back to localStorage:', e);
+                    storageState.backend = 'localstorage';
+                }
+            }
+            return storageState.backend;
+        })();
+        return storageState.initPromise;
+    },
+
+    /**
+     * 全データの読み込み
+     * - IndexedDB が空で旧 localStorage データがある場合は移行して保存する（1回のみ。保存が完了してから旧キーを削除）
+     * - スキーマが古い場合はマイグレーションを適用して保存し直す
+     * - 読み込み・保存に失敗した場合は案内を表示して reject し、以降の保存を拒否する
+     * @returns {Promise<Object|null>} 読み込んだデータ（保存データが無い場合は null）
+     */
+    load: async () => {
+        try {
+            return await StorageService._load();
+        } catch (e) {
+            console.error('Failed to load data:', e);
+            storageState.loadFailed = true;
+            if (storageState.backend !== 'unavailable') {
+                showStorageNotice('保存データを読み込めませんでした。保存済みのデータを上書きしないよう、このタブでは変更を保存しません。再読み込みしてください。');
+            }
+            throw e;
+        }
+    },
+
+    /**
+     * 全データの読み込み（内部用。失敗時は reject）
+     * @returns {Promise<Object|null>} 読み込んだデータ（保存データが無い場合は null）
+     */
+    _load: async () => {
+        const backend = await StorageService.init();
+        if (backend === 'unavailable') throw new Error('storage is unavailable');
+
+        if (backend === 'localstorage') {
+            const legacy = readLegacyData();
+            if (!legacy) return null;
+            const version = Number(legacy.schemaVersion) || 0;
+            const data = migrateData(legacy, version);
+            storageState.fallbackCache = data;
+            if (version < SCHEMA_VERSION) await StorageService._writeFallback({});
+            return data;
+        }
+
+        const db = storageState.db;
+        const tx = db.transaction(['sessions', 'templates', 'history', 'draft', 'meta', 'directory'], 'readonly');
+        const [storedVersion, settings, sessionRecords, templates, inputHistory, draft, directory] = await Promise.all([
+            requestToPromise(tx.objectStore('meta').get('schemaVersion')),
+            requestToPromise(tx.objectStore('meta').get('settings')),
+            requestToPromise(tx.objectStore('sessions').getAll()),
+            requestToPromise(tx.objectStore('templates').get('current')),
+            requestToPromise(tx.objectStore('history').get('inputHistory')),
+            requestToPromise(tx.objectStore('draft').get('current')),
+            requestToPromise(tx.objectStore('directory').get('current'))
+        ]);
+
+        // 初回: 旧 localStorage データからの移行
+        if (storedVersion !== undefined) markIndexedDbBackend();
+        if (storedVersion === undefined) {
+            const legacy = readLegacyData();
+            if (!legacy) return null;
+            const migrated = migrateData(legacy, 0);
+            // 保存のトランザクションが完了するまで旧キーは残す（失敗時は reject して旧キーを保持）
+            await StorageService.saveAll(migrated);
+            try { window.localStorage.removeItem(LEGACY_STORAGE_KEY); } catch (_) {}
+            return migrated;
+        }
+
+        const sessionHistory = (sessionRecords || [])
+            .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+            .map(r => r.value)
+            .filter(Boolean);
+        const data = {
+            ...(draft || {}),
+            sessionHistory,
+            templates,
+            inputHistory,
+            settings,
+            directory
+        };
+        const version = Number(storedVersion) || 0;
+        if (version >= SCHEMA_VERSION) return { ...data, schemaVersion: version };
+
+        const migrated = migrateData(data, version);
+        await StorageService.saveAll(migrated);
+        return migrated;
+    },
+
+    /**
+     * 全スライスの保存（移行時に使用）
+     * IndexedDB では1つのトランザクションで書き込み、完了（oncomplete）した時点で解決する。失敗時は reject
+     * @param {Object} data - 保存するデータ
+     * @returns {Promise<void>}
+     */
+    saveAll: async (data) => {
+        const d = data || {};
+        const draft = {
+            variables: d.variables,
+            segments: d.segments,
+            callTimer: d.callTimer,
+            drafts: d.drafts,
+            activeDraftId: d.activeDraftId
+        };
+        const sessions = Array.isArray(d.sessionHistory) ? d.sessionHistory.filter(s => s && s.id) : null;
+        const archive = Array.isArray(d.archive) ? d.archive.filter(s => s && s.id) : [];
+        if (storageState.backend !== 'indexeddb') {
+            const patch = { ...draft };
+            if (sessions) patch.sessionHistory = sessions;
+            ['templates', 'inputHistory', 'settings', 'directory'].forEach(key => {
+                if (d[key] !== undefined) patch[key] = d[key];
+            });
+            if (archive.length > 0) patch.archive = archive;
+            return StorageService._writeFallback(patch);
+        }
+        try {
+            assertWritable();
+            const tx = storageState.db.transaction(['sessions', 'templates', 'history', 'draft', 'meta', 'directory', 'archive'], 'readwrite');
+            tx.objectStore('draft').put(draft, 'current');
+            if (sessions) {
+                const store = tx.objectStore('sessions');
+                store.clear();
+                sessions.forEach((s, i) => store.put({ id: s.id, order: i, value: s }));
+            }
+            if (d.templates !== undefined) tx.objectStore('templates').put(d.templates, 'current');
+            if (d.inputHistory !== undefined) tx.objectStore('history').put(d.inputHistory, 'inputHistory');
+            if (d.settings !== undefined) tx.objectStore('meta').put(d.settings, 'settings');
+            if (d.directory !== undefined) tx.objectStore('directory').put(d.directory, 'current');
+            const archivedAt = new Date().toISOString();
+            archive.forEach(s => tx.objectStore('archive').put({ ...s, archivedAt: s.archivedAt || archivedAt }));
+            tx.objectStore('meta').put(SCHEMA_VERSION, 'schemaVersion');
+            await transactionDone(tx);
+            markIndexedDbBackend();
+        } catch (e) {
+            console.error('Failed to save data:', e);
+            throw e;
+        }
+    },
+
+    /**
+     * 作業中の下書きの保存
+     * @param {{variables:Array, segments:Array, callTimer?:Object, drafts?:Array, activeDraftId?:string}} draft - 下書きデータ
+     * @returns {Promise<void>} 保存の完了時に解決（失敗時は reject）
+     */
+    saveDraft: (draft) => StorageService._put('draft', 'current', draft, draft),
+
+    /**
+     * セッション履歴の保存（配列の並びを order として保持し、削除された履歴はストアからも削除）
+     * @param {Array} sessionHistory - セッション履歴
+     * @returns {Promise<void>} 保存の完了時に解決（失敗時は reject）
+     */
+    saveSessions: async (sessionHistory) => {
+        const list = Array.isArray(sessionHistory) ? sessionHistory.filter(s => s && s.id) : [];
+        if (storageState.backend !== 'indexeddb') {
+            return StorageService._writeFallback({ sessionHistory: list });
+        }
+        try {
+            assertWritable();
+            const tx = storageState.db.transaction(['sessions', 'meta'], 'readwrite');
+            const store = tx.objectStore('sessions');
+            store.clear();
+            list.forEach((s, i) => store.put({ id: s.id, order: i, value: s }));
+            tx.objectStore('meta').put(SCHEMA_VERSION, 'schemaVersion');
+            await transactionDone(tx);
+            markIndexedDbBackend();
+        } catch (e) {
+            console.error('Failed to save sessions:', e);
+            throw e;
+        }
+    },
+
+    /**
+     * テンプレートの保存
+     * @param {Object} templates - テンプレート
+     * @returns {Promise<void>}
+     */
+    saveTemplates: (templates) => StorageService._put('templates', 'current', templates, { templates }),
+
+    /**
+     * 入力履歴の保存
+     * @param {Object} inputHistory - 入力履歴
+     * @returns {Promise<void>}
+     */
+    saveInputHistory: (inputHistory) => StorageService._put('history', 'inputHistory', inputHistory, { inputHistory }),
+
+    /**
+     * 設定の保存
+     * @param {Object} settings - 設定（{ retention } など）
+     * @returns {Promise<void>}
+     */
+    saveSettings: (settings) => StorageService._put('meta', 'settings', settings, { settings }),
+
+    /**
+     * アドレス帳の保存
+     * @param {Array} directory - アドレス帳
+     * @returns {Promise<void>}
+     */
+    saveDirectory: (directory) => StorageService._put('directory', 'current', directory, { directory }),
+
+    /**
+     * セッション履歴のアーカイブへの追加（同じIDは上書き）
+     * @param {Array} sessions - アーカイブするセッション
+     * @returns {Promise<void>} 保存の完了時に解決（失敗時は reject）
+     */
+    archiveSessions: async (sessions) => {
+        const list = (Array.isArray(sessions) ? sessions : []).filter(s => s && s.id);
+        if (list.length === 0) return;
+        const archivedAt = new Date().toISOString();
+        if (storageState.backend !== 'indexeddb') {
+            const ids = new Set(list.map(s => s.id));
+            const rest = (storageState.fallbackCache.archive || []).filter(s => !ids.has(s.id));
+            return StorageService._writeFallback({ archive: [...list.map(s => ({ ...s, archivedAt })), ...rest] });
+        }
+        try {
+            assertWritable();
+            const tx = storageState.db.transaction(['archive'], 'readwrite');
+            const store = tx.objectStore('archive');
+            list.forEach(s => store.put({ ...s, archivedAt }));
+            await transactionDone(tx);
+        } catch (e) {
+            console.error('Failed to save archive:', e);
+            throw e;
+        }
+    },
+
+    /**
+     * アーカイブの読み込み
+     * @returns {Promise<Array>} アーカイブ済みセッション（順不同）
+     */
+    loadArchive: async () => {
+        const backend = await StorageService.init();
+        if (backend !== 'indexeddb') {
+            return Array.isArray(storageState.fallbackCache.archive) ? storageState.fallbackCache.archive : [];
+        }
+        try {
+            const tx = storageState.db.transaction(['archive'], 'readonly');
+            return (await requestToPromise(tx.objectStore('archive').getAll())) || [];
+        } catch (e) {
+            console.error('Failed to load archive:', e);
+            return [];
+        }
+    },
+
+    /**
+     * 単一レコードの保存（内部用）
+     * @param {string} storeName - オブジェクトストア名
+     * @param {string} key - キー
+     * @param {any} value - 値
+     * @param {Object} fallbackPatch - フォールバック時に全データへ反映する差分
+     * @returns {Promise<void>} 保存の完了時に解決（失敗時は reject）
+     */
+    _put: async (storeName, key, value, fallbackPatch) => {
+        if (storageState.backend !== 'indexeddb') {
+            return StorageService._writeFallback(fallbackPatch);
+        }
+        try {
+            assertWritable();
+            const tx = storageState.db.transaction(Array.from(new Set([storeName, 'meta'])), 'readwrite');
+            tx.objectStore(storeName).put(value, key);
+            tx.objectStore('meta').put(SCHEMA_VERSION, 'schemaVersion');
+            await transactionDone(tx);
+            markIndexedDbBackend();
+        } catch (e) {
+            console.error(`Failed to save ${storeName}:`, e);
+            throw e;
+        }
+    },
+
+    /**
+     * localStorage フォールバックへの保存（内部用）
+     * 全データを保持するキャッシュへ差分を反映し、旧キーへ一括保存する（保存先が無い 'unavailable'・読み込み失敗時は reject）
+     * @param {Object} patch - 反映する差分
+     * @returns {Promise<void>} 保存の完了時に解決（失敗時は reject）
+     */
+    _writeFallback: async (patch) => {
+        try {
+            assertWritable();
+            storageState.fallbackCache = { ...storageState.fallbackCache, ...(patch || {}), schemaVersion: SCHEMA_VERSION };
+            window.localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(storageState.fallbackCache));
+        } catch (e) {
+            console.error('Failed to save data:', e);
+            throw e;
+        }
+    }
+};
+
+/**
+ * グローバルスコープへの公開
+ * モジュラー構成でのサービス参照を可能にする
+ */
+window.StorageService = StorageService;
@@ -0,0 +1,313 @@
+/**
+ * 同期サービス - 複数タブ間の共有データ同期
+ * 同じブラウザで開いている他のタブへ共有データ（セッション履歴・テンプレート・入力履歴・アドレス帳）の更新を通知し、
+ * 受信した更新を現在のタブのデータへマージする。作業中の下書きは同期しない（タブごとに独立）。
+ *
+ * 通信:
+ * - BroadcastChannel（チャンネル名: telescribeAssistSync）を使用する
+ * - BroadcastChannel 非対応の環境では localStorage の `storage` イベントで代替する（キー: telescribeAssistSync）
+ *
+ * メッセージの形:
+ * { tabId, slice, prev, next, at }
+ * - slice: 'sessionHistory' | 'templates' | 'inputHistory' | 'directory'
+ * - prev/next: 送信元タブでの変更前/変更後の値（受信側は差分を三方向マージで適用する）
+ * - at: 送信時刻（ミリ秒）。同じ項目が両方のタブで変更されていた場合の後勝ち判定に使用する
+ *
+ * 競合:
+ * - 同じ項目（同じIDのセッション・アドレス帳の項目、同じ名前のブロック）が両方のタブで変更されていた場合は後から書き込んだ側を採用し、
+ *   採用されなかった側の内容はコピーとして残す（データを失わない）
+ */
+
+/**
+ * 同期用チャンネル名（storage イベント代替時のキーを兼ねる）
+ * @type {string}
+ */
+const SYNC_CHANNEL_NAME = 'telescribeAssistSync';
+
+/**
+ * 同期対象のスライス
+ * @type {string[]}
+ */
+const SYNC_SLICES = ['sessionHistory', 'templates', 'inputHistory', 'directory'];
+
+/**
+ * 競合時に残すコピーの名前に付ける接尾辞
+ * @type {string}
+ */
+const CONFLICT_COPY_SUFFIX = '（競合コピー）';
+
+/**
+ * 値の同一判定（JSON 表現で比較）
+ * @param {any} a - 値A
+ * @param {any} b - 値B
+ * @returns {boolean} 同一なら true
+ */
+const isSameValue = (a, b) => {
+    if (a === b) return true;
+    try { return JSON.stringify(a) === JSON.stringify(b); } catch (_) { return false; }
+};
+
+/**
+ * キー付きリストの三方向マージ
+ * 送信元の変更（prev → next）を現在のリスト（local）へ適用する。
+ *
+ * - 送信元で削除された項目: local でも変更されていなければ削除する
+ * - 送信元で追加された項目: next での位置に挿入する
+ * - 送信元で変更された項目: local で変更されていなければ適用する。
+ *   local でも変更されていた場合は競合とし、remoteWins なら送信元の値を採用して local の値を makeCopy でコピーとして残す
+ *   （makeCopy が無い場合や sameContent で同一内容と判定される場合はコピーしない）
+ *
+ * @param {Array} local - 現在のタブのリスト
+ * @param {Array} prev - 送信元の変更前リスト
+ * @param {Array} next - 送信元の変更後リスト
+ * @param {Object} options - オプション
+ * @param {Function} options.keyOf - 項目のキー取得 (item) => string
+ * @param {boolean} [options.remoteWins=true] - 競合時に送信元を採用するか
+ * @param {Function} [options.makeCopy] - 競合時に local の値を残すコピーの生成 (item) => item
+ * @param {Function} [options.sameContent] - 競合判定から除外する同一内容の判定 (a, b) => boolean
+ * @returns {{value:Array, conflicts:number}} マージ結果と競合件数
+ */
+const mergeKeyedList = (local, prev, next, { keyOf, remoteWins = true, makeCopy, sameContent }) => {
+    const localList = Array.isArray(local) ? local : [];
+    const prevList = Array.isArray(prev) ? prev : [];
+    const nextList = Array.isArray(next) ? next : [];
+    const prevMap = new Map(prevList.map(item => [keyOf(item), item]));
+    const nextMap = new Map(nextList.map(item => [keyOf(item), item]));
+    let conflicts = 0;
+    const copies = [];
+
+    const result = [];
+    localList.forEach(item => {
+        const key = keyOf(item);
+        const hadBefore = prevMap.has(key);
+        const localChanged = hadBefore && !isSameValue(item, prevMap.get(key));
+        if (!nextMap.has(key)) {
+            // 送信元で削除（local で変更されていれば残す）
+            if (hadBefore && !localChanged) return;
+            result.push(item);
+            return;
+        }
+        const remote = nextMap.get(key);
+        const remoteChanged = !hadBefore || !isSameValue(remote, prevMap.get(key));
+        if (!remoteChanged || isSameValue(item, remote)) {
+            result.push(item);
+            return;
+        }
+        if (!localChanged && hadBefore) {
+            result.push(remote);
+            return;
+        }
+        // 双方で変更（または双方で同じキーを追加）: 競合
+        if (!remoteWins) {
+            result.push(item);
+            return;
+        }
+        result.push(remote);
+        if (typeof makeCopy === 'function' && !(typeof sameContent === 'function' && sameContent(item, remote))) {
+            copies.push({ after: key, item: makeCopy(item) });
+            conflicts += 1;
+        }
+    });
+
+    // 送信元で追加された項目を next での位置へ挿入
+    const resultKeys = new Set(result.map(keyOf));
+    nextList.forEach((item, index) => {
+        const key = keyOf(item);
+        if (prevMap.has(key) || resultKeys.has(key)) return;
+        result.splice(Math.min(index, result.length), 0, item);
+        resultKeys.add(key);
+    });
+
+    // 競合コピーは元の項目の直後へ
+    copies.forEach(({ after, item }) => {
+        const idx = result.findIndex(x => keyOf(x) === after);
+        result.splice(idx === -1 ? result.length : idx + 1, 0, item);
+    });
+
+    return { value: result, conflicts };
+};
+
+/**
+ * 文字列リストのマージ（値そのものをキーとするため競合は発生しない）
+ * @param {string[]} local - 現在のタブのリスト
+ * @param {string[]} prev - 送信元の変更前リスト
+ * @param {string[]} next - 送信元の変更後リスト
+ * @returns {string[]} マージ結果
+ */
+const mergeStringList = (local, prev, next) => mergeKeyedList(local, prev, next, { keyOf: s => String(s) }).value;
+
+/**
+ * スライスごとのマージ処理
+ * @type {Object<string, Function>} (local, prev, next, remoteWins) => {value, conflicts}
+ */
+const SLICE_MERGERS = {
+    sessionHistory: (local, prev, next, remoteWins) => mergeKeyedList(local, prev, next, {
+        keyOf: s => (s && s.id) || '',
+        remoteWins,
+        makeCopy: s => ({ ...s, id: Helpers.generateId() }),
+        sameContent: (a, b) => String(a?.content ?? '') === String(b?.content ?? '')
+    }),
+
+    templates: (local, prev, next, remoteWins) => {
+        const l = local || {};
+        const p = prev || {};
+        const n = next || {};
+        const block = mergeKeyedList(l.block, p.block, n.block, {
+            keyOf: b => String(b?.name ?? ''),
+            remoteWins,
+            makeCopy: b => ({ ...b, name: `${b.name}${CONFLICT_COPY_SUFFIX}` }),
+            sameContent: (a, b) => isSameValue(a?.segments, b?.segments)
+        });
+        return {
+            value: { ...l, ...n, segment: mergeStringList(l.segment, p.segment, n.segment), block: block.value },
+            conflicts: block.conflicts
+        };
+    },
+
+    inputHistory: (local, prev, next, remoteWins) => {
+        const l = Helpers.ensureInputHistoryShape(local);
+        const p = Helpers.ensureInputHistoryShape(prev);
+        const n = Helpers.ensureInputHistoryShape(next);
+        const variables = { ...l.variables };
+        new Set([...Object.keys(p.variables), ...Object.keys(n.variables)]).forEach(name => {
+            const merged = mergeStringList(l.variables[name], p.variables[name], n.variables[name]);
+            if (merged.length > 0 || Object.prototype.hasOwnProperty.call(n.variables, name)) variables[name] = merged;
+            else delete variables[name];
+        });
+        const valueGroups = mergeKeyedList(l.valueGroups, p.valueGroups, n.valueGroups, {
+            keyOf: g => (g && g.id) || '',
+            remoteWins
+        });
+        return {
+            value: {
+                ...l,
+                variables,
+                segments: mergeStringList(l.segments, p.segments, n.segments),
+                variableNames: mergeStringList(l.variableNames, p.variableNames, n.variableNames),
+                valueGroups: valueGroups.value
+            },
+            conflicts: 0
+        };
+    },
+
+    directory: (local, prev, next, remoteWins) => mergeKeyedList(local, prev, next, {
+        keyOf: e => (e && e.id) || '',
+        remoteWins,
+        makeCopy: e => ({ ...e, id: Helpers.generateId(), company: `${e.company}${CONFLICT_COPY_SUFFIX}` }),
+        sameContent: (a, b) => isSameValue({ ...a, updatedAt: null }, { ...b, updatedAt: null })
+    })
+};
+
+/**
+ * サービス内部状態
+ * - tabId: このタブの識別子（自分が送信したメッセージの除外に使用）
+ * - channel: BroadcastChannel（非対応時は null）
+ * - listeners: 受信リスナー
+ */
+const syncState = {
+    tabId: Helpers.generateId(),
+    channel: null,
+    listeners: new Set(),
+    connected: false
+};
+
+/**
+ * 受信メッセージの配信
+ * @param {Object} message - 受信メッセージ
+ * @returns {void}
+ */
+const dispatchSyncMessage = (message) => {
+    if (!message || message.tabId === syncState.tabId || !SYNC_SLICES.includes(message.slice)) return;
+    syncState.listeners.forEach(listener => {
+        try { listener(message); } catch (e) { console.error('Failed to apply sync message:', e); }
+    });
+};
+
+/**
+ * 通信路の接続（初回の subscribe 時に1回のみ）
+ * @returns {void}
+ */
+const connectSyncChannel = () => {
+    if (syncState.connected) return;
+    syncState.connected = true;
+    try {
+        if (typeof window.BroadcastChannel === 'function') {
+            syncState.channel = new window.BroadcastChannel(SYNC_CHANNEL_NAME);
+            syncState.channel.onmessage = (e) => dispatchSyncMessage(e.data);
+            return;
+        }
+    } catch (_) {}
+    window.addEventListener('storage', (e) => {
+        if (e.key !== SYNC_CHANNEL_NAME || !e.newValue) return;
+        try { dispatchSyncMessage(JSON.parse(e.newValue)); } catch (_) {}
+    });
+};
+
+const SyncService = {
+    SYNC_SLICES,
+    CONFLICT_COPY_SUFFIX,
+    mergeKeyedList,
+
+    /**
+     * このタブの識別子
+     * @returns {string} タブID
+     */
+    getTabId: () => syncState.tabId,
+
+    /**
+     * 共有データの変更を他のタブへ通知
+     * @param {string} slice - スライス名
+     * @param {any} prev - 変更前の値
+     * @param {any} next - 変更後の値
+     * @returns {number} 送信時刻（ミリ秒）
+     */
+    publish: (slice, prev, next) => {
+        const message = { tabId: syncState.tabId, slice, prev, next, at: Date.now() };
+        connectSyncChannel();
+        try {
+            if (syncState.channel) {
+                syncState.channel.postMessage(message);
+            } else {
+                // storage イベントは他のタブでのみ発火する。値は通知後すぐに削除する
+                window.localStorage.setItem(SYNC_CHANNEL_NAME, JSON.stringify(message));
+                window.localStorage.removeItem(SYNC_CHANNEL_NAME);
+            }
+        } catch (e) {
+            console.error('Failed to publish sync message:', e);
+        }
+        return message.at;
+    },
+
+    /**
+     * 他のタブからの更新の購読
+     * @param {Function} listener - 受信時の処理 (message) => void
+     * @returns {Function} 購読解除関数
+     */
+    subscribe: (listener) => {
+        connectSyncChannel();
+        syncState.listeners.add(listener);
+        return () => { syncState.listeners.delete(listener); };
+    },
+
+    /**
+     * 受信した更新を現在の値へマージ
+     * @param {string} slice - スライス名
+     * @param {any} local - 現在のタブの値
+     * @param {{prev:any, next:any}} message - 受信メッセージ
+     * @param {boolean} [remoteWins=true] - 競合時に送信元を採用するか（後勝ち判定の結果）
+     * @returns {{value:any, conflicts:number}} マージ結果と競合件数（変化が無い場合は local をそのまま返す）
+     */
+    mergeSlice: (slice, local, message, remoteWins = true) => {
+        const merge = SLICE_MERGERS[slice];
+        if (!merge || !message) return { value: local, conflicts: 0 };
+        const result = merge(local, message.prev, message.next, remoteWins);
+        // 変化が無い場合は現在の値をそのまま返す（再描画・再保存の抑止）
+        return isSameValue(result.value, local) ? { value: local, conflicts: 0 } : result;
+    }
+};
+
+/**
+ * グローバルスコープへの公開
+ * モジュラー構成でのサービス参照を可能にする
+ */
+window.SyncService = SyncService;
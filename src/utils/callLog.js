@@ -0,0 +1,89 @@
+/**
+ * 通話記録（コールログ）ユーティリティ
+ * セッション履歴を「1通話 = 1行」の表形式に変換する（CSV/TSV エクスポート用）
+ *
+ * 列:
+ * - timestamp: 日時（YYYY/MM/DD HH:mm:ss）
+ * - var:<変数名>: 変数の値（対象セッションに現れる変数名ごとに1列。該当変数の無いセッションは空欄）
+ * - content: 報告文（改行を含む）
+ *
+ * 行は古い順に並べる
+ *
+ * 末尾で window.CallLog へ公開
+ */
+
+/**
+ * 日時列の書式
+ * @type {string}
+ */
+const CALL_LOG_TIMESTAMP_FORMAT = 'YYYY/MM/DD HH:mm:ss';
+
+/**
+ * セッションを古い順に並べ替え（不正なセッションは除く）
+ * @param {Array} sessions - セッション
+ * @returns {Array} 並べ替えたセッション
+ */
+const sortSessionsByTime = (sessions) => (Array.isArray(sessions) ? sessions : [])
+    .filter(s => s && typeof s === 'object')
+    .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+
+/**
+ * 出力可能な列の一覧
+ * 変数列は古いセッションから順に、各セッションの変数の並び順で初出順に並べる
+ *
+ * @param {Array} sessions - セッション
+ * @returns {Array<{key:string, label:string}>} 列定義
+ */
+const collectCallLogColumns = (sessions) => {
+    const names = [];
+    const seen = new Set();
+    sortSessionsByTime(sessions).forEach(s => {
+        (Array.isArray(s.variables) ? s.variables : []).forEach(v => {
+            const name = String(v?.name ?? '');
+            if (!name || seen.has(name)) return;
+            seen.add(name);
+            names.push(name);
+        });
+    });
+    return [
+        { key: 'timestamp', label: '日時' },
+        ...names.map(name => ({ key: `var:${name}`, label: name })),
+        { key: 'content', label: '報告文' }
+    ];
+};
+
+/**
+ * セッションの列の値
+ * @param {Object} session - セッション
+ * @param {string} key - 列キー
+ * @returns {string} 値
+ */
+const getCallLogValue = (session, key) => {
+    if (key === 'timestamp') return session.timestamp ? DateUtils.formatDateTime(session.timestamp, CALL_LOG_TIMESTAMP_FORMAT) : '';
+    if (key === 'content') return String(session.content ?? '');
+    if (key.startsWith('var:')) {
+        const name = key.slice(4);
+        const v = (Array.isArray(session.variables) ? session.variables : []).find(x => x && x.name === name);
+        return String(v?.value ?? '');
+    }
+    return '';
+};
+
+/**
+ * 通話記録の行（見出し行を含む）
+ * @param {Array} sessions - セッション
+ * @param {Array<{key:string, label:string}>} columns - 出力する列（この順で出力）
+ * @returns {Array<string[]>} 行
+ */
+const buildCallLogRows = (sessions, columns) => [
+    columns.map(c => c.label),
+    ...sortSessionsByTime(sessions).map(s => columns.map(c => getCallLogValue(s, c.key)))
+];
+
+/**
+ * グローバルスコープへの公開
+ */
+window.CallLog = {
+    collectCallLogColumns,
+    buildCallLogRows
+};
@@ -0,0 +1,369 @@
+/**
+ * アドレス帳ユーティリティ
+ * 会社ごとに担当者・電話番号・メモをまとめたアドレス帳を扱う
+ *
+ * 項目の形:
+ * { id, company, phones:[{ label, number }], note, people:[{ id, name, department, phone, note }], createdAt, updatedAt }
+ * - 会社名が空の項目は作らない（個人の連絡先は会社名に個人名などを入れて登録する）
+ * - 会社名・担当者名の同一判定は NFKC 正規化・空白除去・英字の大小無視で行う
+ *
+ * 変数との対応:
+ * - settings.directoryFields（{ company, person, department, phone }。値は変数名、空は使わない）で、
+ *   アドレス帳のどの値をどの変数へ入れるかを決める
+ * - 会社名・相手先名の変数で候補を選ぶと、対応するすべての変数へまとめて入力する
+ *
+ * 末尾で window.ContactDirectory へ公開
+ */
+
+/**
+ * 入力欄に表示する候補の最大件数
+ * @type {number}
+ */
+const CONTACT_SUGGESTION_LIMIT = 5;
+
+/**
+ * 変数との対応の項目（表示名）
+ * @type {Array<{key:string, label:string}>}
+ */
+const DIRECTORY_FIELD_KEYS = [
+    { key: 'company', label: '会社名' },
+    { key: 'person', label: '担当者名' },
+    { key: 'department', label: '部署' },
+    { key: 'phone', label: '電話番号' }
+];
+
+/**
+ * 比較用の文字列（NFKC 正規化・空白除去・小文字化）
+ * @param {string} value - 文字列
+ * @returns {string} 比較用の文字列
+ */
+const toContactKey = (value) => {
+    const s = String(value ?? '');
+    return (typeof s.normalize === 'function' ? s.normalize('NFKC') : s).replace(/\s+/g, '').toLowerCase();
+};
+
+/**
+ * 電話番号の比較用の文字列（Helpers.normalizePhoneKey。国内表記と +81 の国際表記は同じ番号、内線番号は除く）
+ * @param {string} value - 電話番号
+ * @returns {string} 比較用の文字列（日本の番号は数字のみ、ほかの国の番号は + と数字）
+ */
+const toPhoneKey = (value) => Helpers.normalizePhoneKey(value);
+
+/**
+ * 電話番号の部分一致（照合用のキーの数字で比較。+81 3-… でも 03-… の番号に一致する）
+ * @param {string} number - 登録済みの電話番号
+ * @param {string} query - 検索文字列
+ * @returns {boolean} 検索文字列の番号（3桁以上）を含めば true
+ */
+const matchesPhoneNumber = (number, query) => {
+    const q = toPhoneKey(query).replace(/\D/g, '');
+    return q.length >= 3 && toPhoneKey(number).replace(/\D/g, '').includes(q);
+};
+
+/**
+ * 変数との対応の正規化
+ * @param {Object} fields - 保存されていた対応
+ * @returns {{company:string, person:string, department:string, phone:string}} 対応（値は変数名）
+ */
+const normalizeDirectoryFields = (fields) => {
+    const defaults = Constants.DEFAULT_DIRECTORY_FIELDS;
+    const f = fields && typeof fields === 'object' ? fields : {};
+    const result = {};
+    DIRECTORY_FIELD_KEYS.forEach(({ key }) => {
+        result[key] = String(f[key] ?? defaults[key] ?? '').trim();
+    });
+    return result;
+};
+
+/**
+ * 担当者の正規化
+ * @param {Object} person - 担当者
+ * @returns {{id:string, name:string, department:string, phone:string, note:string}|null} 担当者（名前が空なら null）
+ */
+const normalizePerson = (person) => {
+    if (!person || typeof person !== 'object') return null;
+    const name = String(person.name ?? '').trim();
+    if (!name) return null;
+    return {
+        id: String(person.id || Helpers.generateId()),
+        name,
+        department: String(person.department ?? '').trim(),
+        phone: String(person.phone ?? '').trim(),
+        note: String(person.note ?? '')
+    };
+};
+
+/**
+ * アドレス帳の項目の正規化（空の電話番号・名前の無い担当者は除く）
+ * @param {Object} entry - 項目
+ * @returns {Object|null} 項目（会社名が空なら null）
+ */
+const normalizeEntry = (entry) => {
+    if (!entry || typeof entry !== 'object') return null;
+    const company = String(entry.company ?? '').trim();
+    if (!company) return null;
+    const phones = [];
+    (Array.isArray(entry.phones) ? entry.phones : []).forEach(p => {
+        const number = String(p?.number ?? '').trim();
+        if (!number || phones.some(x => toPhoneKey(x.number) === toPhoneKey(number))) return;
+        phones.push({ label: String(p?.label ?? '').trim(), number });
+    });
+    const people = (Array.isArray(entry.people) ? entry.people : []).map(normalizePerson).filter(Boolean);
+    const createdAt = entry.createdAt || new Date().toISOString();
+    return {
+        id: String(entry.id || Helpers.generateId()),
+        company,
+        phones,
+        note: String(entry.note ?? ''),
+        people,
+        createdAt,
+        updatedAt: entry.updatedAt || createdAt
+    };
+};
+
+/**
+ * アドレス帳の正規化（同じIDの項目は先のものを残す）
+ * @param {Array} directory - 保存されていたアドレス帳
+ * @returns {Array} アドレス帳
+ */
+const normalizeDirectory = (directory) => {
+    const ids = new Set();
+    return (Array.isArray(directory) ? directory : []).map(normalizeEntry).filter(e => {
+        if (!e || ids.has(e.id)) return false;
+        ids.add(e.id);
+        return true;
+    });
+};
+
+/**
+ * 空の項目の作成
+ * @param {Object} [values] - 初期値（company など）
+ * @param {Date} [now] - 現在日時
+ * @returns {Object} 項目
+ */
+const createEntry = (values = {}, now = new Date()) => {
+    const at = now.toISOString();
+    return {
+        id: Helpers.generateId(),
+        company: '',
+        phones: [],
+        note: '',
+        people: [],
+        ...values,
+        createdAt: at,
+        updatedAt: at
+    };
+};
+
+/**
+ * 会社名で項目を探す
+ * @param {Array} directory - アドレス帳
+ * @param {string} company - 会社名
+ * @returns {Object|null} 項目
+ */
+const findEntryByCompany = (directory, company) => {
+    const key = toContactKey(company);
+    if (!key) return null;
+    return (Array.isArray(directory) ? directory : []).find(e => toContactKey(e.company) === key) || null;
+};
+
+/**
+ * 項目の検索（入力欄の候補）
+ * - company: 会社名・電話番号に一致する項目（担当者は選ばない）
+ * - person: 担当者名・会社名・部署に一致する担当者
+ * 前方一致を優先し、同順位は更新日時の新しい順。入力が空なら更新日時の新しい順に返す
+ * （preferEntryId の項目の担当者は同順位の中で先に並べる。会社名が入力済みの場合に使う）
+ *
+ * @param {Array} directory - アドレス帳
+ * @param {string} query - 入力中の値
+ * @param {'company'|'person'} role - 入力欄の役割
+ * @param {string|null} [preferEntryId] - 優先する項目ID
+ * @param {number} [limit] - 最大件数
+ * @returns {Array<{entryId:string, personId:string|null, label:string, detail:string}>} 候補
+ */
+const searchContacts = (directory, query, role, preferEntryId = null, limit = CONTACT_SUGGESTION_LIMIT) => {
+    const q = toContactKey(query);
+    const rank = (texts) => {
+        const keys = texts.map(toContactKey).filter(Boolean);
+        if (!q) return 1;
+        if (keys.some(k => k.startsWith(q))) return 2;
+        if (keys.some(k => k.includes(q))) return 1;
+        return 0;
+    };
+    const candidates = [];
+    (Array.isArray(directory) ? directory : []).forEach(entry => {
+        if (role === 'person') {
+            entry.people.forEach(person => {
+                const score = Math.max(rank([person.name]) * 2, rank([entry.company, person.department]));
+                if (score === 0) return;
+                candidates.push({
+                    score: score + (entry.id === preferEntryId ? 0.5 : 0),
+                    updatedAt: entry.updatedAt,
+                    entryId: entry.id,
+                    personId: person.id,
+                    label: person.name,
+                    detail: [entry.company, person.department].filter(Boolean).join(' / ')
+                });
+            });
+            return;
+        }
+        const phoneHit = [...entry.phones.map(p => p.number), ...entry.people.map(p => p.phone)]
+            .some(n => matchesPhoneNumber(n, query));
+        const score = Math.max(rank([entry.company]), phoneHit ? 1 : 0);
+        if (score === 0) return;
+        candidates.push({
+            score,
+            updatedAt: entry.updatedAt,
+            entryId: entry.id,
+            personId: null,
+            label: entry.company,
+            detail: [entry.phones[0]?.number, entry.people.length > 0 ? `担当 ${entry.people.length}名` : ''].filter(Boolean).join(' / ')
+        });
+    });
+    return candidates
+        .sort((a, b) => (b.score - a.score) || String(b.updatedAt).localeCompare(String(a.updatedAt)))
+        .slice(0, limit)
+        .map(({ score, updatedAt, ...c }) => c);
+};
+
+/**
+ * 変数ごとの候補の算出（会社名・担当者名に対応する変数のみ）
+ * @param {Array} directory - アドレス帳
+ * @param {Array} variables - 変数配列
+ * @param {Object} fields - 変数との対応
+ * @returns {Object<string, Array>} 変数名 → 候補（searchContacts）
+ */
+const buildContactSuggestions = (directory, variables, fields) => {
+    const result = {};
+    if (!Array.isArray(directory) || directory.length === 0) return result;
+    const f = normalizeDirectoryFields(fields);
+    const list = Array.isArray(variables) ? variables : [];
+    const companyVariable = f.company ? list.find(v => v.name === f.company) : null;
+    const companyEntry = companyVariable ? findEntryByCompany(directory, companyVariable.value) : null;
+    list.forEach(v => {
+        const role = v.name && v.name === f.company ? 'company' : (v.name && v.name === f.person ? 'person' : null);
+        if (role) result[v.name] = searchContacts(directory, v.value, role, companyEntry ? companyEntry.id : null);
+    });
+    return result;
+};
+
+/**
+ * 選んだ項目から変数へ入れる値の算出（値が空の項目は含めない）
+ * 電話番号は担当者の電話番号、無ければ会社の先頭の電話番号
+ *
+ * @param {Object} entry - 項目
+ * @param {Object|null} person - 担当者（会社のみ選んだ場合は null）
+ * @param {Object} fields - 変数との対応
+ * @returns {Object<string, string>} 変数名 → 値
+ */
+const buildVariableValues = (entry, person, fields) => {
+    const f = normalizeDirectoryFields(fields);
+    const values = {
+        company: entry?.company,
+        person: person?.name,
+        department: person?.department,
+        phone: person?.phone || entry?.phones?.[0]?.number
+    };
+    const result = {};
+    DIRECTORY_FIELD_KEYS.forEach(({ key }) => {
+        const value = String(values[key] ?? '').trim();
+        if (f[key] && value) result[f[key]] = value;
+    });
+    return result;
+};
+
+/**
+ * 候補の適用（変数配列へ値を入れる。存在しない変数は無視）
+ * @param {Array} variables - 変数配列
+ * @param {Array} directory - アドレス帳
+ * @param {string} entryId - 項目ID
+ * @param {string|null} personId - 担当者ID
+ * @param {Object} fields - 変数との対応
+ * @returns {{variables:Array, changed:string[]}} 新しい変数配列と値が変わった変数名
+ */
+const applyContactToVariables = (variables, directory, entryId, personId, fields) => {
+    const list = Array.isArray(variables) ? variables : [];
+    const entry = (Array.isArray(directory) ? directory : []).find(e => e.id === entryId);
+    if (!entry) return { variables: list, changed: [] };
+    const person = personId ? entry.people.find(p => p.id === personId) || null : null;
+    const values = buildVariableValues(entry, person, fields);
+    const changed = [];
+    const next = list.map(v => {
+        if (!Object.prototype.hasOwnProperty.call(values, v.name) || String(v.value ?? '') === values[v.name]) return v;
+        changed.push(v.name);
+        return { ...v, value: values[v.name] };
+    });
+    return { variables: changed.length > 0 ? next : list, changed };
+};
+
+/**
+ * 変数の値からの登録（会社名が同じ項目があれば、無い担当者・電話番号を追加する）
+ * @param {Array} directory - アドレス帳
+ * @param {Array} variables - 変数配列（セッションの変数など）
+ * @param {Object} fields - 変数との対応
+ * @param {Date} [now] - 現在日時
+ * @returns {{directory:Array, entry:Object|null, created:boolean, changed:boolean}}
+ *   新しいアドレス帳・登録先の項目（会社名が空なら null）・新規作成か・内容が変わったか
+ */
+const upsertFromVariables = (directory, variables, fields, now = new Date()) => {
+    const list = Array.isArray(directory) ? directory : [];
+    const f = normalizeDirectoryFields(fields);
+    const valueOf = (key) => {
+        const v = f[key] ? (Array.isArray(variables) ? variables : []).find(x => x && x.name === f[key]) : null;
+        return String(v?.value ?? '').trim();
+    };
+    const company = valueOf('company');
+    if (!company) return { directory: list, entry: null, created: false, changed: false };
+    const name = valueOf('person');
+    const department = valueOf('department');
+    const phone = valueOf('phone');
+
+    const existing = findEntryByCompany(list, company);
+    const base = existing || createEntry({ company }, now);
+    let people = base.people;
+    let phones = base.phones;
+    if (name) {
+        const person = people.find(p => toContactKey(p.name) === toContactKey(name));
+        if (!person) {
+            people = [...people, { id: Helpers.generateId(), name, department, phone, note: '' }];
+        } else if ((!person.department && department) || (!person.phone && phone)) {
+            people = people.map(p => (p === person
+                ? { ...p, department: p.department || department, phone: p.phone || phone }
+                : p));
+        }
+    } else if (phone && !phones.some(p => toPhoneKey(p.number) === toPhoneKey(phone))) {
+        phones = [...phones, { label: '', number: phone }];
+    }
+
+    if (existing && people === base.people && phones === base.phones) {
+        return { directory: list, entry: existing, created: false, changed: false };
+    }
+    const entry = { ...base, people, phones, updatedAt: now.toISOString() };
+    return {
+        directory: existing ? list.map(e => (e.id === existing.id ? entry : e)) : [entry, ...list],
+        entry,
+        created: !existing,
+        changed: true
+    };
+};
+
+/**
+ * グローバルスコープへの公開
+ */
+window.ContactDirectory = {
+    CONTACT_SUGGESTION_LIMIT,
+    DIRECTORY_FIELD_KEYS,
+    toContactKey,
+    matchesPhoneNumber,
+    normalizeDirectoryFields,
+    normalizePerson,
+    normalizeEntry,
+    normalizeDirectory,
+    createEntry,
+    findEntryByCompany,
+    searchContacts,
+    buildContactSuggestions,
+    buildVariableValues,
+    applyContactToVariables,
+    upsertFromVariables
+};
@@ -0,0 +1,395 @@
+/**
+ * 連絡先の取り込みユーティリティ
+ * vCard（.vcf）・CSV/TSV の連絡先を、グループ補完の値グループ（inputHistory.valueGroups）として取り込む
+ *
+ * 流れ:
+ * 1. parseContactFile でファイルを表（見出し + 行）に変換する（vCard は固定の列に展開する）
+ * 2. guessColumnMapping で列と変数の対応を推定し、利用者が確認・変更する
+ * 3. buildImportPreview で取り込み内容を確認する（電話番号で重複を判定）
+ * 4. applyImportToInputHistory で新規分を値グループへ追加する（source: 'import'。保持件数に含めない）
+ *
+ * vCard:
+ * - 3.0 / 4.0（2.1 の QUOTED-PRINTABLE も読み込む）。折り返し行・エスケープ・グループ付きプロパティに対応
+ * - 電話番号が複数ある場合は優先（PREF）→ 勤務先（WORK）→ 先頭の順で1件を選び、残りは「その他の電話番号」とする
+ *
+ * 重複:
+ * - 電話番号は数字のみ（+81 は国内の 0 始まりへ読み替え）で比較する。電話番号の無い行は全項目の一致で判定する
+ * - ファイル内の重複は最初の行へまとめ（空欄のみ補う）、既存の値グループにある連絡先は取り込まない
+ *
+ * 末尾で window.ContactImport へ公開
+ */
+
+/**
+ * 値グループの取り込み元の印
+ * @type {string}
+ */
+const IMPORT_SOURCE = 'import';
+
+/**
+ * vCard を展開した表の見出し
+ * @type {string[]}
+ */
+const VCARD_COLUMNS = ['会社名', '部署', '氏名', '電話番号', 'その他の電話番号', 'メール', 'メモ'];
+
+/**
+ * 見出しから対応先（アドレス帳の項目）を推定する規則（上から順に判定）
+ * @type {Array<{key:string, pattern:RegExp}>}
+ */
+const COLUMN_GUESS_RULES = [
+    { key: 'company', pattern: /会社|法人|社名|組織|取引先|company|organi[sz]ation|^org$/i },
+    { key: 'department', pattern: /部署|部門|所属|department|^dept/i },
+    { key: 'phone', pattern: /電話|tel|phone|携帯|mobile/i },
+    { key: 'person', pattern: /氏名|名前|担当|相手|姓名|name|^fn$/i }
+];
+
+/**
+ * 区切り文字を考慮した分割（引用符内とエスケープされた区切り文字では分割しない）
+ * @param {string} text - 文字列
+ * @param {string} separator - 区切り文字
+ * @returns {string[]} 分割結果（エスケープは保持）
+ */
+const splitUnescaped = (text, separator) => {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i += 1) {
+        const ch = text[i];
+        if (ch === '\\' && i + 1 < text.length) {
+            current += ch + text[i + 1];
+            i += 1;
+        } else if (ch === '"') {
+            quoted = !quoted;
+            current += ch;
+        } else if (ch === separator && !quoted) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    parts.push(current);
+    return parts;
+};
+
+/**
+ * vCard の値のエスケープ解除（\n・\,・\;・\\）
+ * @param {string} value - 値
+ * @returns {string} 値
+ */
+const unescapeVCardValue = (value) => String(value ?? '').replace(/\\([nN,;\\])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+
+/**
+ * QUOTED-PRINTABLE のデコード
+ * @param {string} value - 値
+ * @param {string} [charset] - 文字コード（既定は UTF-8）
+ * @returns {string} デコード結果
+ */
+const decodeQuotedPrintable = (value, charset = 'utf-8') => {
+    const bytes = [];
+    const src = String(value ?? '').replace(/=\r?\n/g, '');
+    for (let i = 0; i < src.length; i += 1) {
+        if (src[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(src.slice(i + 1, i + 3))) {
+            bytes.push(parseInt(src.slice(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(src.charCodeAt(i) & 0xFF);
+        }
+    }
+    try {
+        return new TextDecoder(charset).decode(new Uint8Array(bytes));
+    } catch (_) {
+        return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+    }
+};
+
+/**
+ * vCard の1行（プロパティ）の解析
+ * @param {string} line - 行（折り返し解除済み）
+ * @returns {{name:string, params:Object<string, string[]>, value:string}|null} プロパティ（不正な行は null）
+ */
+const parseVCardLine = (line) => {
+    const colon = splitUnescaped(line, ':');
+    if (colon.length < 2) return null;
+    const [head, ...rest] = colon;
+    const value = rest.join(':');
+    const [rawName, ...rawParams] = splitUnescaped(head, ';');
+    const name = rawName.replace(/^[^.]*\./, '').trim().toUpperCase();
+    if (!name) return null;
+    const params = {};
+    rawParams.forEach(p => {
+        const eq = p.indexOf('=');
+        // 2.1 / 3.0 の省略形（TEL;CELL:...）は TYPE として扱う
+        const key = eq === -1 ? 'TYPE' : p.slice(0, eq).trim().toUpperCase();
+        const values = (eq === -1 ? p : p.slice(eq + 1)).replace(/^"|"$/g, '').split(',').map(v => v.trim()).filter(Boolean);
+        params[key] = [...(params[key] || []), ...values];
+    });
+    return { name, params, value };
+};
+
+/**
+ * vCard の解析
+ * @param {string} text - vCard 文字列（複数件可）
+ * @returns {Array<{name:string, company:string, department:string, phones:Array<{number:string, types:string[], pref:boolean}>, emails:string[], note:string}>} 連絡先
+ */
+const parseVCard = (text) => {
+    const lines = String(text ?? '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const contacts = [];
+    let current = null;
+    for (let i = 0; i < lines.length; i += 1) {
+        let line = lines[i];
+        if (!line.trim()) continue;
+        const upper = line.trim().toUpperCase();
+        if (upper === 'BEGIN:VCARD') {
+            current = { name: '', structuredName: '', company: '', department: '', phones: [], emails: [], note: '' };
+            continue;
+        }
+        if (upper === 'END:VCARD') {
+            if (current) {
+                const { structuredName, ...contact } = current;
+                contacts.push({ ...contact, name: contact.name || structuredName });
+            }
+            current = null;
+            continue;
+        }
+        if (!current) continue;
+        // 2.1 の QUOTED-PRINTABLE は行末の「=」で次の行へ続く
+        if (/ENCODING=QUOTED-PRINTABLE/i.test(line.split(':')[0])) {
+            while (line.endsWith('=') && i + 1 < lines.length) {
+                i += 1;
+                line = `${line.slice(0, -1)}${lines[i]}`;
+            }
+        }
+        const prop = parseVCardLine(line);
+        if (!prop) continue;
+        const encoding = (prop.params.ENCODING || [])[0] || '';
+        const raw = /^quoted-printable$/i.test(encoding)
+            ? decodeQuotedPrintable(prop.value, (prop.params.CHARSET || [])[0])
+            : prop.value;
+        const components = splitUnescaped(raw, ';').map(v => unescapeVCardValue(v).trim());
+        const types = (prop.params.TYPE || []).map(t => t.toUpperCase());
+        switch (prop.name) {
+            case 'FN':
+                current.name = unescapeVCardValue(raw).trim();
+                break;
+            case 'N':
+                // 姓;名;ミドルネーム;敬称（前）;敬称（後）
+                current.structuredName = [components[0], components[1]].filter(Boolean).join(' ');
+                break;
+            case 'ORG':
+                current.company = components[0] || '';
+                current.department = components.slice(1).filter(Boolean).join(' ');
+                break;
+            case 'TEL': {
+                const number = unescapeVCardValue(raw).trim().replace(/^tel:/i, '').split(';')[0].trim();
+                if (number) current.phones.push({ number, types, pref: types.includes('PREF') || (prop.params.PREF || []).length > 0 });
+                break;
+            }
+            case 'EMAIL': {
+                const email = unescapeVCardValue(raw).trim().replace(/^mailto:/i, '');
+                if (email) current.emails.push(email);
+                break;
+            }
+            case 'NOTE':
+                current.note = unescapeVCardValue(raw).trim();
+                break;
+            default:
+                break;
+        }
+    }
+    return contacts;
+};
+
+/**
+ * vCard の連絡先を表（VCARD_COLUMNS の列）へ展開
+ * @param {Array} contacts - parseVCard の結果
+ * @returns {string[][]} 行
+ */
+const vCardsToRows = (contacts) => (Array.isArray(contacts) ? contacts : []).map(c => {
+    const phones = Array.isArray(c.phones) ? c.phones : [];
+    const primary = phones.find(p => p.pref) || phones.find(p => p.types.includes('WORK')) || phones[0] || null;
+    return [
+        c.company || '',
+        c.department || '',
+        c.name || '',
+        primary ? primary.number : '',
+        phones.filter(p => p !== primary).map(p => p.number).join(' / '),
+        (c.emails || []).join(' / '),
+        c.note || ''
+    ];
+});
+
+/**
+ * 連絡先ファイルの解析
+ * vCard（BEGIN:VCARD を含む、または拡張子 .vcf）以外は CSV/TSV として扱う（区切り文字は推定）
+ *
+ * @param {string} text - ファイルの内容
+ * @param {Object} [options] - オプション
+ * @param {string} [options.fileName] - ファイル名（形式の判定に使用）
+ * @param {boolean} [options.hasHeader=true] - CSV の先頭行を見出しとして扱うか
+ * @returns {{kind:'vcard'|'csv', headers:string[], rows:string[][]}} 表
+ */
+const parseContactFile = (text, { fileName = '', hasHeader = true } = {}) => {
+    const src = String(text ?? '');
+    if (/\.vcf$/i.test(fileName) || /^\s*BEGIN:VCARD/im.test(src)) {
+        return { kind: 'vcard', headers: VCARD_COLUMNS.slice(), rows: vCardsToRows(parseVCard(src)) };
+    }
+    const rows = CsvUtils.parseCsv(src, CsvUtils.detectCsvDelimiter(src));
+    const width = rows.reduce((max, r) => Math.max(max, r.length), 0);
+    const headers = hasHeader && rows.length > 0
+        ? Array.from({ length: width }, (_, i) => String(rows[0][i] ?? '').trim() || `列${i + 1}`)
+        : Array.from({ length: width }, (_, i) => `列${i + 1}`);
+    return { kind: 'csv', headers, rows: (hasHeader ? rows.slice(1) : rows).map(r => Array.from({ length: width }, (_, i) => String(r[i] ?? ''))) };
+};
+
+/**
+ * 列と変数の対応の推定
+ * - 見出しが変数名と一致する列はその変数
+ * - それ以外は見出しの語句（会社・部署・電話・氏名など）からアドレス帳の項目を推定し、
+ *   settings.directoryFields でその項目に対応する変数へ割り当てる（1つの変数には最初の列のみ）
+ *
+ * @param {string[]} headers - 見出し
+ * @param {string[]} variableNames - 選択できる変数名
+ * @param {Object} fields - アドレス帳と変数の対応
+ * @returns {string[]} 列ごとの変数名（空は取り込まない）
+ */
+const guessColumnMapping = (headers, variableNames, fields) => {
+    const names = Array.isArray(variableNames) ? variableNames : [];
+    const f = ContactDirectory.normalizeDirectoryFields(fields);
+    const used = new Set();
+    const mapping = (Array.isArray(headers) ? headers : []).map(h => {
+        const header = String(h ?? '').trim();
+        if (names.includes(header) && !used.has(header)) {
+            used.add(header);
+            return header;
+        }
+        return '';
+    });
+    return mapping.map((name, i) => {
+        if (name) return name;
+        const rule = COLUMN_GUESS_RULES.find(r => r.pattern.test(String(headers[i] ?? '').trim()));
+        const target = rule ? f[rule.key] : '';
+        if (!target || used.has(target) || !names.includes(target)) return '';
+        used.add(target);
+        return target;
+    });
+};
+
+/**
+ * 取り込む電話番号の正規化
+ * 正しい番号は Helpers.formatPhoneNumber の国内表記で整形する（+81 は国内の 0 始まりへ読み替え、それ以外の国番号は国際表記。
+ * 内線番号は「内線123」）。正しくない番号はそのまま
+ *
+ * @param {string} value - 電話番号
+ * @returns {{display:string, key:string}} 表示用の値と重複判定のキー（Helpers.normalizePhoneKey。番号が無ければ空）
+ */
+const normalizeImportPhone = (value) => {
+    const s = String(value ?? '').trim();
+    if (!s) return { display: '', key: '' };
+    const display = Helpers.validatePhoneNumber(s).valid ? Helpers.formatPhoneNumber(s, 'national') : s;
+    return { display, key: Helpers.normalizePhoneKey(s) };
+};
+
+/**
+ * 値の組み合わせの比較キー（電話番号の無い行の重複判定用）
+ * @param {Object<string, string>} values - 変数名 → 値
+ * @returns {string} キー
+ */
+const valuesKey = (values) => JSON.stringify(Object.keys(values).sort().map(k => [k, ContactDirectory.toContactKey(values[k])]));
+
+/**
+ * 取り込み内容のプレビュー
+ * @param {Object} params - 引数
+ * @param {string[][]} params.rows - 行
+ * @param {string[]} params.mapping - 列ごとの変数名（空は取り込まない）
+ * @param {string[]} params.phoneNames - 電話番号として扱う変数名（整形と重複判定に使用）
+ * @param {Array} [params.existingGroups] - 既存の値グループ
+ * @returns {{records:Array<{line:number, variables:Object<string,string>, status:'new'|'duplicate'|'existing'|'empty', duplicateOf:number|null}>, counts:{new:number, duplicate:number, existing:number, empty:number}}}
+ *   records の line は1始まりの行番号（見出しを除く）。duplicate の値は duplicateOf の行へまとめる
+ */
+const buildImportPreview = ({ rows, mapping, phoneNames, existingGroups = [] }) => {
+    const phones = new Set(Array.isArray(phoneNames) ? phoneNames : []);
+    const existingPhoneKeys = new Set();
+    const existingValueKeys = new Set();
+    (Array.isArray(existingGroups) ? existingGroups : []).forEach(g => {
+        const vars = (g && g.variables) || {};
+        phones.forEach(name => {
+            const { key } = normalizeImportPhone(vars[name]);
+            if (key) existingPhoneKeys.add(key);
+        });
+        const filled = Object.fromEntries(Object.entries(vars).filter(([, v]) => String(v ?? '').trim()));
+        existingValueKeys.add(valuesKey(filled));
+    });
+
+    const records = [];
+    const byKey = new Map();
+    (Array.isArray(rows) ? rows : []).forEach((row, index) => {
+        const variables = {};
+        let phoneKey = '';
+        (Array.isArray(mapping) ? mapping : []).forEach((name, col) => {
+            const raw = String((row && row[col]) ?? '').trim();
+            if (!name || !raw) return;
+            let value = raw;
+            if (phones.has(name)) {
+                const phone = normalizeImportPhone(raw);
+                value = phone.display;
+                if (!phoneKey) phoneKey = phone.key;
+            }
+            variables[name] = variables[name] ? `${variables[name]} ${value}` : value;
+        });
+        const record = { line: index + 1, variables, status: 'new', duplicateOf: null };
+        records.push(record);
+        if (Object.keys(variables).length === 0) {
+            record.status = 'empty';
+            return;
+        }
+        const key = phoneKey ? `p:${phoneKey}` : `v:${valuesKey(variables)}`;
+        const first = byKey.get(key);
+        if (first) {
+            record.status = 'duplicate';
+            record.duplicateOf = first.line;
+            Object.entries(variables).forEach(([name, value]) => {
+                if (!first.variables[name]) first.variables[name] = value;
+            });
+            return;
+        }
+        byKey.set(key, record);
+        if (phoneKey ? existingPhoneKeys.has(phoneKey) : existingValueKeys.has(valuesKey(variables))) record.status = 'existing';
+    });
+
+    const counts = { new: 0, duplicate: 0, existing: 0, empty: 0 };
+    records.forEach(r => { counts[r.status] += 1; });
+    return { records, counts };
+};
+
+/**
+ * 取り込みの適用（新規の連絡先を値グループの末尾へ追加）
+ * 末尾に追加するため、グループ補完では実際の通話の値グループが優先される
+ *
+ * @param {Object} inputHistory - 入力履歴
+ * @param {Array} records - buildImportPreview の records
+ * @param {Date} [now] - 取り込み日時
+ * @returns {{inputHistory:Object, added:number}} 新しい入力履歴と追加件数
+ */
+const applyImportToInputHistory = (inputHistory, records, now = new Date()) => {
+    const shaped = Helpers.ensureInputHistoryShape(inputHistory);
+    const savedAt = now.toISOString();
+    const groups = (Array.isArray(records) ? records : [])
+        .filter(r => r && r.status === 'new')
+        .map(r => ({ id: Helpers.generateId(), savedAt, variables: { ...r.variables }, source: IMPORT_SOURCE }));
+    if (groups.length === 0) return { inputHistory, added: 0 };
+    return { inputHistory: { ...shaped, valueGroups: [...shaped.valueGroups, ...groups] }, added: groups.length };
+};
+
+/**
+ * グローバルスコープへの公開
+ */
+window.ContactImport = {
+    IMPORT_SOURCE,
+    VCARD_COLUMNS,
+    parseVCard,
+    parseContactFile,
+    guessColumnMapping,
+    normalizeImportPhone,
+    buildImportPreview,
+    applyImportToInputHistory
+};
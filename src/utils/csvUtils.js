@@ -0,0 +1,227 @@
+/**
+ * CSVユーティリティ
+ * - フィールドのエスケープ（区切り文字・引用符・改行を含む場合は二重引用符で囲む）
+ * - 行配列からの CSV/TSV 文字列の生成（改行は CRLF。Excel での読み込みを想定）
+ *   エクスポートでは、表計算ソフトで数式として実行されないよう先頭が = + - @ の文字列に「'」を付ける（protectFormulas）
+ * - Shift_JIS へのエンコード
+ * - CSV/TSV 文字列の解析（RFC 4180。引用符内の区切り文字・改行・二重引用符に対応）と区切り文字の推定
+ * - 読み込んだファイルの文字コード判定（BOM 付き/なしの UTF-8、それ以外は Shift_JIS としてデコード）
+ *
+ * Shift_JIS の変換表:
+ * - ブラウザの TextEncoder は UTF-8 のみのため、TextDecoder('shift_jis') で全コードをデコードして逆引き表を作る
+ *   （初回のエンコード時に一度だけ作成。ネットワーク不要）
+ * - NEC選定IBM拡張文字（0xED/0xEE）は IBM拡張文字（0xFA〜0xFC）と重複するため、IBM拡張文字側を採用する
+ * - 外字領域（0xF0〜0xF9）は対象外
+ * - 波ダッシュ・全角チルダなど、環境によって割り当てが異なる文字は相互に代替する
+ *
+ * 末尾で window.CsvUtils へ公開
+ */
+
+/**
+ * フィールドのエスケープ
+ * @param {*} value - 値（null/undefined は空文字）
+ * @param {string} [delimiter] - 区切り文字
+ * @returns {string} エスケープ済みのフィールド
+ */
+const escapeCsvField = (value, delimiter = ',') => {
+    const s = String(value ?? '');
+    if (s.includes('"') || s.includes(delimiter) || /[\r\n]/.test(s)) {
+        return `"${s.replace(/"/g, '""')}"`;
+    }
+    return s;
+};
+
+/**
+ * 表計算ソフトで数式として解釈される先頭文字
+ * @type {RegExp}
+ */
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * 数式の無効化（CSVインジェクション対策）
+ * 先頭が = + - @（とタブ・復帰）の文字列に「'」を付け、Excel などで文字列として表示させる
+ * （+81 3-1234-5678 などの国際表記の電話番号や、相手が伝えた = から始まる文字列が数式として実行されないように）。
+ * 数値はそのまま。エクスポート専用で、解析（parseCsv）では「'」を外さない
+ *
+ * @param {*} value - 値
+ * @returns {*} 無効化した値（対象外はそのまま）
+ */
+const protectFormulaField = (value) => (typeof value === 'string' && FORMULA_PREFIX_PATTERN.test(value) ? `'${value}` : value);
+
+/**
+ * 行配列から CSV 文字列を生成
+ * @param {Array<Array<*>>} rows - 行（フィールドの配列）の配列
+ * @param {string} [delimiter] - 区切り文字
+ * @param {Object} [options] - 出力設定
+ * @param {boolean} [options.protectFormulas] - 数式として解釈される値を無効化する（protectFormulaField。表計算ソフト向けのエクスポート用）
+ * @returns {string} CSV 文字列（行区切りは CRLF、末尾にも CRLF）
+ */
+const toCsv = (rows, delimiter = ',', { protectFormulas = false } = {}) => (Array.isArray(rows) ? rows : [])
+    .map(row => (Array.isArray(row) ? row : [])
+        .map(v => escapeCsvField(protectFormulas ? protectFormulaField(v) : v, delimiter))
+        .join(delimiter))
+    .map(line => `${line}\r\n`)
+    .join('');
+
+/**
+ * CSV 文字列の解析
+ * 行区切りは CRLF / LF / CR のいずれも受け付ける。空行は除く
+ *
+ * @param {string} text - CSV 文字列
+ * @param {string} [delimiter] - 区切り文字
+ * @returns {string[][]} 行（フィールドの配列）の配列
+ */
+const parseCsv = (text, delimiter = ',') => {
+    const src = String(text ?? '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+    for (let i = 0; i < src.length; i += 1) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === '"') {
+                if (src[i + 1] === '"') {
+                    field += '"';
+                    i += 1;
+                } else {
+                    quoted = false;
+                }
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\r' || ch === '\n') {
+            if (ch === '\r' && src[i + 1] === '\n') i += 1;
+            endRow();
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+};
+
+/**
+ * 区切り文字の推定（先頭行のタブ・カンマ・セミコロンの数で判定）
+ * @param {string} text - CSV/TSV 文字列
+ * @returns {string} 区切り文字
+ */
+const detectCsvDelimiter = (text) => {
+    const firstLine = String(text ?? '').split(/\r\n|\n|\r/)[0] || '';
+    const count = (ch) => firstLine.split(ch).length - 1;
+    const candidates = ['\t', ',', ';'].map(ch => ({ ch, n: count(ch) })).sort((a, b) => b.n - a.n);
+    return candidates[0].n > 0 ? candidates[0].ch : ',';
+};
+
+/**
+ * 読み込んだファイルのデコード（UTF-8 として不正なバイト列があれば Shift_JIS とみなす）
+ * @param {ArrayBuffer|Uint8Array} buffer - ファイルの内容
+ * @returns {{text:string, encoding:'utf-8'|'shift_jis'}} デコード結果
+ */
+const decodeText = (buffer) => {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer || new ArrayBuffer(0));
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes).replace(/^\uFEFF/, ''), encoding: 'utf-8' };
+    } catch (_) {
+        return { text: new TextDecoder('shift_jis').decode(bytes), encoding: 'shift_jis' };
+    }
+};
+
+/**
+ * Shift_JIS の逆引き表（文字 → バイト列）。初回使用時に作成する
+ * @type {Map<string, number[]>|null}
+ */
+let shiftJisTable = null;
+
+/**
+ * Shift_JIS で表現できない場合に試す代替文字（JIS 系と Windows 系の割り当ての違い）
+ * @type {Object<string, string>}
+ */
+const SHIFT_JIS_ALTERNATES = {
+    '\u301C': '\uFF5E', '\uFF5E': '\u301C', // 波ダッシュ / 全角チルダ
+    '\u2212': '\uFF0D', '\uFF0D': '\u2212', // マイナス / 全角ハイフンマイナス
+    '\u2016': '\u2225', '\u2225': '\u2016', // 双柱 / 平行記号
+    '\u2014': '\u2015', '\u2015': '\u2014', // ダッシュ
+    '\u00A2': '\uFFE0', '\uFFE0': '\u00A2', // セント
+    '\u00A3': '\uFFE1', '\uFFE1': '\u00A3', // ポンド
+    '\u00AC': '\uFFE2', '\uFFE2': '\u00AC' // 否定
+};
+
+/**
+ * Shift_JIS の逆引き表の作成
+ * @returns {Map<string, number[]>} 逆引き表
+ */
+const getShiftJisTable = () => {
+    if (shiftJisTable) return shiftJisTable;
+    const decoder = new TextDecoder('shift_jis');
+    const table = new Map();
+    const add = (bytes) => {
+        const ch = decoder.decode(new Uint8Array(bytes));
+        if (ch.length > 0 && ch !== '\uFFFD' && Array.from(ch).length === 1 && !table.has(ch)) table.set(ch, bytes);
+    };
+    for (let b = 0x00; b <= 0x7F; b += 1) add([b]);
+    for (let b = 0xA1; b <= 0xDF; b += 1) add([b]);
+    for (let lead = 0x81; lead <= 0xFC; lead += 1) {
+        if ((lead >= 0xA0 && lead <= 0xDF) || lead === 0xED || lead === 0xEE || (lead >= 0xF0 && lead <= 0xF9)) continue;
+        for (let trail = 0x40; trail <= 0xFC; trail += 1) {
+            if (trail !== 0x7F) add([lead, trail]);
+        }
+    }
+    // NEC選定IBM拡張文字は IBM拡張文字に無い文字のみ補う
+    for (let lead = 0xED; lead <= 0xEE; lead += 1) {
+        for (let trail = 0x40; trail <= 0xFC; trail += 1) {
+            if (trail !== 0x7F) add([lead, trail]);
+        }
+    }
+    shiftJisTable = table;
+    return table;
+};
+
+/**
+ * Shift_JIS へのエンコード
+ * 表現できない文字は「?」に置き換え、その件数を返す
+ *
+ * @param {string} text - 対象文字列
+ * @returns {{bytes:Uint8Array, unmappable:number, unmappableChars:string[]}} エンコード結果（unmappableChars は重複なし）
+ */
+const encodeShiftJis = (text) => {
+    const table = getShiftJisTable();
+    const out = [];
+    const missing = new Set();
+    let unmappable = 0;
+    for (const ch of String(text ?? '')) {
+        const bytes = table.get(ch) || table.get(SHIFT_JIS_ALTERNATES[ch]);
+        if (bytes) {
+            out.push(...bytes);
+        } else {
+            out.push(0x3F);
+            unmappable += 1;
+            missing.add(ch);
+        }
+    }
+    return { bytes: new Uint8Array(out), unmappable, unmappableChars: [...missing] };
+};
+
+/**
+ * グローバルスコープへの公開
+ */
+window.CsvUtils = {
+    escapeCsvField,
+    protectFormulaField,
+    toCsv,
+    parseCsv,
+    detectCsvDelimiter,
+    decodeText,
+    encodeShiftJis
+};
@@ -3,17 +3,167 @@
  * 日付と時刻のフォーマット、丸め処理機能を提供
  */
 
+/**
+ * 曜日の表示ラベル（日曜始まり、Date#getDay の値に対応）
+ * @type {string[]}
+ */
+const WEEKDAY_LABELS_JA = ['日', '月', '火', '水', '木', '金', '土'];
+
+/**
+ * 和暦（元号）の定義（新しい順）
+ * start は各元号の開始日（この日を含む）
+ * @type {Array<{name:string, start:Date}>}
+ */
+const JAPANESE_ERAS = [
+    { name: '令和', start: new Date(2019, 4, 1) },
+    { name: '平成', start: new Date(1989, 0, 8) },
+    { name: '昭和', start: new Date(1926, 11, 25) },
+    { name: '大正', start: new Date(1912, 6, 30) },
+    { name: '明治', start: new Date(1868, 0, 25) }
+];
+
+/**
+ * フォーマットトークンの検出パターン
+ * 同じ文字で始まるトークンは長いものを先に列挙する（YYYY → YY、MM → M など）
+ * `[...]` は角括弧内をそのまま出力するリテラル（例: `[at]`）
+ * @type {RegExp}
+ */
+const DATE_FORMAT_TOKEN_PATTERN = /\[([^\]]*)\]|YYYY|YY|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|m|ss|s|A|a|G|EE|E/g;
+
+/**
+ * 各トークンに対応する値の正規表現（解析用）
+ * 入力途中の値も分割できるよう、いずれも空文字を許容する
+ * @type {Object<string, string>}
+ */
+const DATE_TOKEN_VALUE_PATTERNS = {
+    YYYY: '\\d{0,4}',
+    YY: '\\d{0,2}',
+    MM: '\\d{0,2}',
+    M: '\\d{0,2}',
+    DD: '\\d{0,2}',
+    D: '\\d{0,2}',
+    dddd: '(?:[日月火水木金土]曜日)?',
+    ddd: '[日月火水木金土]?',
+    HH: '\\d{0,2}',
+    H: '\\d{0,2}',
+    hh: '\\d{0,2}',
+    h: '\\d{0,2}',
+    mm: '\\d{0,2}',
+    m: '\\d{0,2}',
+    ss: '\\d{0,2}',
+    s: '\\d{0,2}',
+    A: '午前|午後|',
+    a: 'AM|PM|am|pm|',
+    G: '明治|大正|昭和|平成|令和|',
+    EE: '\\d{0,2}',
+    E: '元|\\d{0,2}'
+};
+
+/**
+ * 他のトークンから算出される（直接編集しない）トークン
+ * @type {string[]}
+ */
+const DERIVED_DATE_TOKENS = ['ddd', 'dddd'];
+
+/**
+ * 和暦（元号と年）の取得
+ * @param {Date} d - 対象日付
+ * @returns {{name:string, year:number}|null} 元号名と和暦年（明治より前は null）
+ */
+const getJapaneseEra = (d) => {
+    const era = JAPANESE_ERAS.find(e => d.getTime() >= e.start.getTime());
+    if (!era) return null;
+    return { name: era.name, year: d.getFullYear() - era.start.getFullYear() + 1 };
+};
+
+/**
+ * フォーマット文字列の分解
+ * トークンとリテラル（区切り文字・`[...]` のエスケープ文字列）の配列へ分解する。隣接するリテラルは結合する。
+ *
+ * @param {string} format - フォーマット文字列
+ * @returns {Array<{type:'token'|'literal', value:string}>} 分解結果（出現順）
+ */
+const tokenizeDateFormat = (format) => {
+    const src = String(format ?? '');
+    const parts = [];
+    const pushLiteral = (text) => {
+        if (!text) return;
+        const last = parts[parts.length - 1];
+        if (last && last.type === 'literal') last.value += text;
+        else parts.push({ type: 'literal', value: text });
+    };
+    const re = new RegExp(DATE_FORMAT_TOKEN_PATTERN.source, 'g');
+    let lastIndex = 0;
+    let m;
+    while ((m = re.exec(src)) !== null) {
+        pushLiteral(src.slice(lastIndex, m.index));
+        if (m[1] !== undefined) pushLiteral(m[1]);
+        else parts.push({ type: 'token', value: m[0] });
+        lastIndex = re.lastIndex;
+    }
+    pushLiteral(src.slice(lastIndex));
+    return parts;
+};
+
+/**
+ * トークンが直接編集可能か（曜日のように他の値から算出されるトークンは false）
+ * @param {string} token - フォーマットトークン
+ * @returns {boolean} 編集可能であれば true
+ */
+const isEditableDateToken = (token) => Object.prototype.hasOwnProperty.call(DATE_TOKEN_VALUE_PATTERNS, token) && !DERIVED_DATE_TOKENS.includes(token);
+
+/**
+ * 単一トークンの値を算出
+ * @param {string} token - フォーマットトークン
+ * @param {Date} d - 対象日付
+ * @returns {string} トークンに対応する文字列
+ */
+const formatDateToken = (token, d) => {
+    const pad2 = (n) => String(n).padStart(2, '0');
+    const hours = d.getHours();
+    const hours12 = hours % 12 === 0 ? 12 : hours % 12;
+    switch (token) {
+        case 'YYYY': return String(d.getFullYear());
+        case 'YY': return pad2(d.getFullYear() % 100);
+        case 'MM': return pad2(d.getMonth() + 1); // 月は0基準なので+1
+        case 'M': return String(d.getMonth() + 1);
+        case 'DD': return pad2(d.getDate());
+        case 'D': return String(d.getDate());
+        case 'dddd': return `${WEEKDAY_LABELS_JA[d.getDay()]}曜日`;
+        case 'ddd': return WEEKDAY_LABELS_JA[d.getDay()];
+        case 'HH': return pad2(hours);
+        case 'H': return String(hours);
+        case 'hh': return pad2(hours12);
+        case 'h': return String(hours12);
+        case 'mm': return pad2(d.getMinutes());
+        case 'm': return String(d.getMinutes());
+        case 'ss': return pad2(d.getSeconds());
+        case 's': return String(d.getSeconds());
+        case 'A': return hours < 12 ? '午前' : '午後';
+        case 'a': return hours < 12 ? 'AM' : 'PM';
+        case 'G': { const era = getJapaneseEra(d); return era ? era.name : ''; }
+        case 'EE': { const era = getJapaneseEra(d); return era ? pad2(era.year) : String(d.getFullYear()); }
+        case 'E': { const era = getJapaneseEra(d); return era ? (era.year === 1 ? '元' : String(era.year)) : String(d.getFullYear()); }
+        default: return token;
+    }
+};
+
 /**
  * 日付・時刻のフォーマット関数
  * 指定したフォーマットで日付を文字列化し、オプションで時刻の丸め処理を実行
  *
  * サポートするフォーマットトークン:
- * - YYYY: 4桁年
- * - MM: 2桁月
- * - DD: 2桁日
- * - HH: 24時間形式の時間
- * - mm: 分
- * - ss: 秒
+ * - YYYY: 4桁年 / YY: 2桁年
+ * - MM: 2桁月 / M: 月（ゼロ埋めなし）
+ * - DD: 2桁日 / D: 日（ゼロ埋めなし）
+ * - ddd: 曜日（日本語1文字: 日/月/火/水/木/金/土） / dddd: 曜日（火曜日）
+ * - HH: 24時間形式の時間 / H: 同（ゼロ埋めなし）
+ * - hh: 12時間形式の時間（1〜12） / h: 同（ゼロ埋めなし）
+ * - A: 午前/午後 / a: AM/PM
+ * - mm: 分 / m: 分（ゼロ埋めなし）
+ * - ss: 秒 / s: 秒（ゼロ埋めなし）
+ * - G: 元号（令和など） / E: 和暦年（1年は「元」） / EE: 和暦年（2桁）
+ * - [文字列]: 角括弧内はトークンとして解釈せずそのまま出力（例: `[at]`）
  *
  * @param {Date|string} date - フォーマットする日付オブジェクト
  * @param {string} format - 出力フォーマット文字列
@@ -48,28 +198,224 @@ const formatDateTime = (date, format, rounding = null) => {
         d.setSeconds(0); // 秒は0にリセット
     }
 
-    /**
-     * 日付コンポーネントの抽出とフォーマット
-     * 各コンポーネントを文字列に変換し、2桁のゼロパディングを適用
-     */
-    const year = d.getFullYear();
-    const month = String(d.getMonth() + 1).padStart(2, '0'); // 月は0基準なので+1
-    const day = String(d.getDate()).padStart(2, '0');
-    const hours = String(d.getHours()).padStart(2, '0');
-    const minutes = String(d.getMinutes()).padStart(2, '0');
-    const seconds = String(d.getSeconds()).padStart(2, '0');
-
     /**
      * フォーマットトークンの置換
-     * フォーマット文字列内のトークンを実際の値に置き換え
+     * フォーマット文字列を分解し、トークンを実際の値に置き換えて連結
      */
-    return format
-        .replace('YYYY', year)
-        .replace('MM', month)
-        .replace('DD', day)
-        .replace('HH', hours)
-        .replace('mm', minutes)
-        .replace('ss', seconds);
+    return tokenizeDateFormat(format)
+        .map(part => (part.type === 'token' ? formatDateToken(part.value, d) : part.value))
+        .join('');
+};
+
+/**
+ * フォーマット済み日時文字列をトークン単位に分割
+ * tokenizeDateFormat の結果と同じ並びで、各パートに対応する文字列を返す（リテラルはフォーマット上の文字列）。
+ * 時刻入力の分割フィールド表示で使用する。各トークンは空文字も許容するため入力途中の値も分割できる。
+ *
+ * @param {string} value - フォーマット済みの日時文字列
+ * @param {string} format - 対応するフォーマット文字列
+ * @returns {string[]|null} 分割結果。フォーマットに一致しない場合は null
+ */
+const splitFormattedDateTime = (value, format) => {
+    const parts = tokenizeDateFormat(format);
+    if (!parts.some(p => p.type === 'token')) return null;
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const source = parts.map(p => (p.type === 'token'
+        ? `(${DATE_TOKEN_VALUE_PATTERNS[p.value]})`
+        : `(${escape(p.value)})`)).join('');
+    const m = new RegExp(`^${source}$`).exec(String(value ?? ''));
+    return m ? m.slice(1).map(v => v ?? '') : null;
+};
+
+/**
+ * フォーマット済み日時文字列の解析
+ * フォーマットに基づいて文字列を Date に変換する（formatDateTime の逆変換）
+ * - まずフォーマットのトークン構造（splitFormattedDateTime）で厳密に分割し、各トークンの値を反映
+ *   （午前/午後と12時間表記、元号と和暦年、ゼロ埋めなしの値に対応。曜日は無視）
+ * - 構造が一致しない場合は、数値トークンの順に文字列中の数値グループを割り当てる
+ *   - 時・分が特定できない場合は、末尾2つの数値グループを「時:分」としてフォールバック
+ * - 不足するトークンは「今日」の値で補完
+ *
+ * @param {string} value - 解析対象の日時文字列
+ * @param {string} format - 対応するフォーマット文字列
+ * @returns {Date|null} 解析に成功した場合は Date、失敗時は null
+ */
+const parseFormattedDateTime = (value, format) => {
+    try {
+        const v = String(value ?? '').trim();
+        if (!v) return null;
+
+        const parts = tokenizeDateFormat(format);
+        const now = new Date();
+        let year = now.getFullYear();
+        let month = now.getMonth() + 1; // 1-12
+        let day = now.getDate();
+        let hours = 0;
+        let minutes = 0;
+        let seconds = 0;
+
+        const fields = splitFormattedDateTime(v, format);
+        if (fields) {
+            // トークン構造に基づく厳密パース
+            let hours12 = null;
+            let pm = null;
+            let eraName = '';
+            let eraYear = null;
+            parts.forEach((part, i) => {
+                if (part.type !== 'token') return;
+                const text = fields[i];
+                if (!text) return;
+                const num = parseInt(text, 10);
+                switch (part.value) {
+                    case 'YYYY': year = num; break;
+                    case 'YY': year = 2000 + num; break;
+                    case 'MM': case 'M': month = num; break;
+                    case 'DD': case 'D': day = num; break;
+                    case 'HH': case 'H': hours = num; break;
+                    case 'hh': case 'h': hours12 = num; break;
+                    case 'mm': case 'm': minutes = num; break;
+                    case 'ss': case 's': seconds = num; break;
+                    case 'A': case 'a': pm = /午後|pm/i.test(text); break;
+                    case 'G': eraName = text; break;
+                    case 'EE': case 'E': eraYear = text === '元' ? 1 : num; break;
+                    default: break;
+                }
+            });
+            if (hours12 !== null) hours = (hours12 % 12) + (pm ? 12 : 0);
+            else if (pm && hours < 12) hours += 12;
+            const era = JAPANESE_ERAS.find(e => e.name === eraName);
+            if (era && eraYear) year = era.start.getFullYear() + eraYear - 1;
+        } else {
+            // 数値トークンの順に数値グループを割り当てる
+            const tokens = parts.filter(p => p.type === 'token' && isEditableDateToken(p.value) && !['A', 'a', 'G'].includes(p.value)).map(p => p.value);
+            const groups = v.match(/\d+/g) || [];
+            for (let i = 0; i < tokens.length; i++) {
+                const t = tokens[i];
+                const numStr = groups[i];
+                if (!numStr) continue;
+                const num = parseInt(numStr, 10);
+                if (Number.isNaN(num)) continue;
+                if (t === 'YYYY') year = num;
+                else if (t === 'YY') year = 2000 + num;
+                else if (t === 'MM' || t === 'M') month = num;
+                else if (t === 'DD' || t === 'D') day = num;
+                else if (t === 'HH' || t === 'H' || t === 'hh' || t === 'h') hours = num;
+                else if (t === 'mm' || t === 'm') minutes = num;
+                else if (t === 'ss' || t === 's') seconds = num;
+            }
+
+            // 時・分が判定できない場合は末尾2グループを時:分として使用
+            const hasHours = tokens.some(t => /^[Hh]{1,2}$/.test(t));
+            const hasMinutes = tokens.some(t => t === 'mm' || t === 'm');
+            if (!hasHours || !hasMinutes) {
+                if (groups.length >= 2) {
+                    const [hStr, mStr] = groups.slice(-2);
+                    const h = parseInt(hStr, 10);
+                    const m = parseInt(mStr, 10);
+                    if (!Number.isNaN(h) && !Number.isNaN(m)) {
+                        hours = h;
+                        minutes = m;
+                    }
+                }
+            }
+        }
+
+        // Date生成（月は0始まり）
+        const d = new Date(year, Math.max(0, (month | 0) - 1), day | 0, hours | 0, minutes | 0, seconds | 0, 0);
+        if (isNaN(d.getTime())) return null;
+        return d;
+    } catch (_) {
+        return null;
+    }
+};
+
+/**
+ * 日付を祝日テーブルのキー（YYYY-MM-DD）へ変換
+ * @param {Date|string|number} date - 対象日付
+ * @returns {string} `YYYY-MM-DD` 形式の文字列
+ */
+const toDateKey = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * 祝日名の取得
+ * 同梱の祝日テーブル（Constants.JAPANESE_HOLIDAYS）を参照する
+ *
+ * @param {Date|string|number} date - 対象日付
+ * @returns {string|null} 祝日名（祝日でなければ null）
+ */
+const getJapaneseHolidayName = (date) => {
+    const table = (window.Constants && window.Constants.JAPANESE_HOLIDAYS) || {};
+    return table[toDateKey(date)] || null;
+};
+
+/**
+ * 営業日判定
+ * 土日と祝日（Constants.JAPANESE_HOLIDAYS）を非営業日とする
+ *
+ * @param {Date|string|number} date - 対象日付
+ * @returns {boolean} 営業日であれば true
+ */
+const isBusinessDay = (date) => {
+    const d = new Date(date);
+    const day = d.getDay();
+    if (day === 0 || day === 6) return false;
+    return getJapaneseHolidayName(d) === null;
+};
+
+/**
+ * 営業日の加算
+ * 基準日から n 営業日後（n が負なら前）の日付を返す。時刻部分は 0:00 に揃える。
+ * - n = 0: 基準日が営業日ならそのまま、非営業日なら翌営業日
+ * - n = 1: 翌営業日（基準日が非営業日でも「翌営業日」は次の営業日）
+ *
+ * @param {Date|string|number} date - 基準日
+ * @param {number} n - 加算する営業日数
+ * @returns {Date} 計算結果の日付
+ */
+const addBusinessDays = (date, n) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    const count = Number.isFinite(n) ? Math.trunc(n) : 0;
+    if (count === 0) {
+        while (!isBusinessDay(d)) d.setDate(d.getDate() + 1);
+        return d;
+    }
+    const step = count > 0 ? 1 : -1;
+    let remaining = Math.abs(count);
+    while (remaining > 0) {
+        d.setDate(d.getDate() + step);
+        if (isBusinessDay(d)) remaining -= 1;
+    }
+    return d;
+};
+
+/**
+ * 経過時間（ミリ秒）の文字列化
+ * 通話時間などの表示に使用する。秒未満は切り捨て。
+ *
+ * スタイル:
+ * - 'ja'（既定）: `45秒` / `12分30秒` / `1時間02分30秒`
+ * - 'clock': `0:45` / `12:30` / `1:02:30`
+ *
+ * @param {number} ms - 経過時間（ミリ秒）
+ * @param {'ja'|'clock'} [style='ja'] - 出力スタイル
+ * @returns {string} フォーマット済みの経過時間
+ */
+const formatDuration = (ms, style = 'ja') => {
+    const totalSeconds = Math.max(0, Math.floor((Number(ms) || 0) / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad2 = (n) => String(n).padStart(2, '0');
+    if (style === 'clock') {
+        return hours > 0 ? `${hours}:${pad2(minutes)}:${pad2(seconds)}` : `${minutes}:${pad2(seconds)}`;
+    }
+    if (hours > 0) return `${hours}時間${pad2(minutes)}分${pad2(seconds)}秒`;
+    if (minutes > 0) return `${minutes}分${pad2(seconds)}秒`;
+    return `${seconds}秒`;
 };
 
 /**
@@ -165,4 +511,18 @@ const formatSessionTimestampForList = (timestamp, reference = new Date()) => {
  * グローバルスコープへの公開
  * モジュラー構成でのユーティリティ参照を可能にする
  */
-window.DateUtils = { formatDateTime, getRelativeTimeInfo, formatSessionTimestampForList };
\ No newline at end of file
+window.DateUtils = {
+    WEEKDAY_LABELS_JA,
+    formatDateTime,
+    tokenizeDateFormat,
+    isEditableDateToken,
+    splitFormattedDateTime,
+    parseFormattedDateTime,
+    getJapaneseHolidayName,
+    isBusinessDay,
+    toDateKey,
+    addBusinessDays,
+    formatDuration,
+    getRelativeTimeInfo,
+    formatSessionTimestampForList
+};
\ No newline at end of file
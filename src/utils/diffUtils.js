@@ -5,6 +5,8 @@
  * 提供機能:
  * - 行同士の類似性判定（最長共通部分文字列ベース）
  * - 類似性に基づくLCS整列と削除位置の推定
+ * - 整列結果の行単位差分（同一/変更/追加/削除）への展開
+ * - 文字単位の差分（変更行内のハイライト用）
  *
  * 注意事項:
  * - 本実装はブラウザ実行前提の軽量版であり、パフォーマンス最適化は最小限
@@ -13,6 +15,8 @@
  * グローバル公開:
  * - window.DiffUtils.linesAreSimilar
  * - window.DiffUtils.computeDiffAlignment
+ * - window.DiffUtils.buildLineDiff
+ * - window.DiffUtils.computeCharDiff
  */
 
 /**
@@ -102,10 +106,109 @@ function computeDiffAlignment(baselineLines, currentLines) {
   return { pairs, deletions: Array.from(positions).sort((a, b) => a - b) };
 }
 
+/**
+ * 行単位の差分
+ * computeDiffAlignment の整列結果を、表示順の行リストへ展開する
+ * - 整列された行: 内容が同一なら 'same'、異なれば 'changed'
+ * - 基準側にのみ存在する行: 'removed'（同じ位置の追加行より先に並べる）
+ * - 現在側にのみ存在する行: 'added'
+ *
+ * @param {string[]} baselineLines - 基準側（変更前）の行配列
+ * @param {string[]} currentLines - 現在側（変更後）の行配列
+ * @returns {Array<{type:('same'|'changed'|'added'|'removed'), before:string, after:string}>} 行差分
+ */
+function buildLineDiff(baselineLines, currentLines) {
+  const a = (baselineLines || []).map(line => String(line ?? ''));
+  const b = (currentLines || []).map(line => String(line ?? ''));
+  const { pairs } = computeDiffAlignment(a, b);
+  const rows = [];
+  let i = 0;
+  let j = 0;
+  // 末尾の番兵で残りの削除・追加行を流し込む
+  [...pairs, [a.length, b.length]].forEach(([pi, pj]) => {
+    while (i < pi) { rows.push({ type: 'removed', before: a[i], after: '' }); i += 1; }
+    while (j < pj) { rows.push({ type: 'added', before: '', after: b[j] }); j += 1; }
+    if (pi < a.length && pj < b.length) {
+      rows.push({ type: a[pi] === b[pj] ? 'same' : 'changed', before: a[pi], after: b[pj] });
+      i = pi + 1;
+      j = pj + 1;
+    }
+  });
+  return rows;
+}
+
+/**
+ * 文字単位差分の計算量上限（文字数の積）
+ * 超える場合は共通の前後部分のみを除いた粗い差分にする
+ * @type {number}
+ */
+const CHAR_DIFF_MAX_CELLS = 250000;
+
+/**
+ * 文字単位の差分
+ * 共通の前後部分を除いた中間部分を LCS で比較し、連続する同種の文字をまとめて返す
+ * サロゲートペア（絵文字など）は1文字として扱う
+ *
+ * @param {string} before - 変更前の文字列
+ * @param {string} after - 変更後の文字列
+ * @returns {Array<{type:('same'|'added'|'removed'), text:string}>} 差分片（表示順）
+ */
+function computeCharDiff(before, after) {
+  const a = Array.from(String(before ?? ''));
+  const b = Array.from(String(after ?? ''));
+  const parts = [];
+  const push = (type, ch) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += ch;
+    else parts.push({ type, text: ch });
+  };
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA -= 1; endB -= 1; }
+
+  a.slice(0, start).forEach(ch => push('same', ch));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > CHAR_DIFF_MAX_CELLS) {
+    midA.forEach(ch => push('removed', ch));
+    midB.forEach(ch => push('added', ch));
+  } else {
+    const m = midA.length;
+    const n = midB.length;
+    const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+    for (let i = m - 1; i >= 0; i -= 1) {
+      for (let j = n - 1; j >= 0; j -= 1) {
+        dp[i][j] = midA[i] === midB[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < m || j < n) {
+      if (i < m && j < n && midA[i] === midB[j]) {
+        push('same', midA[i]);
+        i += 1; j += 1;
+      } else if (i < m && (j === n || dp[i + 1][j] >= dp[i][j + 1])) {
+        push('removed', midA[i]);
+        i += 1;
+      } else {
+        push('added', midB[j]);
+        j += 1;
+      }
+    }
+  }
+  a.slice(endA).forEach(ch => push('same', ch));
+  return parts;
+}
+
 // グローバルスコープへ公開
 window.DiffUtils = {
   linesAreSimilar,
-  computeDiffAlignment
+  computeDiffAlignment,
+  buildLineDiff,
+  computeCharDiff
 };
 
 
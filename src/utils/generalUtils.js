@@ -165,6 +165,133 @@ const takeFirstGraphemes = (input, count) => {
     return parts.slice(0, n).join('');
 };
 
+/**
+ * 選択肢リストの正規化
+ * 改行区切りの文字列または配列から、前後空白を除去し空要素と重複を除いた選択肢配列を返す（順序は維持）
+ *
+ * @param {string|string[]} input - 改行区切りテキストまたは選択肢配列
+ * @returns {string[]} 正規化済みの選択肢配列
+ */
+const normalizeSelectOptions = (input) => {
+    const list = Array.isArray(input) ? input : String(input ?? '').split(/\r?\n/);
+    const seen = new Set();
+    const out = [];
+    for (const item of list) {
+        const v = String(item ?? '').trim();
+        if (!v || seen.has(v)) continue;
+        seen.add(v);
+        out.push(v);
+    }
+    return out;
+};
+
+/**
+ * 履歴の保持設定の正規化
+ * 不足・不正な値は既定値（Constants.DEFAULT_RETENTION_SETTINGS）で補完する
+ *
+ * @param {Object} [input] - 保持設定
+ * @returns {{maxSessions:number, maxAgeDays:number, keepFavorites:boolean, maxValueGroups:number}} 正規化済みの保持設定
+ */
+const normalizeRetentionSettings = (input) => {
+    const defaults = (window.Constants && window.Constants.DEFAULT_RETENTION_SETTINGS) || {};
+    const src = (input && typeof input === 'object') ? input : {};
+    const count = (v, fallback) => {
+        if (v === '' || v === null || v === undefined) return fallback;
+        const n = Number(v);
+        return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+    };
+    return {
+        maxSessions: count(src.maxSessions, defaults.maxSessions ?? 50),
+        maxAgeDays: count(src.maxAgeDays, defaults.maxAgeDays ?? 0),
+        keepFavorites: typeof src.keepFavorites === 'boolean' ? src.keepFavorites : (defaults.keepFavorites ?? true),
+        maxValueGroups: count(src.maxValueGroups, defaults.maxValueGroups ?? 200)
+    };
+};
+
+/**
+ * 通話タイマーの設定先の変数の正規化
+ * 未設定の項目は既定値（Constants.CALL_TIMER_VARIABLES）で補完する（空文字は「使わない」として維持）
+ *
+ * @param {Object} [fields] - 設定先（{ start, end, duration }。値は変数名）
+ * @returns {{start:string, end:string, duration:string}} 正規化済みの設定先
+ */
+const normalizeCallTimerFields = (fields) => {
+    const defaults = (window.Constants && window.Constants.CALL_TIMER_VARIABLES) || {};
+    const src = (fields && typeof fields === 'object') ? fields : {};
+    return {
+        start: String(src.start ?? defaults.start ?? '').trim(),
+        end: String(src.end ?? defaults.end ?? '').trim(),
+        duration: String(src.duration ?? defaults.duration ?? '').trim()
+    };
+};
+
+/**
+ * セッション履歴を保持設定に従って「保持」と「アーカイブ対象」に分割
+ * - 保持日数を過ぎたもの、保持件数（新しい順）を超えたものをアーカイブ対象とする
+ * - keepFavorites の場合、お気に入りは常に保持し件数にも含めない
+ * - 折り返しリマインダー（reminder）が付いたセッションは常に保持し件数にも含めない
+ * - 保持側の並び順は入力の順序を維持する
+ *
+ * @param {Array} sessions - セッション履歴
+ * @param {Object} retention - 保持設定
+ * @param {Date} [now] - 基準日時
+ * @returns {{kept:Array, archived:Array}} 分割結果
+ */
+const partitionSessionsByRetention = (sessions, retention, now = new Date()) => {
+    const list = Array.isArray(sessions) ? sessions : [];
+    const r = normalizeRetentionSettings(retention);
+    const cutoff = r.maxAgeDays > 0 ? now.getTime() - r.maxAgeDays * 24 * 60 * 60 * 1000 : null;
+    const archivedSet = new Set();
+    let count = 0;
+    [...list]
+        .sort((a, b) => String(b?.timestamp || '').localeCompare(String(a?.timestamp || '')))
+        .forEach(s => {
+            if (!s || (r.keepFavorites && s.favorite) || s.reminder) return;
+            const t = Date.parse(s.timestamp);
+            if (cutoff !== null && Number.isFinite(t) && t < cutoff) { archivedSet.add(s); return; }
+            if (r.maxSessions > 0 && count >= r.maxSessions) { archivedSet.add(s); return; }
+            count += 1;
+        });
+    return {
+        kept: list.filter(s => !archivedSet.has(s)),
+        archived: list.filter(s => archivedSet.has(s))
+    };
+};
+
+/**
+ * 値グループの保持件数の適用
+ * 連絡先の取り込みで追加したグループ（source: 'import'）は常に保持し件数にも含めない
+ *
+ * @param {Array} groups - 値グループ（新しい順）
+ * @param {number} maxGroups - 保持件数（0 は無制限）
+ * @returns {Array} 保持するグループ（並び順は維持）
+ */
+const trimValueGroups = (groups, maxGroups) => {
+    const list = Array.isArray(groups) ? groups : [];
+    if (!(maxGroups > 0)) return list;
+    let count = 0;
+    return list.filter(g => {
+        if (g && g.source === 'import') return true;
+        count += 1;
+        return count <= maxGroups;
+    });
+};
+
+/**
+ * セッション履歴とアーカイブ済みセッションの結合（集計・エクスポート用）
+ * 同じIDのセッションが両方にある場合は履歴側を優先する
+ *
+ * @param {Array} sessionHistory - セッション履歴
+ * @param {Array|null} archivedSessions - アーカイブ済みセッション（未読み込みは null）
+ * @returns {Array} 結合したセッション
+ */
+const mergeArchivedSessions = (sessionHistory, archivedSessions) => {
+    const history = Array.isArray(sessionHistory) ? sessionHistory : [];
+    if (!Array.isArray(archivedSessions) || archivedSessions.length === 0) return history;
+    const ids = new Set(history.map(s => s && s.id));
+    return [...history, ...archivedSessions.filter(s => s && !ids.has(s.id))];
+};
+
 // グローバル公開（既存 API 維持）
 window.Helpers = Object.assign(window.Helpers || {}, {
     generateId,
@@ -174,7 +301,13 @@ window.Helpers = Object.assign(window.Helpers || {}, {
     fuzzyFilterAndRank,
     ensureInputHistoryShape,
     splitGraphemes,
-    takeFirstGraphemes
+    takeFirstGraphemes,
+    normalizeSelectOptions,
+    normalizeRetentionSettings,
+    normalizeCallTimerFields,
+    partitionSessionsByRetention,
+    trimValueGroups,
+    mergeArchivedSessions
 });
 
 
@@ -0,0 +1,213 @@
+/**
+ * メール下書きユーティリティ
+ * 報告文からメールソフトで開ける下書き（RFC 5322 形式の .eml / mailto: リンク）を作成する
+ *
+ * .eml:
+ * - 改行は CRLF。件名・宛先の表示名など ASCII 以外を含むヘッダーは RFC 2047（UTF-8 / Base64）でエンコードする
+ * - 本文は text/plain; charset=UTF-8 を Base64 で格納する（1行76文字）
+ * - X-Unsent: 1 を付け、Outlook 等で送信前の下書きとして開かせる
+ *
+ * mailto:
+ * - 件名・本文は URL エンコード（改行は %0D%0A）。長すぎる URL はメールソフトやブラウザで切り捨てられるため、
+ *   MAILTO_MAX_LENGTH を超える場合は .eml を使う
+ *
+ * 末尾で window.MailDraft へ公開
+ */
+
+/**
+ * mailto: リンクとして扱う最大文字数（主要なメールソフトで安全に扱える長さ）
+ * @type {number}
+ */
+const MAILTO_MAX_LENGTH = 2000;
+
+/**
+ * メールアドレスの形式（簡易判定）
+ * @type {RegExp}
+ */
+const MAIL_ADDRESS_PATTERN = /^[^\s@<>(),;:"\[\]]+@[^\s@<>(),;:"\[\]]+\.[^\s@<>(),;:"\[\]]+$/;
+
+/**
+ * 曜日・月の英語表記（Date ヘッダー用）
+ */
+const RFC5322_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const RFC5322_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * メールアドレスの判定
+ * @param {string} address - メールアドレス
+ * @returns {boolean} 形式が正しければ true
+ */
+const isValidMailAddress = (address) => MAIL_ADDRESS_PATTERN.test(String(address ?? '').trim());
+
+/**
+ * 宛先文字列の分解（「,」「;」「、」・改行・空白区切り。全角の＠は半角として扱う）
+ * @param {string} text - 宛先文字列
+ * @returns {{addresses:string[], invalid:string[]}} 正しいアドレス（重複なし）と不正な項目
+ */
+const parseMailAddresses = (text) => {
+    const addresses = [];
+    const invalid = [];
+    String(text ?? '').replace(/＠/g, '@').split(/[,;、，；\s]+/).forEach(item => {
+        const s = item.trim();
+        if (!s) return;
+        if (!isValidMailAddress(s)) invalid.push(s);
+        else if (!addresses.some(a => a.toLowerCase() === s.toLowerCase())) addresses.push(s);
+    });
+    return { addresses, invalid };
+};
+
+/**
+ * メール下書きの設定の正規化（不正な宛先リストの項目は除く）
+ * @param {Object} settings - 保存されていた設定
+ * @returns {{subjectTemplate:string, toVariable:string, recipients:Array<{label:string, address:string}>}} 設定
+ */
+const normalizeMailDraftSettings = (settings) => {
+    const defaults = Constants.DEFAULT_MAIL_DRAFT_SETTINGS;
+    const s = settings && typeof settings === 'object' ? settings : {};
+    const recipients = [];
+    (Array.isArray(s.recipients) ? s.recipients : []).forEach(r => {
+        const address = String(r?.address ?? '').trim();
+        if (!isValidMailAddress(address) || recipients.some(x => x.address.toLowerCase() === address.toLowerCase())) return;
+        recipients.push({ label: String(r?.label ?? '').trim(), address });
+    });
+    return {
+        subjectTemplate: typeof s.subjectTemplate === 'string' ? s.subjectTemplate : defaults.subjectTemplate,
+        toVariable: String(s.toVariable ?? defaults.toVariable),
+        recipients
+    };
+};
+
+/**
+ * 件名テンプレートの展開（文節と同じく変数・フィルタ・条件セクションを評価し、改行は空白にまとめる）
+ * @param {string} template - 件名テンプレート
+ * @param {Array} variables - 変数配列
+ * @returns {string} 件名
+ */
+const renderMailSubject = (template, variables) => {
+    const src = String(template ?? '');
+    if (!src) return '';
+    return Helpers.renderPreviewWithIndexMap([{ content: src.replace(/[\r\n]+/g, ' ') }], variables).previewText
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+/**
+ * UTF-8 バイト列の Base64 エンコード
+ * @param {Uint8Array} bytes - バイト列
+ * @returns {string} Base64 文字列
+ */
+const bytesToBase64 = (bytes) => {
+    let binary = '';
+    const CHUNK = 0x8000;
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+    }
+    return btoa(binary);
+};
+
+/**
+ * ヘッダー値のエンコード（RFC 2047）
+ * ASCII のみの場合はそのまま、それ以外は 75 文字以内の encoded-word に分割して折り返す
+ *
+ * @param {string} text - ヘッダー値
+ * @returns {string} エンコード後の値
+ */
+const encodeMailHeader = (text) => {
+    const s = String(text ?? '');
+    if (/^[\x20-\x7E]*$/.test(s)) return s;
+    const encoder = new TextEncoder();
+    const words = [];
+    let chunk = '';
+    // 1語あたり 45 バイト（Base64 で 60 文字）まで。文字の途中では分割しない
+    for (const ch of s) {
+        if (chunk && encoder.encode(chunk + ch).length > 45) {
+            words.push(chunk);
+            chunk = '';
+        }
+        chunk += ch;
+    }
+    if (chunk) words.push(chunk);
+    return words.map(w => `=?UTF-8?B?${bytesToBase64(encoder.encode(w))}?=`).join('\r\n ');
+};
+
+/**
+ * 宛先ヘッダーの値
+ * @param {Array<{address:string, label?:string}>} recipients - 宛先
+ * @returns {string} 宛先ヘッダー（表示名は ASCII なら引用符で囲み、それ以外は RFC 2047 でエンコード）
+ */
+const formatMailRecipients = (recipients) => (Array.isArray(recipients) ? recipients : [])
+    .map(r => {
+        if (!r.label) return r.address;
+        const name = /^[\x20-\x7E]*$/.test(r.label) ? `"${r.label.replace(/["\\]/g, '\\$&')}"` : encodeMailHeader(r.label);
+        return `${name} <${r.address}>`;
+    })
+    .join(',\r\n ');
+
+/**
+ * Date ヘッダーの値（例: Mon, 19 Oct 2026 10:30:00 +0900）
+ * @param {Date} date - 日時
+ * @returns {string} RFC 5322 形式の日時
+ */
+const formatRfc5322Date = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? '+' : '-';
+    const abs = Math.abs(offset);
+    return `${RFC5322_DAYS[date.getDay()]}, ${date.getDate()} ${RFC5322_MONTHS[date.getMonth()]} ${date.getFullYear()} `
+        + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+};
+
+/**
+ * .eml（RFC 5322）の作成
+ * @param {Object} params - パラメータ
+ * @param {Array<{address:string, label?:string}>} params.to - 宛先（空の場合は To ヘッダーを省略）
+ * @param {string} params.subject - 件名
+ * @param {string} params.body - 本文（改行は LF / CRLF どちらでも可）
+ * @param {Date} [params.date] - 作成日時
+ * @returns {string} .eml の内容（改行は CRLF）
+ */
+const buildEml = ({ to, subject, body, date = new Date() }) => {
+    const bodyText = String(body ?? '').replace(/\r?\n/g, '\r\n');
+    const encodedBody = (bytesToBase64(new TextEncoder().encode(bodyText)).match(/.{1,76}/g) || []).join('\r\n');
+    const headers = [
+        `Date: ${formatRfc5322Date(date)}`,
+        Array.isArray(to) && to.length > 0 ? `To: ${formatMailRecipients(to)}` : null,
+        `Subject: ${encodeMailHeader(subject)}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        'X-Unsent: 1'
+    ].filter(Boolean);
+    return `${headers.join('\r\n')}\r\n\r\n${encodedBody}\r\n`;
+};
+
+/**
+ * mailto: リンクの作成
+ * @param {Object} params - パラメータ
+ * @param {Array<{address:string}>} params.to - 宛先
+ * @param {string} params.subject - 件名
+ * @param {string} params.body - 本文
+ * @returns {string} mailto: URL
+ */
+const buildMailtoUrl = ({ to, subject, body }) => {
+    const addresses = (Array.isArray(to) ? to : []).map(r => encodeURIComponent(r.address).replace(/%40/g, '@')).join(',');
+    const query = [
+        subject ? `subject=${encodeURIComponent(subject)}` : null,
+        body ? `body=${encodeURIComponent(String(body).replace(/\r?\n/g, '\r\n'))}` : null
+    ].filter(Boolean).join('&');
+    return `mailto:${addresses}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * グローバルスコープへの公開
+ */
+window.MailDraft = {
+    MAILTO_MAX_LENGTH,
+    isValidMailAddress,
+    parseMailAddresses,
+    normalizeMailDraftSettings,
+    renderMailSubject,
+    encodeMailHeader,
+    buildEml,
+    buildMailtoUrl
+};
@@ -0,0 +1,156 @@
+/**
+ * 出力プロファイルユーティリティ
+ * 貼り付け先（チャット・メール・チケット等）ごとに、全体コピーの出力を整える
+ *
+ * プロファイルの項目:
+ * - id / name: 識別子と表示名
+ * - header / footer: 本文の前後に付ける文字列（{{変数名}}・フィルタ・条件セクションを展開）
+ * - lineBreak: 改行コード（'lf' / 'crlf'）
+ * - blankLines: 空行の扱い（'keep' / 'single' / 'remove'）
+ * - markup: 書式の出力形式（DataService.copyToClipboard の format: 'plain' / 'stripped' / 'markdown' / 'html'）
+ *
+ * プロファイルは設定（settings.outputProfiles）に保存し、選択中のIDを settings.outputProfileId に保持する
+ *
+ * 末尾で window.OutputProfiles へ公開
+ */
+
+/**
+ * 表示名の最大文字数
+ * @type {number}
+ */
+const OUTPUT_PROFILE_NAME_MAX_LENGTH = 20;
+
+/**
+ * 選択肢に含まれる値か（含まれなければ先頭の値）
+ * @param {*} value - 値
+ * @param {Array<{value:string}>} options - 選択肢
+ * @returns {string} 正規化した値
+ */
+const pickOption = (value, options) => (options.some(o => o.value === value) ? value : options[0].value);
+
+/**
+ * プロファイルの正規化
+ * @param {Object} profile - プロファイル
+ * @returns {Object|null} 正規化したプロファイル（不正な場合は null）
+ */
+const normalizeOutputProfile = (profile) => {
+    if (!profile || typeof profile !== 'object') return null;
+    const id = String(profile.id ?? '').trim();
+    if (!id) return null;
+    return {
+        id,
+        name: String(profile.name ?? '').trim().slice(0, OUTPUT_PROFILE_NAME_MAX_LENGTH) || '名称未設定',
+        header: String(profile.header ?? ''),
+        footer: String(profile.footer ?? ''),
+        lineBreak: pickOption(profile.lineBreak, Constants.OUTPUT_LINE_BREAK_OPTIONS),
+        blankLines: pickOption(profile.blankLines, Constants.OUTPUT_BLANK_LINE_OPTIONS),
+        markup: pickOption(profile.markup, Constants.COPY_FORMAT_OPTIONS)
+    };
+};
+
+/**
+ * プロファイル一覧の正規化
+ * 保存値が無い場合は既定のプロファイルを使う（旧設定のコピー形式 copyFormat は「標準」の書式へ引き継ぐ）
+ * IDの重複は先のものを残す。空になった場合も既定に戻す
+ *
+ * @param {Array} profiles - 保存されていたプロファイル
+ * @param {string} [legacyCopyFormat] - 旧設定のコピー形式
+ * @returns {Array<Object>} プロファイル一覧（1件以上）
+ */
+const normalizeOutputProfiles = (profiles, legacyCopyFormat) => {
+    const seen = new Set();
+    const list = (Array.isArray(profiles) ? profiles : [])
+        .map(normalizeOutputProfile)
+        .filter(p => p && !seen.has(p.id) && seen.add(p.id));
+    if (list.length > 0) return list;
+    return Constants.DEFAULT_OUTPUT_PROFILES.map((p, i) => normalizeOutputProfile(
+        i === 0 && legacyCopyFormat ? { ...p, markup: legacyCopyFormat } : p
+    ));
+};
+
+/**
+ * IDに対応するプロファイル（見つからない場合は先頭）
+ * @param {Array<Object>} profiles - プロファイル一覧
+ * @param {string} id - プロファイルID
+ * @returns {Object} プロファイル
+ */
+const findOutputProfile = (profiles, id) => {
+    const list = Array.isArray(profiles) && profiles.length > 0 ? profiles : normalizeOutputProfiles(null);
+    return list.find(p => p.id === id) || list[0];
+};
+
+/**
+ * 新しいプロファイル
+ * @param {Object} [base] - 複製元（省略時は「標準」と同じ設定）
+ * @returns {Object} プロファイル（新しいID）
+ */
+const createOutputProfile = (base) => normalizeOutputProfile({
+    ...(base || Constants.DEFAULT_OUTPUT_PROFILES[0]),
+    id: Helpers.generateId(),
+    name: base ? `${base.name}のコピー` : '新しいプロファイル'
+});
+
+/**
+ * ヘッダー/フッターの展開（文節と同じく行ごとに変数・条件セクションを評価する）
+ * @param {string} template - ヘッダー/フッター
+ * @param {Array} variables - 変数配列
+ * @returns {string} 展開後の文字列
+ */
+const renderProfileTemplate = (template, variables) => {
+    const src = String(template ?? '');
+    if (!src) return '';
+    const lines = src.split('\n').map(content => ({ content }));
+    return Helpers.renderPreviewWithIndexMap(lines, variables).previewText;
+};
+
+/**
+ * 空行の整理
+ * @param {string} text - 対象文字列（改行は LF）
+ * @param {'keep'|'single'|'remove'} mode - 空行の扱い
+ * @returns {string} 整理後の文字列（keep 以外は先頭・末尾の空行も除く）
+ */
+const collapseBlankLines = (text, mode) => {
+    if (mode !== 'single' && mode !== 'remove') return text;
+    const out = [];
+    text.split('\n').forEach(line => {
+        const blank = line.trim() === '';
+        if (blank && (mode === 'remove' || out.length === 0 || out[out.length - 1].trim() === '')) return;
+        out.push(blank ? '' : line);
+    });
+    while (out.length > 0 && out[out.length - 1] === '') out.pop();
+    return out.join('\n');
+};
+
+/**
+ * 出力する文字列の組み立て（書式の変換と改行コードの変換は DataService.copyToClipboard で行う）
+ * @param {string} body - 本文（プレビュー）
+ * @param {Object} profile - プロファイル
+ * @param {Array} variables - 変数配列
+ * @returns {string} ヘッダー・本文・フッターをつなげて空行を整理した文字列（改行は LF）
+ */
+const composeOutput = (body, profile, variables) => {
+    const p = normalizeOutputProfile(profile) || normalizeOutputProfiles(null)[0];
+    const parts = [renderProfileTemplate(p.header, variables), String(body ?? ''), renderProfileTemplate(p.footer, variables)];
+    const joined = parts.filter((part, i) => i === 1 || part !== '').join('\n');
+    return collapseBlankLines(joined, p.blankLines);
+};
+
+/**
+ * セッション履歴に記録するプロファイル情報
+ * @param {Object} profile - プロファイル
+ * @returns {{id:string, name:string}} 記録する情報（名前は使用時点のもの）
+ */
+const toSessionOutputProfile = (profile) => ({ id: profile.id, name: profile.name });
+
+/**
+ * グローバルスコープへの公開
+ */
+window.OutputProfiles = {
+    OUTPUT_PROFILE_NAME_MAX_LENGTH,
+    normalizeOutputProfile,
+    normalizeOutputProfiles,
+    findOutputProfile,
+    createOutputProfile,
+    composeOutput,
+    toSessionOutputProfile
+};
@@ -0,0 +1,154 @@
+/**
+ * 電話番号からの逆引きユーティリティ
+ * 入力した電話番号で過去の値グループ（inputHistory.valueGroups）とセッション履歴を検索し、
+ * 相手（会社名・相手先名など記録済みの値）の候補を会社ごとにまとめて返す
+ *
+ * 流れ:
+ * 1. buildPhoneIndex で「電話番号の照合用のキー → 記録」の索引を作る（履歴が変わったときのみ）
+ * 2. lookupCallers で入力中の番号の候補を求める（会社ごとにまとめ、通話回数・最終通話日時の順）
+ * 3. applyCallerToVariables で候補の値を変数へ入力する
+ *
+ * 照合:
+ * - Helpers.normalizePhoneKey（国内の番号は数字のみ、国際電話番号は + と数字。内線番号は除く）で完全一致で比較する
+ *   （ハイフン・空白・全角数字・国内表記と国際表記（03-… と +81 3-…）の違いは無視する）
+ * - 電話番号として扱う変数は、電話番号タイプの変数とアドレス帳の電話番号に対応する変数（セッションは記録時のタイプも見る）
+ *
+ * 末尾で window.PhoneLookup へ公開
+ */
+
+/**
+ * 逆引きを行う最小桁数（これより短い番号は検索しない）
+ * @type {number}
+ */
+const PHONE_LOOKUP_MIN_DIGITS = 7;
+
+/**
+ * 候補の最大件数
+ * @type {number}
+ */
+const PHONE_LOOKUP_LIMIT = 5;
+
+/**
+ * 索引の作成
+ * 値グループ（取り込んだ連絡先を含む）とセッション履歴から、電話番号ごとの記録を集める
+ *
+ * @param {Object} params - パラメータ
+ * @param {Array} [params.valueGroups] - 値グループ（{savedAt, variables:{name:value}, source?}）
+ * @param {Array} [params.sessionHistory] - セッション履歴（{timestamp, variables:[{name, value, type}]}）
+ * @param {string[]} [params.phoneNames] - 電話番号として扱う変数名
+ * @returns {Map<string, Array<{kind:'group'|'session', at:string|null, imported:boolean, values:Object<string,string>}>>} 照合用のキー → 記録
+ */
+const buildPhoneIndex = ({ valueGroups = [], sessionHistory = [], phoneNames = [] }) => {
+    const phones = new Set(Array.isArray(phoneNames) ? phoneNames : []);
+    const index = new Map();
+    const add = (key, record) => {
+        if (key.replace(/^\+/, '').length < PHONE_LOOKUP_MIN_DIGITS) return;
+        const list = index.get(key) || [];
+        if (!list.includes(record)) list.push(record);
+        index.set(key, list);
+    };
+
+    (Array.isArray(valueGroups) ? valueGroups : []).forEach(g => {
+        const vars = (g && g.variables) || {};
+        const values = Object.fromEntries(Object.entries(vars)
+            .map(([name, value]) => [name, String(value ?? '').trim()])
+            .filter(([, value]) => value));
+        const record = { kind: 'group', at: g.savedAt || null, imported: g.source === ContactImport.IMPORT_SOURCE, values };
+        phones.forEach(name => add(Helpers.normalizePhoneKey(values[name]), record));
+    });
+
+    (Array.isArray(sessionHistory) ? sessionHistory : []).forEach(s => {
+        const vars = (s && Array.isArray(s.variables)) ? s.variables : [];
+        const values = {};
+        vars.forEach(v => {
+            const value = String(v?.value ?? '').trim();
+            if (v && v.name && value && v.type !== 'time' && v.type !== 'date') values[v.name] = value;
+        });
+        const record = { kind: 'session', at: s.timestamp || null, imported: false, values };
+        vars.forEach(v => {
+            if (v && (v.type === 'phone' || phones.has(v.name))) add(Helpers.normalizePhoneKey(v.value), record);
+        });
+    });
+    return index;
+};
+
+/**
+ * 電話番号の逆引き
+ * 一致した記録を会社名ごとにまとめる（会社名が無い記録は相手先名ごと）。値は新しい記録を優先し、空欄のみ古い記録で補う
+ *
+ * 並び順: ①通話回数の多い順 ②最終通話日時の新しい順
+ * - 通話回数はセッションと値グループ（取り込みを除く）の多い方（コピー時に両方へ保存されるため）
+ * - 取り込んだ連絡先のみの候補は通話回数 0・最終通話日時なし
+ *
+ * @param {Map} index - buildPhoneIndex の索引
+ * @param {string} phone - 入力中の電話番号（ハイフン・全角数字・+国番号・内線番号を含んでもよい）
+ * @param {Object} fields - アドレス帳と変数の対応（settings.directoryFields。会社名・相手先名の変数名に使用）
+ * @param {number} [limit] - 最大件数
+ * @returns {Array<{key:string, company:string, person:string, values:Object<string,string>, lastCalledAt:string|null, callCount:number}>} 候補
+ */
+const lookupCallers = (index, phone, fields, limit = PHONE_LOOKUP_LIMIT) => {
+    const key = Helpers.normalizePhoneKey(phone);
+    const records = (key.replace(/^\+/, '').length >= PHONE_LOOKUP_MIN_DIGITS && index instanceof Map) ? (index.get(key) || []) : [];
+    if (records.length === 0) return [];
+    const f = ContactDirectory.normalizeDirectoryFields(fields);
+    const time = (at) => {
+        const t = at ? new Date(at).getTime() : NaN;
+        return isNaN(t) ? 0 : t;
+    };
+
+    const byKey = new Map();
+    records.slice().sort((a, b) => time(b.at) - time(a.at)).forEach(r => {
+        const company = f.company ? (r.values[f.company] || '') : '';
+        const person = f.person ? (r.values[f.person] || '') : '';
+        const key = company ? `c:${ContactDirectory.toContactKey(company)}` : `p:${ContactDirectory.toContactKey(person)}`;
+        const item = byKey.get(key) || { key, company, person, values: {}, lastCalledAt: null, sessions: 0, groups: 0 };
+        Object.entries(r.values).forEach(([name, value]) => {
+            if (!item.values[name]) item.values[name] = value;
+        });
+        if (!item.person) item.person = person;
+        if (!r.imported) {
+            if (r.kind === 'session') item.sessions += 1;
+            else item.groups += 1;
+            if (r.at && time(r.at) > time(item.lastCalledAt)) item.lastCalledAt = r.at;
+        }
+        byKey.set(key, item);
+    });
+
+    return Array.from(byKey.values())
+        .map(({ sessions, groups, ...item }) => ({ ...item, callCount: Math.max(sessions, groups) }))
+        .sort((a, b) => (b.callCount - a.callCount) || (time(b.lastCalledAt) - time(a.lastCalledAt)))
+        .slice(0, limit);
+};
+
+/**
+ * 候補の値を変数へ入力
+ * 入力元の電話番号の変数と日付・時刻の変数は変更しない。候補に値の無い変数もそのまま
+ *
+ * @param {Array} variables - 変数配列
+ * @param {Object} caller - lookupCallers の候補
+ * @param {string} phoneName - 入力元の電話番号の変数名
+ * @returns {{variables:Array, changed:string[]}} 新しい変数配列と変更した変数名
+ */
+const applyCallerToVariables = (variables, caller, phoneName) => {
+    const list = Array.isArray(variables) ? variables : [];
+    const values = (caller && caller.values) || {};
+    const changed = [];
+    const next = list.map(v => {
+        if (v.name === phoneName || v.type === 'time' || v.type === 'date') return v;
+        if (!Object.prototype.hasOwnProperty.call(values, v.name) || String(v.value ?? '') === values[v.name]) return v;
+        changed.push(v.name);
+        return { ...v, value: values[v.name] };
+    });
+    return { variables: changed.length > 0 ? next : list, changed };
+};
+
+/**
+ * グローバルスコープへの公開
+ */
+window.PhoneLookup = {
+    PHONE_LOOKUP_MIN_DIGITS,
+    PHONE_LOOKUP_LIMIT,
+    buildPhoneIndex,
+    lookupCallers,
+    applyCallerToVariables
+};
@@ -1,34 +1,145 @@
 /**
  * 電話番号関連ユーティリティ
+ * - 電話番号の正規化（数字のみ）
+ * - 日本の電話番号の種類の判定と検証（同梱の市外局番テーブル Constants.JAPANESE_AREA_CODES を使用）
  * - 日本の電話番号フォーマット
+ * - 国際電話番号（+国番号）・内線番号の読み取り、出力形式（国内表記・国際表記・数字のみ）ごとの整形と検証
+ *   （同梱の国番号テーブル Constants.COUNTRY_CALLING_CODES / COUNTRY_PHONE_FORMATS を使用）
  * - 変数名から電話系の推定
  * 末尾で window.Helpers へ公開
  */
 
+/**
+ * 電話番号の正規化（全角数字を半角にし、数字以外を除く）
+ * 整形・重複判定・照合で同じ規則を使うための共通処理
+ *
+ * @param {string} input - 入力文字列
+ * @returns {string} 数字のみの文字列
+ */
+const normalizePhoneDigits = (input) => String(input ?? '')
+    .replace(/[０-９]/g, (s) => String.fromCharCode(s.charCodeAt(0) - 0xFEE0))
+    .replace(/\D/g, '');
+
+/**
+ * 番号の種類の表示名
+ * @type {Object<string, string>}
+ */
+const JAPANESE_PHONE_KIND_LABELS = {
+    fixed: '固定電話',
+    mobile: '携帯電話',
+    ip: 'IP電話',
+    tollfree: 'フリーダイヤル',
+    navi: 'ナビダイヤル',
+    m2m: 'M2M等専用番号'
+};
+
+/**
+ * 固定電話以外の番号の規則（先頭から順に判定）
+ * @type {Array<{prefix:string, kind:string, length:number, groups:number[]}>}
+ */
+const JAPANESE_PHONE_RULES = [
+    { prefix: '0120', kind: 'tollfree', length: 10, groups: [4, 3, 3] },
+    { prefix: '0800', kind: 'tollfree', length: 11, groups: [4, 3, 4] },
+    { prefix: '0570', kind: 'navi', length: 10, groups: [4, 3, 3] },
+    { prefix: '0180', kind: 'navi', length: 10, groups: [4, 2, 4] },
+    { prefix: '070', kind: 'mobile', length: 11, groups: [3, 4, 4] },
+    { prefix: '080', kind: 'mobile', length: 11, groups: [3, 4, 4] },
+    { prefix: '090', kind: 'mobile', length: 11, groups: [3, 4, 4] },
+    { prefix: '050', kind: 'ip', length: 11, groups: [3, 4, 4] },
+    { prefix: '020', kind: 'm2m', length: 11, groups: [3, 4, 4] }
+];
+
+/**
+ * 固定電話の番号の桁数（市外局番 + 市内局番 + 加入者番号）
+ * @type {number}
+ */
+const FIXED_PHONE_LENGTH = 10;
+
+/**
+ * 市外局番の桁数（同梱の市外局番テーブルで最も長く一致する先頭部分から求める）
+ * @param {string} digits - 数字のみの番号（先頭0を含む）
+ * @returns {number|null} 市外局番の桁数（先頭0を含む。割り当てのない番号は 0、テーブルに無ければ null）
+ */
+const findAreaCodeLength = (digits) => {
+    const table = (typeof window !== 'undefined' && window.Constants && window.Constants.JAPANESE_AREA_CODES) || null;
+    if (!table) return null;
+    for (let len = Math.min(digits.length, 6); len >= 2; len--) {
+        const key = digits.slice(0, len);
+        if (Object.prototype.hasOwnProperty.call(table, key)) return table[key];
+    }
+    return null;
+};
+
+/**
+ * 日本の電話番号の検証
+ * 番号の種類（固定電話・携帯電話・IP電話・フリーダイヤルなど）を判定し、あり得ない番号かを調べる
+ *
+ * あり得ない番号:
+ * - 0 から始まらない番号、国際電話の識別番号（00・010）から始まる番号
+ * - 種類ごとの桁数（固定電話は10桁、携帯電話・IP電話は11桁など）に合わない番号
+ * - 割り当てのない市外局番、0 から始まる市内局番（固定電話）
+ * 市内局番ごとの割り当て状況までは判定しない
+ *
+ * @param {string} input - 入力文字列（ハイフン・全角数字を含んでもよい）
+ * @returns {{digits:string, kind:string|null, valid:boolean, formatted:string, message:string}}
+ *   数字のみの番号・種類（JAPANESE_PHONE_KIND_LABELS のキー。判定できなければ null）・正しい番号か・
+ *   ハイフン区切りの番号（正しくなければ数字のみ）・あり得ない理由（空の入力や正しい番号では空文字）
+ */
+const validateJapanesePhone = (input) => {
+    const digits = normalizePhoneDigits(input);
+    const result = (kind, message, groups = null) => {
+        let formatted = digits;
+        if (groups) {
+            let offset = 0;
+            formatted = groups.map(n => { const part = digits.slice(offset, offset + n); offset += n; return part; }).join('-');
+        }
+        return { digits, kind, valid: !message, formatted, message };
+    };
+    if (!digits) return { digits, kind: null, valid: false, formatted: '', message: '' };
+    if (!digits.startsWith('0')) return result(null, '0 から始まる番号ではありません');
+    if (digits.startsWith('00') || digits.startsWith('010')) return result(null, '国際電話の識別番号から始まる番号です');
+
+    const rule = JAPANESE_PHONE_RULES.find(r => digits.startsWith(r.prefix));
+    if (rule) {
+        if (digits.length !== rule.length) {
+            return result(rule.kind, `${JAPANESE_PHONE_KIND_LABELS[rule.kind]}の番号は${rule.length}桁です（${digits.length}桁）`);
+        }
+        return result(rule.kind, '', rule.groups);
+    }
+
+    const areaLength = findAreaCodeLength(digits);
+    if (areaLength === null) return result('fixed', digits.length === FIXED_PHONE_LENGTH ? '' : `固定電話の番号は${FIXED_PHONE_LENGTH}桁です（${digits.length}桁）`);
+    if (areaLength === 0) return result(null, '割り当てのない番号です');
+    if (digits.length !== FIXED_PHONE_LENGTH) {
+        return result('fixed', `固定電話の番号は${FIXED_PHONE_LENGTH}桁です（${digits.length}桁）`);
+    }
+    if (digits[areaLength] === '0') return result('fixed', '市内局番が 0 から始まる番号はありません');
+    return result('fixed', '', [areaLength, 6 - areaLength, 4]);
+};
+
 /**
  * 日本の電話番号フォーマッタ
- * 入力から数字のみを抽出し、日本の一般的な電話番号規則に基づいてハイフンを自動挿入する
+ * 入力から数字のみを抽出し、番号の種類に応じてハイフンを自動挿入する
  *
  * 対応例:
- * - 携帯電話/データ通信: 070/080/090/020/050 先頭の11桁 → 3-4-4
- * - フリーダイヤル: 0120 先頭の10桁 → 4-3-3
+ * - 携帯電話/IP電話/M2M: 070/080/090/050/020 先頭の11桁 → 3-4-4
+ * - フリーダイヤル: 0120 先頭の10桁 → 4-3-3、0800 先頭の11桁 → 4-3-4
  * - ナビダイヤル: 0570 先頭の10桁 → 4-3-3
- * - 0800（フリーコール）: 0800 先頭の11桁 → 4-3-4
- * - 固定電話（東京/大阪）: 03/06 先頭の10桁 → 2-4-4
- * - 固定電話（その他・簡易ルール）: 先頭0かつ10桁 → 3-3-4
- * - 上記以外や桁数が適合しない場合 → ハイフンなし（数字のみ）を返す
- *
- * 注意:
- * - 完全な市外局番辞書を持たない簡易実装。主要なパターンを優先的に整形する。
+ * - 固定電話: 10桁を同梱の市外局番テーブルで区切る（03-xxxx-xxxx、0467-xx-xxxx、04992-x-xxxx など）
+ * - 上記に当てはまらない番号（桁数の不足・あり得ない番号）は、libphonenumber（CDN）を読み込めていればその結果、
+ *   読み込めていなければハイフンなし（数字のみ）を返す
  *
  * @param {string} input - 入力文字列（数字以外が含まれていてもよい）
  * @returns {string} ハイフン整形済みの電話番号文字列（不適合時は数字のみ）
  */
 const formatJapanesePhone = (input) => {
-    const normalized = String(input ?? '').replace(/[０-９]/g, (s) => String.fromCharCode(s.charCodeAt(0) - 0xFEE0));
-    const digits = normalized.replace(/\D/g, '');
+    const digits = normalizePhoneDigits(input);
     if (digits.length === 0) return '';
 
+    // 市外局番テーブルを読み込めていない場合は固定電話を区切れないため、libphonenumber に任せる
+    const validated = validateJapanesePhone(digits);
+    if (validated.valid && validated.formatted !== digits) return validated.formatted;
+
     try {
         if (typeof window !== 'undefined' && window.libphonenumber) {
             const asYouType = new window.libphonenumber.AsYouType('JP');
@@ -38,34 +149,199 @@ const formatJapanesePhone = (input) => {
         }
     } catch (_) {}
 
-    if (digits.startsWith('0120') && digits.length === 10) {
-        return `${digits.slice(0, 4)}-${digits.slice(4, 7)}-${digits.slice(7)}`;
-    }
-    if (digits.startsWith('0570') && digits.length === 10) {
-        return `${digits.slice(0, 4)}-${digits.slice(4, 7)}-${digits.slice(7)}`;
-    }
-    if (digits.startsWith('0800') && digits.length === 11) {
-        return `${digits.slice(0, 4)}-${digits.slice(4, 7)}-${digits.slice(7)}`;
-    }
+    return digits;
+};
 
-    const mobilePrefixes = ['070', '080', '090', '050', '020'];
-    if (mobilePrefixes.some(p => digits.startsWith(p)) && digits.length === 11) {
-        return `${digits.slice(0, 3)}-${digits.slice(3, 7)}-${digits.slice(7)}`;
+/**
+ * 日本の国番号
+ * @type {string}
+ */
+const JAPAN_CALLING_CODE = '81';
+
+/**
+ * 国際電話番号の最大桁数（国番号を含む。ITU-T E.164）
+ * @type {number}
+ */
+const E164_MAX_DIGITS = 15;
+
+/**
+ * 国番号の後の番号の最小桁数（日本以外の番号）
+ * @type {number}
+ */
+const INTERNATIONAL_MIN_NATIONAL_DIGITS = 4;
+
+/**
+ * 末尾の内線番号（「内線123」「ext. 123」「x123」「#123」、発信時の一時停止の「,123」「;123」。括弧で囲んでもよい）
+ * 数字のみの出力形式（0312345678,123）を再び整形しても内線番号が本体の番号へ混ざらないよう、, と ; も区切りとして扱う
+ * @type {RegExp}
+ */
+const PHONE_EXTENSION_PATTERN = /\(?\s*(内線|ext\.?|x|#|[,;])\s*:?\s*(\d+)\s*\)?\s*$/i;
+
+/**
+ * 国番号の判定（同梱の国番号テーブル Constants.COUNTRY_CALLING_CODES で先頭から一致するもの）
+ * @param {string} digits - + の後の数字
+ * @returns {string|null} 国番号（一致しなければ空文字、テーブルを読み込めていなければ null）
+ */
+const findCountryCallingCode = (digits) => {
+    const codes = (typeof window !== 'undefined' && window.Constants && window.Constants.COUNTRY_CALLING_CODES) || null;
+    if (!codes) return null;
+    for (let len = 1; len <= Math.min(digits.length, 3); len++) {
+        if (codes.includes(digits.slice(0, len))) return digits.slice(0, len);
     }
+    return '';
+};
+
+/**
+ * 電話番号の入力の分解
+ * 先頭の +（国番号）と末尾の内線番号を読み取り、国番号・国内番号・内線番号に分ける
+ * - + の無い番号は日本の番号（国番号 81）とする
+ * - +81 の番号は国内の 0 始まりの番号へ読み替える（+81 (0)3… のように 0 を含めてもよい）
+ * - ほかの国の番号は国内の先頭の 0（+44 (0)20… など）を除く（イタリアは 0 も番号の一部のため除かない）
+ *
+ * @param {string} input - 入力文字列（全角・ハイフン・空白・括弧を含んでもよい）
+ * @returns {{digits:string, international:boolean, countryCode:string|null, nationalNumber:string, extension:string, extensionLabel:string}}
+ *   内線を除く数字・+ で入力されたか・国番号（日本は '81'。判定できなければ空文字、国番号テーブルを読み込めていなければ null）・
+ *   国内番号（日本は先頭0を含む）・内線番号・内線の書き方（'内線' / 'ext' / 'x' / '#' / ',' / ';'。内線番号が無ければ空文字）
+ */
+const parsePhoneInput = (input) => {
+    const s = String(input ?? '');
+    const text = (typeof s.normalize === 'function' ? s.normalize('NFKC') : s).trim();
+    const ext = text.match(PHONE_EXTENSION_PATTERN);
+    const main = ext ? text.slice(0, ext.index) : text;
+    const digits = normalizePhoneDigits(main);
+    const result = {
+        digits,
+        international: main.startsWith('+'),
+        countryCode: JAPAN_CALLING_CODE,
+        nationalNumber: digits,
+        extension: ext ? ext[2] : '',
+        extensionLabel: ext ? ext[1].toLowerCase().replace(/\.$/, '') : ''
+    };
+    if (!result.international) return result;
+
+    const countryCode = findCountryCallingCode(digits);
+    if (!countryCode) return { ...result, countryCode };
+    const rest = digits.slice(countryCode.length);
+    if (countryCode === JAPAN_CALLING_CODE) return { ...result, countryCode, nationalNumber: rest ? `0${rest.replace(/^0/, '')}` : '' };
+    return { ...result, countryCode, nationalNumber: countryCode === '39' ? rest : rest.replace(/^0/, '') };
+};
+
+/**
+ * 日本以外の番号の国際表記（+国番号 国内番号）
+ * 同梱の区切り（Constants.COUNTRY_PHONE_FORMATS）に一致すればその区切り、一致しなければ libphonenumber（CDN）の結果、
+ * どちらも使えなければ国内番号を末尾から4桁ごとに空白で区切る
+ *
+ * @param {string|null} countryCode - 国番号（判定できなければ空文字・null）
+ * @param {string} nationalNumber - 国内番号（国番号を判定できなければ + の後の数字すべて）
+ * @returns {string} 国際表記の番号
+ */
+const formatInternationalNumber = (countryCode, nationalNumber) => {
+    if (!countryCode) return `+${nationalNumber}`;
+    const formats = (typeof window !== 'undefined' && window.Constants && window.Constants.COUNTRY_PHONE_FORMATS) || {};
+    const rules = (formats[countryCode] && formats[countryCode].rules) || [];
+    const rule = rules.find(r => r.leading.test(nationalNumber) && r.pattern.test(nationalNumber));
+    if (rule) return `+${countryCode} ${nationalNumber.replace(rule.pattern, rule.format)}`;
 
-    if ((digits.startsWith('03') || digits.startsWith('06')) && digits.length === 10) {
-        return `${digits.slice(0, 2)}-${digits.slice(2, 6)}-${digits.slice(6)}`;
+    try {
+        if (typeof window !== 'undefined' && window.libphonenumber && typeof window.libphonenumber.parsePhoneNumberFromString === 'function') {
+            const parsed = window.libphonenumber.parsePhoneNumberFromString(`+${countryCode}${nationalNumber}`);
+            if (parsed && parsed.isPossible()) return parsed.formatInternational();
+        }
+    } catch (_) {}
+
+    const grouped = nationalNumber.replace(/\B(?=(\d{4})+$)/g, ' ');
+    return grouped ? `+${countryCode} ${grouped}` : `+${countryCode}`;
+};
+
+/**
+ * 電話番号フォーマッタ（国際電話番号・内線番号に対応）
+ * 出力形式（変数の format。Constants.PHONE_OUTPUT_FORMAT_OPTIONS）:
+ * - ''（入力どおり）: + で入力した番号は国際表記、それ以外は国内表記
+ * - 'national'（国内表記）: 03-1234-5678（日本以外の番号は国内表記の区切りを持たないため国際表記）
+ * - 'international'（国際表記）: +81 3-1234-5678
+ * - 'digits'（数字のみ）: 0312345678（日本以外の番号は +14155550123）
+ * 内線番号は国内表記では「 内線123」、国際表記では「 ext. 123」、数字のみでは「,123」（発信時の一時停止）として付ける。
+ * 入力どおりでは入力した書き方（内線 / ext. / , と ;）に合わせる。どの形式も、整形した結果を同じ形式で整形し直しても変わらない
+ *
+ * @param {string} input - 入力文字列（+国番号・内線番号・全角・ハイフンを含んでもよい）
+ * @param {''|'national'|'international'|'digits'} [form] - 出力形式（省略時・不明な値は入力どおり）
+ * @returns {string} 整形済みの電話番号文字列（番号が無ければ空文字）
+ */
+const formatPhoneNumber = (input, form = '') => {
+    const p = parsePhoneInput(input);
+    if (!p.digits) return '';
+
+    const auto = form !== 'national' && form !== 'international' && form !== 'digits';
+    const mode = auto ? (p.international ? 'international' : 'national') : form;
+    const japanese = p.countryCode === JAPAN_CALLING_CODE;
+    let body;
+    if (mode === 'digits') {
+        body = japanese ? p.nationalNumber : `+${p.countryCode || ''}${p.nationalNumber}`;
+    } else if (!japanese) {
+        body = formatInternationalNumber(p.countryCode, p.nationalNumber);
+    } else {
+        const national = formatJapanesePhone(p.nationalNumber);
+        body = (mode === 'international' && national.startsWith('0')) ? `+${JAPAN_CALLING_CODE} ${national.slice(1)}` : national;
     }
 
-    if (digits.length === 10 && digits.startsWith('0')) {
-        return `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}`;
+    if (!body || !p.extension) return body;
+    if (mode === 'digits') return `${body},${p.extension}`;
+    if (auto && (p.extensionLabel === ',' || p.extensionLabel === ';')) return `${body}${p.extensionLabel}${p.extension}`;
+    const japaneseLabel = auto ? p.extensionLabel === '内線' : mode === 'national';
+    return japaneseLabel ? `${body} 内線${p.extension}` : `${body} ext. ${p.extension}`;
+};
+
+/**
+ * 電話番号の検証（国際電話番号・内線番号に対応）
+ * 日本の番号（+81 を含む）は validateJapanesePhone で検証し、ほかの国の番号は国番号と桁数のみ調べる
+ * （国番号を含めて15桁まで。国ごとの番号の割り当ては判定しない）。内線番号は検証しない
+ *
+ * @param {string} input - 入力文字列（+国番号・内線番号・全角・ハイフンを含んでもよい）
+ * @returns {{digits:string, kind:string|null, label:string, valid:boolean, formatted:string, message:string, countryCode:string|null, extension:string}}
+ *   validateJapanesePhone の結果に、種類の表示名（日本以外の番号は「国際電話番号（国・地域名）」）・国番号・内線番号を加えたもの。
+ *   日本以外の番号の kind は 'international'、formatted は国際表記（正しくなければ数字のみ）
+ */
+const validatePhoneNumber = (input) => {
+    const p = parsePhoneInput(input);
+    const extra = { countryCode: p.countryCode, extension: p.extension };
+    if (p.countryCode === JAPAN_CALLING_CODE) {
+        const validated = validateJapanesePhone(p.nationalNumber);
+        return { ...validated, label: validated.kind ? JAPANESE_PHONE_KIND_LABELS[validated.kind] : '', ...extra };
     }
+    if (!p.digits) return { digits: '', kind: null, label: '', valid: false, formatted: '', message: '', ...extra };
 
-    if (digits.length === 11) {
-        return `${digits.slice(0, 3)}-${digits.slice(3, 7)}-${digits.slice(7)}`;
+    const formats = (typeof window !== 'undefined' && window.Constants && window.Constants.COUNTRY_PHONE_FORMATS) || {};
+    const country = p.countryCode && formats[p.countryCode] ? formats[p.countryCode].name : '';
+    const result = (message) => ({
+        digits: p.digits,
+        kind: 'international',
+        label: country ? `国際電話番号（${country}）` : '国際電話番号',
+        valid: !message,
+        formatted: message ? p.digits : formatInternationalNumber(p.countryCode, p.nationalNumber),
+        message,
+        ...extra
+    });
+    if (p.countryCode === '') return result('国番号が正しくありません');
+    const total = (p.countryCode || '').length + p.nationalNumber.length;
+    if (total > E164_MAX_DIGITS) return result(`国際電話番号は国番号を含めて${E164_MAX_DIGITS}桁までです（${total}桁）`);
+    if (p.countryCode && p.nationalNumber.length < INTERNATIONAL_MIN_NATIONAL_DIGITS) {
+        return result(`国番号の後の番号は${INTERNATIONAL_MIN_NATIONAL_DIGITS}桁以上です（${p.nationalNumber.length}桁）`);
     }
+    return result('');
+};
 
-    return digits;
+/**
+ * 電話番号の照合用のキー
+ * 日本の番号（+81 を含む）は国内の数字のみ（0312345678）、ほかの国の番号は + と数字（+14155550123）。内線番号は含めない
+ * 同じ番号なら国内表記・国際表記・数字のみのどれで記録していても同じキーになる
+ *
+ * @param {string} input - 入力文字列
+ * @returns {string} キー（番号が無ければ空文字）
+ */
+const normalizePhoneKey = (input) => {
+    const p = parsePhoneInput(input);
+    if (!p.digits) return '';
+    return p.countryCode === JAPAN_CALLING_CODE ? p.nationalNumber : `+${p.countryCode || ''}${p.nationalNumber}`;
 };
 
 /**
@@ -86,7 +362,14 @@ const guessVariableTypeByName = (name) => {
 
 // 公開
 window.Helpers = Object.assign(window.Helpers || {}, {
+    normalizePhoneDigits,
+    JAPANESE_PHONE_KIND_LABELS,
+    validateJapanesePhone,
     formatJapanesePhone,
+    parsePhoneInput,
+    formatPhoneNumber,
+    validatePhoneNumber,
+    normalizePhoneKey,
     guessVariableTypeByName
 });
 
@@ -592,6 +592,99 @@ const updateSegmentWithVariables = (segmentContent, variablesInLine, currentLine
 };
 
 
+/**
+ * フィルタ付き変数プレースホルダの別名置換で用いる接頭辞
+ * @type {string}
+ */
+const FILTER_ALIAS_PREFIX = '__tsa_filtered_';
+
+/**
+ * フィルタ付き変数プレースホルダを別名の単純プレースホルダへ置き換える
+ * `{{相手先名|honorific}}` のようなトークンを、表示値（フィルタ適用後）を値に持つ仮変数 `{{__tsa_filtered_0__}}` に置換し、
+ * 既存の値抽出・テンプレート再構築ロジックをそのまま適用できるようにする。
+ *
+ * @param {string} template - テンプレート文字列
+ * @param {Array} variables - 変数配列
+ * @returns {{template:string, aliases:Array<{id:string, name:string, value:string, raw:string, variable:Object|null, filters:Array}>}} 置換結果
+ */
+const aliasFilteredPlaceholders = (template, variables) => {
+    const src = String(template ?? '');
+    const varByName = new Map((Array.isArray(variables) ? variables : []).map(v => [String(v.name), v]));
+    const aliases = [];
+    let out = '';
+    window.Helpers.tokenizeSegmentTemplate(src).forEach((t) => {
+        const raw = src.slice(t.start, t.end);
+        if (t.type === 'variable' && Array.isArray(t.filters) && t.filters.length > 0) {
+            const variable = varByName.get(String(t.name)) || null;
+            const name = `${FILTER_ALIAS_PREFIX}${aliases.length}__`;
+            aliases.push({ id: name, name, value: window.Helpers.renderVariableToken(t, variable), raw, variable, filters: t.filters });
+            out += `{{${name}}}`;
+        } else {
+            out += raw;
+        }
+    });
+    return { template: out, aliases };
+};
+
+/**
+ * 別名プレースホルダを元のフィルタ付きプレースホルダへ戻す
+ * @param {string} content - 別名置換済みのテンプレート文字列
+ * @param {Array<{name:string, raw:string}>} aliases - aliasFilteredPlaceholders の aliases
+ * @returns {string} 復元後のテンプレート文字列
+ */
+const restoreFilteredPlaceholders = (content, aliases) => {
+    let out = String(content ?? '');
+    (aliases || []).forEach(a => { out = out.split(`{{${a.name}}}`).join(a.raw); });
+    return out;
+};
+
+/**
+ * 別名（仮変数）に対する値更新を元の変数の値更新へ変換
+ * フィルタを逆変換できない場合、または値が未入力表示（`{{...}}`）のままの場合は更新しない
+ *
+ * @param {{id:string, value:string, variable:Object|null, filters:Array}} alias - 別名情報
+ * @param {string} newValue - 抽出された表示値
+ * @returns {{variableId:string, newValue:string}|null} 変数値更新（不要/不可なら null）
+ */
+const resolveAliasUpdate = (alias, newValue) => {
+    const text = String(newValue ?? '');
+    if (!alias || !alias.variable || text === alias.value || text.includes('{{')) return null;
+    const raw = window.TemplateFilters ? window.TemplateFilters.reverseFilters(text, alias.filters, alias.variable) : null;
+    if (raw === null || raw === String(alias.variable.value ?? '')) return null;
+    return { variableId: alias.variable.id, newValue: raw };
+};
+
+/**
+ * 条件セクションを含むセグメントの「表示部分」を切り出す
+ * 制御トークン（`{{#if}}` 等）と非アクティブなトークンを除いた、プレビューに現れる部分だけの
+ * テンプレート（effective）と、その前後に位置する非表示部分（prefix/suffix）に分解する。
+ *
+ * - 表示部分の途中に非表示トークンが挟まる場合は `mixed: true` とし、テンプレートの再構築は行わない
+ *   （変数値の同期のみ行う）前提とする
+ *
+ * @param {string} content - セグメントのテンプレート文字列
+ * @param {Array} tokens - tokenizeSegmentTemplate の結果
+ * @param {boolean[]} tokenActive - 各トークンのアクティブ判定
+ * @returns {{effective:string, prefix:string, suffix:string, mixed:boolean}} 分解結果
+ */
+const splitConditionalSegment = (content, tokens, tokenActive) => {
+    const src = String(content ?? '');
+    const activeIdx = [];
+    (tokens || []).forEach((t, i) => { if (tokenActive && tokenActive[i]) activeIdx.push(i); });
+    if (activeIdx.length === 0) {
+        return { effective: '', prefix: src, suffix: '', mixed: false };
+    }
+    const first = activeIdx[0];
+    const last = activeIdx[activeIdx.length - 1];
+    const mixed = (last - first + 1) !== activeIdx.length;
+    return {
+        effective: src.slice(tokens[first].start, tokens[last].end),
+        prefix: src.slice(0, tokens[first].start),
+        suffix: src.slice(tokens[last].end),
+        mixed
+    };
+};
+
 /**
  * プレビュー編集からセグメントと変数を同期更新
  * プレビューテキストエリアでの編集内容を元に、セグメント内容と変数値の両方を適切に更新
@@ -601,6 +694,12 @@ const updateSegmentWithVariables = (segmentContent, variablesInLine, currentLine
  *   - +1行（改行）: カーソル行の直後に空セグメントを挿入する
  *   - -1行（行削除）: カーソル行（または推定位置）のセグメントを削除する
  *   これにより、変数や他行への不要な影響を避ける
+ * - 条件セクションで非表示となったセグメントはプレビューに行として現れないため、
+ *   行番号は renderPreviewWithIndexMap の lineMaps を介してセグメント位置へ変換する。
+ *   非表示セグメントは編集対象外として常に保持される
+ * - 条件タグを含む行は、表示部分のみを従来ロジックで同期し、タグ（前後の非表示部分）は保持する
+ * - フィルタ付き変数（`{{名前|フィルタ}}`）は表示値を仮変数として扱い、抽出した値をフィルタの逆変換で変数値へ戻す。
+ *   逆変換できないフィルタ（digits 等）の場合は変数値を更新しない
  *
  * @param {string} editedPreview - 編集されたプレビューテキスト
  * @param {Array} currentVariables - 現在の変数配列
@@ -612,19 +711,18 @@ const updateSegmentsAndVariablesFromPreview = (editedPreview, currentVariables,
     const editedLines = String(editedPreview ?? '').split('\n');
     const updatedVariables = Array.isArray(currentVariables) ? currentVariables.slice() : [];
     let updatedSegments = Array.isArray(currentSegments) ? currentSegments.slice() : [];
-    const currentPreviewLines = (Array.isArray(currentSegments) ? currentSegments : []).map(segment => {
-        let content = String(segment.content || '');
-        currentVariables.forEach(variable => {
-            const nameEsc = (window.Helpers && typeof window.Helpers.escapeRegExp === 'function')
-                ? window.Helpers.escapeRegExp(String(variable.name || ''))
-                : String(variable.name || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            const regex = new RegExp(`\\{\\{\\s*${nameEsc}\\s*\\}}`, 'g');
-            content = content.replace(regex, variable.value || `{{${variable.name}}}`);
-        });
-        return content;
-    });
-    if (editedLines.length === currentSegments.length + 1) {
-        const currLen = currentSegments.length;
+    const newId = () => (window.Helpers && window.Helpers.generateId ? window.Helpers.generateId() : Math.random().toString(36).slice(2));
+    const { lineMaps } = window.Helpers.renderPreviewWithIndexMap(currentSegments, currentVariables);
+    const currentPreviewLines = lineMaps.map(lm => lm.expanded);
+    // 行番号 -> セグメント位置
+    const lineToSeg = lineMaps.map(lm => lm.segmentIndex);
+    // 行番号（0..行数）をセグメント挿入位置へ変換（末尾は最終表示行の直後）
+    const insertPosForLine = (pos) => {
+        if (pos < lineToSeg.length) return lineToSeg[pos];
+        return lineToSeg.length > 0 ? lineToSeg[lineToSeg.length - 1] + 1 : currentSegments.length;
+    };
+    if (editedLines.length === currentPreviewLines.length + 1) {
+        const currLen = currentPreviewLines.length;
         const editLen = editedLines.length;
         let pref = 0;
         while (pref < currLen && pref < editLen && (currentPreviewLines[pref] || '') === (editedLines[pref] || '')) {
@@ -637,7 +735,9 @@ const updateSegmentsAndVariablesFromPreview = (editedPreview, currentVariables,
             editEnd -= 1;
         }
         const splitIndex = Math.max(0, Math.min(pref, currLen - 1));
-        const segmentToSplit = currentSegments[splitIndex];
+        const splitSegIndex = lineToSeg.length > 0 ? lineToSeg[splitIndex] : 0;
+        const segmentToSplit = currentSegments[splitSegIndex];
+        const splitLineMap = lineMaps[splitIndex];
         const currentLineAtSplit = String(currentPreviewLines[splitIndex] || '');
         const leftLine = String(editedLines[splitIndex] || '');
         const rightLine = String(editedLines[splitIndex + 1] || '');
@@ -646,21 +746,23 @@ const updateSegmentsAndVariablesFromPreview = (editedPreview, currentVariables,
             if (segmentToSplit && String(segmentToSplit.content || '').includes(`{{${v.name}}}`)) variablesInLine.push(v);
         });
         const isPureSplit = (currentLineAtSplit === (leftLine + rightLine));
-        if (variablesInLine.length === 0 && isPureSplit) {
+        const hasControl = !!(splitLineMap && splitLineMap.hasControl);
+        const hasFiltered = !!(splitLineMap && splitLineMap.tokens.some(t => t.type === 'variable' && t.filters.length > 0));
+        if (variablesInLine.length === 0 && !hasControl && !hasFiltered && isPureSplit && segmentToSplit) {
             const nextSegments = [...currentSegments];
-            nextSegments[splitIndex] = { ...segmentToSplit, content: leftLine };
-            nextSegments.splice(splitIndex + 1, 0, { id: (window.Helpers && window.Helpers.generateId ? window.Helpers.generateId() : Math.random().toString(36).slice(2)), content: rightLine });
+            nextSegments[splitSegIndex] = { ...segmentToSplit, content: leftLine };
+            nextSegments.splice(splitSegIndex + 1, 0, { id: newId(), content: rightLine });
             return { variables: updatedVariables, segments: nextSegments };
         }
         let pos = typeof cursorLineIndex === 'number' && Number.isFinite(cursorLineIndex)
-            ? Math.max(0, Math.min(cursorLineIndex, currentSegments.length))
+            ? Math.max(0, Math.min(cursorLineIndex, currLen))
             : (splitIndex + 1);
         const segmentsWithEmpty = [...currentSegments];
-        segmentsWithEmpty.splice(pos, 0, { id: (window.Helpers && window.Helpers.generateId ? window.Helpers.generateId() : Math.random().toString(36).slice(2)), content: '' });
+        segmentsWithEmpty.splice(insertPosForLine(pos), 0, { id: newId(), content: '' });
         return { variables: updatedVariables, segments: segmentsWithEmpty };
     }
-    if (editedLines.length === currentSegments.length - 1) {
-        const currLen = currentSegments.length;
+    if (editedLines.length === currentPreviewLines.length - 1) {
+        const currLen = currentPreviewLines.length;
         const editLen = editedLines.length;
         let pref = 0;
         while (pref < editLen && (currentPreviewLines[pref] || '') === (editedLines[pref] || '')) {
@@ -684,55 +786,69 @@ const updateSegmentsAndVariablesFromPreview = (editedPreview, currentVariables,
             }
         }
         const segmentsWithoutOne = [...currentSegments];
-        segmentsWithoutOne.splice(deleteIndex, 1);
+        if (lineToSeg.length > 0) segmentsWithoutOne.splice(lineToSeg[deleteIndex], 1);
         return { variables: updatedVariables, segments: segmentsWithoutOne };
     }
-    if (editedLines.length !== currentSegments.length) {
-        if (editedLines.length > currentSegments.length) {
-            for (let i = currentSegments.length; i < editedLines.length; i++) {
-                updatedSegments.push({ id: (window.Helpers && window.Helpers.generateId ? window.Helpers.generateId() : Math.random().toString(36).slice(2)), content: editedLines[i] });
-            }
-        } else {
-            updatedSegments = updatedSegments.slice(0, editedLines.length);
-        }
-    }
-    const maxLines = Math.max(editedLines.length, currentPreviewLines.length);
-    for (let lineIndex = 0; lineIndex < maxLines; lineIndex++) {
+    const sharedLines = Math.min(editedLines.length, currentPreviewLines.length);
+    for (let lineIndex = 0; lineIndex < sharedLines; lineIndex++) {
         const editedLine = editedLines[lineIndex] || '';
         const currentLine = currentPreviewLines[lineIndex] || '';
-        const segment = updatedSegments[lineIndex];
+        const segIndex = lineToSeg[lineIndex];
+        const segment = updatedSegments[segIndex];
         if (!segment) continue;
         if (editedLine !== currentLine) {
+            const lineMap = lineMaps[lineIndex];
+            // 条件タグを含む行は表示部分のみを対象とし、前後のタグは保持する
+            const parts = lineMap.hasControl
+                ? splitConditionalSegment(segment.content, lineMap.tokens, lineMap.tokenActive)
+                : { effective: String(segment.content || ''), prefix: '', suffix: '', mixed: false };
+            // フィルタ付き変数は仮変数へ置換して扱う
+            const aliased = aliasFilteredPlaceholders(parts.effective, currentVariables);
+            const template = aliased.template;
+            const wrap = (inner) => parts.prefix + restoreFilteredPlaceholders(inner, aliased.aliases) + parts.suffix;
             const variablesInLine = [];
-            currentVariables.forEach(variable => {
-                if (segment.content.includes(`{{${variable.name}}}`)) variablesInLine.push(variable);
+            currentVariables.concat(aliased.aliases).forEach(variable => {
+                if (template.includes(`{{${variable.name}}}`)) variablesInLine.push(variable);
             });
             if (variablesInLine.length > 0 && String(editedLine).trim() === '') {
-                updatedSegments[lineIndex] = { ...segment, content: '' };
+                if (!parts.mixed) updatedSegments[segIndex] = { ...segment, content: wrap('') };
                 continue;
             }
             if (variablesInLine.length === 0) {
-                updatedSegments[lineIndex] = { ...segment, content: editedLine };
+                if (!parts.mixed) updatedSegments[segIndex] = { ...segment, content: wrap(editedLine) };
             } else {
                 const result = updateSegmentWithVariables(
-                    segment.content,
+                    template,
                     variablesInLine,
                     currentLine,
                     editedLine,
                     updatedVariables
                 );
-                result.updatedVariables.forEach(({ variableId, newValue }) => {
+                result.updatedVariables.forEach((update) => {
+                    const alias = aliased.aliases.find(a => a.id === update.variableId);
+                    const resolved = alias ? resolveAliasUpdate(alias, update.newValue) : update;
+                    if (!resolved) return;
+                    const { variableId, newValue } = resolved;
                     const variableIndex = updatedVariables.findIndex(v => v.id === variableId);
                     if (variableIndex !== -1) {
                         updatedVariables[variableIndex] = { ...updatedVariables[variableIndex], value: newValue };
                     }
                 });
-                if (result.newSegmentContent !== null) {
-                    updatedSegments[lineIndex] = { ...segment, content: result.newSegmentContent };
+                if (result.newSegmentContent !== null && !parts.mixed) {
+                    updatedSegments[segIndex] = { ...segment, content: wrap(result.newSegmentContent) };
                 }
             }
         }
     }
+    if (editedLines.length > currentPreviewLines.length) {
+        for (let i = currentPreviewLines.length; i < editedLines.length; i++) {
+            updatedSegments.push({ id: newId(), content: editedLines[i] });
+        }
+    } else if (editedLines.length < currentPreviewLines.length) {
+        // 表示されなくなった行に対応するセグメントのみ削除（非表示セグメントは保持）
+        const removed = new Set(lineToSeg.slice(editedLines.length));
+        updatedSegments = updatedSegments.filter((_, i) => !removed.has(i));
+    }
     return { variables: updatedVariables, segments: updatedSegments };
 };
 
@@ -0,0 +1,300 @@
+/**
+ * 折り返しリマインダーユーティリティ
+ * 下書き・セッション履歴に付けた「折り返し予定日時」の正規化、期限判定、カレンダー登録用 .ics の作成を行う
+ *
+ * リマインダーの形（下書き・セッションの reminder プロパティ。未設定はプロパティ無し）:
+ * { at, note, notifiedAt }
+ * - at: 予定日時（ISO 8601）
+ * - note: メモ（例: 明日の午前中までにご連絡予定）
+ * - notifiedAt: 通知済みの日時（未通知は null）。予定日時を変更すると未通知に戻る
+ *
+ * .ics:
+ * - RFC 5545 の VEVENT（開始は予定日時、REMINDER_EVENT_MINUTES 分間）に、開始時刻に表示するアラーム（VALARM）を付ける
+ * - 改行は CRLF、75 オクテットを超える行は折り返す（UTF-8 の文字の途中では分割しない）
+ *
+ * 末尾で window.Reminders へ公開
+ */
+
+/**
+ * .ics の予定の長さ（分）
+ * @type {number}
+ */
+const REMINDER_EVENT_MINUTES = 15;
+
+/**
+ * メモの最大文字数
+ * @type {number}
+ */
+const REMINDER_NOTE_MAX_LENGTH = 200;
+
+/**
+ * 日時の解釈
+ * @param {Date|string|number} value - 日時
+ * @returns {Date|null} 日時（不正な場合は null）
+ */
+const toValidDate = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const d = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    return Number.isFinite(d.getTime()) ? d : null;
+};
+
+/**
+ * リマインダーの正規化
+ * @param {Object} reminder - リマインダー
+ * @returns {{at:string, note:string, notifiedAt:string|null}|null} 正規化したリマインダー（予定日時が不正な場合は null）
+ */
+const normalizeReminder = (reminder) => {
+    if (!reminder || typeof reminder !== 'object') return null;
+    const at = toValidDate(reminder.at);
+    if (!at) return null;
+    const notifiedAt = toValidDate(reminder.notifiedAt);
+    return {
+        at: at.toISOString(),
+        note: String(reminder.note ?? '').trim().slice(0, REMINDER_NOTE_MAX_LENGTH),
+        notifiedAt: notifiedAt ? notifiedAt.toISOString() : null
+    };
+};
+
+/**
+ * 下書き・セッションへリマインダーの変更を適用
+ * 予定日時が変わった場合は通知済みの記録を消す
+ *
+ * @param {Object} item - 下書きまたはセッション
+ * @param {{at:Date|string, note?:string}|null} patch - 変更内容（null は解除）
+ * @returns {Object} 更新後の下書き・セッション（変更が無ければ元のもの）
+ */
+const applyReminder = (item, patch) => {
+    if (!item) return item;
+    const prev = normalizeReminder(item.reminder);
+    const next = patch ? normalizeReminder({ ...patch, notifiedAt: null }) : null;
+    if (!next) {
+        if (!Object.prototype.hasOwnProperty.call(item, 'reminder')) return item;
+        const { reminder, ...rest } = item;
+        return rest;
+    }
+    if (prev && prev.at === next.at) next.notifiedAt = prev.notifiedAt;
+    if (prev && JSON.stringify(prev) === JSON.stringify(next)) return item;
+    return { ...item, reminder: next };
+};
+
+/**
+ * 通知済みとして記録
+ * @param {Object} item - 下書きまたはセッション
+ * @param {Date} [now] - 通知日時
+ * @returns {Object} 更新後の下書き・セッション（リマインダーが無ければ元のもの）
+ */
+const markReminderNotified = (item, now = new Date()) => {
+    const reminder = normalizeReminder(item && item.reminder);
+    if (!reminder) return item;
+    return { ...item, reminder: { ...reminder, notifiedAt: now.toISOString() } };
+};
+
+/**
+ * 予定日時の候補の算出（Constants.REMINDER_PRESETS の項目）
+ * - minutes: 現在から指定分後
+ * - days: 指定日後の time の時刻
+ * - businessDays: 指定営業日後（DateUtils.addBusinessDays）の time の時刻
+ *
+ * @param {{minutes?:number, days?:number, businessDays?:number, time?:string}} preset - 候補
+ * @param {Date} [now] - 基準日時
+ * @returns {Date} 予定日時
+ */
+const resolveReminderPreset = (preset, now = new Date()) => {
+    if (preset && Number.isFinite(preset.minutes)) {
+        const d = new Date(now.getTime() + preset.minutes * 60 * 1000);
+        d.setSeconds(0, 0);
+        return d;
+    }
+    const base = preset && Number.isFinite(preset.businessDays)
+        ? DateUtils.addBusinessDays(now, preset.businessDays)
+        : new Date(now.getFullYear(), now.getMonth(), now.getDate() + (Number(preset && preset.days) || 0));
+    const [h, m] = String((preset && preset.time) || '09:00').split(':').map(Number);
+    base.setHours(h || 0, m || 0, 0, 0);
+    return base;
+};
+
+/**
+ * datetime-local 入力欄の値（YYYY-MM-DDTHH:mm、ローカル時刻）
+ * @param {Date|string} value - 日時
+ * @returns {string} 入力欄の値（不正な場合は空文字）
+ */
+const toDateTimeLocalValue = (value) => {
+    const d = toValidDate(value);
+    return d ? DateUtils.formatDateTime(d, 'YYYY-MM-DD[T]HH:mm') : '';
+};
+
+/**
+ * datetime-local 入力欄の値の解釈
+ * @param {string} value - 入力欄の値
+ * @returns {Date|null} 日時（未入力・不正な場合は null）
+ */
+const fromDateTimeLocalValue = (value) => {
+    const match = String(value ?? '').match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+    if (!match) return null;
+    const [, y, mo, d, h, mi] = match.map(Number);
+    return toValidDate(new Date(y, mo - 1, d, h, mi));
+};
+
+/**
+ * 一覧・通知に表示する対象の名前
+ * @param {'session'|'draft'} kind - 対象の種類
+ * @param {Object} item - 下書きまたはセッション
+ * @returns {string} 下書きはタブ名、セッションはタイトル（未設定は本文の最初の行）
+ */
+const getReminderTargetTitle = (kind, item) => {
+    if (kind === 'draft') return (item && item.title) || '無題';
+    return (item && item.title) || String(item?.content ?? '').split(/\r?\n/).find(line => line.trim()) || '(空の報告)';
+};
+
+/**
+ * 下書き・セッションのリマインダー一覧（予定日時の早い順）
+ * @param {Object} params - 引数
+ * @param {Array} [params.sessions] - セッション履歴
+ * @param {Array} [params.drafts] - 下書き一覧
+ * @param {Date} [params.now] - 基準日時
+ * @returns {Array<{kind:'session'|'draft', id:string, title:string, at:string, note:string, notifiedAt:string|null, overdue:boolean}>} リマインダー一覧
+ */
+const collectReminders = ({ sessions, drafts, now = new Date() }) => {
+    const list = [];
+    const push = (kind, item, title) => {
+        const reminder = normalizeReminder(item && item.reminder);
+        if (!reminder) return;
+        list.push({ kind, id: item.id, title, ...reminder, overdue: Date.parse(reminder.at) <= now.getTime() });
+    };
+    (Array.isArray(drafts) ? drafts : []).forEach(d => push('draft', d, getReminderTargetTitle('draft', d)));
+    (Array.isArray(sessions) ? sessions : []).forEach(s => push('session', s, getReminderTargetTitle('session', s)));
+    return list.sort((a, b) => a.at.localeCompare(b.at));
+};
+
+/**
+ * 通知が必要なリマインダー（予定日時を過ぎていて未通知のもの）
+ * @param {Array} reminders - collectReminders の結果
+ * @returns {Array} 通知対象
+ */
+const getDueReminders = (reminders) => (Array.isArray(reminders) ? reminders : []).filter(r => r.overdue && !r.notifiedAt);
+
+/**
+ * 次の予定日時までの時間
+ * @param {Array} reminders - collectReminders の結果
+ * @param {Date} [now] - 基準日時
+ * @returns {number|null} ミリ秒（予定が無い場合は null）
+ */
+const getNextReminderDelay = (reminders, now = new Date()) => {
+    const next = (Array.isArray(reminders) ? reminders : []).find(r => !r.overdue);
+    return next ? Math.max(0, Date.parse(next.at) - now.getTime()) : null;
+};
+
+/**
+ * .ics の日時（UTC、YYYYMMDDTHHMMSSZ）
+ * @param {Date} date - 日時
+ * @returns {string} 日時
+ */
+const formatIcsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * .ics のテキスト値のエスケープ（\ ; , 改行）
+ * @param {string} text - テキスト
+ * @returns {string} エスケープ後の値
+ */
+const escapeIcsText = (text) => String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * .ics の行の折り返し（75 オクテットごと。継続行は空白1文字で始める）
+ * @param {string} line - 1行
+ * @returns {string} 折り返した行（区切りは CRLF）
+ */
+const foldIcsLine = (line) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let chunk = '';
+    let size = 0;
+    for (const ch of line) {
+        const bytes = encoder.encode(ch).length;
+        // 継続行は先頭の空白の分だけ短くする
+        if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+            parts.push(chunk);
+            chunk = '';
+            size = 0;
+        }
+        chunk += ch;
+        size += bytes;
+    }
+    parts.push(chunk);
+    return parts.join('\r\n ');
+};
+
+/**
+ * .ics（RFC 5545）の作成
+ * @param {Object} params - パラメータ
+ * @param {string} params.uid - 予定の識別子（同じ下書き・セッションなら同じ値にして、再登録時に更新として扱わせる）
+ * @param {Date|string} params.start - 予定日時
+ * @param {string} params.summary - 件名
+ * @param {string} [params.description] - 説明（メモ・報告文）
+ * @param {Date} [params.now] - 作成日時
+ * @returns {string} .ics の内容（改行は CRLF）
+ */
+const buildIcs = ({ uid, start, summary, description = '', now = new Date() }) => {
+    const begin = toValidDate(start) || now;
+    const end = new Date(begin.getTime() + REMINDER_EVENT_MINUTES * 60 * 1000);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//TeleScribe Assist//Reminder//JA',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${uid}@telescribe-assist`,
+        `DTSTAMP:${formatIcsDate(now)}`,
+        `DTSTART:${formatIcsDate(begin)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        `SUMMARY:${escapeIcsText(summary)}`,
+        description ? `DESCRIPTION:${escapeIcsText(description)}` : null,
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeIcsText(summary)}`,
+        'TRIGGER:PT0S',
+        'END:VALARM',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].filter(Boolean);
+    return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * 下書き・セッションのリマインダーの .ics
+ * 件名は「折り返し: 対象の名前」、説明はメモと報告文
+ *
+ * @param {{kind:string, id:string, title:string, content?:string}} target - 対象
+ * @param {{at:string, note?:string}} reminder - リマインダー
+ * @returns {string} .ics の内容
+ */
+const buildReminderIcs = (target, reminder) => buildIcs({
+    uid: `${target.kind}-${target.id}`,
+    start: reminder.at,
+    summary: `折り返し: ${target.title}`,
+    description: [reminder.note, target.content].map(s => String(s ?? '').trim()).filter(Boolean).join('\n\n')
+});
+
+/**
+ * グローバルスコープへの公開
+ */
+window.Reminders = {
+    REMINDER_EVENT_MINUTES,
+    REMINDER_NOTE_MAX_LENGTH,
+    normalizeReminder,
+    applyReminder,
+    markReminderNotified,
+    resolveReminderPreset,
+    toDateTimeLocalValue,
+    fromDateTimeLocalValue,
+    collectReminders,
+    getDueReminders,
+    getNextReminderDelay,
+    getReminderTargetTitle,
+    buildIcs,
+    buildReminderIcs
+};
@@ -0,0 +1,456 @@
+/**
+ * リッチテキスト（軽量マークアップ）ユーティリティ
+ * 文節・報告文で使う Markdown 風の記法を解析し、各出力形式へ変換する
+ *
+ * 記法（行単位）:
+ * - **太字** / *斜体* / ~~取り消し線~~ / `インラインコード`（コード内は装飾しない）
+ *   英数字に挟まれた「*」は書式にしない（「5*3*2=30」「a**b」などをそのまま残す）
+ * - 行頭の「> 」: 引用
+ * - 記号そのものを書く場合は「\」でエスケープ（例: \*）。書式の始まりにならない「\」はそのまま残す（「\\server\share」など）
+ *
+ * 提供機能:
+ * - 各形式への変換: プレーンテキスト（記号を除去）/ Markdown / HTML
+ * - オーバーレイ表示用の文字ごとのクラス（記号は淡色、装飾は幅の変わらないスタイル）
+ * - 入力欄での書式の付け外し（選択範囲・行頭）とショートカットの判定
+ *
+ * 末尾で window.RichText へ公開
+ */
+
+/**
+ * 書式の定義
+ * - marker: 囲み記号（inline）/ 行頭記号（line）
+ * - shortcut: Ctrl（Mac は Cmd）と組み合わせるキー（key は KeyboardEvent.key の小文字、code は KeyboardEvent.code）
+ * @type {Array<{id:string, kind:'inline'|'line', marker:string, label:string, icon:string, shortcut:{key?:string, code?:string, shift:boolean}, shortcutLabel:string}>}
+ */
+const MARKUP_FORMATS = [
+    { id: 'bold', kind: 'inline', marker: '**', label: '太字', icon: 'B', shortcut: { key: 'b', shift: false }, shortcutLabel: 'Ctrl+B' },
+    { id: 'italic', kind: 'inline', marker: '*', label: '斜体', icon: 'I', shortcut: { key: 'i', shift: false }, shortcutLabel: 'Ctrl+I' },
+    { id: 'strike', kind: 'inline', marker: '~~', label: '取り消し線', icon: 'S', shortcut: { key: 'x', shift: true }, shortcutLabel: 'Ctrl+Shift+X' },
+    { id: 'code', kind: 'inline', marker: '`', label: 'インラインコード', icon: '</>', shortcut: { key: 'e', shift: false }, shortcutLabel: 'Ctrl+E' },
+    { id: 'quote', kind: 'line', marker: '> ', label: '引用', icon: '❝', shortcut: { code: 'Digit9', shift: true }, shortcutLabel: 'Ctrl+Shift+9' }
+];
+
+/**
+ * インライン書式の検出パターン（同じ位置ではこの順で優先）
+ * @type {Array<{type:string, marker:string, pattern:RegExp}>}
+ */
+const INLINE_PATTERNS = [
+    { type: 'code', marker: '`', pattern: /`([^`]+)`/g },
+    { type: 'bold', marker: '**', pattern: /(?<![A-Za-z0-9]\**)\*\*(?=\S)([\s\S]*?\S\**)\*\*(?!\**[A-Za-z0-9])/g },
+    { type: 'strike', marker: '~~', pattern: /~~(?=\S)([\s\S]*?\S)~~/g },
+    { type: 'italic', marker: '*', pattern: /(?<![A-Za-z0-9]\**)\*(?=[^\s*])([^*]*?[^\s*])\*(?!\**[A-Za-z0-9])/g }
+];
+
+/**
+ * 引用行の検出
+ * @type {RegExp}
+ */
+const QUOTE_PREFIX_PATTERN = /^>[ 　]?/;
+
+/**
+ * 指定位置の文字が書式の始まりになるかの判定（エスケープの対象）
+ * 囲み記号の「*」「`」、「~~」の1文字目、行頭の「>」（引用）
+ * @param {string} text - 1行の文字列
+ * @param {number} i - 位置
+ * @returns {boolean} 書式の始まりになれば true
+ */
+const startsMarkup = (text, i) => {
+    const c = text[i];
+    return c === '*' || c === '`' || (c === '~' && text[i + 1] === '~') || (c === '>' && i === 1);
+};
+
+/**
+ * 書式の記号の位置（囲み記号の開き・閉じ）
+ * @param {string} text - 1行の文字列
+ * @param {string} masked - 書式検出用の文字列（parseInline の masked）
+ * @returns {Set<number>} 記号の位置
+ */
+const findMarkerPositions = (text, masked) => {
+    const positions = new Set();
+    const prefix = text.match(QUOTE_PREFIX_PATTERN);
+    const walk = (nodes) => nodes.forEach(node => {
+        if (node.type === 'text') return;
+        for (let i = node.start; i < node.innerStart; i += 1) positions.add(i);
+        for (let i = node.innerEnd; i < node.end; i += 1) positions.add(i);
+        walk(node.children);
+    });
+    walk(parseInline(text, prefix ? prefix[0].length : 0, text.length, masked));
+    return positions;
+};
+
+/**
+ * エスケープの「\」の位置
+ * 「\」を外すと直後の記号が書式になる場合（\*…* / \`…` / \~~…~~ / 行頭の \>）と、
+ * 書式の記号の前に「\」そのものを書く場合（\\*…*）のみエスケープとして扱う
+ * （「\\server\share」「C:\temp\*.txt」などの「\」はそのまま）
+ * @param {string} text - 1行の文字列
+ * @returns {number[]} エスケープの「\」の位置（昇順）
+ */
+const findEscapes = (text) => {
+    const candidates = [];
+    for (let i = 0; i < text.length - 1; i += 1) {
+        if (text[i] !== '\\') continue;
+        const target = text[i + 1] === '\\' ? i + 2 : i + 1;
+        if (!startsMarkup(text, target)) continue;
+        candidates.push({ index: i, target });
+        i = target - 1;
+    }
+    if (candidates.length === 0) return [];
+
+    // 候補の「\」をすべて外したときに書式の記号になるものだけをエスケープとする
+    const chars = text.split('');
+    candidates.forEach(c => {
+        for (let i = c.index; i < c.target; i += 1) chars[i] = '\uE000';
+    });
+    const markers = findMarkerPositions(text, chars.join(''));
+    return candidates.filter(c => text[c.target] === '>' || markers.has(c.target)).map(c => c.index);
+};
+
+/**
+ * エスケープ済みの記号を書式検出の対象外にするため、同じ長さの私用文字へ置き換える
+ * @param {string} text - 対象文字列
+ * @returns {string} 置換後の文字列（文字位置は元と同じ）
+ */
+const maskEscapes = (text) => {
+    const chars = text.split('');
+    findEscapes(text).forEach(i => { chars[i] = '\uE000'; chars[i + 1] = '\uE000'; });
+    return chars.join('');
+};
+
+/**
+ * 範囲内の文字列からエスケープの「\」を除いたもの
+ * @param {string} text - 1行の文字列
+ * @param {number} start - 開始位置
+ * @param {number} end - 終了位置
+ * @param {Set<number>} escapes - エスケープの位置（findEscapes）
+ * @returns {string} 解除後の文字列
+ */
+const sliceUnescaped = (text, start, end, escapes) => {
+    let out = '';
+    for (let i = start; i < end; i += 1) {
+        if (!escapes.has(i)) out += text[i];
+    }
+    return out;
+};
+
+/**
+ * エスケープの解除（行ごとに、書式の始まりになる記号の前の「\」のみ除く）
+ * @param {string} text - 対象文字列
+ * @returns {string} 解除後の文字列
+ */
+const unescapeMarkup = (text) => String(text ?? '').split('\n')
+    .map(line => sliceUnescaped(line, 0, line.length, new Set(findEscapes(line))))
+    .join('\n');
+
+/**
+ * インライン書式の解析
+ * @param {string} text - 元の文字列
+ * @param {number} [start] - 解析範囲の開始位置
+ * @param {number} [end] - 解析範囲の終了位置
+ * @param {string} [masked] - maskEscapes 済みの文字列（再帰用）
+ * @returns {Array<{type:string, start:number, end:number, innerStart?:number, innerEnd?:number, children?:Array}>} ノード（text / bold / italic / strike / code）
+ */
+const parseInline = (text, start = 0, end = text.length, masked = maskEscapes(text)) => {
+    const nodes = [];
+    // 範囲内のみを検索する（入れ子の解析で行末まで再検索しないように切り出す）
+    const scope = masked.slice(start, end);
+    // パターンごとの次の一致（現在位置より後ろに残っている間は再検索しない）
+    const nextMatches = INLINE_PATTERNS.map(() => undefined);
+    let pos = start;
+    while (pos < end) {
+        let best = null;
+        INLINE_PATTERNS.forEach((p, i) => {
+            if (nextMatches[i] === undefined || (nextMatches[i] && nextMatches[i].index < pos)) {
+                p.pattern.lastIndex = pos - start;
+                const found = p.pattern.exec(scope);
+                nextMatches[i] = found ? { index: found.index + start, length: found[0].length } : null;
+            }
+            const m = nextMatches[i];
+            if (m && (!best || m.index < best.m.index)) best = { p, m };
+        });
+        if (!best) break;
+        const { p, m } = best;
+        if (m.index > pos) nodes.push({ type: 'text', start: pos, end: m.index });
+        const innerStart = m.index + p.marker.length;
+        const innerEnd = m.index + m.length - p.marker.length;
+        nodes.push({
+            type: p.type,
+            start: m.index,
+            end: m.index + m.length,
+            innerStart,
+            innerEnd,
+            children: p.type === 'code' ? [] : parseInline(text, innerStart, innerEnd, masked)
+        });
+        pos = m.index + m.length;
+    }
+    if (pos < end) nodes.push({ type: 'text', start: pos, end });
+    return nodes;
+};
+
+/**
+ * 行の解析
+ * @param {string} line - 1行の文字列
+ * @returns {{quote:boolean, prefixLength:number, nodes:Array}} 解析結果
+ */
+const parseLine = (line) => {
+    const text = String(line ?? '');
+    const prefix = text.match(QUOTE_PREFIX_PATTERN);
+    const prefixLength = prefix ? prefix[0].length : 0;
+    return { quote: !!prefix, prefixLength, nodes: parseInline(text, prefixLength) };
+};
+
+/**
+ * 書式記号を含むかの判定
+ * @param {string} text - 対象文字列
+ * @returns {boolean} 書式（またはエスケープ）を含めば true
+ */
+const hasMarkup = (text) => String(text ?? '').split('\n').some(line => {
+    const parsed = parseLine(line);
+    return parsed.quote || findEscapes(line).length > 0 || parsed.nodes.some(n => n.type !== 'text');
+});
+
+/**
+ * HTMLエスケープ
+ * @param {string} s - 対象文字列
+ * @returns {string} エスケープ済み文字列
+ */
+const escapeHtml = (s) => String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * HTMLタグ（書式ごと）
+ * @type {Object<string, string>}
+ */
+const HTML_TAGS = { bold: 'strong', italic: 'em', strike: 'del', code: 'code' };
+
+/**
+ * ノードの変換
+ * @param {string} text - 元の文字列
+ * @param {Array} nodes - parseInline の結果
+ * @param {'plain'|'html'} format - 出力形式
+ * @param {Set<number>} [escapes] - エスケープの位置（findEscapes。再帰用）
+ * @returns {string} 変換結果
+ */
+const renderNodes = (text, nodes, format, escapes = new Set(findEscapes(text))) => nodes.map(node => {
+    if (node.type === 'text') {
+        const s = sliceUnescaped(text, node.start, node.end, escapes);
+        return format === 'html' ? escapeHtml(s) : s;
+    }
+    if (node.type === 'code') {
+        const s = text.slice(node.innerStart, node.innerEnd);
+        return format === 'html' ? `<code style="font-family:monospace;background-color:rgba(127,127,127,0.15);padding:0 0.2em;border-radius:3px">${escapeHtml(s)}</code>` : s;
+    }
+    const inner = renderNodes(text, node.children, format, escapes);
+    return format === 'html' ? `<${HTML_TAGS[node.type]}>${inner}</${HTML_TAGS[node.type]}>` : inner;
+}).join('');
+
+/**
+ * プレーンテキストへの変換（書式記号・エスケープを除去。引用は行頭の「> 」を残す）
+ * @param {string} text - マークアップを含む文字列
+ * @returns {string} プレーンテキスト
+ */
+const toPlainText = (text) => String(text ?? '').split('\n').map(line => {
+    const parsed = parseLine(line);
+    return (parsed.quote ? '> ' : '') + renderNodes(line, parsed.nodes, 'plain');
+}).join('\n');
+
+/**
+ * Markdown への変換
+ * 記法はそのまま使い、改行の扱いのみ Markdown の解釈に合わせる
+ * - 連続する通常行は行末の半角スペース2つで改行を保つ
+ * - 引用の直後に通常行が続く場合は空行を挟む（引用への取り込みを防ぐ）
+ *
+ * @param {string} text - マークアップを含む文字列
+ * @returns {string} Markdown
+ */
+const toMarkdown = (text) => {
+    const lines = String(text ?? '').split('\n');
+    const out = [];
+    lines.forEach((line, i) => {
+        const isQuote = QUOTE_PREFIX_PATTERN.test(line);
+        const next = lines[i + 1];
+        const nextIsQuote = next !== undefined && QUOTE_PREFIX_PATTERN.test(next);
+        const body = isQuote ? line.replace(QUOTE_PREFIX_PATTERN, '> ') : line;
+        const continues = next !== undefined && line.trim() !== '' && next.trim() !== '';
+        if (isQuote) {
+            out.push(continues && nextIsQuote ? `${body}  ` : body);
+            if (continues && !nextIsQuote) out.push('');
+        } else {
+            out.push(continues && !nextIsQuote ? `${body}  ` : body);
+            if (continues && nextIsQuote) out.push('');
+        }
+    });
+    return out.join('\n');
+};
+
+/**
+ * HTML への変換（クリップボードの text/html 用）
+ * 通常行は <br> で区切り、連続する引用行は1つの <blockquote> にまとめる
+ *
+ * @param {string} text - マークアップを含む文字列
+ * @returns {string} HTML断片
+ */
+const toHtml = (text) => {
+    const blocks = [];
+    String(text ?? '').split('\n').forEach(line => {
+        const parsed = parseLine(line);
+        const html = renderNodes(line, parsed.nodes, 'html');
+        const last = blocks[blocks.length - 1];
+        if (last && last.quote === parsed.quote) last.lines.push(html);
+        else blocks.push({ quote: parsed.quote, lines: [html] });
+    });
+    return blocks.map(b => (b.quote
+        ? `<blockquote style="margin:0.25em 0;padding-left:0.75em;border-left:3px solid #ccc;color:#555">${b.lines.join('<br>')}</blockquote>`
+        : b.lines.join('<br>'))).join('');
+};
+
+/**
+ * オーバーレイ表示用の文字ごとのクラス（1行分）
+ * 入力欄と文字位置を一致させる必要があるため、記号は表示したまま淡色にし、装飾は幅の変わらないスタイルで表す
+ *
+ * @param {string} line - 1行の文字列
+ * @returns {string[]} 文字ごとのクラス名（空文字は装飾なし。長さは line.length と同じ）
+ */
+const getLineClassMap = (line) => {
+    const text = String(line ?? '');
+    const classes = Array.from({ length: text.length }, () => []);
+    const parsed = parseLine(text);
+    const add = (from, to, cls) => { for (let i = from; i < to; i += 1) classes[i].push(cls); };
+    if (parsed.quote) {
+        add(0, text.length, 'tsa-md-quote');
+        add(0, parsed.prefixLength, 'tsa-md-marker');
+    }
+    const escapes = new Set(findEscapes(text));
+    const walk = (nodes) => nodes.forEach(node => {
+        if (node.type === 'text') {
+            for (let i = node.start; i < node.end; i += 1) {
+                if (escapes.has(i)) classes[i].push('tsa-md-marker');
+            }
+            return;
+        }
+        add(node.innerStart, node.innerEnd, `tsa-md-${node.type}`);
+        add(node.start, node.innerStart, 'tsa-md-marker');
+        add(node.innerEnd, node.end, 'tsa-md-marker');
+        walk(node.children);
+    });
+    walk(parsed.nodes);
+    return classes.map(list => list.join(' '));
+};
+
+/**
+ * 選択範囲の前後の連続する「*」の数
+ * @param {string} value - 文字列
+ * @param {number} start - 選択開始
+ * @param {number} end - 選択終了
+ * @returns {number} 前後で少ない方の個数
+ */
+const countSurroundingAsterisks = (value, start, end) => {
+    let before = 0;
+    while (start - before - 1 >= 0 && value[start - before - 1] === '*') before += 1;
+    let after = 0;
+    while (end + after < value.length && value[end + after] === '*') after += 1;
+    return Math.min(before, after);
+};
+
+/**
+ * 書式が選択範囲の外側に付いているかの判定
+ * @param {string} value - 文字列
+ * @param {number} start - 選択開始
+ * @param {number} end - 選択終了
+ * @param {Object} format - 書式定義
+ * @returns {boolean} 付いていれば true
+ */
+const isWrappedWith = (value, start, end, format) => {
+    if (format.id === 'bold') return countSurroundingAsterisks(value, start, end) >= 2;
+    if (format.id === 'italic') return countSurroundingAsterisks(value, start, end) % 2 === 1;
+    const m = format.marker;
+    return value.slice(start - m.length, start) === m && value.slice(end, end + m.length) === m;
+};
+
+/**
+ * 書式の付け外し（入力欄の選択範囲に対して）
+ * - 囲み書式: 選択範囲が既に囲まれていれば外し、そうでなければ囲む（前後の空白は囲みの外に出す）
+ *   選択が空の場合は記号の組を挿入し、キャレットをその間に置く
+ * - 行頭書式（引用）: 行頭の記号を付け外しする
+ *
+ * @param {string} value - 入力値
+ * @param {number} selectionStart - 選択開始
+ * @param {number} selectionEnd - 選択終了
+ * @param {string} formatId - 書式ID（MARKUP_FORMATS の id）
+ * @returns {{value:string, selectionStart:number, selectionEnd:number}} 変更後の値と選択範囲
+ */
+const toggleFormat = (value, selectionStart, selectionEnd, formatId) => {
+    const text = String(value ?? '');
+    const format = MARKUP_FORMATS.find(f => f.id === formatId);
+    let start = Math.max(0, Math.min(selectionStart ?? text.length, text.length));
+    let end = Math.max(start, Math.min(selectionEnd ?? start, text.length));
+    if (!format) return { value: text, selectionStart: start, selectionEnd: end };
+
+    if (format.kind === 'line') {
+        const prefix = text.match(QUOTE_PREFIX_PATTERN);
+        if (prefix) {
+            const len = prefix[0].length;
+            return { value: text.slice(len), selectionStart: Math.max(0, start - len), selectionEnd: Math.max(0, end - len) };
+        }
+        const len = format.marker.length;
+        return { value: format.marker + text, selectionStart: start + len, selectionEnd: end + len };
+    }
+
+    const m = format.marker;
+    // 前後の空白は書式の外に出す
+    while (start < end && /\s/.test(text[start])) start += 1;
+    while (end > start && /\s/.test(text[end - 1])) end -= 1;
+
+    if (start < end && isWrappedWith(text, start, end, format)) {
+        return {
+            value: text.slice(0, start - m.length) + text.slice(start, end) + text.slice(end + m.length),
+            selectionStart: start - m.length,
+            selectionEnd: end - m.length
+        };
+    }
+    // 記号ごと選択されている場合は内側を対象に外す
+    const selected = text.slice(start, end);
+    if (selected.length > m.length * 2 && selected.startsWith(m) && selected.endsWith(m)
+        && (format.id !== 'italic' || !selected.startsWith('**') || selected.startsWith('***'))) {
+        const inner = selected.slice(m.length, selected.length - m.length);
+        return { value: text.slice(0, start) + inner + text.slice(end), selectionStart: start, selectionEnd: start + inner.length };
+    }
+    return {
+        value: text.slice(0, start) + m + selected + m + text.slice(end),
+        selectionStart: start + m.length,
+        selectionEnd: end + m.length
+    };
+};
+
+/**
+ * キー入力に対応する書式の判定
+ * @param {KeyboardEvent} e - キーボードイベント
+ * @returns {string|null} 書式ID（該当なしは null）
+ */
+const matchShortcut = (e) => {
+    if (!e || !(e.ctrlKey || e.metaKey) || e.altKey) return null;
+    const key = String(e.key || '').toLowerCase();
+    const hit = MARKUP_FORMATS.find(f => f.shortcut.shift === !!e.shiftKey
+        && (f.shortcut.code ? e.code === f.shortcut.code : key === f.shortcut.key));
+    return hit ? hit.id : null;
+};
+
+/**
+ * グローバルスコープへの公開
+ */
+window.RichText = {
+    MARKUP_FORMATS,
+    parseLine,
+    hasMarkup,
+    unescapeMarkup,
+    toPlainText,
+    toMarkdown,
+    toHtml,
+    getLineClassMap,
+    toggleFormat,
+    matchShortcut
+};
@@ -0,0 +1,105 @@
+/**
+ * セッション履歴のメタ情報ユーティリティ
+ * - タイトル・タグ・対応状況（ステータス）・期限日の正規化と更新
+ * - ステータス変更の監査ログ（セッションごとの statusLog）の記録
+ *
+ * セッションのメタ情報:
+ * - title: タイトル（空文字は未設定）
+ * - tags: タグ（前後空白除去・重複除去済みの文字列配列）
+ * - status: 対応状況（Constants.SESSION_STATUS_OPTIONS の value。未設定は null）
+ * - dueDate: 期限日（YYYY-MM-DD。未設定は null）
+ * - statusLog: ステータス・期限日の変更履歴 [{ at, from, to, dueDate }]（新しい順、最大 STATUS_LOG_LIMIT 件）
+ *
+ * 末尾で window.SessionMeta へ公開
+ */
+
+/**
+ * 監査ログの最大保持件数
+ * @type {number}
+ */
+const STATUS_LOG_LIMIT = 30;
+
+/**
+ * タグの正規化（カンマ・読点・改行区切りの文字列または配列を受け付ける）
+ * @param {string|string[]} input - タグ
+ * @returns {string[]} 正規化済みのタグ
+ */
+const normalizeTags = (input) => {
+    const list = Array.isArray(input) ? input : String(input ?? '').split(/[,、\r\n]/);
+    return Helpers.normalizeSelectOptions(list.map(t => String(t ?? '').replace(/^#/, '')));
+};
+
+/**
+ * ステータス定義の取得
+ * @param {string|null} status - ステータス値
+ * @returns {{value:string, label:string, className:string}|null} ステータス定義（未設定・未知の値は null）
+ */
+const getStatusOption = (status) => (Constants.SESSION_STATUS_OPTIONS || []).find(o => o.value === status) || null;
+
+/**
+ * セッションへメタ情報の変更を適用
+ * ステータスまたは期限日が変わった場合は statusLog の先頭へ記録する
+ *
+ * @param {Object} session - セッション
+ * @param {{title?:string, tags?:string[]|string, status?:string|null, dueDate?:string|null}} patch - 変更内容
+ * @param {Date} [now] - 記録日時
+ * @returns {Object} 更新後のセッション（変更が無ければ元のセッション）
+ */
+const applySessionMeta = (session, patch, now = new Date()) => {
+    if (!session || !patch) return session;
+    const next = { ...session };
+    let changed = false;
+
+    if (Object.prototype.hasOwnProperty.call(patch, 'title')) {
+        const title = String(patch.title ?? '').trim();
+        if (title !== String(session.title ?? '')) { next.title = title; changed = true; }
+    }
+    if (Object.prototype.hasOwnProperty.call(patch, 'tags')) {
+        const tags = normalizeTags(patch.tags);
+        if (JSON.stringify(tags) !== JSON.stringify(session.tags || [])) { next.tags = tags; changed = true; }
+    }
+
+    const prevStatus = session.status ?? null;
+    const prevDue = session.dueDate ?? null;
+    const status = Object.prototype.hasOwnProperty.call(patch, 'status')
+        ? (getStatusOption(patch.status) ? patch.status : null)
+        : prevStatus;
+    const dueDate = Object.prototype.hasOwnProperty.call(patch, 'dueDate')
+        ? (/^\d{4}-\d{2}-\d{2}$/.test(String(patch.dueDate ?? '')) ? patch.dueDate : null)
+        : prevDue;
+    if (status !== prevStatus || dueDate !== prevDue) {
+        next.status = status;
+        next.dueDate = dueDate;
+        const entry = { at: now.toISOString(), from: prevStatus, to: status, dueDate };
+        next.statusLog = [entry, ...(Array.isArray(session.statusLog) ? session.statusLog : [])].slice(0, STATUS_LOG_LIMIT);
+        changed = true;
+    }
+
+    return changed ? next : session;
+};
+
+/**
+ * セッション履歴で使用されているタグの一覧（使用回数の多い順）
+ * @param {Array} sessions - セッション履歴
+ * @returns {string[]} タグ一覧
+ */
+const collectTags = (sessions) => {
+    const counts = new Map();
+    (Array.isArray(sessions) ? sessions : []).forEach(s => {
+        (Array.isArray(s?.tags) ? s.tags : []).forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+    });
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'ja'))
+        .map(([tag]) => tag);
+};
+
+/**
+ * グローバルスコープへの公開
+ */
+window.SessionMeta = {
+    STATUS_LOG_LIMIT,
+    normalizeTags,
+    getStatusOption,
+    applySessionMeta,
+    collectTags
+};
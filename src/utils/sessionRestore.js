@@ -0,0 +1,128 @@
+/**
+ * セッション履歴の復元ユーティリティ
+ * - 復元範囲（すべて / 変数のみ / 文節のみ）に応じた復元後の状態の算出
+ * - 現在の下書きとの差分（変数・文節）の算出
+ *
+ * 復元範囲:
+ * - all: 変数・文節ともに履歴の内容で置き換える（従来の動作）
+ * - variables: 文節は現在のまま、変数値のみ履歴から復元する
+ *   （同名の変数は値を上書き、現在に無い変数は追加、履歴に無い変数はそのまま残す）
+ * - segments: 変数は現在のまま、文節のみ履歴の内容で置き換える（文節で使われている未登録の変数は空で追加）
+ *
+ * 末尾で window.SessionRestore へ公開
+ */
+
+/**
+ * 復元範囲の選択肢
+ * @type {Array<{value:string, label:string, description:string}>}
+ */
+const RESTORE_MODE_OPTIONS = [
+    { value: 'all', label: 'すべて', description: '変数と文節を履歴の内容で置き換えます' },
+    { value: 'variables', label: '変数の値のみ', description: '現在の文節のまま、変数の値を履歴から復元します（同じお客様からの再着信など）' },
+    { value: 'segments', label: '文節のみ', description: '現在の変数の値のまま、文節の構成を履歴から復元します' }
+];
+
+/**
+ * 変数の値に関わるフィールド（タイプ固有の設定は含めない）
+ * @type {string[]}
+ */
+const VARIABLE_VALUE_FIELDS = ['value', 'dateValue'];
+
+/**
+ * 変数値の復元（同名の変数へ値を上書きし、無い変数は追加）
+ * タイプが同じ場合は現在の変数の設定（フォーマット・選択肢など）を維持し、異なる場合は履歴側の変数で置き換える
+ * 日付のフォーマットが異なる場合は dateValue から現在のフォーマットで再整形する
+ *
+ * @param {Array} current - 現在の変数配列
+ * @param {Array} source - 履歴の変数配列
+ * @returns {Array} 復元後の変数配列
+ */
+const mergeVariableValues = (current, source) => {
+    const list = Array.isArray(current) ? current : [];
+    const sourceMap = new Map((Array.isArray(source) ? source : []).filter(v => v && v.name).map(v => [v.name, v]));
+    const merged = list.map(v => {
+        const src = v && sourceMap.get(v.name);
+        if (!src) return v;
+        if ((src.type || 'text') !== (v.type || 'text')) return { ...src, id: v.id };
+        const next = { ...v };
+        VARIABLE_VALUE_FIELDS.forEach(key => {
+            if (Object.prototype.hasOwnProperty.call(src, key)) next[key] = src[key];
+        });
+        // 日付はフォーマットが異なる場合、現在のフォーマットで表示値を作り直す
+        if (v.type === 'date' && src.dateValue && v.format && v.format !== src.format) {
+            const d = new Date(`${src.dateValue}T00:00:00`);
+            if (!isNaN(d.getTime())) next.value = DateUtils.formatDateTime(d, v.format);
+        }
+        return next;
+    });
+    const existing = new Set(list.map(v => v && v.name));
+    const added = [...sourceMap.values()].filter(v => !existing.has(v.name)).map(v => ({ ...v, id: Helpers.generateId() }));
+    return [...merged, ...added];
+};
+
+/**
+ * 復元後の状態の算出
+ * @param {{variables:Array, segments:Array}} current - 現在の下書き
+ * @param {{variables:Array, segments:Array}} session - 復元するセッション
+ * @param {'all'|'variables'|'segments'} mode - 復元範囲
+ * @returns {{variables:Array, segments:Array}} 復元後の変数・文節
+ */
+const buildRestoredState = (current, session, mode) => {
+    const curVars = Array.isArray(current?.variables) ? current.variables : [];
+    const curSegs = Array.isArray(current?.segments) ? current.segments : [];
+    const sesVars = Array.isArray(session?.variables) ? session.variables : [];
+    const sesSegs = Array.isArray(session?.segments) ? session.segments : [];
+    if (mode === 'variables') {
+        return { variables: mergeVariableValues(curVars, sesVars), segments: curSegs };
+    }
+    if (mode === 'segments') {
+        const text = sesSegs.map(s => String(s?.content ?? ''));
+        return { variables: Helpers.addMissingVariablesFromText(text, curVars), segments: sesSegs };
+    }
+    return { variables: sesVars, segments: sesSegs };
+};
+
+/**
+ * 変数の差分（変数名単位）
+ * @param {Array} before - 変更前の変数配列
+ * @param {Array} after - 変更後の変数配列
+ * @returns {Array<{name:string, type:'added'|'removed'|'changed'|'same', before:string, after:string}>} 差分（変更後の順、削除は末尾）
+ */
+const diffVariables = (before, after) => {
+    const beforeMap = new Map((Array.isArray(before) ? before : []).filter(Boolean).map(v => [v.name, v]));
+    const afterList = (Array.isArray(after) ? after : []).filter(Boolean);
+    const afterNames = new Set(afterList.map(v => v.name));
+    const rows = afterList.map(v => {
+        const prev = beforeMap.get(v.name);
+        const afterValue = String(v.value ?? '');
+        if (!prev) return { name: v.name, type: 'added', before: '', after: afterValue };
+        const beforeValue = String(prev.value ?? '');
+        return { name: v.name, type: beforeValue === afterValue ? 'same' : 'changed', before: beforeValue, after: afterValue };
+    });
+    beforeMap.forEach((v, name) => {
+        if (!afterNames.has(name)) rows.push({ name, type: 'removed', before: String(v.value ?? ''), after: '' });
+    });
+    return rows;
+};
+
+/**
+ * 文節の差分（類似性ベースの整列。DiffUtils.buildLineDiff を使用）
+ * @param {Array} before - 変更前の文節配列
+ * @param {Array} after - 変更後の文節配列
+ * @returns {Array<{type:'added'|'removed'|'changed'|'same', before:string, after:string}>} 差分（表示順）
+ */
+const diffSegments = (before, after) => DiffUtils.buildLineDiff(
+    (Array.isArray(before) ? before : []).map(s => s?.content),
+    (Array.isArray(after) ? after : []).map(s => s?.content)
+);
+
+/**
+ * グローバルスコープへの公開
+ */
+window.SessionRestore = {
+    RESTORE_MODE_OPTIONS,
+    mergeVariableValues,
+    buildRestoredState,
+    diffVariables,
+    diffSegments
+};
@@ -0,0 +1,206 @@
+/**
+ * セッション履歴検索ユーティリティ
+ * - セッションのタイトル・タグ・本文・変数値を対象とした全文検索（複数語は AND）
+ * - 期間（日付範囲）・お気に入り・タグ・対応状況による絞り込み
+ * - 一覧表示用の一致箇所（ハイライト範囲）の算出
+ *
+ * 正規化:
+ * - 全角/半角・大文字/小文字の違いは無視する（NFKC + 小文字化）
+ * - 数字と記号のみの検索語（電話番号など）は、ハイフンや空白を除いた数字列でも照合する
+ *   （例: `0312345678` で `03-1234-5678` に一致）。数字列は項目（タイトル・タグ・本文・各変数値）の
+ *   行ごとに作るため、別の項目や行にまたがって一致することはない
+ *
+ * 性能:
+ * - セッションごとの検索用テキストは WeakMap にキャッシュする（セッションは不変オブジェクトとして扱われるため、
+ *   更新されたセッションのみ再計算される）
+ *
+ * 末尾で window.SessionSearch へ公開
+ */
+
+/**
+ * 検索用テキストのキャッシュ（セッションオブジェクト → 正規化済みテキスト）
+ * @type {WeakMap<Object, {text:string, digits:Array<string>, fields:Array<{name:string, value:string, text:string, digits:Array<string>}>}>}
+ */
+const sessionSearchCache = new WeakMap();
+
+/**
+ * 検索用の文字列正規化（NFKC + 小文字化）
+ * @param {string} text - 対象文字列
+ * @returns {string} 正規化済み文字列
+ */
+const normalizeSearchText = (text) => {
+    const s = String(text ?? '');
+    try { return s.normalize('NFKC').toLowerCase(); } catch (_) { return s.toLowerCase(); }
+};
+
+/**
+ * 数字照合用に、テキストを行ごとの数字列へ変換（数字を含まない行は除く）
+ * @param {string} text - 正規化済みテキスト
+ * @returns {Array<string>} 行ごとの数字列
+ */
+const toDigitLines = (text) => String(text ?? '').split('\n').map(line => line.replace(/\D/g, '')).filter(Boolean);
+
+/**
+ * 検索クエリを検索語へ分割（全角スペースも区切りとして扱う）
+ * @param {string} query - 検索クエリ
+ * @returns {Array<{text:string, digits:string}>} 検索語（digits は数字照合用。対象外の語は空文字）
+ */
+const parseSearchQuery = (query) => normalizeSearchText(query)
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(text => ({
+        text,
+        digits: /^[\d\-()+.\s]+$/.test(text) && text.replace(/\D/g, '').length >= 3 ? text.replace(/\D/g, '') : ''
+    }));
+
+/**
+ * セッションの検索用テキストを取得（キャッシュ付き）
+ * @param {Object} session - セッション
+ * @returns {{text:string, digits:Array<string>, fields:Array<{name:string, value:string, text:string, digits:Array<string>}>}} 検索用テキスト
+ */
+const getSessionSearchEntry = (session) => {
+    if (session && typeof session === 'object' && sessionSearchCache.has(session)) {
+        return sessionSearchCache.get(session);
+    }
+    const fields = (Array.isArray(session?.variables) ? session.variables : [])
+        .filter(v => v && String(v.value ?? '') !== '')
+        .map(v => {
+            const text = normalizeSearchText(v.value);
+            return { name: String(v.name ?? ''), value: String(v.value), text, digits: toDigitLines(text) };
+        });
+    const meta = [session?.title, ...(Array.isArray(session?.tags) ? session.tags : [])].filter(Boolean).map(normalizeSearchText);
+    const content = normalizeSearchText(session?.content);
+    const text = [...meta, content, ...fields.map(f => f.text)].join('\n');
+    const digits = [...meta.flatMap(toDigitLines), ...toDigitLines(content), ...fields.flatMap(f => f.digits)];
+    const entry = { text, digits, fields };
+    if (session && typeof session === 'object') sessionSearchCache.set(session, entry);
+    return entry;
+};
+
+/**
+ * 検索語の一致判定
+ * @param {string} text - 正規化済みテキスト
+ * @param {Array<string>} digits - 項目・行ごとの数字列
+ * @param {{text:string, digits:string}} term - 検索語
+ * @returns {boolean} 一致すれば true
+ */
+const matchesTerm = (text, digits, term) => text.includes(term.text) || (!!term.digits && digits.some(d => d.includes(term.digits)));
+
+/**
+ * セッション履歴の絞り込み
+ * 並び順は入力の順序を保持する
+ *
+ * @param {Array} sessions - セッション履歴
+ * @param {Object} [criteria] - 条件
+ * @param {string} [criteria.query] - 検索クエリ（空白区切りで AND）
+ * @param {string} [criteria.from] - 開始日（YYYY-MM-DD、この日を含む）
+ * @param {string} [criteria.to] - 終了日（YYYY-MM-DD、この日を含む）
+ * @param {boolean} [criteria.favoritesOnly] - お気に入りのみ
+ * @param {string} [criteria.tag] - タグ（指定時はこのタグを持つもののみ）
+ * @param {string} [criteria.status] - 対応状況（'none' はステータス未設定のもの）
+ * @returns {Array} 条件に一致するセッション
+ */
+const filterSessions = (sessions, criteria = {}) => {
+    const list = Array.isArray(sessions) ? sessions : [];
+    const terms = parseSearchQuery(criteria.query);
+    const from = criteria.from || '';
+    const to = criteria.to || '';
+    return list.filter(s => {
+        if (!s) return false;
+        if (criteria.favoritesOnly && !s.favorite) return false;
+        if (criteria.tag && !(Array.isArray(s.tags) && s.tags.includes(criteria.tag))) return false;
+        if (criteria.status && (criteria.status === 'none' ? !!s.status : s.status !== criteria.status)) return false;
+        if (from || to) {
+            const key = s.timestamp ? DateUtils.toDateKey(s.timestamp) : '';
+            if (!key || (from && key < from) || (to && key > to)) return false;
+        }
+        if (terms.length === 0) return true;
+        const entry = getSessionSearchEntry(s);
+        return terms.every(term => matchesTerm(entry.text, entry.digits, term));
+    });
+};
+
+/**
+ * 表示テキスト内の一致範囲の算出（ハイライト用）
+ * 文字単位で正規化して照合し、元のテキスト上の範囲を返す
+ *
+ * @param {string} text - 表示テキスト
+ * @param {string} query - 検索クエリ
+ * @returns {Array<{start:number, end:number}>} 一致範囲（元テキストの文字位置、昇順・重複なし）
+ */
+const findMatchRanges = (text, query) => {
+    const source = String(text ?? '');
+    const terms = parseSearchQuery(query);
+    if (!source || terms.length === 0) return [];
+
+    // 正規化後の位置 → 元テキストの位置の対応表
+    let normalized = '';
+    const origin = [];
+    let offset = 0;
+    for (const ch of source) {
+        const n = normalizeSearchText(ch);
+        for (let i = 0; i < n.length; i += 1) origin.push(offset);
+        normalized += n;
+        offset += ch.length;
+    }
+    origin.push(source.length);
+
+    const ranges = [];
+    terms.forEach(term => {
+        let idx = normalized.indexOf(term.text);
+        while (term.text && idx !== -1) {
+            ranges.push({ start: origin[idx], end: origin[idx + term.text.length] });
+            idx = normalized.indexOf(term.text, idx + term.text.length);
+        }
+    });
+    // 数字照合（区切り記号を挟んだ一致。行をまたいだ一致は対象外）
+    const digitLines = [[]];
+    for (let i = 0; i < normalized.length; i += 1) {
+        if (normalized[i] === '\n') digitLines.push([]);
+        else if (/\d/.test(normalized[i])) digitLines[digitLines.length - 1].push(i);
+    }
+    terms.filter(t => t.digits).forEach(term => {
+        digitLines.forEach(digitPos => {
+            const digits = digitPos.map(i => normalized[i]).join('');
+            let idx = digits.indexOf(term.digits);
+            while (idx !== -1) {
+                ranges.push({ start: origin[digitPos[idx]], end: origin[digitPos[idx + term.digits.length - 1] + 1] });
+                idx = digits.indexOf(term.digits, idx + term.digits.length);
+            }
+        });
+    });
+
+    // 昇順に並べて重複を結合
+    ranges.sort((a, b) => a.start - b.start);
+    return ranges.reduce((acc, r) => {
+        const last = acc[acc.length - 1];
+        if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+        else acc.push({ ...r });
+        return acc;
+    }, []);
+};
+
+/**
+ * 検索語に一致した変数値の取得（本文に一致しない場合の補足表示用）
+ * @param {Object} session - セッション
+ * @param {string} query - 検索クエリ
+ * @returns {{name:string, value:string}|null} 最初に一致した変数（無ければ null）
+ */
+const findMatchedVariable = (session, query) => {
+    const terms = parseSearchQuery(query);
+    if (terms.length === 0) return null;
+    const entry = getSessionSearchEntry(session);
+    const hit = entry.fields.find(f => terms.some(t => matchesTerm(f.text, f.digits, t)));
+    return hit ? { name: hit.name, value: hit.value } : null;
+};
+
+/**
+ * グローバルスコープへの公開
+ */
+window.SessionSearch = {
+    normalizeSearchText,
+    parseSearchQuery,
+    filterSessions,
+    findMatchRanges,
+    findMatchedVariable
+};
@@ -0,0 +1,159 @@
+/**
+ * 通話統計ユーティリティ
+ * セッション履歴を集計し、日別・時間帯別の件数、会社名・用件の上位と用件の構成比を算出する
+ *
+ * 集計ルール:
+ * - 1セッション = 1通話として数える（日時はセッションの timestamp）
+ * - 会社名・用件は Constants.SESSION_STATS_FIELDS の変数名の値を使用する
+ * - 値は前後空白を除き、全角/半角・大文字/小文字の違いを同一視してまとめる（表示は最初に現れた表記）
+ * - 構成比は上位の用件と「その他」「(未入力)」に分ける
+ *
+ * 末尾で window.SessionStats へ公開
+ */
+
+/**
+ * 上位一覧の件数
+ * @type {number}
+ */
+const STATS_TOP_LIMIT = 10;
+
+/**
+ * 構成比で個別に表示する用件の件数（残りは「その他」）
+ * @type {number}
+ */
+const STATS_SHARE_LIMIT = 6;
+
+/**
+ * セッションから変数値を取得
+ * @param {Object} session - セッション
+ * @param {string} name - 変数名
+ * @returns {string} 値（前後空白除去済み。無ければ空文字）
+ */
+const getSessionVariableValue = (session, name) => {
+    const v = (Array.isArray(session?.variables) ? session.variables : []).find(x => x && x.name === name);
+    return String(v?.value ?? '').trim();
+};
+
+/**
+ * 値ごとの件数（多い順）
+ * @param {string[]} values - 値（空文字は除外）
+ * @returns {Array<{label:string, count:number}>} 件数
+ */
+const countValues = (values) => {
+    const groups = new Map();
+    values.filter(Boolean).forEach(value => {
+        const key = SessionSearch.normalizeSearchText(value);
+        const group = groups.get(key);
+        if (group) group.count += 1;
+        else groups.set(key, { label: value, count: 1 });
+    });
+    return [...groups.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, 'ja'));
+};
+
+/**
+ * 日付キーの連続した配列（両端を含む）
+ * @param {string} from - 開始日（YYYY-MM-DD）
+ * @param {string} to - 終了日（YYYY-MM-DD）
+ * @returns {string[]} 日付キー
+ */
+const listDateKeys = (from, to) => {
+    const keys = [];
+    if (!from || !to || from > to) return keys;
+    const d = new Date(`${from}T00:00:00`);
+    while (DateUtils.toDateKey(d) <= to) {
+        keys.push(DateUtils.toDateKey(d));
+        d.setDate(d.getDate() + 1);
+    }
+    return keys;
+};
+
+/**
+ * セッション履歴の集計
+ * @param {Array} sessions - セッション履歴
+ * @param {Object} [range] - 集計期間
+ * @param {string} [range.from] - 開始日（YYYY-MM-DD、この日を含む。空は最初の通話の日）
+ * @param {string} [range.to] - 終了日（YYYY-MM-DD、この日を含む。空は最後の通話の日）
+ * @returns {{
+ *   total:number, from:string, to:string,
+ *   byDay:Array<{date:string, count:number}>, byHour:number[],
+ *   companies:Array<{label:string, count:number}>, purposes:Array<{label:string, count:number}>,
+ *   purposeShare:Array<{label:string, count:number, ratio:number}>
+ * }} 集計結果
+ */
+const aggregateSessionStats = (sessions, range = {}) => {
+    const fields = Constants.SESSION_STATS_FIELDS;
+    const list = SessionSearch.filterSessions(sessions, { from: range.from, to: range.to })
+        .filter(s => s.timestamp && !isNaN(new Date(s.timestamp).getTime()));
+    const dateKeys = list.map(s => DateUtils.toDateKey(s.timestamp)).sort();
+    const from = range.from || dateKeys[0] || '';
+    const to = range.to || dateKeys[dateKeys.length - 1] || '';
+
+    const dayCounts = new Map();
+    dateKeys.forEach(key => dayCounts.set(key, (dayCounts.get(key) || 0) + 1));
+    const byHour = new Array(24).fill(0);
+    list.forEach(s => { byHour[new Date(s.timestamp).getHours()] += 1; });
+
+    const purposeValues = list.map(s => getSessionVariableValue(s, fields.purpose));
+    const purposes = countValues(purposeValues);
+    const blankCount = purposeValues.filter(v => !v).length;
+    const otherCount = purposes.slice(STATS_SHARE_LIMIT).reduce((sum, p) => sum + p.count, 0);
+    const purposeShare = [
+        ...purposes.slice(0, STATS_SHARE_LIMIT),
+        ...(otherCount > 0 ? [{ label: 'その他', count: otherCount }] : []),
+        ...(blankCount > 0 ? [{ label: '(未入力)', count: blankCount }] : [])
+    ].map(p => ({ ...p, ratio: list.length > 0 ? p.count / list.length : 0 }));
+
+    return {
+        total: list.length,
+        from,
+        to,
+        byDay: listDateKeys(from, to).map(date => ({ date, count: dayCounts.get(date) || 0 })),
+        byHour,
+        companies: countValues(list.map(s => getSessionVariableValue(s, fields.company))).slice(0, STATS_TOP_LIMIT),
+        purposes: purposes.slice(0, STATS_TOP_LIMIT),
+        purposeShare
+    };
+};
+
+/**
+ * 集計結果の CSV 行（セクションごとに見出し行と空行で区切る）
+ * @param {Object} stats - aggregateSessionStats の結果
+ * @returns {Array<Array<string|number>>} CSV 行
+ */
+const buildStatsCsvRows = (stats) => {
+    const fields = Constants.SESSION_STATS_FIELDS;
+    const percent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+    return [
+        ['集計期間', stats.from, stats.to],
+        ['通話件数', stats.total],
+        [],
+        ['日別'],
+        ['日付', '件数'],
+        ...stats.byDay.map(d => [d.date, d.count]),
+        [],
+        ['時間帯別'],
+        ['時', '件数'],
+        ...stats.byHour.map((count, hour) => [`${hour}時`, count]),
+        [],
+        [`${fields.company}別（上位${STATS_TOP_LIMIT}件）`],
+        [fields.company, '件数'],
+        ...stats.companies.map(c => [c.label, c.count]),
+        [],
+        [`${fields.purpose}別（上位${STATS_TOP_LIMIT}件）`],
+        [fields.purpose, '件数'],
+        ...stats.purposes.map(p => [p.label, p.count]),
+        [],
+        [`${fields.purpose}の構成比`],
+        [fields.purpose, '件数', '構成比'],
+        ...stats.purposeShare.map(p => [p.label, p.count, percent(p.ratio)])
+    ];
+};
+
+/**
+ * グローバルスコープへの公開
+ */
+window.SessionStats = {
+    STATS_TOP_LIMIT,
+    aggregateSessionStats,
+    buildStatsCsvRows
+};
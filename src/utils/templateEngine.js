@@ -1,21 +1,110 @@
 /**
  * テンプレート関連ユーティリティ
- * - セグメントテンプレートのトークナイズ
+ * - プレースホルダの解析（全モジュール共通のパーサ）とセグメントテンプレートのトークナイズ
+ * - フィルタ（`{{変数名|フィルタ}}`）適用済みの変数値展開
+ * - 条件セクション（`{{#if}}`/`{{#unless}}`）の評価
  * - プレビュー展開とインデックスマップ生成
  * - テンプレート分割位置計算
  * - Enter/Backspace/Delete 操作のテンプレ処理
  */
 
+/**
+ * プレースホルダ検出用の正規表現
+ * 以下のいずれかに一致する（前後の空白は許容）:
+ * - `{{#if 変数名}}` / `{{#unless 変数名}}`: 条件セクション開始（m[1]: if|unless, m[2]: 変数名）
+ * - `{{else}}`: 条件セクションの分岐（m[3]）
+ * - `{{/if}}` / `{{/unless}}`: 条件セクション終了（m[4]: if|unless）
+ * - `{{変数名}}` / `{{変数名|フィルタ:引数|...}}`: 変数（m[5]: 変数名, m[6]: `|` から始まるフィルタチェーン）
+ *   引数はダブルクォートで囲むと `|` `,` `}` を含められる
+ * 注意: lastIndex を共有しないよう、利用側では `new RegExp(PLACEHOLDER_PATTERN.source, 'g')` で複製する
+ * @type {RegExp}
+ */
+const PLACEHOLDER_PATTERN = /\{\{\s*(?:#(if|unless)\s+([^}\s|]+)|(else)|\/(if|unless)|([^}\s|"]+)\s*((?:\|(?:[^}"]|"[^"]*")*)?))\s*\}\}/g;
+
+/**
+ * 引用符を考慮した区切り文字での分割
+ * ダブルクォート内の区切り文字は分割しない（引用符自体は保持する）
+ *
+ * @param {string} text - 対象文字列
+ * @param {string} delimiter - 区切り文字（1文字）
+ * @returns {string[]} 分割結果
+ */
+const splitOutsideQuotes = (text, delimiter) => {
+    const parts = [];
+    let buf = '';
+    let inQuote = false;
+    for (const ch of String(text ?? '')) {
+        if (ch === '"') inQuote = !inQuote;
+        if (ch === delimiter && !inQuote) {
+            parts.push(buf);
+            buf = '';
+            continue;
+        }
+        buf += ch;
+    }
+    parts.push(buf);
+    return parts;
+};
+
+/**
+ * フィルタチェーン文字列の解析
+ * `|honorific|default:"不明"|format:"HH時mm分"` → [{name:'honorific', args:[]}, {name:'default', args:['不明']}, ...]
+ * - 引数は `:` の後にカンマ区切りで指定。ダブルクォートで囲んだ引数は引用符を除去し、それ以外は前後空白を除去
+ * - 名前が空のフィルタは無視する
+ *
+ * @param {string} chain - `|` から始まるフィルタチェーン文字列（空文字可）
+ * @returns {Array<{name:string, args:string[]}>} フィルタ配列
+ */
+const parseFilterChain = (chain) => {
+    const src = String(chain ?? '').trim();
+    if (!src) return [];
+    return splitOutsideQuotes(src, '|').slice(1).map((part) => {
+        const colon = part.indexOf(':');
+        const name = (colon === -1 ? part : part.slice(0, colon)).trim();
+        const argText = colon === -1 ? '' : part.slice(colon + 1);
+        const args = argText.trim() === '' ? [] : splitOutsideQuotes(argText, ',').map((a) => {
+            const t = a.trim();
+            return (t.length >= 2 && t.startsWith('"') && t.endsWith('"')) ? t.slice(1, -1) : t;
+        });
+        return { name, args };
+    }).filter(f => f.name);
+};
+
+/**
+ * 単一プレースホルダの解析
+ * 文字列全体が1つのプレースホルダである場合にその内容を返す
+ *
+ * @param {string} text - 対象文字列（例: `{{相手先名|honorific}}`）
+ * @returns {{type:'variable', name:string, filters:Array}|{type:'control', kind:string, name?:string, closes?:string}|null} 解析結果（プレースホルダでなければ null）
+ */
+const parsePlaceholder = (text) => {
+    const tokens = tokenizeSegmentTemplate(String(text ?? '').trim());
+    if (tokens.length !== 1 || tokens[0].type === 'literal') return null;
+    const { start, end, ...rest } = tokens[0];
+    return rest;
+};
+
 /**
  * セグメントテンプレートのトークン化
- * `{{var}}` を変数トークン、その他をリテラルトークンとして分割する
+ * `{{var}}` を変数トークン、条件セクションの各タグを制御トークン、その他をリテラルトークンとして分割する
+ * プレースホルダを解釈する処理はすべて本関数（PLACEHOLDER_PATTERN）を経由すること
+ *
+ * 変数トークン:
+ * - `{{名前}}` → { type:'variable', name, filters: [] }
+ * - `{{名前|f1|f2:"引数"}}` → { type:'variable', name, filters: [{name:'f1', args:[]}, {name:'f2', args:['引数']}] }
+ *
+ * 制御トークン:
+ * - `{{#if 名前}}` → { type:'control', kind:'if', name }
+ * - `{{#unless 名前}}` → { type:'control', kind:'unless', name }
+ * - `{{else}}` → { type:'control', kind:'else' }
+ * - `{{/if}}` / `{{/unless}}` → { type:'control', kind:'end', closes:'if'|'unless' }
  *
  * @param {string} template - セグメントのテンプレート文字列（`{{...}}`含む）
- * @returns {Array<{type:'literal', text:string, start:number, end:number}|{type:'variable', name:string, start:number, end:number}>} トークン配列
+ * @returns {Array<{type:'literal', text:string, start:number, end:number}|{type:'variable', name:string, filters:Array<{name:string, args:string[]}>, start:number, end:number}|{type:'control', kind:('if'|'unless'|'else'|'end'), name?:string, closes?:string, start:number, end:number}>} トークン配列
  */
 const tokenizeSegmentTemplate = (template) => {
     const src = String(template ?? '');
-    const re = /\{\{\s*([^}\s]+)\s*\}\}/g;
+    const re = new RegExp(PLACEHOLDER_PATTERN.source, 'g');
     const tokens = [];
     let last = 0;
     let m;
@@ -23,7 +112,15 @@ const tokenizeSegmentTemplate = (template) => {
         if (m.index > last) {
             tokens.push({ type: 'literal', text: src.slice(last, m.index), start: last, end: m.index });
         }
-        tokens.push({ type: 'variable', name: m[1], start: m.index, end: re.lastIndex });
+        if (m[1]) {
+            tokens.push({ type: 'control', kind: m[1], name: m[2], start: m.index, end: re.lastIndex });
+        } else if (m[3]) {
+            tokens.push({ type: 'control', kind: 'else', start: m.index, end: re.lastIndex });
+        } else if (m[4]) {
+            tokens.push({ type: 'control', kind: 'end', closes: m[4], start: m.index, end: re.lastIndex });
+        } else {
+            tokens.push({ type: 'variable', name: m[5], filters: parseFilterChain(m[6]), start: m.index, end: re.lastIndex });
+        }
         last = re.lastIndex;
     }
     if (last < src.length) {
@@ -32,32 +129,145 @@ const tokenizeSegmentTemplate = (template) => {
     return tokens;
 };
 
+/**
+ * 変数トークンの展開値を算出
+ * 変数値にフィルタチェーンを適用した文字列を返す。結果が空の場合（未入力・未定義）は `{{変数名}}` を返す
+ *
+ * @param {{name:string, filters?:Array}} token - 変数トークン
+ * @param {{value?:string}|undefined} variable - 対応する変数オブジェクト
+ * @returns {string} プレビューに表示する文字列
+ */
+const renderVariableToken = (token, variable) => {
+    const raw = String(variable && variable.value || '');
+    const filters = Array.isArray(token && token.filters) ? token.filters : [];
+    const out = (filters.length > 0 && window.TemplateFilters)
+        ? window.TemplateFilters.applyFilters(raw, filters, variable || null)
+        : raw;
+    return out || `{{${token.name}}}`;
+};
+
+/**
+ * テンプレート内の変数名の置換
+ * `{{旧名}}`・`{{旧名|フィルタ}}`・`{{#if 旧名}}`・`{{#unless 旧名}}` の変数名部分のみを新名へ置き換える
+ * （フィルタや空白などの記述はそのまま保持する）
+ *
+ * @param {string} template - テンプレート文字列
+ * @param {string} oldName - 旧変数名
+ * @param {string} newName - 新変数名
+ * @returns {string} 置換後のテンプレート文字列
+ */
+const renameTemplateVariable = (template, oldName, newName) => {
+    const src = String(template ?? '');
+    let out = '';
+    tokenizeSegmentTemplate(src).forEach((t) => {
+        const raw = src.slice(t.start, t.end);
+        if ((t.type === 'variable' || t.type === 'control') && t.name === oldName) {
+            out += raw.replace(/^(\{\{\s*(?:#(?:if|unless)\s+)?)[^}\s|"]+/, (_, head) => head + newName);
+        } else {
+            out += raw;
+        }
+    });
+    return out;
+};
+
+/**
+ * 条件セクションの真偽判定に用いる「値あり」判定
+ * 前後空白を除いた値が空でなければ真とする（未定義の変数は偽）
+ *
+ * @param {{value?:any}|undefined} variable - 変数オブジェクト
+ * @returns {boolean} 値が入力済みであれば true
+ */
+const isVariableFilled = (variable) => !!(variable && String(variable.value ?? '').trim().length > 0);
+
+/**
+ * 条件セクションの評価（セグメント横断）
+ * 全セグメントを先頭から順に走査し、`{{#if}}`/`{{#unless}}`/`{{else}}`/`{{/if}}` のスタックを
+ * セグメントをまたいで維持しながら、各トークンが出力対象（アクティブ）かを判定する。
+ *
+ * 行の表示判定:
+ * - 制御トークンを含む行: 出力文字列が空なら行ごと非表示（タグだけの行や、偽になった行を消す）
+ * - 制御トークンを含まない行: 行頭時点の条件が偽なら非表示（空行は真の範囲内なら従来どおり表示）
+ *
+ * 補足:
+ * - 対応する開始タグがない終了タグ/else は無視する
+ * - 閉じられていない開始タグは末尾まで有効とする
+ *
+ * @param {Array<{content:string}>} segments - セグメント配列
+ * @param {Array<{name:string,value:string}>} variables - 変数配列
+ * @returns {Array<{tokens:Array, tokenActive:boolean[], hasControl:boolean, visible:boolean}>} セグメントごとの評価結果
+ */
+const evaluateSegmentConditions = (segments, variables) => {
+    const varByName = new Map(Array.isArray(variables) ? variables.map(v => [String(v.name), v]) : []);
+    /** @type {Array<{kind:string, cond:boolean, parentActive:boolean, inElse:boolean}>} */
+    const stack = [];
+    const isActive = () => {
+        if (stack.length === 0) return true;
+        const top = stack[stack.length - 1];
+        return top.parentActive && (top.inElse ? !top.cond : top.cond);
+    };
+    return (Array.isArray(segments) ? segments : []).map((seg) => {
+        const tokens = tokenizeSegmentTemplate(String(seg && seg.content || ''));
+        const activeAtStart = isActive();
+        const tokenActive = [];
+        let hasControl = false;
+        let emittedLength = 0;
+        tokens.forEach((t) => {
+            if (t.type === 'control') {
+                hasControl = true;
+                tokenActive.push(false);
+                if (t.kind === 'if' || t.kind === 'unless') {
+                    const filled = isVariableFilled(varByName.get(String(t.name)));
+                    stack.push({ kind: t.kind, cond: t.kind === 'if' ? filled : !filled, parentActive: isActive(), inElse: false });
+                } else if (t.kind === 'else') {
+                    if (stack.length > 0) stack[stack.length - 1].inElse = true;
+                } else if (t.kind === 'end') {
+                    if (stack.length > 0) stack.pop();
+                }
+                return;
+            }
+            const active = isActive();
+            tokenActive.push(active);
+            if (active) emittedLength += (t.type === 'literal' ? t.text.length : 1);
+        });
+        const visible = hasControl ? emittedLength > 0 : activeAtStart;
+        return { tokens, tokenActive, hasControl, visible };
+    });
+};
+
 /**
  * プレビュー文字列とインデックスマップの生成
- * 各行（各セグメント）について、展開後文字ごとの出自（リテラル/変数）をマップする
+ * 各行（表示対象の各セグメント）について、展開後文字ごとの出自（リテラル/変数）をマップする
+ *
+ * 条件セクション:
+ * - `evaluateSegmentConditions` の判定で非表示となったセグメントは行として出力しない
+ * - そのため lineMaps の添字は「プレビューの行番号」であり、元のセグメント位置は `segmentIndex` で参照する
+ * - 非アクティブなトークン（偽の分岐内）と制御トークンは文字を出力しない（tokenActive で判別可能）
+ *
+ * 変数はフィルタ適用後の値を展開する（renderVariableToken）。charMap の offsetInValue は展開後文字列内の位置
  *
  * @param {Array<{content:string}>} segments - セグメント配列
  * @param {Array<{id:string,name:string,value:string}>} variables - 変数配列
- * @returns {{previewText:string, lineMaps:Array<{segmentIndex:number, tokens:Array, charMap:Array, expanded:string}>}} 生成結果
+ * @returns {{previewText:string, lineMaps:Array<{segmentIndex:number, tokens:Array, tokenActive:boolean[], hasControl:boolean, charMap:Array, expanded:string}>}} 生成結果
  */
 const renderPreviewWithIndexMap = (segments, variables) => {
     const varByName = new Map(Array.isArray(variables) ? variables.map(v => [String(v.name), v]) : []);
     const lineMaps = [];
     const expandedLines = [];
-    (Array.isArray(segments) ? segments : []).forEach((seg, idx) => {
-        const template = String(seg && seg.content || '');
-        const tokens = tokenizeSegmentTemplate(template);
+    const evaluated = evaluateSegmentConditions(segments, variables);
+    evaluated.forEach(({ tokens, tokenActive, hasControl, visible }, idx) => {
+        if (!visible) return;
         const parts = [];
         const charMap = [];
         tokens.forEach((t, tokenIndex) => {
+            if (!tokenActive[tokenIndex]) return;
             if (t.type === 'literal') {
                 parts.push(t.text);
                 for (let k = 0; k < t.text.length; k += 1) {
                     charMap.push({ type: 'literal', segmentIndex: idx, templateOffset: t.start + k, tokenIndex });
                 }
-            } else {
+            } else if (t.type === 'variable') {
                 const v = varByName.get(String(t.name));
-                const value = String(v && v.value || `{{${t.name}}}`);
+                const value = renderVariableToken(t, v);
                 parts.push(value);
                 for (let k = 0; k < value.length; k += 1) {
                     charMap.push({ type: 'variable', segmentIndex: idx, variableId: v ? v.id : null, variableName: t.name, offsetInValue: k, tokenIndex });
@@ -66,7 +276,7 @@ const renderPreviewWithIndexMap = (segments, variables) => {
         });
         const expanded = parts.join('');
         expandedLines.push(expanded);
-        lineMaps.push({ segmentIndex: idx, tokens, charMap, expanded });
+        lineMaps.push({ segmentIndex: idx, tokens, tokenActive, hasControl, charMap, expanded });
     });
     return { previewText: expandedLines.join('\n'), lineMaps };
 };
@@ -126,20 +336,38 @@ const computeTemplateSplitOffset = (lineMap, column) => {
     return lastToken ? lastToken.end : 0;
 };
 
+/**
+ * プレビュー行番号からセグメント位置への変換
+ * 条件セクションで非表示の行がある場合、行番号とセグメント位置は一致しないため lineMaps を介して解決する。
+ * lineMaps が未指定（または該当行なし）の場合は行番号をそのままセグメント位置として扱う。
+ *
+ * @param {number} lineIndex - プレビュー上の行番号（0始まり）
+ * @param {Array<{segmentIndex:number}>} [lineMaps] - renderPreviewWithIndexMap の lineMaps
+ * @returns {number} セグメント位置
+ */
+const resolveSegmentIndexForLine = (lineIndex, lineMaps) => {
+    if (Array.isArray(lineMaps) && lineMaps[lineIndex] && typeof lineMaps[lineIndex].segmentIndex === 'number') {
+        return lineMaps[lineIndex].segmentIndex;
+    }
+    return lineIndex;
+};
+
 /**
  * Enter操作の適用（行分割）
  * 変数を含む場合はトークン境界へスナップしてテンプレートを分割
  *
  * @param {Array<{id:string,content:string}>} segments - セグメント配列
  * @param {Array} variables - 変数配列（未使用だが将来的拡張用）
- * @param {number} lineIndex - 行インデックス
+ * @param {number} lineIndex - 行インデックス（プレビュー上の行番号）
  * @param {number} column - 列インデックス
  * @param {Array} lineMaps - renderPreviewWithIndexMap の lineMaps
  * @returns {Array} 更新後セグメント配列
  */
 const applyEnterAt = (segments, variables, lineIndex, column, lineMaps) => {
-    const idx = Math.max(0, Math.min(lineIndex, (segments || []).length - 1));
-    const lineMap = Array.isArray(lineMaps) ? lineMaps[idx] : null;
+    const lineCount = Array.isArray(lineMaps) ? lineMaps.length : (segments || []).length;
+    const line = Math.max(0, Math.min(lineIndex, lineCount - 1));
+    const lineMap = Array.isArray(lineMaps) ? lineMaps[line] : null;
+    const idx = resolveSegmentIndexForLine(line, lineMaps);
     const seg = segments[idx];
     if (!seg) return segments;
     const template = String(seg.content || '');
@@ -154,14 +382,19 @@ const applyEnterAt = (segments, variables, lineIndex, column, lineMaps) => {
 
 /**
  * Backspace（行頭）: 前行と結合
+ * lineMaps 指定時は行番号をセグメント位置へ変換する。前行との間に非表示セグメントが
+ * 挟まる場合は、条件セクションの構造を壊さないよう結合しない（元の配列を返す）。
+ *
  * @param {Array<{id:string,content:string}>} segments
- * @param {number} lineIndex
+ * @param {number} lineIndex - プレビュー上の行番号
+ * @param {Array<{segmentIndex:number}>} [lineMaps] - renderPreviewWithIndexMap の lineMaps
  * @returns {Array}
  */
-const applyBackspaceAtLineStart = (segments, lineIndex) => {
+const applyBackspaceAtLineStart = (segments, lineIndex, lineMaps) => {
     if (!Array.isArray(segments) || segments.length === 0) return segments;
-    const idx = Math.max(0, Math.min(lineIndex, segments.length - 1));
+    const idx = Math.max(0, Math.min(resolveSegmentIndexForLine(lineIndex, lineMaps), segments.length - 1));
     if (idx === 0) return segments;
+    if (Array.isArray(lineMaps) && resolveSegmentIndexForLine(lineIndex - 1, lineMaps) !== idx - 1) return segments;
     const prev = segments[idx - 1];
     const curr = segments[idx];
     const merged = String(prev.content || '') + String(curr.content || '');
@@ -173,14 +406,19 @@ const applyBackspaceAtLineStart = (segments, lineIndex) => {
 
 /**
  * Delete（行末）: 次行と結合
+ * lineMaps 指定時は行番号をセグメント位置へ変換する。次行との間に非表示セグメントが
+ * 挟まる場合は結合しない（元の配列を返す）。
+ *
  * @param {Array<{id:string,content:string}>} segments
- * @param {number} lineIndex
+ * @param {number} lineIndex - プレビュー上の行番号
+ * @param {Array<{segmentIndex:number}>} [lineMaps] - renderPreviewWithIndexMap の lineMaps
  * @returns {Array}
  */
-const applyDeleteAtLineEnd = (segments, lineIndex) => {
+const applyDeleteAtLineEnd = (segments, lineIndex, lineMaps) => {
     if (!Array.isArray(segments) || segments.length === 0) return segments;
-    const idx = Math.max(0, Math.min(lineIndex, segments.length - 1));
+    const idx = Math.max(0, Math.min(resolveSegmentIndexForLine(lineIndex, lineMaps), segments.length - 1));
     if (idx >= segments.length - 1) return segments;
+    if (Array.isArray(lineMaps) && resolveSegmentIndexForLine(lineIndex + 1, lineMaps) !== idx + 1) return segments;
     const curr = segments[idx];
     const nextSeg = segments[idx + 1];
     const merged = String(curr.content || '') + String(nextSeg.content || '');
@@ -192,8 +430,13 @@ const applyDeleteAtLineEnd = (segments, lineIndex) => {
 
 // 公開
 window.Helpers = Object.assign(window.Helpers || {}, {
+    parsePlaceholder,
     tokenizeSegmentTemplate,
+    renderVariableToken,
+    renameTemplateVariable,
+    evaluateSegmentConditions,
     renderPreviewWithIndexMap,
+    resolveSegmentIndexForLine,
     computeTemplateSplitOffset,
     applyEnterAt,
     applyBackspaceAtLineStart,
@@ -0,0 +1,233 @@
+/**
+ * テンプレートフィルタ（パイプ）レジストリ
+ * - `{{変数名|フィルタ名:引数}}` 形式で指定されたフィルタの登録・適用
+ * - 逆変換（プレビュー編集 → 変数値）が可能なフィルタは reverse を提供
+ *
+ * フィルタ定義:
+ * - apply(value, args, context): 変数値を表示用文字列へ変換
+ * - reverse(text, args, context): 表示文字列から変数値を復元（不可能なら null）。未定義なら逆変換不可
+ * - context: { variable } - 対象の変数オブジェクト（未定義の変数の場合は null）
+ *
+ * 末尾で window.TemplateFilters へ公開
+ */
+
+/**
+ * 登録済みフィルタ
+ * @type {Map<string, {apply:Function, reverse?:Function, description?:string}>}
+ */
+const filterRegistry = new Map();
+
+/**
+ * 敬称として扱う接尾辞（honorific フィルタで二重付与を避ける）
+ * @type {string[]}
+ */
+const HONORIFIC_SUFFIXES = ['様', 'さま', 'さん', '殿', '御中', '先生', '各位'];
+
+/**
+ * フィルタの登録
+ * 同名のフィルタが存在する場合は上書きする
+ *
+ * @param {string} name - フィルタ名（`|` の後に記述する名前）
+ * @param {{apply:Function, reverse?:Function, description?:string}} definition - フィルタ定義
+ * @returns {void}
+ */
+const registerFilter = (name, definition) => {
+    const key = String(name ?? '').trim();
+    if (!key || !definition || typeof definition.apply !== 'function') return;
+    filterRegistry.set(key, definition);
+};
+
+/**
+ * フィルタ定義の取得
+ * @param {string} name - フィルタ名
+ * @returns {{apply:Function, reverse?:Function, description?:string}|null} フィルタ定義（未登録なら null）
+ */
+const getFilter = (name) => filterRegistry.get(String(name ?? '').trim()) || null;
+
+/**
+ * 登録済みフィルタ名の一覧
+ * @returns {string[]} フィルタ名配列（登録順）
+ */
+const listFilterNames = () => Array.from(filterRegistry.keys());
+
+/**
+ * フィルタチェーンの適用
+ * 左から順に適用する。未登録のフィルタや例外が発生したフィルタは素通しとする（表示を壊さない）
+ *
+ * @param {string} value - 変数値
+ * @param {Array<{name:string, args:string[]}>} filters - フィルタチェーン
+ * @param {Object|null} [variable] - 対象の変数オブジェクト
+ * @returns {string} 変換後の文字列
+ */
+const applyFilters = (value, filters, variable = null) => {
+    let out = String(value ?? '');
+    if (!Array.isArray(filters)) return out;
+    for (const f of filters) {
+        const def = getFilter(f && f.name);
+        if (!def) continue;
+        try {
+            out = String(def.apply(out, Array.isArray(f.args) ? f.args : [], { variable }) ?? '');
+        } catch (_) { /* 素通し */ }
+    }
+    return out;
+};
+
+/**
+ * フィルタチェーンの逆変換
+ * 右から順に reverse を適用し、表示文字列から変数値を復元する。
+ * 1つでも逆変換できないフィルタ（reverse 未定義/null 返却/未登録）があれば null を返す。
+ *
+ * @param {string} text - 表示文字列（フィルタ適用後）
+ * @param {Array<{name:string, args:string[]}>} filters - フィルタチェーン
+ * @param {Object|null} [variable] - 対象の変数オブジェクト
+ * @returns {string|null} 復元した変数値。復元不可の場合は null
+ */
+const reverseFilters = (text, filters, variable = null) => {
+    let out = String(text ?? '');
+    if (!Array.isArray(filters)) return out;
+    for (let i = filters.length - 1; i >= 0; i -= 1) {
+        const f = filters[i];
+        const def = getFilter(f && f.name);
+        if (!def || typeof def.reverse !== 'function') return null;
+        try {
+            const r = def.reverse(out, Array.isArray(f.args) ? f.args : [], { variable });
+            if (r === null || r === undefined) return null;
+            out = String(r);
+        } catch (_) {
+            return null;
+        }
+    }
+    return out;
+};
+
+/**
+ * フィルタチェーンが逆変換可能か
+ * @param {Array<{name:string, args:string[]}>} filters - フィルタチェーン
+ * @returns {boolean} すべてのフィルタが reverse を持つ場合 true
+ */
+const isReversible = (filters) => (Array.isArray(filters) ? filters : []).every(f => {
+    const def = getFilter(f && f.name);
+    return !!(def && typeof def.reverse === 'function');
+});
+
+/**
+ * 変数の日時フォーマットを推定
+ * 時刻/日付変数は自身の format、それ以外は null
+ * @param {Object|null} variable - 変数オブジェクト
+ * @returns {string|null} フォーマット文字列
+ */
+const getVariableDateFormat = (variable) => (variable && (variable.type === 'time' || variable.type === 'date') && variable.format) ? String(variable.format) : null;
+
+/**
+ * 敬称の付与（honorific フィルタの apply）
+ * 空の値と、既に敬称（指定の敬称または HONORIFIC_SUFFIXES）で終わる値はそのまま返す
+ * @param {string} value - 値
+ * @param {string[]} args - フィルタ引数（先頭が敬称。省略時は「様」）
+ * @returns {string} 敬称を付与した文字列
+ */
+const applyHonorific = (value, args) => {
+    const v = String(value ?? '');
+    if (v.trim() === '') return v;
+    const suffix = args[0] !== undefined && args[0] !== '' ? String(args[0]) : '様';
+    if (v.endsWith(suffix) || HONORIFIC_SUFFIXES.some(s => v.endsWith(s))) return v;
+    return v + suffix;
+};
+
+// ===== 組み込みフィルタ =====
+
+registerFilter('honorific', {
+    description: '敬称を付与（既定: 様）。既に敬称で終わる場合は付与しない',
+    apply: (value, args) => applyHonorific(value, args),
+    /**
+     * apply が付与した敬称のみを外す
+     * - 現在の値に apply が敬称を付けていた場合のみ、表示文字列の末尾の敬称を外す（元から敬称で終わる値はそのまま）
+     * - 復元した値に apply を適用して表示文字列に戻らない場合（敬称を消した編集など）は逆変換不可（null）
+     */
+    reverse: (text, args, { variable }) => {
+        const t = String(text ?? '');
+        const suffix = args[0] !== undefined && args[0] !== '' ? String(args[0]) : '様';
+        const current = variable ? String(variable.value ?? '') : '';
+        const added = applyHonorific(current, args) !== current;
+        const restored = added && t.endsWith(suffix) ? t.slice(0, t.length - suffix.length) : t;
+        return applyHonorific(restored, args) === t ? restored : null;
+    }
+});
+
+registerFilter('default', {
+    description: '値が空の場合に代替文字列を表示',
+    apply: (value, args) => (String(value ?? '').trim() === '' ? String(args[0] ?? '') : String(value)),
+    reverse: (text, args) => (String(text ?? '') === String(args[0] ?? '') ? '' : String(text ?? ''))
+});
+
+registerFilter('digits', {
+    description: '数字以外を除去（電話番号のハイフン除去など）',
+    apply: (value) => String(value ?? '').replace(/[^0-9０-９]/g, '').replace(/[０-９]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0))
+});
+
+registerFilter('format', {
+    description: '日時を指定フォーマットで再整形（時刻/日付変数の値を解析して変換）',
+    apply: (value, args, { variable }) => {
+        const v = String(value ?? '');
+        const pattern = String(args[0] ?? '');
+        if (!pattern || v.trim() === '' || !window.DateUtils) return v;
+        const d = window.DateUtils.parseFormattedDateTime(v, getVariableDateFormat(variable) || '');
+        return d ? window.DateUtils.formatDateTime(d, pattern) : v;
+    },
+    reverse: (text, args, { variable }) => {
+        const sourceFormat = getVariableDateFormat(variable);
+        const pattern = String(args[0] ?? '');
+        if (!sourceFormat || !pattern || !window.DateUtils) return null;
+        const t = String(text ?? '');
+        if (t.trim() === '') return '';
+        const d = window.DateUtils.parseFormattedDateTime(t, pattern);
+        return d ? window.DateUtils.formatDateTime(d, sourceFormat) : null;
+    }
+});
+
+registerFilter('trim', {
+    description: '前後の空白を除去',
+    apply: (value) => String(value ?? '').trim(),
+    reverse: (text) => String(text ?? '')
+});
+
+registerFilter('upper', {
+    description: '英字を大文字化',
+    apply: (value) => String(value ?? '').toUpperCase()
+});
+
+registerFilter('lower', {
+    description: '英字を小文字化',
+    apply: (value) => String(value ?? '').toLowerCase()
+});
+
+registerFilter('prefix', {
+    description: '値がある場合のみ先頭に文字列を付与',
+    apply: (value, args) => (String(value ?? '') === '' ? '' : String(args[0] ?? '') + String(value)),
+    reverse: (text, args) => {
+        const t = String(text ?? '');
+        const p = String(args[0] ?? '');
+        return (p && t.startsWith(p)) ? t.slice(p.length) : t;
+    }
+});
+
+registerFilter('suffix', {
+    description: '値がある場合のみ末尾に文字列を付与',
+    apply: (value, args) => (String(value ?? '') === '' ? '' : String(value) + String(args[0] ?? '')),
+    reverse: (text, args) => {
+        const t = String(text ?? '');
+        const s = String(args[0] ?? '');
+        return (s && t.endsWith(s)) ? t.slice(0, t.length - s.length) : t;
+    }
+});
+
+/**
+ * グローバルスコープへの公開
+ */
+window.TemplateFilters = {
+    registerFilter,
+    getFilter,
+    listFilterNames,
+    applyFilters,
+    reverseFilters,
+    isReversible
+};
@@ -15,6 +15,8 @@
  *
  * 実装メモ:
  * - 変数名の前後の空白は許容するが、名前そのものに空白は含めない
+ * - 条件セクション `{{#if 名前}}` / `{{#unless 名前}}` の条件名も変数名として扱う
+ *   （`{{else}}` と終了タグは対象外）
  * - 重複は除外して返却
  *
  * @param {string|string[]} input - 対象テキストまたは行配列
@@ -22,14 +24,13 @@
  */
 function extractVariableNames(input) {
   const texts = Array.isArray(input) ? input : [String(input ?? '')];
-  const re = /\{\{\s*([^}\s]+)\s*\}\}/g;
   const found = new Set();
   try {
     for (const line of texts) {
-      let m;
-      re.lastIndex = 0;
-      while ((m = re.exec(String(line ?? ''))) !== null) {
-        found.add(m[1]);
+      const tokens = window.Helpers.tokenizeSegmentTemplate(String(line ?? ''));
+      for (const t of tokens) {
+        if (t.type === 'variable') found.add(t.name);
+        else if (t.type === 'control' && t.name) found.add(t.name);
       }
     }
   } catch (_) { /* noop */ }
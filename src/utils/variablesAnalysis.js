@@ -2,7 +2,7 @@
  * 変数使用状況の分析と削除影響判定
  * - セグメント中の変数出現箇所の収集
  * - 変数削除時の影響メッセージ生成
- * 正規表現は事前生成してパフォーマンスを最適化
+ * 各セグメントは共通パーサで1回だけトークナイズしてパフォーマンスを最適化
  */
 
 /**
@@ -32,19 +32,17 @@ const analyzeVariableUsage = (variables, segments) => {
         };
     });
 
-    // 正規表現を事前生成（厳密一致 {{name}}）
-    const variableRegexMap = new Map();
-    safeVariables.forEach(v => {
-        // name 内の正規表現メタをエスケープ
-        const escaped = String(v.name || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        variableRegexMap.set(v.id, new RegExp(`\\{\\{\\s*${escaped}\\s*\\}}`, 'g'));
-    });
-
     safeSegments.forEach((segment, segmentIndex) => {
         const content = String((segment && segment.content) || '');
+        // 参照名の収集（{{name}} / {{name|フィルタ}}、条件セクション {{#if name}} / {{#unless name}} も使用扱い）
+        const referencedNames = new Set();
+        try {
+            window.Helpers.tokenizeSegmentTemplate(content).forEach(t => {
+                if (t.type !== 'literal' && t.name) referencedNames.add(String(t.name));
+            });
+        } catch (_) {}
         safeVariables.forEach(variable => {
-            const regex = variableRegexMap.get(variable.id);
-            if (regex && regex.test(content)) {
+            if (referencedNames.has(String(variable.name || ''))) {
                 variableUsage[variable.id].usedInSegments.push({
                     segmentIndex,
                     segmentId: segment.id,
@@ -107,7 +105,7 @@ window.Helpers = Object.assign(window.Helpers || {}, {
  * 追加がない場合は元の配列インスタンスをそのまま返す（=== 比較で検出可能）。
  *
  * 実装詳細:
- * - 変数名抽出は `window.TemplateUtils.extractVariableNames` を使用（/\{\{\s*([^}\s]+)\s*\}\}/g）
+ * - 変数名抽出は `window.TemplateUtils.extractVariableNames` を使用（共通パーサ Helpers.tokenizeSegmentTemplate 経由）
  * - タイプ推定は `window.Helpers.guessVariableTypeByName` を使用（電話系は 'phone'、他は 'text'）
  * - ID生成は `window.Helpers.generateId`
  *
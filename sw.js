@@ -123,4 +123,25 @@ self.addEventListener('fetch', (event) => {
   })());
 });
 
+/**
+ * 通知（折り返しリマインダー）のクリック
+ * - 開いているアプリのタブがあれば前面に出し、通知のデータをメッセージで渡す（対象の下書き・履歴を開く）
+ * - 無ければアプリを新しく開く（期限を過ぎたリマインダーはサイドバーに表示される）
+ */
+self.addEventListener('notificationclick', (event) => {
+  const data = event.notification.data || {};
+  event.notification.close();
+  event.waitUntil((async () => {
+    try {
+      const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      const client = windows.find((c) => c.url.startsWith(self.registration.scope)) || windows[0];
+      if (client) {
+        await client.focus();
+        client.postMessage({ type: 'telescribe-notification-click', data });
+        return;
+      }
+      await self.clients.openWindow(self.registration.scope);
+    } catch (_) {}
+  })());
+});
 